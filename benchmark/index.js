@@ -0,0 +1,88 @@
+'use strict'
+
+/**
+ * Compares the time taken to commit and diff only the paths each rule changed
+ * against recopying and rediffing the whole tree after each rule, as was done
+ * before changed paths were tracked. Run with `npm run benchmark`.
+ * @module fs-transform:benchmark
+ */
+
+var childProcess = require('child_process')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var sinon = require('sinon')
+
+var FsDriver = require('../lib/fs-driver')
+var Transformer = require('../index')
+
+/**
+ * Number of directories in the generated tree.
+ * @type {number}
+ */
+const DIRECTORIES = 40
+
+/**
+ * Number of files in each directory of the generated tree.
+ * @type {number}
+ */
+const FILES = 50
+
+/**
+ * Generates a tree of small files in a new temporary directory.
+ * @return {string} Path to the tree.
+ */
+function createTree () {
+  var root = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-transform-benchmark-'))
+  for (let d = 0; d < DIRECTORIES; d++) {
+    fs.mkdirSync(path.join(root, 'dir' + d))
+    for (let f = 0; f < FILES; f++) {
+      fs.writeFileSync(
+        path.join(root, 'dir' + d, 'file' + f + '.txt'),
+        'directory ' + d + '\nfile ' + f + '\n'
+      )
+    }
+  }
+  return root
+}
+
+/**
+ * Performs a dry run of rules that each change a few files of the tree.
+ * @param {string} root Path to the tree.
+ * @param {function} cb Callback to execute with the duration of the run in
+ *   milliseconds.
+ */
+function run (root, cb) {
+  var rules = []
+  for (let i = 0; i < 10; i++) {
+    rules.push({
+      action: 'write',
+      path: 'dir' + i + '/file0.txt',
+      content: 'rule ' + i + '\n'
+    })
+    rules.push({
+      action: 'rename',
+      source: 'dir' + i + '/file1.txt',
+      dest: 'dir' + (i + 10) + '/renamed' + i + '.txt'
+    })
+  }
+  var start = Date.now()
+  Transformer.dry(root, rules, (err) => {
+    cb(err, Date.now() - start)
+  })
+}
+
+var root = createTree()
+run(root, (err, incrementalTime) => {
+  if (err) { throw err }
+  // Treating every rule as changing the whole tree recopies and rediffs the
+  // whole tree after each rule
+  sinon.stub(FsDriver.prototype, 'getChangedPaths').returns(null)
+  run(root, (err, fullTime) => {
+    FsDriver.prototype.getChangedPaths.restore()
+    childProcess.execFileSync('rm', ['-rf', root])
+    if (err) { throw err }
+    console.log('changed paths: ' + incrementalTime + 'ms')
+    console.log('whole tree:    ' + fullTime + 'ms')
+  })
+})
@@ -0,0 +1,216 @@
+'use strict'
+
+var fs = require('fs')
+var Promise = require('bluebird')
+var Transformer = require('./transformer')
+
+/**
+ * Usage information for the command-line interface.
+ * @type {string}
+ */
+const USAGE = [
+  'Usage: fs-transform <command> [--strict] <root> [rules.json]',
+  '',
+  'Commands:',
+  '  apply   Applies the rules to the root directory',
+  '  dry     Performs a dry run of the rules',
+  '  diff    Performs a dry run and prints the unified diff of the changes',
+  '  script  Performs a dry run and prints a shell script for the rules',
+  '',
+  'Options:',
+  '  --strict    Exit with status 2 if the rules generate warnings (apply',
+  '              leaves the root directory as-is)',
+  '  -h, --help  Prints this message',
+  '',
+  'Rules are read from standard input when the rules file is omitted or `-`.',
+  ''
+].join('\n')
+
+/**
+ * Command-line interface that runs a rules file against a root directory.
+ * Warnings are printed to standard error, so the output of the `diff` and
+ * `script` commands can be redirected as-is.
+ *
+ * @example
+ * var cli = new Cli(process)
+ * cli.run(process.argv.slice(2)).then((code) => {
+ *   process.exitCode = code
+ * })
+ *
+ * @class
+ */
+class Cli {
+  /**
+   * Parses the command-line arguments.
+   * @param {array} args Arguments given to the command.
+   * @return {object} The `command`, `root` and `rules` file to run, and the
+   *   `strict` and `help` flags.
+   * @throws Error If the arguments are invalid.
+   */
+  static parse (args) {
+    var options = { strict: false, help: false }
+    var positional = []
+    args.forEach((arg) => {
+      if (arg === '--strict') {
+        options.strict = true
+      } else if (arg === '-h' || arg === '--help') {
+        options.help = true
+      } else if (arg.length > 1 && arg.charAt(0) === '-') {
+        throw new Error('Unknown option: ' + arg)
+      } else {
+        positional.push(arg)
+      }
+    })
+    if (options.help) {
+      return options
+    }
+    if (positional.length < 2 || positional.length > 3) {
+      throw new Error('Expected a command, root directory and rules file.')
+    }
+    if (!~Cli.COMMANDS.indexOf(positional[0])) {
+      throw new Error('Unknown command: ' + positional[0])
+    }
+    options.command = positional[0]
+    options.root = positional[1]
+    options.rules = positional[2] || '-'
+    return options
+  }
+
+  /**
+   * Determines if a path is a directory.
+   * @param {string} path Path to check.
+   * @return {boolean} `true` if the path is a directory, `false` otherwise.
+   */
+  static isDirectory (path) {
+    try {
+      return fs.statSync(path).isDirectory()
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Formats a warning for output, with the position and action of the rule
+   * that generated it.
+   * @param {Transformer} transformer Transformer that generated the warning.
+   * @param {Warning} warning Warning to format.
+   * @return {string} The formatted warning.
+   */
+  static formatWarning (transformer, warning) {
+    var index = transformer.rules.indexOf(warning.rule)
+    var line = 'warning: '
+    if (~index) {
+      line += 'rule ' + (index + 1) + ' (' + warning.rule.action + '): '
+    }
+    line += warning.message
+    if (warning.path !== undefined) {
+      line += ' [' + warning.path + ']'
+    }
+    return line
+  }
+
+  /**
+   * Creates a new command-line interface.
+   * @param {object} streams The `stdin`, `stdout` and `stderr` streams to use
+   *   (e.g. `process`).
+   */
+  constructor (streams) {
+    this.stdin = streams.stdin
+    this.stdout = streams.stdout
+    this.stderr = streams.stderr
+  }
+
+  /**
+   * Runs the command given by the command-line arguments.
+   * @param {array} args Arguments given to the command.
+   * @return {Promise} Resolves with the exit code for the command: `0` on
+   *   success, `1` if an error occurred and `2` if the rules generated
+   *   warnings in strict mode.
+   */
+  run (args) {
+    return Promise.try(() => Cli.parse(args))
+      .then((options) => {
+        if (options.help) {
+          this.stdout.write(USAGE)
+          return 0
+        }
+        return this.readRules(options.rules).then((rules) => {
+          return this.execute(options, rules)
+        })
+      })
+      .catch((err) => {
+        this.stderr.write('error: ' + err.message + '\n')
+        return 1
+      })
+  }
+
+  /**
+   * Reads the rules file, or standard input if the file is `-`.
+   * @param {string} file Path of the rules file.
+   * @return {Promise} Resolves with the content of the rules file.
+   */
+  readRules (file) {
+    if (file !== '-') {
+      return new Promise((resolve, reject) => {
+        fs.readFile(file, 'utf8', (err, content) => {
+          if (err) { return reject(err) }
+          resolve(content)
+        })
+      })
+    }
+    return new Promise((resolve, reject) => {
+      var chunks = []
+      this.stdin.setEncoding('utf8')
+      this.stdin.on('data', (chunk) => chunks.push(chunk))
+      this.stdin.on('error', reject)
+      this.stdin.on('end', () => resolve(chunks.join('')))
+    })
+  }
+
+  /**
+   * Runs the rules against the root directory and prints the warnings and
+   * output of the command. In strict mode, rules are only applied if a dry
+   * run did not generate any warnings.
+   * @param {object} options Options parsed from the command-line arguments.
+   * @param {string} rules Content of the rules file.
+   * @return {Promise} Resolves with the exit code for the command.
+   */
+  execute (options, rules) {
+    if (!Cli.isDirectory(options.root)) {
+      return Promise.reject(
+        new Error('Root directory does not exist: ' + options.root)
+      )
+    }
+    var dry = options.command !== 'apply' || options.strict
+    var run = dry ? Transformer.dry : Transformer.transform
+    return run(options.root, rules).then((transformer) => {
+      transformer.warnings.forEach((warning) => {
+        this.stderr.write(Cli.formatWarning(transformer, warning) + '\n')
+      })
+      if (options.command === 'diff') {
+        this.stdout.write(transformer.getDiff())
+      } else if (options.command === 'script') {
+        this.stdout.write(transformer.getScript())
+      }
+      if (options.strict && transformer.warnings.length > 0) {
+        return 2
+      }
+      if (options.command === 'apply' && dry) {
+        return Transformer.transform(options.root, rules).then(() => 0)
+      }
+      return 0
+    })
+  }
+}
+
+/**
+ * Commands supported by the command-line interface.
+ * @type {array}
+ */
+Cli.COMMANDS = ['apply', 'dry', 'diff', 'script']
+
+/**
+ * Command-line interface for running rule files.
+ * @module fs-transform:cli
+ */
+module.exports = Cli
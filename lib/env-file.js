@@ -0,0 +1,171 @@
+'use strict'
+
+var isBoolean = require('101/is-boolean')
+var isNumber = require('101/is-number')
+var isString = require('101/is-string')
+var TextFile = require('./text-file')
+
+/**
+ * The contents of a dotenv (`.env`) file, used by rules that set and remove
+ * environment variables. Lines other than the assignments that are edited,
+ * such as comments, are kept as-is, as are comments at the end of edited
+ * assignments.
+ *
+ * @example
+ * var file = new EnvFile('# Env\nNODE_ENV=development\n')
+ * file.set('NODE_ENV', 'production')
+ * file.set('SECRET', 'it\'s')
+ * file.toString() // '# Env\nNODE_ENV=production\nSECRET="it\'s"\n'
+ *
+ * @class
+ */
+class EnvFile {
+  /**
+   * @param {*} name Name to check.
+   * @return {boolean} `true` if the name is a valid variable name.
+   */
+  static isName (name) {
+    return isString(name) && /^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name)
+  }
+
+  /**
+   * @param {*} value Value to check.
+   * @return {boolean} `true` if the value can be assigned to a variable.
+   */
+  static isValue (value) {
+    return isString(value) || isNumber(value) || isBoolean(value)
+  }
+
+  /**
+   * Quotes a value so it is read as-is by both shells and dotenv parsers.
+   * Values that only contain safe characters are not quoted, values without
+   * single quotes or newlines are single quoted, and all other values are
+   * double quoted with special characters escaped.
+   * @param {string|number|boolean} value Value to quote.
+   * @return {string} The quoted value.
+   */
+  static quote (value) {
+    value = String(value)
+    if (/^[A-Za-z0-9_.\/:@%+,-]*$/.test(value)) {
+      return value
+    }
+    if (!/['\n]/.test(value)) {
+      return '\'' + value + '\''
+    }
+    return '"' + value
+      .replace(/[\\"$`]/g, '\\$&')
+      .replace(/\n/g, '\\n') + '"'
+  }
+
+  /**
+   * Creates a regular expression that matches assignments of a variable. The
+   * first group of a match is the text before the variable name (indentation
+   * and an optional `export`).
+   * @param {string} name Name of the variable.
+   * @return {RegExp} The regular expression for assignments of the variable.
+   */
+  static pattern (name) {
+    return new RegExp(
+      '^(\\s*(export\\s+)?)' + name.replace(/\./g, '\\.') + '\\s*='
+    )
+  }
+
+  /**
+   * Finds the comment at the end of an assigned value. Comments follow the
+   * closing quote of quoted values, and start at the first `#` that is preceded
+   * by whitespace in unquoted values.
+   * @param {string} text Text after the `=` of an assignment.
+   * @return {string} The comment, including the whitespace that precedes it,
+   *   or an empty string if the value has no comment.
+   */
+  static comment (text) {
+    var quoted = text.match(/^\s*("([^"\\]|\\.)*"|'[^']*')(\s*#.*)$/)
+    if (quoted) {
+      return quoted[3]
+    }
+    if (/^\s*["']/.test(text)) {
+      return ''
+    }
+    var unquoted = text.match(/(^|\s+)#.*$/)
+    return unquoted ? unquoted[0] : ''
+  }
+
+  /**
+   * Creates a new dotenv file.
+   * @param {string} text Contents of the file.
+   */
+  constructor (text) {
+    this.lines = TextFile.split(text)
+    this.endsWithNewline = /\n$/.test(text)
+  }
+
+  /**
+   * Finds the assignments of a variable.
+   * @param {string} name Name of the variable.
+   * @return {array} The indexes of the lines that assign the variable.
+   */
+  find (name) {
+    var pattern = EnvFile.pattern(name)
+    var indexes = []
+    this.lines.forEach((line, index) => {
+      if (pattern.test(line)) {
+        indexes.push(index)
+      }
+    })
+    return indexes
+  }
+
+  /**
+   * Sets a variable. Every assignment of the variable is updated, keeping
+   * comments at the end of the assignment, or a new assignment is appended to
+   * the file if there are none.
+   * @param {string} name Name of the variable.
+   * @param {string|number|boolean} value Value for the variable.
+   * @return {number} The number of assignments that were updated.
+   */
+  set (name, value) {
+    var assignment = name + '=' + EnvFile.quote(value)
+    var pattern = EnvFile.pattern(name)
+    var indexes = this.find(name)
+    indexes.forEach((index) => {
+      var line = this.lines[index]
+      var match = line.match(pattern)
+      var comment = EnvFile.comment(line.slice(match[0].length))
+      this.lines[index] = match[1] + assignment + comment
+    })
+    if (indexes.length === 0) {
+      this.lines.push(assignment)
+      this.endsWithNewline = true
+    }
+    return indexes.length
+  }
+
+  /**
+   * Removes every assignment of a variable.
+   * @param {string} name Name of the variable.
+   * @return {number} The number of assignments that were removed.
+   */
+  unset (name) {
+    var indexes = this.find(name)
+    this.lines = this.lines.filter((line, index) => {
+      return !~indexes.indexOf(index)
+    })
+    return indexes.length
+  }
+
+  /**
+   * @return {string} The contents of the file.
+   */
+  toString () {
+    if (this.lines.length === 0) {
+      return ''
+    }
+    return this.lines.join('\n') + (this.endsWithNewline ? '\n' : '')
+  }
+}
+
+/**
+ * Editing of environment variables in dotenv files.
+ * @module fs-transform:env-file
+ */
+module.exports = EnvFile
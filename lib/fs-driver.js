@@ -4,8 +4,10 @@ var async = require('async')
 var childProcess = require('child_process')
 var exists = require('101/exists')
 var fs = require('fs')
+var isFunction = require('101/is-function')
 var isString = require('101/is-string')
 var last = require('101/last')
+var os = require('os')
 var path = require('path')
 var Promise = require('bluebird')
 
@@ -36,11 +38,23 @@ class FsDriver {
       .replace(/([/])/g, '\\$1')
   }
 
+  /**
+   * Escapes a string for use in a regular expression.
+   * @param {string} str String to escape.
+   * @return {string} The string with regular expression syntax escaped.
+   */
+  static escapeRegExp (str) {
+    return str.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&')
+  }
+
   /**
    * Creates a new filesystem driver.
    * @param {string} root Path to use for operations.
+   * @param {object} [options] Options for the driver.
+   * @param {string} [options.tmpDir] Directory in which to create the working
+   *   and results directories (see `FsDriver#getTmpDir`).
    */
-  constructor (root) {
+  constructor (root, options) {
     if (!root) {
       root = ''
     }
@@ -51,8 +65,15 @@ class FsDriver {
       this.root = path.resolve(root)
     }
 
+    this.backupPath = this.root + '.bak'
+    this.journalPath = this.root + '.fs-transform.json'
+
+    options = options || {}
+    this.tmpDir = options.tmpDir || null
+    this.tmpPath = null
     this.workingPath = null
     this.resultsPath = null
+    this.changedPaths = []
 
     Promise.promisifyAll(this)
   }
@@ -71,11 +92,13 @@ class FsDriver {
   }
 
   /**
-   * Sets up the working and results directory for the driver.
+   * Sets up the working and results directory for the driver. Fails before
+   * anything is copied if a commit to the root was interrupted.
    * @param  {Function} cb Called when setup is complete.
    */
   setup (cb) {
     async.series([
+      (next) => next(this.interruptedCommitError()),
       this.createWorkingDirectory.bind(this),
       this.createResultsDirectory.bind(this)
     ], cb)
@@ -88,25 +111,167 @@ class FsDriver {
    * @param  {Function} cb Callback to execute when the teardown is complete.
    */
   teardown (commit, cb) {
-    const rootPath = this.root
-    const backupPath = this.root + '.bak'
-    const workingPath = this.workingPath
-    const resultsPath = this.resultsPath
+    if (!commit) {
+      return this.cleanup(cb)
+    }
+    this.commit((err) => {
+      this.cleanup((cleanupErr) => cb(err || cleanupErr))
+    })
+  }
 
-    if (commit) {
-      async.series([
-        this.exec.bind(this, 'mv', [rootPath, backupPath]),
-        this.exec.bind(this, 'mv', [workingPath, rootPath]),
-        this.exec.bind(this, 'rm', ['-rf', backupPath, resultsPath])
-      ], cb)
-    } else {
-      this.exec('rm', ['-rf', workingPath, resultsPath], cb)
+  /**
+   * Replaces the root directory with the working directory, by moving the root
+   * to a backup and the working directory in its place. The swap is described
+   * by a journal next to the root directory while it is in progress, and is
+   * rolled back if it fails (see `FsDriver#recover`).
+   * @param  {Function} cb Callback to execute when the commit is complete.
+   */
+  commit (cb) {
+    const interruptedErr = this.interruptedCommitError()
+    if (interruptedErr) {
+      return cb(interruptedErr)
+    }
+    if (this.exists(this.backupPath) || this.isSymlink(this.backupPath)) {
+      return cb(new Error('Backup path already exists: ' + this.backupPath))
+    }
+    const journal = {
+      root: this.root,
+      backup: this.backupPath,
+      tmp: this.tmpPath,
+      committed: false
+    }
+    async.series([
+      this.writeJournal.bind(this, journal),
+      this.moveTree.bind(this, this.root, this.backupPath),
+      this.moveTree.bind(this, this.workingPath, this.root),
+      (next) => {
+        journal.committed = true
+        this.writeJournal(journal, next)
+      }
+    ], (err) => {
+      // Finishes the commit, or rolls it back if it did not complete
+      this.recover((recoverErr) => cb(err || recoverErr))
+    })
+  }
+
+  /**
+   * Checks for a journal left behind by an interrupted commit, as the root
+   * directory cannot be transformed until the commit is recovered (see
+   * `FsDriver#recover`).
+   * @return {?Error} An error if there is a journal, `null` otherwise.
+   */
+  interruptedCommitError () {
+    if (!fs.existsSync(this.journalPath)) {
+      return null
+    }
+    return new Error(
+      'An interrupted commit must be recovered first: ' + this.journalPath
+    )
+  }
+
+  /**
+   * Writes the journal of a commit. The journal is replaced by a rename, so
+   * that it is never left partially written.
+   * @param {object} journal The `root` and `backup` paths of the commit, the
+   *   `tmp` directory with the working directory and whether the working
+   *   directory has been `committed` to the root.
+   * @param {function} cb Callback to execute once the journal has been
+   *   written.
+   */
+  writeJournal (journal, cb) {
+    const tmpJournalPath = this.journalPath + '.tmp'
+    fs.writeFile(tmpJournalPath, JSON.stringify(journal), (err) => {
+      if (err) { return cb(err) }
+      fs.rename(tmpJournalPath, this.journalPath, cb)
+    })
+  }
+
+  /**
+   * Finishes or reverts a commit that was interrupted, as described by its
+   * journal. Commits where the working directory was moved to the root are
+   * finished by removing the backup, and others are reverted by restoring the
+   * backup to the root (if the root was moved). The temporary directory of the
+   * commit and the journal are then removed.
+   * @param {function} cb Callback to execute with `'finished'` or `'reverted'`,
+   *   or `null` if there was no commit to recover.
+   */
+  recover (cb) {
+    var journal
+    try {
+      journal = JSON.parse(fs.readFileSync(this.journalPath, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return cb(null, null)
+      }
+      // The journal is only written in place before anything is moved
+      journal = {}
+    }
+
+    var outcome = 'reverted'
+    var steps = []
+    if (journal.committed) {
+      outcome = 'finished'
+      steps.push(this.removeTree.bind(this, [this.backupPath]))
+    } else if (this.exists(this.backupPath) || this.isSymlink(this.backupPath)) {
+      steps.push(
+        this.removeTree.bind(this, [this.root]),
+        this.moveTree.bind(this, this.backupPath, this.root)
+      )
+    }
+    if (journal.tmp) {
+      steps.push(this.removeTree.bind(this, [journal.tmp]))
+    }
+    steps.push((next) => fs.unlink(this.journalPath, next))
+    async.series(steps, (err) => {
+      if (err) { return cb(err) }
+      cb(null, outcome)
+    })
+  }
+
+  /**
+   * Removes the temporary directory that holds the working and results
+   * directories, if it has been created.
+   * @param  {Function} cb Callback to execute when the directories have been
+   *   removed.
+   */
+  cleanup (cb) {
+    if (!this.tmpPath) {
+      return cb()
+    }
+    this.removeTree([this.tmpPath], (err) => {
+      if (err) { return cb(err) }
+      this.tmpPath = null
+      this.workingPath = null
+      this.resultsPath = null
+      cb()
+    })
+  }
+
+  /**
+   * Determines the directory in which to create the working and results
+   * directories. Unless a `tmpDir` was given, this is the parent of the root
+   * directory, so that committing the working directory to the root only
+   * renames it, or the system's temporary directory if the parent is not
+   * writable.
+   * @return {string} The absolute path of the directory.
+   */
+  getTmpDir () {
+    if (this.tmpDir) {
+      return path.resolve(this.tmpDir)
+    }
+    var parent = path.dirname(this.root)
+    try {
+      fs.accessSync(parent, fs.constants.W_OK)
+      return parent
+    } catch (err) {
+      return os.tmpdir()
     }
   }
 
   /**
-   * Creates the initial working directory as a copy of the root directory. This
-   * method has no effect if there is already a working directory.
+   * Creates the initial working directory as a copy of the root directory, in
+   * a new temporary directory (see `FsDriver#getTmpDir`). This method has no
+   * effect if there is already a working directory.
    * @param  {Function} cb Called when the directory has been created.
    */
   createWorkingDirectory (cb) {
@@ -114,17 +279,19 @@ class FsDriver {
       return cb()
     }
 
-    let rootName = last(this.root.split('/'))
-    let workingPath = '/tmp/.' + rootName + '.fs-work'
-    let n = parseInt(1000000 * Math.random())
-    while (this.exists(workingPath + '.' + n)) {
-      n = parseInt(1000000 * Math.random())
+    const tmpDir = this.getTmpDir()
+    if (tmpDir === this.root || tmpDir.indexOf(this.root + '/') === 0) {
+      return cb(new Error(
+        'Temporary directory cannot be inside of the root directory: ' + tmpDir
+      ))
     }
-    this.workingPath = workingPath + '.' + n
-
-    const source = this.root
-    const dest = this.workingPath
-    this.exec('cp', ['-r', source, dest], cb)
+    const prefix = `${tmpDir}/.${last(this.root.split('/'))}.fs-transform-`
+    fs.mkdtemp(prefix, (err, tmpPath) => {
+      if (err) { return cb(err) }
+      this.tmpPath = tmpPath
+      this.workingPath = `${tmpPath}/working`
+      this.copyTree(this.root, this.workingPath, cb)
+    })
   }
 
   /**
@@ -141,36 +308,165 @@ class FsDriver {
         'Cannot create a results directory without a working directory'
       ))
     }
-    this.resultsPath = `${this.workingPath}.results`
+    this.resultsPath = `${path.dirname(this.workingPath)}/results`
 
-    const source = this.workingPath
-    const dest = this.resultsPath
-    this.exec('cp', ['-r', source, dest], cb)
+    this.copyTree(this.workingPath, this.resultsPath, cb)
   }
 
   /**
    * Commits the changes made to the results directory back to the working
-   * directory.
+   * directory. Only the paths that have changed since the last commit are
+   * synced, unless the results directory itself has changed (see
+   * `getChangedPaths`).
    * @param  {Function} cb Called when the changes have been committed.
    */
   commitResults (cb) {
     const workingPath = this.workingPath
     const resultsPath = this.resultsPath
+    const paths = this.getChangedPaths()
+    this.changedPaths = []
+
+    if (!paths) {
+      return async.series([
+        this.removeTree.bind(this, [workingPath]),
+        this.copyTree.bind(this, resultsPath, workingPath)
+      ], cb)
+    }
+    if (paths.length === 0) {
+      return cb()
+    }
+
+    // Removed paths are only removed from the working directory
+    var copied = paths.filter((file) => this.exists(file) || this.isSymlink(file))
     async.series([
-      this.exec.bind(this, 'rm', ['-rf', workingPath]),
-      this.exec.bind(this, 'cp', ['-r', resultsPath, workingPath])
+      this.removeTree.bind(this, paths.map((file) => `${workingPath}/${file}`)),
+      (next) => async.eachSeries(copied, (file, copyCallback) => {
+        this.copyTree(
+          `${resultsPath}/${file}`,
+          `${workingPath}/${file}`,
+          copyCallback
+        )
+      }, next)
     ], cb)
   }
 
+  /**
+   * Records that a path in the results directory has changed, so that it is
+   * synced by `commitResults` and compared by `resultsDiff`. Driver methods
+   * that change the filesystem record the paths they change, so this only
+   * needs to be called for changes made by other means.
+   * @param {string} path Absolute or relative path that has changed.
+   */
+  addChangedPath (path) {
+    this.changedPaths.push(this.absoluteResultsPath(path))
+  }
+
+  /**
+   * Determines the paths that have changed since the results were last
+   * committed. Paths inside of other changed paths are omitted, and paths
+   * whose parent does not exist in the working directory are replaced by
+   * their first such parent, so that each path can be synced as a whole.
+   * @return {?array} The changed paths relative to the results directory, in
+   *   sorted order, or `null` if the results directory itself has changed.
+   */
+  getChangedPaths () {
+    var paths = []
+    var isWholeTree = this.changedPaths.some((file) => {
+      var relative = path.relative(this.resultsPath, file)
+      if (relative === '' || relative.split('/')[0] === '..') {
+        return true
+      }
+      var parent = path.dirname(relative)
+      while (parent !== '.' && !fs.existsSync(`${this.workingPath}/${parent}`)) {
+        relative = parent
+        parent = path.dirname(parent)
+      }
+      paths.push(relative)
+    })
+    if (isWholeTree) {
+      return null
+    }
+    // Parents are sorted before the paths inside of them
+    var kept = {}
+    return paths.sort().filter((file) => {
+      for (let dir = file; dir !== '.'; dir = path.dirname(dir)) {
+        if (kept[dir]) { return false }
+      }
+      kept[file] = true
+      return true
+    })
+  }
+
+  /**
+   * Determines the path of a file that is moved, copied or linked to a
+   * destination, as `mv`, `cp` and `ln` do: files moved, copied or linked to
+   * an existing directory are placed in it.
+   * @param {string} source Path of the file to move, copy or link to.
+   * @param {string} dest Path of the destination.
+   * @return {string} The absolute path of the moved or copied file or link.
+   */
+  destinationPath (source, dest) {
+    dest = this.absoluteResultsPath(dest)
+    if (this.isDirectory(dest)) {
+      return path.join(dest, path.basename(source))
+    }
+    return dest
+  }
+
+  /**
+   * Recursively copies a directory to a path that does not exist yet. Used to
+   * create the working and results directories. Symbolic links are copied as
+   * links, and the modes, ownership and timestamps of every path are
+   * preserved, so that paths that are not transformed are left as they were.
+   * @param {string} source Absolute path of the directory to copy.
+   * @param {string} dest Absolute path of the copy.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the copy
+   *   completes.
+   */
+  copyTree (source, dest, cb) {
+    this.exec('cp', ['-pPR', source, dest], cb)
+  }
+
+  /**
+   * Moves a directory to a path that does not exist yet. Used to commit the
+   * working directory to the root directory.
+   * @param {string} source Absolute path of the directory to move.
+   * @param {string} dest Absolute path to move the directory to.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the move
+   *   completes.
+   */
+  moveTree (source, dest, cb) {
+    this.exec('mv', [source, dest], cb)
+  }
+
+  /**
+   * Recursively removes directories, ignoring those that do not exist. Used
+   * to remove the working, results and backup directories.
+   * @param {array} paths Absolute paths of the directories to remove.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the removal
+   *   completes.
+   */
+  removeTree (paths, cb) {
+    this.exec('rm', ['-rf'].concat(paths), cb)
+  }
+
   /**
    * Performs a diff over two given paths.
    * @param {string} a First path.
    * @param {string} b Second path.
+   * @param {boolean} [newFiles] Whether files that only exist in one of the
+   *   paths are diffed against an empty file (`diff -N`), rather than listed
+   *   with an `Only in` line.
    * @param {function} cb Callback to execute with the diff results.
    */
-  diff (a, b, cb) {
+  diff (a, b, newFiles, cb) {
+    if (isFunction(newFiles)) {
+      cb = newFiles
+      newFiles = false
+    }
     var self = this
-    this.exec('diff', ['-u', '-r', a, b], function (err, diff, scriptCommand) {
+    var args = newFiles ? ['-u', '-r', '-N', a, b] : ['-u', '-r', a, b]
+    this.exec('diff', args, function (err, diff, scriptCommand) {
       // `diff` has really strange return codes:
       // - 0: no differences
       // - 1: differences
@@ -195,11 +491,34 @@ class FsDriver {
   }
 
   /**
-   * Returns a full diff between the result directory and the working directory.
+   * Returns a diff of the paths that have changed in the results directory
+   * since the last commit (see `getChangedPaths`), against the working
+   * directory. Added and removed files are diffed against an empty file, so
+   * that the diffs of each file can be reported (see `Transformer#setFileDiff`).
    * @param  {Function} cb Called with the results of the diff.
    */
   resultsDiff (cb) {
-    this.diff(this.workingPath, this.resultsPath, cb)
+    const workingPath = this.workingPath
+    const resultsPath = this.resultsPath
+    const paths = this.getChangedPaths()
+    if (!paths) {
+      return this.diff(workingPath, resultsPath, true, cb)
+    }
+    async.mapSeries(paths, (file, diffCallback) => {
+      const a = `${workingPath}/${file}`
+      const b = `${resultsPath}/${file}`
+      this.diff(a, b, true, (err, diff) => {
+        if (err) { return diffCallback(err) }
+        // `diff` only names the files it compares when comparing directories
+        if (/^--- /.test(diff)) {
+          diff = `diff -u -r -N /${file} /${file}\n${diff}`
+        }
+        diffCallback(null, diff)
+      })
+    }, (err, diffs) => {
+      if (err) { return cb(err) }
+      cb(null, diffs.join(''))
+    })
   }
 
   /**
@@ -262,10 +581,14 @@ class FsDriver {
    * @return {string} The string with sans absolute paths.
    */
   stripAbsolutePaths (str) {
-    return str
-      .replace(new RegExp(this.root, 'g'), '')
-      .replace(new RegExp(this.resultsPath, 'g'), '')
-      .replace(new RegExp(this.workingPath, 'g'), '')
+    // The temporary directories may be inside of, or share a prefix with, the
+    // root, so they are stripped first, and only as whole path components
+    return [this.workingPath, this.resultsPath, this.root]
+      .filter(exists)
+      .reduce((result, dir) => {
+        const pattern = FsDriver.escapeRegExp(dir) + '(?=[/:\\s]|$)'
+        return result.replace(new RegExp(pattern, 'g'), '')
+      }, str)
   }
 
   /**
@@ -305,7 +628,7 @@ class FsDriver {
    *   finishes.
    */
   hasAllCommands (cb) {
-    async.each(FsDriver.commands, this.hasCommand.bind(this), cb)
+    async.each(this.constructor.commands, this.hasCommand.bind(this), cb)
   }
 
   /**
@@ -324,6 +647,8 @@ class FsDriver {
    *   completes.
    */
   move (source, dest, cb) {
+    this.addChangedPath(source)
+    this.addChangedPath(this.destinationPath(source, dest))
     this.exec('mv', [
       this.absoluteResultsPath(source),
       this.absoluteResultsPath(dest)
@@ -345,12 +670,277 @@ class FsDriver {
    *   completes.
    */
   copy (source, dest, cb) {
+    this.addChangedPath(this.destinationPath(source, dest))
+    this.exec('cp', [
+      this.absoluteResultsPath(source),
+      this.absoluteResultsPath(dest)
+    ], cb)
+  }
+
+  /**
+   * Recursively copies a directory. The destination should not exist, or the
+   * directory is copied into it.
+   *
+   * @example
+   * // Has the same behavior as `cp -R srcdir destdir` on the command-line.
+   * driver.copyDirectory('srcdir', 'destdir', function (err, result) {
+   *   // ...
+   * })
+   *
+   * @param {string} source Source directory path.
+   * @param {string} dest Destination directory path.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the copy
+   *   completes.
+   */
+  copyDirectory (source, dest, cb) {
+    this.addChangedPath(this.destinationPath(source, dest))
     this.exec('cp', [
+      '-R',
       this.absoluteResultsPath(source),
       this.absoluteResultsPath(dest)
     ], cb)
   }
 
+  /**
+   * Recursively copies the contents of a directory into an existing directory,
+   * overwriting files that exist in both.
+   *
+   * @example
+   * // Has the same behavior as `cp -R srcdir/. destdir` on the command-line.
+   * driver.mergeDirectory('srcdir', 'destdir', function (err, result) {
+   *   // ...
+   * })
+   *
+   * @param {string} source Source directory path.
+   * @param {string} dest Destination directory path.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the merge
+   *   completes.
+   */
+  mergeDirectory (source, dest, cb) {
+    this.addChangedPath(dest)
+    this.exec('cp', [
+      '-R',
+      this.absoluteResultsPath(source) + '/.',
+      this.absoluteResultsPath(dest)
+    ], cb)
+  }
+
+  /**
+   * Removes a file or directory.
+   *
+   * @example
+   * // Has the same behavior as `rm -r dir` on the command-line.
+   * driver.remove('dir', true, function (err, result) {
+   *   // ...
+   * })
+   *
+   * @param {string} path Path of the file or directory to remove.
+   * @param {boolean} recursive Whether or not to recursively remove
+   *   directories.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the removal
+   *   completes.
+   */
+  remove (path, recursive, cb) {
+    this.addChangedPath(path)
+    var args = [this.absoluteResultsPath(path)]
+    if (recursive) {
+      args.unshift('-r')
+    }
+    this.exec('rm', args, cb)
+  }
+
+  /**
+   * Creates a directory.
+   *
+   * @example
+   * // Has the same behavior as `mkdir -p some/dir` on the command-line.
+   * driver.mkdir('some/dir', true, function (err, result) {
+   *   // ...
+   * })
+   *
+   * @param {string} path Path of the directory to create.
+   * @param {boolean} parents Whether or not to create missing parent
+   *   directories.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the directory
+   *   has been created.
+   */
+  mkdir (path, parents, cb) {
+    this.addChangedPath(path)
+    var args = [this.absoluteResultsPath(path)]
+    if (parents) {
+      args.unshift('-p')
+    }
+    this.exec('mkdir', args, cb)
+  }
+
+  /**
+   * Changes the mode of a file or directory.
+   *
+   * @example
+   * // Has the same behavior as `chmod u+x bin/start` on the command-line.
+   * driver.chmod('bin/start', 'u+x', function (err, result) {
+   *   // ...
+   * })
+   *
+   * @param {string} path Path of the file or directory.
+   * @param {string} mode Octal (e.g. `'755'`) or symbolic (e.g. `'u+x'`) mode.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the mode has
+   *   been changed.
+   */
+  chmod (path, mode, cb) {
+    this.addChangedPath(path)
+    this.exec('chmod', [mode, this.absoluteResultsPath(path)], cb)
+  }
+
+  /**
+   * Creates a symbolic link.
+   *
+   * @example
+   * // Has the same behavior as `ln -s prod config/current` on the
+   * // command-line.
+   * driver.symlink('prod', 'config/current', function (err, result) {
+   *   // ...
+   * })
+   *
+   * @param {string} target Target of the link, as it is stored in the link
+   *   (i.e. relative targets are relative to the directory of the link).
+   * @param {string} link Path of the link to create.
+   * @param {fs-driver~ExecCallback} cb Callback to execute after the link has
+   *   been created.
+   */
+  symlink (target, link, cb) {
+    this.addChangedPath(this.destinationPath(target, link))
+    this.exec('ln', ['-s', target, this.absoluteResultsPath(link)], cb)
+  }
+
+  /**
+   * Determines if a file is binary, using `file --mime-type`. Binary files
+   * are skipped by searches. The command is not logged, as it does not
+   * change the filesystem.
+   * @param {string} file Absolute path of the file.
+   * @param {function} cb Callback to execute with `true` if the file is
+   *   binary, `false` otherwise.
+   */
+  isBinary (file, cb) {
+    childProcess.execFile('file', ['--mime-type', file], (err, type) => {
+      if (err) { return cb(err) }
+      cb(null, /octet-stream/.test(type))
+    })
+  }
+
+  /**
+   * Finds the text files with matches for a search, using `grep`. Directories
+   * are searched recursively, except for the directories that are always
+   * ignored (e.g. `.git/`). The command is not logged, as it does not change
+   * the filesystem.
+   * @param {array} paths Absolute paths of the files and directories to
+   *   search.
+   * @param {object} search Search created by `Replacer.createGrepSearch`.
+   * @param {function} cb Callback to execute with the absolute paths of the
+   *   files with matches.
+   */
+  findMatches (paths, search, cb) {
+    var args = ['-rlIE', '--exclude-dir=.git', '--exclude-dir=node_modules']
+    if (search.ignoreCase) {
+      args.push('-i')
+    }
+    args = args.concat('-e', search.pattern, '--', paths)
+    childProcess.execFile('grep', args, (err, output) => {
+      // `grep` exits with 1 if nothing matched
+      if (err && err.code !== 1) { return cb(err) }
+      cb(null, output.split('\n').filter((file) => file.length > 0))
+    })
+  }
+
+  /**
+   * Reads the contents of a file as a string.
+   * @param {string} path Path of the file to read.
+   * @param {function} cb Callback to execute with the contents of the file.
+   */
+  readFile (path, cb) {
+    fs.readFile(this.absoluteResultsPath(path), 'utf8', cb)
+  }
+
+  /**
+   * Writes the given content to a file, replacing the file if it exists.
+   * @param {string} path Path of the file to write.
+   * @param {string} content Content to write to the file.
+   * @param {function} cb Callback to execute after the file has been written.
+   */
+  writeFile (path, content, cb) {
+    this.addChangedPath(path)
+    fs.writeFile(this.absoluteResultsPath(path), content, cb)
+  }
+
+  /**
+   * Determines if a path is a directory.
+   * @param {string} path Absolute or relative path to check.
+   * @return {boolean} `true` if the path is a directory, false otherwise.
+   */
+  isDirectory (path) {
+    try {
+      return fs.statSync(this.absoluteResultsPath(path)).isDirectory()
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Lists the files and directories in the root directory (or the results
+   * directory, once it has been created). Symbolic links are listed, but not
+   * followed.
+   * @param {string} [dir] Directory to list, relative to the root (defaults to
+   *   the root itself).
+   * @param {function} [allowDirectory] Determines whether or not to list the
+   *   contents of a directory, given its path relative to the root.
+   * @return {array} Paths of the files and directories relative to the root,
+   *   in sorted order.
+   */
+  listPaths (dir, allowDirectory) {
+    var root = this.resultsPath || this.root
+    var paths = []
+    var walk = (dir) => {
+      fs.readdirSync(path.join(root, dir)).sort().forEach((name) => {
+        var file = dir ? dir + '/' + name : name
+        paths.push(file)
+        var stat = fs.lstatSync(path.join(root, file))
+        if (stat.isDirectory() && (!allowDirectory || allowDirectory(file))) {
+          walk(file)
+        }
+      })
+    }
+    walk(dir || '')
+    return paths
+  }
+
+  /**
+   * Determines if a path is a symbolic link.
+   * @param {string} path Absolute or relative path to check.
+   * @return {boolean} `true` if the path is a symbolic link, false otherwise.
+   */
+  isSymlink (path) {
+    try {
+      return fs.lstatSync(this.absoluteResultsPath(path)).isSymbolicLink()
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Determines the permissions of a file or directory.
+   * @param {string} path Absolute or relative path of the file or directory.
+   * @return {string} The permissions of the path as an octal string (e.g.
+   *   `'755'`), or `null` if the path does not exist.
+   */
+  getMode (path) {
+    try {
+      return (fs.statSync(this.absoluteResultsPath(path)).mode & 0o7777)
+        .toString(8)
+    } catch (err) {
+      return null
+    }
+  }
+
   /**
    * Determines if a path exists.
    * @param {string} path Absolute or relative path to check.
@@ -365,7 +955,7 @@ class FsDriver {
  * Commands required to use the `FsDriver` class.
  * @type {array}
  */
-FsDriver.commands = ['cp', 'mv', 'diff', 'rm']
+FsDriver.commands = ['cp', 'mv', 'diff', 'rm', 'mkdir', 'chmod', 'ln', 'grep']
 
 /**
  * Driver for performing filesystem operations.
@@ -0,0 +1,217 @@
+'use strict'
+
+/**
+ * Characters that must be escaped to be matched literally.
+ * @type {string}
+ */
+const SPECIAL = '.*?+^$|()[]{}\\'
+
+/**
+ * A glob pattern that is matched against paths relative to a root directory.
+ * Patterns are always anchored to the root (`a.txt` only matches the file at
+ * the top of the root) and match the entire subtree of a path they name, so
+ * `sub` matches both `sub` and `sub/file`.
+ *
+ * The following syntax is supported:
+ * - `*` matches any characters except `/`
+ * - `**` matches any characters including `/` (`a/**\/b` also matches `a/b`)
+ * - `?` matches a single character except `/`
+ * - `[abc]`, `[a-z]` and `[!a]` match a single character from a set
+ * - `{a,b}` matches any of the given alternatives
+ * - A trailing `/` only matches the contents of a directory
+ * - A leading `!` negates the pattern (see `Glob.match`)
+ *
+ * Globs compile to a regular expression source that is valid both in
+ * JavaScript and as a POSIX extended regular expression, which allows the
+ * generated shell scripts to match paths exactly as the transformer does.
+ *
+ * @example
+ * var glob = new Glob('config/**\/*.yml')
+ * glob.test('config/env/prod.yml') // true
+ * glob.test('other/prod.yml') // false
+ *
+ * @class
+ */
+class Glob {
+  /**
+   * Removes leading slashes and `./` segments from a path or pattern.
+   * @param {string} str Path or pattern to normalize.
+   * @return {string} The normalized path or pattern.
+   */
+  static normalize (str) {
+    return str.replace(/^([/]|[.][/])*/, '')
+  }
+
+  /**
+   * Determines if a string contains glob syntax (`*`, `?`, `[` or `{`).
+   * @param {string} str String to check.
+   * @return {boolean} `true` if the string is a glob pattern.
+   */
+  static isPattern (str) {
+    return /[*?[{]/.test(str)
+  }
+
+  /**
+   * Determines if a path matches a list of globs. The last glob that matches
+   * the path determines the result, so negated globs can re-include paths
+   * matched by earlier globs.
+   *
+   * @example
+   * var globs = ['*.js', '!index.js'].map((p) => new Glob(p))
+   * Glob.match(globs, 'main.js') // true
+   * Glob.match(globs, 'index.js') // false
+   *
+   * @param {array} globs List of globs to match.
+   * @param {string} file Path relative to the root directory.
+   * @return {boolean} `true` if the path matches, `false` otherwise.
+   */
+  static match (globs, file) {
+    let matched = false
+    globs.forEach((glob) => {
+      if (glob.test(file)) {
+        matched = !glob.negated
+      }
+    })
+    return matched
+  }
+
+  /**
+   * Converts the body of a glob pattern into a regular expression source.
+   * @param {string} body Glob pattern without negation or trailing slashes.
+   * @return {string} The regular expression source for the pattern.
+   */
+  static toSource (body) {
+    let source = ''
+    let braces = 0
+    for (let i = 0; i < body.length; i++) {
+      const c = body.charAt(i)
+      if (c === '*') {
+        if (body.charAt(i + 1) !== '*') {
+          source += '([^/]*)'
+        } else if (body.charAt(i + 2) === '/') {
+          source += '(.*/)?'
+          i += 2
+        } else {
+          source += '(.*)'
+          i += 1
+        }
+      } else if (c === '?') {
+        source += '([^/])'
+      } else if (c === '[' && body.indexOf(']', i + 2) !== -1) {
+        const close = body.indexOf(']', i + 2)
+        const set = body.slice(i + 1, close)
+        source += '[' + set.replace(/^!/, '^') + ']'
+        i = close
+      } else if (c === '{') {
+        braces++
+        source += '('
+      } else if (c === '}' && braces > 0) {
+        braces--
+        source += ')'
+      } else if (c === ',' && braces > 0) {
+        source += '|'
+      } else if (c === '\\' && i + 1 < body.length) {
+        source += Glob.escape(body.charAt(++i))
+      } else {
+        source += Glob.escape(c)
+      }
+    }
+    while (braces-- > 0) {
+      source += ')'
+    }
+    return source
+  }
+
+  /**
+   * Escapes a single character so it is matched literally. Spaces are escaped
+   * as a bracket expression so they can be told apart from the separators of
+   * whitespace separated pattern lists (see `ScriptGenerator.toPatternList`).
+   * @param {string} c Character to escape.
+   * @return {string} The escaped character.
+   */
+  static escape (c) {
+    if (c === ' ') {
+      return '[ ]'
+    }
+    return ~SPECIAL.indexOf(c) ? '\\' + c : c
+  }
+
+  /**
+   * Creates a new glob.
+   * @param {string} pattern Glob pattern.
+   */
+  constructor (pattern) {
+    this.pattern = pattern
+    this.negated = pattern.charAt(0) === '!'
+
+    let body = Glob.normalize(this.negated ? pattern.substr(1) : pattern)
+    this.directory = /[/]$/.test(body)
+    body = body.replace(/[/]+$/, '')
+
+    const subtree = this.directory ? '/.*' : '(/.*)?'
+    this.source = `^${Glob.toSource(body)}${subtree}$`
+    this.regex = new RegExp(this.source)
+    this.exact = new RegExp(`^${Glob.toSource(body)}$`)
+  }
+
+  /**
+   * Matches a path against the glob itself, without the subtree of the paths
+   * it names, and determines what each wildcard matched.
+   *
+   * @example
+   * var glob = new Glob('config/*.{yml,json}.example')
+   * glob.capture('config/db.yml.example') // ['db', 'yml']
+   * glob.capture('config/db.yml.example/a') // null
+   *
+   * @param {string} file Path relative to the root directory.
+   * @return {?array} The text matched by each wildcard (`*`, `**` or `?`) and
+   *   brace group, in order, or `null` if the path does not match.
+   */
+  capture (file) {
+    const match = Glob.normalize(file).match(this.exact)
+    return match ? match.slice(1) : null
+  }
+
+  /**
+   * Determines if the glob matches the given path, regardless of negation.
+   * Directories should be given with a trailing slash.
+   * @param {string} file Path relative to the root directory.
+   * @return {boolean} `true` if the glob matches the path, `false` otherwise.
+   */
+  test (file) {
+    return this.regex.test(Glob.normalize(file))
+  }
+
+  /**
+   * The glob for the file name (last path segment) of the pattern, suitable for
+   * use with `grep --include`. Returns `null` when matching file names alone
+   * cannot express the pattern (e.g. negated, directory, brace or `**`
+   * patterns).
+   * @return {?string} The file name glob, or `null`.
+   */
+  basename () {
+    if (this.directory || this.negated) {
+      return null
+    }
+    const name = this.pattern.split('/').pop()
+    if (!name.length || /[{}\s\\]|[*][*]/.test(name)) {
+      return null
+    }
+    return name
+  }
+}
+
+/**
+ * Paths that are always ignored when searching or listing files. Note: these
+ * must be kept in sync with `always_exclude` in `script/preamble.sh`.
+ * @type {array}
+ */
+Glob.IGNORE = ['**/.git/', '**/node_modules/'].map((pattern) => {
+  return new Glob(pattern)
+})
+
+/**
+ * Glob matching for paths relative to a root directory.
+ * @module fs-transform:glob
+ */
+module.exports = Glob
@@ -0,0 +1,295 @@
+'use strict'
+
+var isBoolean = require('101/is-boolean')
+var isNumber = require('101/is-number')
+var isString = require('101/is-string')
+var TextFile = require('./text-file')
+
+/**
+ * Matches section headers, the first group being the name of the section.
+ * @type {RegExp}
+ */
+const HEADER = /^\s*\[([^\]]*)\]\s*([;#].*)?$/
+
+/**
+ * Matches comments and blank lines.
+ * @type {RegExp}
+ */
+const IGNORED = /^\s*([;#!]|$)/
+
+/**
+ * Matches entries with a `=` or `:` separator. The groups are the indentation,
+ * the key, the separator (with its surrounding spacing) and the value.
+ * @type {RegExp}
+ */
+const ENTRY = /^(\s*)([^=:]*[^\s=:])(\s*[=:]\s*)(.*)$/
+
+/**
+ * Matches entries without a `=` or `:` separator, i.e. java properties that
+ * are separated by whitespace and keys without a value.
+ * @type {RegExp}
+ */
+const BARE_ENTRY = /^(\s*)(\S+)(\s*)(.*)$/
+
+/**
+ * The contents of an INI style file (including `.cfg` and java `.properties`
+ * files), used by rules that set and remove keys within sections. Lines other
+ * than the entries that are edited, such as comments, are kept as-is, as is
+ * the spacing around the separators of edited entries.
+ *
+ * Keys that come before the first section header are in the global section,
+ * which is given as `null` (or `undefined`) and always exists.
+ *
+ * @example
+ * var file = new IniFile('; Settings\n[server]\nport = 80\n')
+ * file.set('server', 'port', 8080)
+ * file.set('server', 'host', 'localhost')
+ * file.toString() // '; Settings\n[server]\nport = 8080\nhost = localhost\n'
+ *
+ * @class
+ */
+class IniFile {
+  /**
+   * @param {*} section Section to check.
+   * @return {boolean} `true` if the section is a valid section name.
+   */
+  static isSection (section) {
+    return isString(section) && /^[^\]\s](?:[^\]\n]*[^\]\s])?$/.test(section)
+  }
+
+  /**
+   * @param {*} key Key to check.
+   * @return {boolean} `true` if the key is a valid key.
+   */
+  static isKey (key) {
+    return isString(key) && /^[^\s=:;#!\[](?:[^=:\n]*[^\s=:])?$/.test(key)
+  }
+
+  /**
+   * @param {*} value Value to check.
+   * @return {boolean} `true` if the value can be given to a key.
+   */
+  static isValue (value) {
+    if (isNumber(value) || isBoolean(value)) {
+      return true
+    }
+    return isString(value) && !~value.indexOf('\n')
+  }
+
+  /**
+   * Parses an entry of the file.
+   * @param {string} line Line to parse.
+   * @return {object} The `indent`, `key`, `separator` and `value` of the
+   *   entry, or `null` if the line is not an entry.
+   */
+  static parseEntry (line) {
+    if (IGNORED.test(line) || HEADER.test(line)) {
+      return null
+    }
+    var match = line.match(ENTRY) || line.match(BARE_ENTRY)
+    return {
+      indent: match[1],
+      key: match[2],
+      separator: match[3],
+      value: match[4]
+    }
+  }
+
+  /**
+   * Creates a new INI file.
+   * @param {string} text Contents of the file.
+   */
+  constructor (text) {
+    this.lines = TextFile.split(text)
+    this.endsWithNewline = /\n$/.test(text)
+  }
+
+  /**
+   * Determines the separator to use for new entries, i.e. the separator of the
+   * first entry in the file that has one.
+   * @return {string} The separator for new entries.
+   */
+  separator () {
+    for (var i = 0; i < this.lines.length; i++) {
+      var entry = IniFile.parseEntry(this.lines[i])
+      if (entry && /[=:]/.test(entry.separator)) {
+        return entry.separator
+      }
+    }
+    return ' = '
+  }
+
+  /**
+   * Finds the parts of the file that belong to a section. A section can be
+   * given more than once in a file.
+   * @param {string} [section] Name of the section, or `null` for the global
+   *   section.
+   * @return {array} The `start` (index of the header, -1 for the global
+   *   section) and `end` (index after the last line) of each part.
+   */
+  sections (section) {
+    var parts = []
+    var part = isString(section) ? null : { start: -1 }
+    this.lines.forEach((line, index) => {
+      var header = line.match(HEADER)
+      if (!header) { return }
+      if (part) {
+        part.end = index
+        parts.push(part)
+      }
+      part = header[1].trim() === section ? { start: index } : null
+    })
+    if (part) {
+      part.end = this.lines.length
+      parts.push(part)
+    }
+    return parts
+  }
+
+  /**
+   * @param {string} [section] Name of the section, or `null` for the global
+   *   section.
+   * @return {boolean} `true` if the file has the section.
+   */
+  hasSection (section) {
+    return this.sections(section).length > 0
+  }
+
+  /**
+   * Finds the entries in a part of the file. Lines that end with an odd number
+   * of backslashes continue the entry on the next line.
+   * @param {object} part Part of the file (see `IniFile#sections`).
+   * @return {array} The `start` and `end` (index after the last line) of each
+   *   entry, along with its parsed `entry`.
+   */
+  entries (part) {
+    var entries = []
+    for (var i = part.start + 1; i < part.end; i++) {
+      var entry = IniFile.parseEntry(this.lines[i])
+      if (!entry) { continue }
+      var start = i
+      while (/(^|[^\\])(\\\\)*\\$/.test(this.lines[i]) && i + 1 < part.end) {
+        i++
+      }
+      entries.push({ start: start, end: i + 1, entry: entry })
+    }
+    return entries
+  }
+
+  /**
+   * Finds the entries for a key.
+   * @param {string} [section] Name of the section, or `null` for the global
+   *   section.
+   * @param {string} key Key of the entries.
+   * @return {array} The entries for the key (see `IniFile#entries`).
+   */
+  find (section, key) {
+    var found = []
+    this.sections(section).forEach((part) => {
+      this.entries(part).forEach((entry) => {
+        if (entry.entry.key === key) {
+          found.push(entry)
+        }
+      })
+    })
+    return found
+  }
+
+  /**
+   * Inserts lines into the file.
+   * @param {number} index Index at which to insert the lines.
+   * @param {array} lines Lines to insert.
+   */
+  insert (index, lines) {
+    if (index === this.lines.length) {
+      this.endsWithNewline = true
+    }
+    Array.prototype.splice.apply(this.lines, [index, 0].concat(lines))
+  }
+
+  /**
+   * Sets the value of a key. Every entry for the key is updated, or a new
+   * entry is added after the last entry of the section if there are none. The
+   * section is added to the end of the file if it does not exist.
+   * @param {string} [section] Name of the section, or `null` for the global
+   *   section.
+   * @param {string} key Key to set.
+   * @param {string|number|boolean} value Value for the key.
+   * @return {number} The number of entries that were updated.
+   */
+  set (section, key, value) {
+    value = String(value)
+    var found = this.find(section, key)
+    // Work backwards so removing continuation lines keeps the indexes valid
+    found.reverse().forEach((match) => {
+      var entry = match.entry
+      this.lines.splice(
+        match.start,
+        match.end - match.start,
+        entry.indent + key + (entry.separator || this.separator()) + value
+      )
+    })
+    if (found.length > 0) {
+      return found.length
+    }
+
+    var parts = this.sections(section)
+    var line = key + this.separator() + value
+    if (parts.length === 0) {
+      var lines = ['[' + section + ']', line]
+      var last = this.lines[this.lines.length - 1]
+      if (isString(last) && !/^\s*$/.test(last)) {
+        lines.unshift('')
+      }
+      this.insert(this.lines.length, lines)
+      return 0
+    }
+
+    var part = parts[parts.length - 1]
+    var entries = this.entries(part)
+    var index = part.start + 1
+    if (entries.length > 0) {
+      var lastEntry = entries[entries.length - 1]
+      index = lastEntry.end
+      line = lastEntry.entry.indent + line
+    } else if (part.start === -1) {
+      // Keep comments at the start of a file before new global entries
+      while (index < part.end && !/^\s*$/.test(this.lines[index])) {
+        index++
+      }
+    }
+    this.insert(index, [line])
+    return 0
+  }
+
+  /**
+   * Removes every entry for a key.
+   * @param {string} [section] Name of the section, or `null` for the global
+   *   section.
+   * @param {string} key Key to remove.
+   * @return {number} The number of entries that were removed.
+   */
+  unset (section, key) {
+    var found = this.find(section, key)
+    found.reverse().forEach((match) => {
+      this.lines.splice(match.start, match.end - match.start)
+    })
+    return found.length
+  }
+
+  /**
+   * @return {string} The contents of the file.
+   */
+  toString () {
+    if (this.lines.length === 0) {
+      return ''
+    }
+    return this.lines.join('\n') + (this.endsWithNewline ? '\n' : '')
+  }
+}
+
+/**
+ * Editing of keys in INI style files.
+ * @module fs-transform:ini-file
+ */
+module.exports = IniFile
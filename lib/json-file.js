@@ -0,0 +1,270 @@
+'use strict'
+
+var isObject = require('101/is-object')
+
+/**
+ * The contents of a JSON file, used by rules that edit values in JSON files.
+ * The indentation of the file, its line endings and whether or not it ends
+ * with a newline are kept so that edits change as little of the file as
+ * possible.
+ *
+ * Values are addressed by paths, which are either dotted (`scripts.test`) or
+ * JSON Pointers (`/scripts/test`). Path segments of arrays are indexes. The
+ * empty path addresses the whole document.
+ *
+ * @example
+ * var file = new JsonFile('{\n  "name": "a"\n}\n')
+ * file.set('scripts.test', 'lab')
+ * file.toString() // '{\n  "name": "a",\n  "scripts": {\n    "test": "lab"\n  }\n}\n'
+ *
+ * @class
+ */
+class JsonFile {
+  /**
+   * Parses a dotted path or JSON Pointer into a list of keys.
+   * @param {string} path Path to parse.
+   * @return {array} The keys for the path.
+   */
+  static parsePath (path) {
+    if (path === '') {
+      return []
+    }
+    if (path.charAt(0) === '/') {
+      return path.substr(1).split('/').map((key) => {
+        return key.replace(/~1/g, '/').replace(/~0/g, '~')
+      })
+    }
+    return path.split('.')
+  }
+
+  /**
+   * Determines the indentation used by JSON text. Single line (minified) JSON
+   * is not indented, unless it is an empty object or array.
+   * @param {string} text JSON text.
+   * @return {string} The indentation for the text.
+   */
+  static detectIndent (text) {
+    var match = text.match(/\n([ \t]+)\S/)
+    if (match) {
+      return match[1]
+    }
+    if (/^\s*(\{\s*\}|\[\s*\])\s*$/.test(text)) {
+      return '  '
+    }
+    return ''
+  }
+
+  /**
+   * Determines the line endings used by text: `\r\n` if its first line ends
+   * with one, `\n` otherwise.
+   * @param {string} text Text to check.
+   * @return {string} The line ending for the text.
+   */
+  static detectEol (text) {
+    return /^[^\n]*\r\n/.test(text) ? '\r\n' : '\n'
+  }
+
+  /**
+   * Deeply merges the keys of one object into another. Nested objects are
+   * merged, all other values are replaced.
+   * @param {object} target Object to merge into.
+   * @param {object} source Object with the keys to merge.
+   * @return {object} The target object.
+   */
+  static merge (target, source) {
+    Object.keys(source).forEach((key) => {
+      var value = source[key]
+      if (isObject(value) && isObject(target[key])) {
+        JsonFile.merge(target[key], value)
+      } else {
+        target[key] = value
+      }
+    })
+    return target
+  }
+
+  /**
+   * @param {*} value Value to check.
+   * @return {boolean} `true` if the value is an object or an array.
+   */
+  static isContainer (value) {
+    return isObject(value) || Array.isArray(value)
+  }
+
+  /**
+   * Creates a new JSON file.
+   * @param {string} text Contents of the file.
+   * @throws SyntaxError If the text is not valid JSON.
+   */
+  constructor (text) {
+    this.data = this.parse(text)
+    this.indent = this.constructor.detectIndent(text)
+    this.eol = JsonFile.detectEol(text)
+    this.endsWithNewline = /\n$/.test(text)
+  }
+
+  /**
+   * Parses the contents of the file.
+   * @param {string} text Contents of the file.
+   * @return {*} The value represented by the text.
+   * @throws SyntaxError If the text is not valid JSON.
+   */
+  parse (text) {
+    return JSON.parse(text)
+  }
+
+  /**
+   * Finds the container (object or array) and key for a path.
+   * @param {array} keys Keys for the path, which must not be empty.
+   * @param {boolean} create Whether or not to create missing objects along
+   *   the path.
+   * @return {?object} The `container` and the `key` in the container, or
+   *   `null` if the path does not lead to a container.
+   */
+  resolve (keys, create) {
+    var container = this.data
+    for (var i = 0; i < keys.length - 1; i++) {
+      var key = keys[i]
+      if (!JsonFile.isContainer(container)) {
+        return null
+      }
+      if (!container.hasOwnProperty(key) && create) {
+        container[key] = {}
+      }
+      container = container[key]
+    }
+    if (!JsonFile.isContainer(container)) {
+      return null
+    }
+    return { container: container, key: keys[keys.length - 1] }
+  }
+
+  /**
+   * Gets the value at a path.
+   * @param {string} path Path to the value.
+   * @return {*} The value, or `undefined` if there is no value at the path.
+   */
+  get (path) {
+    var keys = JsonFile.parsePath(path)
+    if (keys.length === 0) {
+      return this.data
+    }
+    var target = this.resolve(keys, false)
+    if (!target || !target.container.hasOwnProperty(target.key)) {
+      return undefined
+    }
+    return target.container[target.key]
+  }
+
+  /**
+   * Sets the value at a path, creating missing objects along the path. The
+   * `-` key appends the value to an array.
+   * @param {string} path Path to the value.
+   * @param {*} value Value to set.
+   * @return {boolean} `true` if the value was set, `false` if the path leads
+   *   through a value that is not an object or array.
+   */
+  set (path, value) {
+    var keys = JsonFile.parsePath(path)
+    if (keys.length === 0) {
+      this.data = value
+      return true
+    }
+    var target = this.resolve(keys, true)
+    if (!target) {
+      return false
+    }
+    if (Array.isArray(target.container) && target.key === '-') {
+      target.container.push(value)
+    } else {
+      target.container[target.key] = value
+    }
+    return true
+  }
+
+  /**
+   * Removes the value at a path.
+   * @param {string} path Path to the value.
+   * @return {boolean} `true` if the value was removed, `false` if there was
+   *   no value at the path.
+   */
+  unset (path) {
+    var keys = JsonFile.parsePath(path)
+    if (keys.length === 0) {
+      return false
+    }
+    var target = this.resolve(keys, false)
+    if (!target || !target.container.hasOwnProperty(target.key)) {
+      return false
+    }
+    if (Array.isArray(target.container)) {
+      target.container.splice(parseInt(target.key, 10), 1)
+    } else {
+      delete target.container[target.key]
+    }
+    return true
+  }
+
+  /**
+   * Deeply merges an object into the object at a path (see `JsonFile.merge`),
+   * creating the object if it does not exist.
+   * @param {string} path Path to the object.
+   * @param {object} value Object to merge.
+   * @return {boolean} `true` if the object was merged, `false` if the value at
+   *   the path is not an object.
+   */
+  merge (path, value) {
+    var current = this.get(path)
+    if (current === undefined) {
+      return this.set(path, JsonFile.merge({}, value))
+    }
+    if (!isObject(current)) {
+      return false
+    }
+    JsonFile.merge(current, value)
+    return true
+  }
+
+  /**
+   * Appends a value to the array at a path, creating the array if it does not
+   * exist.
+   * @param {string} path Path to the array.
+   * @param {*} value Value to append.
+   * @return {boolean} `true` if the value was appended, `false` if the value
+   *   at the path is not an array.
+   */
+  push (path, value) {
+    var current = this.get(path)
+    if (current === undefined) {
+      return this.set(path, [value])
+    }
+    if (!Array.isArray(current)) {
+      return false
+    }
+    current.push(value)
+    return true
+  }
+
+  /**
+   * @return {string} The contents of the file.
+   */
+  toString () {
+    // Newlines within strings are escaped, so every newline is a line ending
+    var text = JSON.stringify(this.data, null, this.indent)
+      .replace(/\n/g, this.eol)
+    return text + (this.endsWithNewline ? this.eol : '')
+  }
+}
+
+/**
+ * Operations supported by `json` rules, which correspond to the `JsonFile`
+ * method of the same name.
+ * @type {array}
+ */
+JsonFile.OPERATIONS = ['set', 'unset', 'merge', 'push']
+
+/**
+ * Structured editing of JSON files.
+ * @module fs-transform:json-file
+ */
+module.exports = JsonFile
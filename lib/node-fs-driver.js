@@ -0,0 +1,523 @@
+'use strict'
+
+var fs = require('fs')
+var isFunction = require('101/is-function')
+var path = require('path')
+var Promise = require('bluebird')
+var FsDriver = require('./fs-driver')
+var UnifiedDiff = require('./unified-diff')
+
+/**
+ * Number of bytes at the start of a file that are checked to determine if the
+ * file is binary.
+ * @type {number}
+ */
+const SNIFF_BYTES = 8192
+
+/**
+ * Control characters that are allowed in text files (bell, backspace, tab,
+ * newline, vertical tab, form feed, carriage return and escape).
+ * @type {array}
+ */
+const TEXT_CONTROLS = [7, 8, 9, 10, 11, 12, 13, 27]
+
+/**
+ * Names of the directories that are never searched (see `Glob.IGNORE`).
+ * @type {array}
+ */
+const IGNORED_DIRECTORIES = ['.git', 'node_modules']
+
+/**
+ * Permission bits affected by each user class of a symbolic mode.
+ * @type {object}
+ */
+const WHO = { u: 0o4700, g: 0o2070, o: 0o1007, a: 0o7777 }
+
+/**
+ * Permission bits set by each permission of a symbolic mode (`X` is handled
+ * separately).
+ * @type {object}
+ */
+const PERMISSIONS = { r: 0o444, w: 0o222, x: 0o111, s: 0o6000, t: 0o1000 }
+
+/**
+ * Filesystem driver that performs every operation with the `fs` module rather
+ * than by running commands, for systems that do not have `cp`, `mv`, `rm`,
+ * `diff`, `file` or `grep` installed. Operations behave as the commands used by
+ * `FsDriver` do, and diffs are computed in-process (see `UnifiedDiff`).
+ *
+ * @example
+ * // Create a new filesystem driver relative to /tmp
+ * var driver = new NodeFsDriver('/tmp')
+ *
+ * @class
+ */
+class NodeFsDriver extends FsDriver {
+  /**
+   * Recursively copies a file, directory or symbolic link, as `cp -R` does.
+   * Symbolic links are copied as links, and files and directories are
+   * created with the mode of the source, masked by the umask. Files that
+   * exist at the destination are overwritten, and directories are merged.
+   * @param {string} source Absolute path to copy.
+   * @param {string} dest Absolute path of the copy.
+   * @param {boolean} [preserve] Whether to preserve the modes, ownership and
+   *   timestamps of the copied paths, as `cp -pPR` does.
+   */
+  static copyRecursive (source, dest, preserve) {
+    var stat = fs.lstatSync(source)
+    if (stat.isSymbolicLink()) {
+      NodeFsDriver.removeRecursive(dest)
+      fs.symlinkSync(fs.readlinkSync(source), dest)
+    } else if (!stat.isDirectory()) {
+      NodeFsDriver.copyFile(source, dest)
+    } else {
+      var mode = stat.mode & 0o7777
+      if (!NodeFsDriver.isDirectory(dest)) {
+        // Directories must be writable while their contents are copied
+        fs.mkdirSync(dest, mode | 0o700)
+        if ((mode & 0o700) !== 0o700) {
+          fs.chmodSync(dest, mode & ~process.umask())
+        }
+      }
+      fs.readdirSync(source).forEach((name) => {
+        NodeFsDriver.copyRecursive(
+          path.join(source, name),
+          path.join(dest, name),
+          preserve
+        )
+      })
+    }
+    if (preserve) {
+      NodeFsDriver.preserveMetadata(stat, dest)
+    }
+  }
+
+  /**
+   * Gives a copy the mode, ownership and timestamps of its source, without
+   * following symbolic links. As with `cp -p`, ownership is only preserved
+   * when the process is allowed to change it. The timestamps of symbolic links
+   * are only preserved on versions of Node that can set them (14.5 and up).
+   * @param {fs.Stats} stat Status of the source, from `fs.lstatSync`.
+   * @param {string} file Absolute path of the copy.
+   */
+  static preserveMetadata (stat, file) {
+    var link = stat.isSymbolicLink()
+    try {
+      // Changing the owner clears the set-user-ID and set-group-ID bits, so
+      // it comes before the mode
+      (link ? fs.lchownSync : fs.chownSync)(file, stat.uid, stat.gid)
+    } catch (err) {
+      if (err.code !== 'EPERM') { throw err }
+    }
+    if (!link) {
+      fs.chmodSync(file, stat.mode & 0o7777)
+      fs.utimesSync(file, stat.atime, stat.mtime)
+    } else if (fs.lutimesSync) {
+      fs.lutimesSync(file, stat.atime, stat.mtime)
+    }
+  }
+
+  /**
+   * Copies the content of a file, following symbolic links, as `cp` does.
+   * New files are created with the mode of the source, masked by the umask,
+   * and existing files keep their mode.
+   * @param {string} source Absolute path of the file to copy.
+   * @param {string} dest Absolute path of the copy.
+   */
+  static copyFile (source, dest) {
+    var mode = fs.statSync(source).mode & 0o7777
+    fs.writeFileSync(dest, fs.readFileSync(source), { mode: mode })
+  }
+
+  /**
+   * Recursively removes a file or directory, as `rm -rf` does. Symbolic
+   * links are removed rather than followed, and paths that do not exist are
+   * ignored.
+   * @param {string} file Absolute path to remove.
+   */
+  static removeRecursive (file) {
+    var stat
+    try {
+      stat = fs.lstatSync(file)
+    } catch (err) {
+      if (err.code === 'ENOENT') { return }
+      throw err
+    }
+    if (!stat.isDirectory()) {
+      return fs.unlinkSync(file)
+    }
+    fs.readdirSync(file).forEach((name) => {
+      NodeFsDriver.removeRecursive(path.join(file, name))
+    })
+    fs.rmdirSync(file)
+  }
+
+  /**
+   * Creates a directory along with any missing parents, as `mkdir -p` does.
+   * @param {string} dir Absolute path of the directory.
+   */
+  static makeDirectory (dir) {
+    try {
+      fs.mkdirSync(dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        NodeFsDriver.makeDirectory(path.dirname(dir))
+        return fs.mkdirSync(dir)
+      }
+      if (err.code !== 'EEXIST' || !NodeFsDriver.isDirectory(dir)) {
+        throw err
+      }
+    }
+  }
+
+  /**
+   * Determines if a path is a directory, following symbolic links.
+   * @param {string} file Absolute path to check.
+   * @return {boolean} `true` if the path is a directory, `false` otherwise.
+   */
+  static isDirectory (file) {
+    try {
+      return fs.statSync(file).isDirectory()
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Applies an octal (e.g. `'755'`) or symbolic (e.g. `'u+x,go-w'`) mode to
+   * the current mode of a file, as `chmod` does. Symbolic modes without a
+   * user class (e.g. `'+x'`) apply to all classes, except for the bits set in
+   * the umask.
+   * @param {string} mode Mode to apply.
+   * @param {number} current Current permission bits of the file.
+   * @param {boolean} directory Whether the file is a directory (which keeps
+   *   its set-user-ID and set-group-ID bits unless they are given).
+   * @param {number} umask Umask of the process.
+   * @return {number} The new permission bits of the file.
+   */
+  static applyMode (mode, current, directory, umask) {
+    if (/^[0-7]+$/.test(mode)) {
+      return parseInt(mode, 8)
+    }
+    mode.split(',').forEach((clause) => {
+      var who = clause.match(/^[ugoa]*/)[0]
+      var affected = who.split('').reduce((bits, c) => bits | WHO[c], 0)
+      var re = /([-+=])([ugo]|[rwxXst]*)/g
+      var change
+      while ((change = re.exec(clause))) {
+        var op = change[1]
+        var value = 0
+        var mentioned
+        if (/^[ugo]$/.test(change[2])) {
+          // Copy the permissions of a class to the affected classes
+          var bits = current & WHO[change[2]] & 0o777
+          value = (bits & 0o444 ? 0o444 : 0) |
+            (bits & 0o222 ? 0o222 : 0) |
+            (bits & 0o111 ? 0o111 : 0)
+          mentioned = affected ? affected & 0o777 : 0o777
+        } else {
+          change[2].split('').forEach((c) => {
+            if (c === 'X') {
+              if (directory || (current & 0o111)) { value |= 0o111 }
+            } else {
+              value |= PERMISSIONS[c]
+            }
+          })
+          mentioned = affected ? affected & value : value
+        }
+        var omit = (directory ? 0o6000 : 0) & ~mentioned
+        value &= (affected || ~umask) & ~omit
+        if (op === '=') {
+          current = (current & ((affected ? ~affected : 0) | omit)) | value
+        } else if (op === '+') {
+          current |= value
+        } else {
+          current &= ~value
+        }
+      }
+    })
+    return current & 0o7777
+  }
+
+  /**
+   * Recursively copies a directory to a path that does not exist yet,
+   * preserving the symbolic links, modes, ownership and timestamps of its
+   * contents.
+   * @param {string} source Absolute path of the directory to copy.
+   * @param {string} dest Absolute path of the copy.
+   * @param {function} cb Callback to execute after the copy completes.
+   */
+  copyTree (source, dest, cb) {
+    Promise.try(() => {
+      NodeFsDriver.copyRecursive(source, dest, true)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Moves a file or directory. Paths on different devices are copied with
+   * their metadata and then removed, as `mv` does.
+   * @param {string} source Absolute path to move.
+   * @param {string} dest Absolute path to move to.
+   * @param {function} cb Callback to execute after the move completes.
+   */
+  moveTree (source, dest, cb) {
+    Promise.try(() => {
+      try {
+        fs.renameSync(source, dest)
+      } catch (err) {
+        if (err.code !== 'EXDEV') { throw err }
+        NodeFsDriver.copyRecursive(source, dest, true)
+        NodeFsDriver.removeRecursive(source)
+      }
+    }).asCallback(cb)
+  }
+
+  /**
+   * Recursively removes files and directories, ignoring those that do not
+   * exist.
+   * @param {array} paths Absolute paths to remove.
+   * @param {function} cb Callback to execute after the removal completes.
+   */
+  removeTree (paths, cb) {
+    Promise.try(() => {
+      paths.forEach(NodeFsDriver.removeRecursive)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Moves a file or directory, with the same behavior as `mv`.
+   * @param {string} source Source file path.
+   * @param {string} dest Destination file path.
+   * @param {function} cb Callback to execute after the move completes.
+   */
+  move (source, dest, cb) {
+    source = this.absoluteResultsPath(source)
+    dest = this.destinationPath(source, dest)
+    this.addChangedPath(source)
+    this.addChangedPath(dest)
+    this.moveTree(source, dest, cb)
+  }
+
+  /**
+   * Copies a file, with the same behavior as `cp`.
+   * @param {string} source Source file path.
+   * @param {string} dest Destination file path.
+   * @param {function} cb Callback to execute after the copy completes.
+   */
+  copy (source, dest, cb) {
+    Promise.try(() => {
+      source = this.absoluteResultsPath(source)
+      dest = this.destinationPath(source, dest)
+      this.addChangedPath(dest)
+      NodeFsDriver.copyFile(source, dest)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Recursively copies a directory, with the same behavior as `cp -R`.
+   * @param {string} source Source directory path.
+   * @param {string} dest Destination directory path.
+   * @param {function} cb Callback to execute after the copy completes.
+   */
+  copyDirectory (source, dest, cb) {
+    Promise.try(() => {
+      source = this.absoluteResultsPath(source)
+      dest = this.destinationPath(source, dest)
+      this.addChangedPath(dest)
+      NodeFsDriver.copyRecursive(source, dest)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Recursively copies the contents of a directory into an existing
+   * directory, with the same behavior as `cp -R srcdir/. destdir`.
+   * @param {string} source Source directory path.
+   * @param {string} dest Destination directory path.
+   * @param {function} cb Callback to execute after the merge completes.
+   */
+  mergeDirectory (source, dest, cb) {
+    Promise.try(() => {
+      this.addChangedPath(dest)
+      NodeFsDriver.copyRecursive(
+        this.absoluteResultsPath(source),
+        this.absoluteResultsPath(dest)
+      )
+    }).asCallback(cb)
+  }
+
+  /**
+   * Removes a file or directory, with the same behavior as `rm` (or `rm -r`
+   * when recursive).
+   * @param {string} path Path of the file or directory to remove.
+   * @param {boolean} recursive Whether or not to recursively remove
+   *   directories.
+   * @param {function} cb Callback to execute after the removal completes.
+   */
+  remove (path, recursive, cb) {
+    Promise.try(() => {
+      var file = this.absoluteResultsPath(path)
+      this.addChangedPath(file)
+      var stat = fs.lstatSync(file)
+      if (!stat.isDirectory()) {
+        return fs.unlinkSync(file)
+      }
+      if (!recursive) {
+        throw new Error('Cannot remove a directory: ' + file)
+      }
+      NodeFsDriver.removeRecursive(file)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Creates a directory, with the same behavior as `mkdir` (or `mkdir -p`
+   * when creating parents).
+   * @param {string} path Path of the directory to create.
+   * @param {boolean} parents Whether or not to create missing parent
+   *   directories.
+   * @param {function} cb Callback to execute after the directory has been
+   *   created.
+   */
+  mkdir (path, parents, cb) {
+    Promise.try(() => {
+      var dir = this.absoluteResultsPath(path)
+      this.addChangedPath(dir)
+      if (parents) {
+        return NodeFsDriver.makeDirectory(dir)
+      }
+      fs.mkdirSync(dir)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Changes the mode of a file or directory, with the same behavior as
+   * `chmod`.
+   * @param {string} path Path of the file or directory.
+   * @param {string} mode Octal (e.g. `'755'`) or symbolic (e.g. `'u+x'`) mode.
+   * @param {function} cb Callback to execute after the mode has been changed.
+   */
+  chmod (path, mode, cb) {
+    Promise.try(() => {
+      var file = this.absoluteResultsPath(path)
+      this.addChangedPath(file)
+      var stat = fs.statSync(file)
+      fs.chmodSync(file, NodeFsDriver.applyMode(
+        mode,
+        stat.mode & 0o7777,
+        stat.isDirectory(),
+        process.umask()
+      ))
+    }).asCallback(cb)
+  }
+
+  /**
+   * Creates a symbolic link, with the same behavior as `ln -s`.
+   * @param {string} target Target of the link, as it is stored in the link.
+   * @param {string} link Path of the link to create.
+   * @param {function} cb Callback to execute after the link has been created.
+   */
+  symlink (target, link, cb) {
+    Promise.try(() => {
+      var file = this.destinationPath(target, link)
+      this.addChangedPath(file)
+      fs.symlinkSync(target, file)
+    }).asCallback(cb)
+  }
+
+  /**
+   * Performs a diff over two given paths, with the same output as
+   * `diff -u -r`, or `diff -u -r -N` when diffing new files (see
+   * `UnifiedDiff`).
+   * @param {string} a First path.
+   * @param {string} b Second path.
+   * @param {boolean} [newFiles] Whether files that only exist in one of the
+   *   paths are diffed against an empty file, rather than listed.
+   * @param {function} cb Callback to execute with the diff results.
+   */
+  diff (a, b, newFiles, cb) {
+    if (isFunction(newFiles)) {
+      cb = newFiles
+      newFiles = false
+    }
+    Promise.try(() => {
+      return this.stripAbsolutePaths(UnifiedDiff.paths(a, b, newFiles))
+    }).asCallback(cb)
+  }
+
+  /**
+   * Determines if a file is binary, by checking the start of the file for
+   * control characters that do not appear in text.
+   * @param {string} file Absolute path of the file.
+   * @param {function} cb Callback to execute with `true` if the file is
+   *   binary, `false` otherwise.
+   */
+  isBinary (file, cb) {
+    Promise.try(() => {
+      var buffer = Buffer.alloc(SNIFF_BYTES)
+      var fd = fs.openSync(file, 'r')
+      try {
+        var length = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0)
+      } finally {
+        fs.closeSync(fd)
+      }
+      for (let i = 0; i < length; i++) {
+        var byte = buffer[i]
+        if ((byte < 32 && !~TEXT_CONTROLS.indexOf(byte)) || byte === 127) {
+          return true
+        }
+      }
+      return false
+    }).asCallback(cb)
+  }
+
+  /**
+   * Finds the text files with matches for a search, by reading them, with the
+   * same behavior as `FsDriver#findMatches`.
+   * @param {array} paths Absolute paths of the files and directories to
+   *   search.
+   * @param {object} search Search created by `Replacer.createGrepSearch`.
+   * @param {function} cb Callback to execute with the absolute paths of the
+   *   files with matches.
+   */
+  findMatches (paths, search, cb) {
+    var files = []
+    var walk = (file) => {
+      var stat = fs.lstatSync(file)
+      if (stat.isFile()) {
+        return files.push(file)
+      }
+      if (!stat.isDirectory()) { return }
+      fs.readdirSync(file).sort().forEach((name) => {
+        if (!~IGNORED_DIRECTORIES.indexOf(name)) {
+          walk(path.join(file, name))
+        }
+      })
+    }
+    Promise.try(() => {
+      paths.forEach(walk)
+      return Promise.filter(files, (file) => {
+        return Promise.fromCallback((isBinaryCallback) => {
+          NodeFsDriver.prototype.isBinary(file, isBinaryCallback)
+        }).then((binary) => {
+          if (binary) { return false }
+          var content = fs.readFileSync(file).toString()
+          if (search.search instanceof RegExp) {
+            return content.search(search.search) !== -1
+          }
+          return content.indexOf(search.search) !== -1
+        })
+      })
+    }).asCallback(cb)
+  }
+}
+
+/**
+ * Commands required to use the `NodeFsDriver` class.
+ * @type {array}
+ */
+NodeFsDriver.commands = []
+
+/**
+ * Driver for performing filesystem operations with the `fs` module.
+ * @module fs-transform:node-fs-driver
+ */
+module.exports = NodeFsDriver
@@ -1,13 +1,15 @@
 'use strict'
 
-const childProcess = require('child_process')
 const finder = require('findit')
+const FsDriver = require('./fs-driver')
+const Glob = require('./glob')
+const path = require('path')
 const Promise = require('bluebird')
 const replaceStream = require('replacestream')
+const ScriptGenerator = require('./script-generator')
+const TextFile = require('./text-file')
 const fs = Promise.promisifyAll(require('fs'))
 
-const IGNORE = ['.git', 'node_modules/']
-
 /**
  * Performs find-and-replace actions on the given working directory.
  * @class
@@ -22,104 +24,457 @@ class Replacer {
    *   find-and-replace.
    * @param {string} query Query to find.
    * @param {string} replace Replacement to make.
-   * @return {Promise} Resolves when the find and replace is complete.
+   * @param {object} options Search options (see `Replacer.createSearch`).
+   * @param {array} [options.include] A list of glob patterns for the files to
+   *   include in the find-and-replace.
+   * @param {function} [options.isBinary] Determines if a file is binary (see
+   *   `Replacer`).
+   * @param {function} [options.findMatches] Finds the files with matches in
+   *   excluded paths (see `Replacer`).
+   * @return {Promise} Resolves with the list of files searched when the find
+   *   and replace is complete.
+   */
+  static findAndReplace (readPath, resultsPath, ignore, query, replace, options) {
+    const replacer = new Replacer(
+      readPath,
+      resultsPath,
+      ignore,
+      options.include,
+      options.isBinary,
+      options.findMatches
+    )
+    return replacer.replace(query, replace, options)
+  }
+
+  /**
+   * Deletes the lines that match a query from files.
+   * @param {string} readPath Path from which to read files.
+   * @param {string} resultsPath Path to write changes for files.
+   * @param {array} ignore A list of paths to ignore during the search.
+   * @param {string} query Query to find.
+   * @param {object} options Search options (see `Replacer.createSearch`).
+   * @param {array} [options.include] A list of glob patterns for the files to
+   *   include in the search.
+   * @param {function} [options.isBinary] Determines if a file is binary (see
+   *   `Replacer`).
+   * @param {function} [options.findMatches] Finds the files with matches in
+   *   excluded paths (see `Replacer`).
+   * @return {Promise} Resolves with a report when the lines have been deleted
+   *   (see `Replacer#deleteLines`).
    */
-  static findAndReplace (readPath, resultsPath, ignore, query, replace) {
-    const replacer = new Replacer(readPath, resultsPath, ignore)
-    return replacer.replace(query, replace)
+  static findAndDeleteLines (readPath, resultsPath, ignore, query, options) {
+    const replacer = new Replacer(
+      readPath,
+      resultsPath,
+      ignore,
+      options.include,
+      options.isBinary,
+      options.findMatches
+    )
+    return replacer.deleteLines(query, options)
+  }
+
+  /**
+   * Creates the search used by the replace stream for the given query. Plain
+   * literal queries are used as-is, all others are compiled into a global
+   * regular expression (so every match in a file is replaced).
+   * @param {string} query Query to find.
+   * @param {object} [options] Search options.
+   * @param {boolean} [options.regex] Whether the query is a regular expression.
+   * @param {string} [options.flags] Flags for the regular expression.
+   * @param {boolean} [options.ignoreCase] Whether to ignore case when matching.
+   * @param {boolean} [options.wholeWord] Whether to only match whole words.
+   * @throws SyntaxError If the query is not a valid regular expression.
+   * @return {string|RegExp} The search to use when replacing.
+   */
+  static createSearch (query, options) {
+    options = options || {}
+    if (!options.regex && !options.ignoreCase && !options.wholeWord) {
+      return query
+    }
+
+    let source = query
+    let flags = ''
+    if (options.regex) {
+      flags = options.flags || ''
+    } else {
+      source = query.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&')
+    }
+    if (options.wholeWord) {
+      source = `\\b(?:${source})\\b`
+    }
+    if (options.ignoreCase && !~flags.indexOf('i')) {
+      flags += 'i'
+    }
+    if (!~flags.indexOf('g')) {
+      flags += 'g'
+    }
+    return new RegExp(source, flags)
+  }
+
+  /**
+   * Creates the search used to find matches in excluded paths with `grep -E`
+   * (see `FsDriver#findMatches`).
+   * @param {string|RegExp} search Search created by `Replacer.createSearch`.
+   * @return {object} The `search` itself, its `pattern` as a POSIX extended
+   *   regular expression and whether to `ignoreCase`.
+   */
+  static createGrepSearch (search) {
+    if (!(search instanceof RegExp)) {
+      return {
+        search: search,
+        pattern: search.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&'),
+        ignoreCase: false
+      }
+    }
+    return {
+      search: search,
+      pattern: ScriptGenerator.toExtendedRegex(search.source),
+      ignoreCase: search.ignoreCase
+    }
   }
 
   /**
    * Creates a new replace transform.
    * @param {string} readPath Path from which to read files.
    * @param {string} working Path to write changes for files.
-   * @param {array} ignore A list of paths to ignore during the
-   *   find-and-replace.
+   * @param {array} ignore A list of glob patterns for the files to ignore
+   *   during the find-and-replace.
+   * @param {array} [include] A list of glob patterns for the files to include
+   *   in the find-and-replace. All files are included when empty.
+   * @param {function} [isBinary] Determines if a file is binary, given its
+   *   absolute path and a callback (defaults to `FsDriver#isBinary`, which
+   *   uses the `file` command).
+   * @param {function} [findMatches] Finds the text files with matches for a
+   *   search in excluded files and directories, given their absolute paths, a
+   *   search created by `Replacer.createGrepSearch` and a callback (defaults
+   *   to `FsDriver#findMatches`, which uses the `grep` command).
    */
-  constructor (readPath, resultsPath, ignore) {
+  constructor (readPath, resultsPath, ignore, include, isBinary, findMatches) {
     this.readPath = readPath
     this.resultsPath = resultsPath
-    this.ignore = IGNORE.concat(ignore)
+    this.ignore = ignore.map((pattern) => {
+      return new Glob(pattern)
+    })
+    this.include = (include || []).map((pattern) => {
+      return new Glob(pattern)
+    })
+    this.isBinary = isBinary || FsDriver.prototype.isBinary
+    this.findMatches = findMatches || FsDriver.prototype.findMatches
   }
 
   /**
-   * Determines whether or not the given file is allowed.
-   * @return {boolean} `true` if the file is allowed, `false` otherwise.
+   * Finds the exclude that determines whether or not a file is allowed, which
+   * is the last exclude that matches the file (see `Glob.match`).
+   * @param {string} file Absolute path to the file, with a trailing `/` for
+   *   directories.
+   * @return {?Glob} The deciding exclude, or `null` if none match the file.
    */
-  allowFile (file, rule) {
-    for (let i = 0; i < this.ignore.length; i++) {
-      if (~file.indexOf(this.ignore[i])) {
-        return false
+  findExclude (file) {
+    let name = path.relative(this.readPath, file)
+    if (/[/]$/.test(file)) {
+      name += '/'
+    }
+    let exclude = null
+    this.ignore.forEach((glob) => {
+      if (glob.test(name)) {
+        exclude = glob
       }
+    })
+    return exclude
+  }
+
+  /**
+   * Determines whether or not the given file is allowed. Note: files in the
+   * directories that are always ignored are skipped when walking the tree (see
+   * `Replacer#allowDirectory`).
+   * @param {string} file Absolute path to the file.
+   * @return {boolean} `true` if the file is allowed, `false` otherwise.
+   */
+  allowFile (file) {
+    const exclude = this.findExclude(file)
+    return !exclude || exclude.negated
+  }
+
+  /**
+   * Determines whether or not the given directory should be walked. The
+   * directories that are always ignored (e.g. `.git/`) are skipped.
+   * @param {string} dir Absolute path to the directory.
+   * @return {boolean} `true` if the directory is allowed, `false` otherwise.
+   */
+  allowDirectory (dir) {
+    return !Glob.match(Glob.IGNORE, path.relative(this.readPath, dir) + '/')
+  }
+
+  /**
+   * Finds the exclude that excludes an entire directory, so that the directory
+   * does not need to be walked. Directories are only excluded entirely if no
+   * later negated exclude could re-include files in them.
+   * @param {string} dir Absolute path to the directory.
+   * @return {?Glob} The exclude for the directory, or `null` if the directory
+   *   needs to be walked.
+   */
+  findDirectoryExclude (dir) {
+    const exclude = this.findExclude(dir + '/')
+    if (!exclude || exclude.negated) {
+      return null
     }
-    return true
+    const later = this.ignore.slice(this.ignore.lastIndexOf(exclude) + 1)
+    return later.some((glob) => glob.negated) ? null : exclude
   }
 
   /**
-   * Walks the file tree of the root directory and finds a list of paths to
-   * text files files relevant to the search and replace.
-   * @return {Promise} Resolves with a list of all applicable files in the root
-   *   directory.
+   * Determines whether or not the given file matches the include patterns.
+   * @param {string} file Absolute path to the file.
+   * @return {boolean} `true` if the file is included, `false` otherwise.
    */
-  getFiles () {
+  includeFile (file) {
+    if (this.include.length === 0) {
+      return true
+    }
+    return Glob.match(this.include, path.relative(this.readPath, file))
+  }
+
+  /**
+   * Removes binary files from a list of files.
+   * @param {array} files Absolute paths to the files.
+   * @return {Promise} Resolves with the text files from the list.
+   */
+  removeBinaryFiles (files) {
+    return Promise
+      .all(files.map((file) => {
+        return Promise.fromCallback((cb) => this.isBinary(file, cb))
+      }))
+      .then((binary) => {
+        return files.filter((file, index) => !binary[index])
+      })
+  }
+
+  /**
+   * Walks the file tree of the root directory and finds paths to the text
+   * files relevant to the search and replace, along with the paths that were
+   * excluded from it. Excluded directories are not walked (see
+   * `Replacer#findDirectoryExclude`).
+   * @return {Promise} Resolves with an object containing the list of
+   *   applicable `files`, the list of `excluded` files and directories, and
+   *   the list of exclude patterns that were used to determine whether or not
+   *   a path was excluded (`usedExcludes`).
+   */
+  findFiles () {
+    const usedExcludes = []
+    const excluded = []
+    const useExclude = (exclude) => {
+      if (exclude && !~usedExcludes.indexOf(exclude.pattern)) {
+        usedExcludes.push(exclude.pattern)
+      }
+    }
     return new Promise((resolve, reject) => {
       const files = []
       finder(this.readPath)
         .on('directory', (dir, stat, stop) => {
-          if (!this.allowFile(dir)) {
+          if (!this.allowDirectory(dir)) {
+            return stop()
+          }
+          const exclude = this.findDirectoryExclude(dir)
+          if (exclude) {
+            useExclude(exclude)
+            excluded.push(dir)
             stop()
           }
         })
         .on('file', (file, stat) => {
-          files.push(file)
+          if (!this.includeFile(file)) {
+            return
+          }
+          const exclude = this.findExclude(file)
+          useExclude(exclude)
+          if (!exclude || exclude.negated) {
+            files.push(file)
+          } else {
+            excluded.push(file)
+          }
         })
         .on('error', reject)
         .on('end', () => {
-          resolve(files.filter((file) => {
-            return this.allowFile(file)
-          }))
+          resolve(files)
         })
     })
-    .then(function removeBinaryFiles (files) {
-      return Promise
-        .all(files.map((file) => {
-          return Promise.fromCallback((cb) => {
-            childProcess.execFile('file', ['--mime-type', file], cb)
+    .then((files) => {
+      return this.removeBinaryFiles(files)
+    })
+    .then((files) => {
+      return {
+        files: files,
+        excluded: excluded,
+        usedExcludes: usedExcludes
+      }
+    })
+  }
+
+  /**
+   * Walks the file tree of the root directory and finds a list of paths to
+   * text files files relevant to the search and replace.
+   * @return {Promise} Resolves with a list of all applicable files in the root
+   *   directory.
+   */
+  getFiles () {
+    return this.findFiles().then((found) => {
+      return found.files
+    })
+  }
+
+  /**
+   * Creates the replacement function for the replace stream that counts each
+   * match it replaces. For regular expression searches `$1` through `$9` in
+   * the replacement are replaced with the matching capture groups.
+   * @param {string|RegExp} search Search created by `Replacer.createSearch`.
+   * @param {string} replace Replacement to make.
+   * @param {function} onMatch Called each time a match is replaced.
+   * @return {function} The replacement function.
+   */
+  static createReplace (search, replace, onMatch) {
+    if (!(search instanceof RegExp)) {
+      return function () {
+        onMatch()
+        return replace
+      }
+    }
+    return function () {
+      // Arguments: the match, each capture group, the offset, and the input
+      const groups = Array.prototype.slice.call(arguments, 0, -2)
+      onMatch()
+      return replace.replace(/\$([1-9])/g, (reference, group) => {
+        if (group >= groups.length) {
+          return reference
+        }
+        return groups[group] || ''
+      })
+    }
+  }
+
+  /**
+   * Performs a find-and-replace on the filesystem.
+   * @param {string} query Query to find.
+   * @param {string} replace Replacement to make. When searching with a regular
+   *   expression `$1`-style references are replaced with the matching capture
+   *   groups.
+   * @param {object} [options] Search options (see `Replacer.createSearch`).
+   * @return {Promise} Resolves with a report when the find and replace is
+   *   complete. Only files with matches are written to the results directory. The report contains the list of `files` searched, the number
+   *   of `matches` replaced in each of those files, the list of exclude
+   *   patterns that were used to exclude files (`usedExcludes`) and, only if
+   *   nothing was replaced, the list of files that were `excluded` from the
+   *   search but have matches.
+   */
+  replace (query, replace, options) {
+    var self = this
+    var search
+    var report = { matches: {}, excluded: [] }
+    return Promise
+      .try(function () {
+        search = Replacer.createSearch(query, options)
+        return self.findFiles()
+      })
+      .then(function (found) {
+        report.files = found.files
+        report.usedExcludes = found.usedExcludes
+        return Promise
+          .map(found.files, function (file) {
+            report.matches[file] = 0
+            return new Promise(function (resolve, reject) {
+              var findAndReplace = replaceStream(
+                search,
+                Replacer.createReplace(search, replace, function () {
+                  report.matches[file]++
+                }),
+                { ignoreCase: false }
+              )
+              var chunks = []
+              findAndReplace.on('data', (chunk) => chunks.push(chunk))
+              findAndReplace.on('error', reject)
+              findAndReplace.on('end', () => resolve(chunks.join('')))
+              fs.createReadStream(file)
+                .on('error', reject)
+                .pipe(findAndReplace)
+            }).then(function (content) {
+              // Files without matches are left untouched in the results
+              if (report.matches[file] === 0) { return }
+              return fs.writeFileAsync(
+                file.replace(self.readPath, self.resultsPath),
+                content
+              )
+            })
           })
-        }))
-        .then((types) => {
-          return files.filter((file, index) => {
-            return !types[index].match('octet-stream')
+          .then(function () {
+            return self.findExcluded(found.excluded, search, report)
           })
-        })
+      })
+      .return(report)
+  }
+
+  /**
+   * Finds the excluded files with matches for a search, and adds them to a
+   * report. The excluded paths are only searched if none of the searched files
+   * had matches, since the matches they have are only reported to tell apart
+   * searches without results and searches with only excluded results.
+   * @param {array} paths Absolute paths to the excluded files and directories.
+   * @param {string|RegExp} search Search created by `Replacer.createSearch`.
+   * @param {object} report Report in which to set the `excluded` files.
+   * @return {Promise} Resolves when the excluded files have been searched.
+   */
+  findExcluded (paths, search, report) {
+    const matched = Object.keys(report.matches).some((file) => {
+      return report.matches[file] > 0
     })
+    if (matched || paths.length === 0) {
+      return Promise.resolve()
+    }
+    const grepSearch = Replacer.createGrepSearch(search)
+    return Promise
+      .fromCallback((cb) => this.findMatches(paths, grepSearch, cb))
+      .then((files) => {
+        report.excluded = files.filter((file) => this.includeFile(file))
+      })
   }
 
   /**
-   * Performs a find-and-replace on the filesystem.
-   * @param {object} rule The find-and-replace rule to apply.
+   * Deletes the lines that match a query from files on the filesystem. Files
+   * without matching lines are left untouched.
+   * @param {string} query Query to find.
+   * @param {object} [options] Search options (see `Replacer.createSearch`).
+   * @return {Promise} Resolves with a report when the lines have been deleted.
+   *   The report has the same form as the one for `Replacer#replace`, where
+   *   `matches` are the number of lines deleted from each file.
    */
-  replace (query, replace) {
+  deleteLines (query, options) {
     var self = this
-    return this.getFiles()
-      .then(function (files) {
-        return Promise.all(files.map(function (file) {
-          return new Promise(function (resolve, reject) {
-            var findAndReplace = replaceStream(
-              query,
-              replace,
-              { ignoreCase: false }
-            )
-            findAndReplace.on('end', resolve)
-            findAndReplace.on('error', reject)
-            fs.createReadStream(file)
-              .pipe(findAndReplace)
-              .pipe(fs.createWriteStream(
-                file.replace(self.readPath, self.resultsPath)
-              ))
+    var search
+    var report = { matches: {}, excluded: [] }
+    return Promise
+      .try(function () {
+        search = Replacer.createSearch(query, options)
+        return self.findFiles()
+      })
+      .then(function (found) {
+        report.files = found.files
+        report.usedExcludes = found.usedExcludes
+        return Promise
+          .map(found.files, function (file) {
+            return fs.readFileAsync(file).then(function (data) {
+              var text = new TextFile(data.toString())
+              report.matches[file] = text.deleteLines(search)
+              if (report.matches[file] === 0) { return }
+              return fs.writeFileAsync(
+                file.replace(self.readPath, self.resultsPath),
+                text.toString()
+              )
+            })
+          })
+          .then(function () {
+            return self.findExcluded(found.excluded, search, report)
           })
-        }))
       })
+      .return(report)
   }
 }
 
@@ -0,0 +1,180 @@
+'use strict'
+
+var isBoolean = require('101/is-boolean')
+var isInteger = require('101/is-integer')
+var isNumber = require('101/is-number')
+var isObject = require('101/is-object')
+var isString = require('101/is-string')
+
+/**
+ * Checks for each JSON Schema type.
+ * @type {object}
+ */
+const TYPES = {
+  string: isString,
+  number: isNumber,
+  integer: isInteger,
+  boolean: isBoolean,
+  object: isObject,
+  array: Array.isArray,
+  null: (value) => value === null
+}
+
+/**
+ * Validates values against a JSON Schema. Only the subset of JSON Schema
+ * (draft 4) used to describe rules is supported: the `type`, `enum`,
+ * `minimum`, `required`, `properties`, `additionalProperties`, `items`,
+ * `anyOf` and `oneOf` keywords. Other keywords are ignored.
+ *
+ * @example
+ * var schema = {
+ *   type: 'object',
+ *   required: ['path'],
+ *   properties: { path: { type: 'string' } }
+ * }
+ * Schema.validate(schema, { path: 23 })
+ * // [{ path: 'path', message: 'must be a string' }]
+ *
+ * @class
+ */
+class Schema {
+  /**
+   * Validates a value against a schema.
+   * @param {object} schema JSON Schema for the value.
+   * @param {*} value Value to validate.
+   * @return {array} A problem for each part of the value that does not match
+   *   the schema, with the `path` of the field (e.g. `'operations[0].op'`, or
+   *   `''` for the value itself) and a `message` describing the problem.
+   */
+  static validate (schema, value) {
+    var problems = []
+    Schema._check(schema, value, '', problems)
+    return problems
+  }
+
+  /**
+   * Joins a field path and a property name or array index.
+   * @param {string} path Path of the field.
+   * @param {string|number} key Property name or array index.
+   * @return {string} The path of the property or item.
+   */
+  static join (path, key) {
+    if (isNumber(key)) {
+      return path + '[' + key + ']'
+    }
+    return path ? path + '.' + key : key
+  }
+
+  /**
+   * Describes a JSON Schema type for messages.
+   * @param {string} type Type to describe.
+   * @return {string} The type with an article (e.g. `'an array'`).
+   */
+  static describe (type) {
+    if (type === 'null') {
+      return type
+    }
+    return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type
+  }
+
+  /**
+   * Determines the properties required by the alternatives of an `anyOf` or
+   * `oneOf` keyword, for messages.
+   * @param {array} schemas Alternative schemas.
+   * @return {string} The required properties, separated by commas.
+   */
+  static alternatives (schemas) {
+    return schemas.map((schema) => {
+      return (schema.required || []).join(' and ')
+    }).join(', ')
+  }
+
+  /**
+   * Checks a value against a schema, adding a problem for each mismatch.
+   * @param {object} schema JSON Schema for the value.
+   * @param {*} value Value to check.
+   * @param {string} path Path of the value.
+   * @param {array} problems Problems found so far.
+   */
+  static _check (schema, value, path, problems) {
+    var add = (field, message) => {
+      problems.push({ path: field, message: message })
+    }
+
+    if (schema.type) {
+      var types = [].concat(schema.type)
+      var matches = types.some((type) => TYPES[type](value))
+      if (!matches) {
+        return add(path, 'must be ' + types.map(Schema.describe).join(' or '))
+      }
+    }
+
+    if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+      return add(path, 'must be one of: ' + schema.enum.join(', '))
+    }
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return add(path, 'must be at least ' + schema.minimum)
+    }
+
+    if (isObject(value)) {
+      Schema._checkProperties(schema, value, path, problems)
+    }
+
+    if (schema.items && Array.isArray(value)) {
+      value.forEach((item, index) => {
+        Schema._check(schema.items, item, Schema.join(path, index), problems)
+      })
+    }
+
+    var valid = (alternative) => {
+      return Schema.validate(alternative, value).length === 0
+    }
+    if (schema.anyOf && !schema.anyOf.some(valid)) {
+      add(path, 'must have one of: ' + Schema.alternatives(schema.anyOf))
+    }
+    if (schema.oneOf) {
+      var count = schema.oneOf.filter(valid).length
+      if (count !== 1) {
+        var quantifier = count === 0 ? 'one of: ' : 'only one of: '
+        add(path, 'must have ' + quantifier + Schema.alternatives(schema.oneOf))
+      }
+    }
+  }
+
+  /**
+   * Checks the properties of an object against a schema. Properties that are
+   * `undefined` are treated as missing.
+   * @param {object} schema JSON Schema for the object.
+   * @param {object} value Object to check.
+   * @param {string} path Path of the object.
+   * @param {array} problems Problems found so far.
+   */
+  static _checkProperties (schema, value, path, problems) {
+    var properties = schema.properties || {}
+    var required = schema.required || []
+    required.forEach((key) => {
+      if (value[key] === undefined) {
+        problems.push({ path: Schema.join(path, key), message: 'is required' })
+      }
+    })
+    Object.keys(value).forEach((key) => {
+      if (value[key] === undefined) { return }
+      var field = Schema.join(path, key)
+      if (properties[key]) {
+        return Schema._check(properties[key], value[key], field, problems)
+      }
+      if (schema.additionalProperties === false) {
+        problems.push({ path: field, message: 'is not allowed' })
+      } else if (isObject(schema.additionalProperties)) {
+        Schema._check(schema.additionalProperties, value[key], field, problems)
+      }
+    })
+  }
+}
+
+/**
+ * Validation of values against JSON Schemas.
+ * @module fs-transform:schema
+ */
+module.exports = Schema
@@ -1,11 +1,23 @@
 'use strict'
 
+var exists = require('101/exists')
+var isObject = require('101/is-object')
 var isString = require('101/is-string')
 var debug = require('debug')
 var FsDriver = require('./fs-driver')
+var Glob = require('./glob')
 var trace = debug('fs-transform:script-generator:trace')
 var fs = require('fs')
 var path = require('path')
+var TextFile = require('./text-file')
+var EnvFile = require('./env-file')
+
+/**
+ * Actions with regular expressions that are translated for generated scripts
+ * (see `ScriptGenerator#checkRegex`).
+ * @type {array}
+ */
+const REGEX_ACTIONS = ['replace', 'deleteLines', 'insert']
 
 /**
  * Creates a new ScriptGenerator class that can generate scripts for the given
@@ -15,6 +27,174 @@ var path = require('path')
  * @class
  */
 class ScriptGenerator {
+  /**
+   * Escapes single quotes in a string so it can be used as a single quoted
+   * shell argument.
+   * @param {string} str String to escape.
+   * @return {string} The escaped string.
+   */
+  static escapeQuotes (str) {
+    return str.replace(/'/g, '\'"\'"\'')
+  }
+
+  /**
+   * Converts a list of globs into a whitespace separated list of extended
+   * regular expressions for use with the `path_matches` script function.
+   * Negated globs are prefixed with `!`, and spaces within patterns are
+   * replaced with the `[:space:]` character class.
+   * @param {array} globs List of globs to convert.
+   * @return {string} The single quote escaped pattern list.
+   */
+  static toPatternList (globs) {
+    return ScriptGenerator.escapeQuotes(globs.map((glob) => {
+      var source = glob.source
+        .replace(/\[ \]/g, '[[:space:]]')
+        .replace(/ /g, '[:space:]')
+      return (glob.negated ? '!' : '') + source
+    }).join(' '))
+  }
+
+  /**
+   * Finds JavaScript regular expression syntax that has no POSIX extended
+   * regular expression equivalent, and that would make a generated script
+   * match differently than a transformation: lookarounds, named groups and lazy
+   * quantifiers.
+   * @param {string} pattern JavaScript regular expression source.
+   * @return {?string} A description of the first unsupported syntax found, or
+   *   `null` if the pattern can be translated.
+   */
+  static unsupportedRegexSyntax (pattern) {
+    var inClass = false
+    for (var i = 0; i < pattern.length; i++) {
+      var c = pattern.charAt(i)
+      if (c === '\\') {
+        i++
+      } else if (inClass) {
+        inClass = c !== ']'
+      } else if (c === '[') {
+        inClass = true
+      } else if (c === '(' && pattern.charAt(i + 1) === '?') {
+        var prefix = pattern.substr(i + 2, 2)
+        if (/^[=!]/.test(prefix)) {
+          return 'a lookahead'
+        }
+        if (/^<[=!]/.test(prefix)) {
+          return 'a lookbehind'
+        }
+        if (prefix.charAt(0) !== ':') {
+          return 'a named group'
+        }
+        i += 2
+      } else if (
+        pattern.charAt(i + 1) === '?' &&
+        (/[*+?]/.test(c) || /\{\d+(,\d*)?\}$/.test(pattern.substr(0, i + 1)))
+      ) {
+        return 'a lazy quantifier'
+      }
+    }
+    return null
+  }
+
+  /**
+   * Determines if a search pattern uses escapes that only GNU sed supports
+   * (`\b`, `\B`, `\w`, `\W`, `\s`, `\S`, `\<` and `\>`).
+   * @param {string} pattern Pattern given to the script.
+   * @return {boolean} `true` if the pattern needs GNU sed.
+   */
+  static usesGnuExtensions (pattern) {
+    return /(^|[^\\])(\\\\)*\\[bBwWsS<>]/.test(pattern)
+  }
+
+  /**
+   * Translates a JavaScript regular expression into a POSIX extended regular
+   * expression for use with `grep -E` and `sed -E`. Digit classes (`\d` and
+   * `\D`) have no ERE equivalent and are expanded, and non-capturing groups
+   * become groups, with back-references renumbered accordingly. All other
+   * syntax is passed through as-is (GNU extensions such as `\w`, `\s` and `\b`
+   * need GNU sed, see `ScriptGenerator.usesGnuExtensions`, and
+   * `ScriptGenerator.unsupportedRegexSyntax` for syntax that is not supported
+   * at all).
+   * @param {string} pattern JavaScript regular expression source.
+   * @param {array} [groups] Array to fill with the number of the extended
+   *   regular expression group for each capture group of the pattern.
+   * @param {number} [offset] Number of groups that precede the pattern (used
+   *   when the pattern is wrapped in additional groups).
+   * @return {string} The equivalent extended regular expression.
+   */
+  static toExtendedRegex (pattern, groups, offset) {
+    groups = groups || []
+    var count = offset || 0
+    var result = ''
+    var inClass = false
+    for (var i = 0; i < pattern.length; i++) {
+      var c = pattern.charAt(i)
+      if (c === '\\' && i + 1 < pattern.length) {
+        var next = pattern.charAt(++i)
+        if (next === 'd') {
+          result += inClass ? '0-9' : '[0-9]'
+        } else if (next === 'D' && !inClass) {
+          result += '[^0-9]'
+        } else if (/[1-9]/.test(next) && !inClass && groups[next - 1]) {
+          result += c + groups[next - 1]
+        } else {
+          result += c + next
+        }
+        continue
+      }
+      if (c === '[') {
+        inClass = true
+      } else if (c === ']') {
+        inClass = false
+      } else if (c === '(' && !inClass) {
+        count++
+        if (pattern.substr(i + 1, 2) === '?:') {
+          i += 2
+        } else {
+          groups.push(count)
+        }
+      }
+      result += c
+    }
+    return result
+  }
+
+  /**
+   * Translates a regex replacement string into a `sed` replacement. Capture
+   * group references (`$1` through `$9`) become back-references and characters
+   * with special meaning to `sed` are escaped.
+   * @param {string} replace Replacement string.
+   * @param {number} [offset] Amount by which to shift back-references (used
+   *   when the search pattern has been wrapped in additional groups).
+   * @param {array} [groups] Group numbers of the capture groups in the
+   *   translated search (see `ScriptGenerator.toExtendedRegex`). References to
+   *   groups that do not exist are left as they are, as in JavaScript.
+   * @return {string} The equivalent `sed` replacement.
+   */
+  static toSedReplacement (replace, offset, groups) {
+    offset = offset || 0
+    return replace
+      .replace(/[\\&]/g, '\\$&')
+      .replace(/\$([1-9])/g, (match, group) => {
+        var number = groups ? groups[group - 1] : parseInt(group, 10)
+        return number ? '\\' + (number + offset) : match
+      })
+  }
+
+  /**
+   * Creates a quoted here-document for the given content. The delimiter is
+   * chosen so that it does not appear as a line in the content.
+   * @param {string} content Content of the here-document.
+   * @return {string} The here-document, starting with the `<<` redirection.
+   */
+  static heredoc (content) {
+    var delimiter = 'FS_TRANSFORM_EOF'
+    var lines = content.split('\n')
+    while (~lines.indexOf(delimiter)) {
+      delimiter += '_'
+    }
+    return ['<<\'' + delimiter + '\'', content, delimiter].join('\n')
+  }
+
   /**
    * Creates a new script generator
    * @param {array} rules Rules to convert into a shell script.
@@ -24,102 +204,295 @@ class ScriptGenerator {
       'copy': this.copy.bind(this),
       'rename': this.rename.bind(this),
       'replace': this.replace.bind(this),
-      'exclude': this.exclude.bind(this)
+      'exclude': this.exclude.bind(this),
+      'delete': this.delete.bind(this),
+      'mkdir': this.mkdir.bind(this),
+      'write': this.write.bind(this),
+      'append': this.insertLines.bind(this),
+      'prepend': this.insertLines.bind(this),
+      'insert': this.insertLines.bind(this),
+      'deleteLines': this.deleteLines.bind(this),
+      'json': this.editValues.bind(this),
+      'yaml': this.editValues.bind(this),
+      'env': this.env.bind(this),
+      'ini': this.ini.bind(this),
+      'chmod': this.chmod.bind(this),
+      'symlink': this.symlink.bind(this)
     }
     this.ruleScripts = []
+    this.requiresGnuSed = false
+    this.unsupported = []
   }
 
   /**
-   * Generates a shell script from the rules.
+   * Generates a shell script from the rules. Scripts with searches that need
+   * GNU sed check for it before applying any rule (see
+   * `ScriptGenerator.usesGnuExtensions`).
+   * @throws {Error} If a rule uses regular expressions that the script cannot
+   *   run the same way as the transformer (see `ScriptGenerator#checkRegex`).
    * @return {string} A shell script generated from the provided rules.
    */
   generate () {
+    if (this.unsupported.length) {
+      throw new Error(['Rules cannot be converted into a script:']
+        .concat(this.unsupported.map((problem) => '  ' + problem))
+        .join('\n'))
+    }
+    var ruleScripts = this.ruleScripts
+    if (this.requiresGnuSed) {
+      ruleScripts = ['require_gnu_sed\n'].concat(ruleScripts)
+    }
     return [
       fs.readFileSync(path.resolve(__dirname, '../script/preamble.sh')),
-      this.ruleScripts.join('\n')
+      ruleScripts.join('\n')
     ].join('\n')
   }
 
   /**
    * Generates the script for the given rule and appends it to the script.
    * @param {object} rule Rule for which to generate the script.
+   * @param {*} [data] Additional data from applying the rule that is needed to
+   *   generate its script (e.g. the resulting content of a json rule's file).
    */
-  addRule (rule) {
+  addRule (rule, data) {
     if (!rule.action) { return }
     trace('addRule: ' + JSON.stringify(rule))
     var index = this.ruleScripts.length + 1
-    var script = this.actionGenerators[rule.action](rule, index)
+    this.checkRegex(rule, index)
+    var script = this.actionGenerators[rule.action](rule, index, data)
     this.ruleScripts.push(script)
   }
 
+  /**
+   * Records the regular expressions of a rule that generated scripts cannot
+   * run with `sed -E` and `grep -E` (see
+   * `ScriptGenerator.unsupportedRegexSyntax`). Scripts only honor the `i`
+   * flag (`g` is implied), so rules with other flags are recorded as well.
+   * @param {object} rule Rule to check.
+   * @param {number} index Index of the rule.
+   */
+  checkRegex (rule, index) {
+    if (rule.regex !== true || !~REGEX_ACTIONS.indexOf(rule.action)) {
+      return
+    }
+    if (isString(rule.flags) && !/^[gi]*$/.test(rule.flags)) {
+      this.unsupported.push(
+        'RULE ' + index + ' flags can only contain "g" and "i"'
+      )
+    }
+    ;['search', 'before', 'after'].forEach((field) => {
+      if (!isString(rule[field])) { return }
+      var syntax = ScriptGenerator.unsupportedRegexSyntax(rule[field])
+      if (syntax) {
+        this.unsupported.push(
+          'RULE ' + index + ' ' + field + ' uses ' + syntax +
+          ', which scripts do not support'
+        )
+      }
+    })
+  }
+
+  /**
+   * Generates the script for a copy or rename rule. Rules with a glob source
+   * are given the pairs of files they matched, which are passed to a single
+   * command with each pair on its own line. Directories are merged into
+   * existing directories unless the rule's conflict policy is `replace`, and
+   * missing parent directories are created before the command.
+   * @param {string} command Name of the script function (`copy` or `rename`).
+   * @param {object} rule Copy or rename rule.
+   * @param {number} index Index of the rule.
+   * @param {array} [pairs] The `{source, dest}` pairs to copy or rename, with
+   *   the `parent` directory to create for each destination that needs one.
+   * @return {string} Script for the given rule.
+   */
+  _renameOrCopy (command, rule, index, pairs) {
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   source: "' + rule.source + '"',
+      '#   dest: "' + rule.dest + '"'
+    ]
+    if (isString(rule.conflict)) {
+      fields.push('#   conflict: "' + rule.conflict + '"')
+    }
+    if (rule.createParents === false) {
+      fields.push('#   createParents: false')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+    pairs = pairs || [{ source: rule.source, dest: rule.dest }]
+    var parents = []
+    pairs.forEach((pair) => {
+      if (isString(pair.parent) && parents.indexOf(pair.parent) === -1) {
+        parents.push(pair.parent)
+      }
+    })
+    var lines = parents.map((dir) => {
+      return 'mkdir -p \'' + ScriptGenerator.escapeQuotes(dir) + '\''
+    })
+    if (rule.conflict === 'replace') {
+      command += ' --replace'
+    }
+    var args = pairs.map((pair) => {
+      return '\'' + ScriptGenerator.escapeQuotes(pair.source) + '\' \'' +
+        ScriptGenerator.escapeQuotes(pair.dest) + '\''
+    })
+    if (pairs.length === 1 && pairs[0].source === rule.source) {
+      command += ' ' + args[0]
+    } else {
+      command += args.map((arg) => ' \\\n  ' + arg).join('')
+    }
+    return [header].concat(lines, command, '').join('\n')
+  }
+
   /**
    * Generates the script for a copy rule.
    * @param {object} rule Copy rule.
+   * @param {number} index Index of the rule.
+   * @param {array} [pairs] The `{source, dest}` pairs matched by a glob source.
    * @return {string} Script for the given rule.
    */
-  copy (rule, index) {
-    var header = [
-      '# RULE ' + index,
-      '# {',
-      '#   action: "' + rule.action + '",',
-      '#   source: "' + rule.source + '",',
-      '#   dest: "' + rule.dest + '"',
-      '# }'
-    ].join('\n') + '\n'
-    var command = 'copy ' + rule.source + ' ' + rule.dest
-    return [header, command, ''].join('\n')
+  copy (rule, index, pairs) {
+    return this._renameOrCopy('copy', rule, index, pairs)
   }
 
   /**
    * Generates the script for a rename rule.
    * @param {object} rule Rename rule.
+   * @param {number} index Index of the rule.
+   * @param {array} [pairs] The `{source, dest}` pairs matched by a glob source.
    * @return {string} Script for the given rule.
    */
-  rename (rule, index) {
-    var header = [
-      '# RULE ' + index,
-      '# {',
-      '#   action: "' + rule.action + '",',
-      '#   source: "' + rule.source + '",',
-      '#   dest: "' + rule.dest + '"',
-      '# }'
-    ].join('\n') + '\n'
-    var command = 'rename ' + rule.source + ' ' + rule.dest
-    return [header, command, ''].join('\n')
+  rename (rule, index, pairs) {
+    return this._renameOrCopy('rename', rule, index, pairs)
   }
 
   /**
-   * Generates the script for a replace rule.
+   * Generates the header fields and shell parameters for the search options
+   * shared by replace and delete lines rules (see `Transformer#replace`).
+   * @param {object} rule Replace or delete lines rule.
+   * @return {object} The header `fields` for the options, the `exclude`
+   *   pattern list, the `include` parameters (the pattern list and file name
+   *   globs, empty if there are no includes), and whether the search should
+   *   `ignoreCase`.
+   */
+  searchOptions (rule) {
+    var fields = []
+    if (rule.regex === true) {
+      fields.push('#   regex: true')
+      if (isString(rule.flags)) {
+        fields.push('#   flags: "' + rule.flags + '"')
+      }
+    }
+    if (rule.ignoreCase === true) {
+      fields.push('#   ignoreCase: true')
+    }
+    if (rule.wholeWord === true) {
+      fields.push('#   wholeWord: true')
+    }
+
+    var exclude = ''
+    if (Array.isArray(rule.exclude)) {
+      var excludes = rule.exclude.filter(isString).map((pattern) => {
+        return new Glob(pattern)
+      })
+      exclude = ScriptGenerator.toPatternList(excludes)
+      fields.push('#   exclude: [' + excludes.map((glob) => {
+        return glob.pattern
+      }).join(', ') + ']')
+    }
+
+    var include = []
+    if (Array.isArray(rule.include)) {
+      var includes = rule.include.filter(isString).map((pattern) => {
+        return new Glob(pattern)
+      })
+      fields.push('#   include: [' + includes.map((glob) => {
+        return glob.pattern
+      }).join(', ') + ']')
+
+      if (includes.length) {
+        // Grep can only narrow the search by file name, so it is only used when
+        // every include can be expressed that way. Negated includes only remove
+        // files from the search and can be skipped.
+        var names = includes.filter((glob) => {
+          return !glob.negated
+        }).map((glob) => {
+          return glob.basename()
+        })
+        if (~names.indexOf(null)) {
+          names = []
+        }
+        include = [
+          ScriptGenerator.toPatternList(includes),
+          ScriptGenerator.escapeQuotes(names.join(' '))
+        ]
+      }
+    }
+
+    var ignoreCase = rule.ignoreCase === true ||
+      (rule.regex === true && isString(rule.flags) && !!~rule.flags.indexOf('i'))
+
+    return {
+      fields: fields,
+      exclude: exclude,
+      include: include,
+      ignoreCase: ignoreCase
+    }
+  }
+
+  /**
+   * Generates the script for a replace rule. Literal searches are escaped for
+   * use with `sed`, while regex searches (`rule.regex`) are translated into an
+   * equivalent `sed -E` (POSIX extended regular expression) invocation.
    * @param {object} rule Replace rule.
    * @return {string} Script for the given rule.
    */
   replace (rule, index) {
-    var header = [
-      '# RULE ' + index,
-      '# {',
-      '#   action: ' + rule.action + ',',
-      '#   search: "' + rule.search + '",',
+    var options = this.searchOptions(rule)
+    var fields = [
+      '#   action: ' + rule.action,
+      '#   search: "' + rule.search + '"',
       '#   replace: "' + rule.replace + '"'
-    ].join('\n')
-
-    var exclude = ''
-    if (rule.exclude) {
-      exclude = rule.exclude.map((file) => {
-        return [
-          './',
-          file.replace(/^([/]|[.][/])*/, '').replace(/["$]/g, '\\$1')
-        ].join('')
-      }).join(' ')
-      header += ',\n' + '#   exclude: [' + exclude.split(' ').join(', ') + ']\n'
-    } else {
-      header += '\n'
-    }
-    header += '# }\n'
+    ].concat(options.fields)
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
 
+    var modes = ''
     var search = FsDriver.escape(rule.search)
     var replace = FsDriver.escape(rule.replace)
 
-    var params = [search, replace, exclude].map((param) => {
+    if (rule.regex === true) {
+      modes += 'E'
+      // Whole word searches wrap the pattern in a group, so capture group
+      // references need to be shifted by one
+      var groups = []
+      search = ScriptGenerator.toExtendedRegex(
+        rule.search,
+        groups,
+        rule.wholeWord === true ? 1 : 0
+      )
+      replace = ScriptGenerator.toSedReplacement(rule.replace, 0, groups)
+      if (rule.wholeWord === true) {
+        search = '\\b(' + search + ')\\b'
+      }
+      search = ScriptGenerator.escapeQuotes(search)
+      replace = ScriptGenerator.escapeQuotes(replace)
+    } else if (rule.wholeWord === true) {
+      search = '\\b' + search + '\\b'
+    }
+
+    if (options.ignoreCase) {
+      modes += 'I'
+    }
+    if (options.ignoreCase || ScriptGenerator.usesGnuExtensions(search)) {
+      this.requiresGnuSed = true
+    }
+
+    var params = [search, replace, options.exclude]
+    if (modes.length || options.include.length) {
+      params.push(modes)
+    }
+    params = params.concat(options.include).map((param) => {
       return '\'' + param + '\''
     }).join(' ')
 
@@ -127,43 +500,330 @@ class ScriptGenerator {
   }
 
   /**
-   * Generates the script for a exclude rule.
+   * Generates the script for a delete lines rule. The search is always given
+   * to the script as an extended regular expression, with literal searches
+   * escaped accordingly.
+   * @param {object} rule Delete lines rule.
+   * @return {string} Script for the given rule.
+   */
+  deleteLines (rule, index) {
+    var options = this.searchOptions(rule)
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   search: "' + rule.search + '"'
+    ].concat(options.fields)
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+
+    // Whole word searches wrap the pattern in a group, so back-references
+    // need to be shifted by one
+    var offset = rule.wholeWord === true ? 1 : 0
+    var search = rule.regex === true
+      ? ScriptGenerator.toExtendedRegex(rule.search, [], offset)
+      : rule.search.replace(/[|\\{}()[\]^$+*?.]/g, '\\$&')
+    if (rule.wholeWord === true) {
+      search = '\\b(' + search + ')\\b'
+    }
+    if (options.ignoreCase || ScriptGenerator.usesGnuExtensions(search)) {
+      this.requiresGnuSed = true
+    }
+
+    var params = [
+      ScriptGenerator.escapeQuotes(search),
+      options.exclude,
+      options.ignoreCase ? 'EI' : 'E'
+    ].concat(options.include).map((param) => {
+      return '\'' + param + '\''
+    }).join(' ')
+
+    return [header, 'delete_lines ' + params, ''].join('\n')
+  }
+
+  /**
+   * Generates the script for a exclude rule. The given glob patterns are
+   * appended to the global exclude list used by all subsequent replace rules.
    * @param {object} rule Exclude rule.
    * @return {string} Script for the given rule.
    */
   exclude (rule, index) {
-    /*
-      rule.files should contain a list of string filenames to globally exclude
-      from all replace rules. This does two things:
+    var excludes = rule.files.filter(isString).map((pattern) => {
+      return new Glob(pattern)
+    })
 
-      1. Ensures that we only handle array entries that are strings
-         .filter(isString)
+    var header = [
+      '# RULE ' + index,
+      '# {',
+      '#   action: "' + rule.action + '",',
+      '#   files: [' + excludes.map((glob) => {
+        return glob.pattern
+      }).join(', ') + ']',
+      '# }'
+    ].join('\n')
+    var command = 'exclude \'' + ScriptGenerator.toPatternList(excludes) + '\''
+    return [header, '', command, ''].join('\n')
+  }
 
-      2. Maps the filename to a path relative to the root directory where the
-         script will be run.
+  /**
+   * Generates the script for a delete rule.
+   * @param {object} rule Delete rule.
+   * @return {string} Script for the given rule.
+   */
+  delete (rule, index) {
+    var paths = isString(rule.path) ? [rule.path] : []
+    if (Array.isArray(rule.paths)) {
+      paths = paths.concat(rule.paths.filter(isString))
+    }
 
-      For example, consider this list of files:
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   paths: [' + paths.join(', ') + ']'
+    ]
+    if (rule.recursive === true) {
+      fields.push('#   recursive: true')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
 
-        ['A.txt', 'B.yml', {}]
+    var params = [rule.recursive === true ? 'r' : ''].concat(paths)
+      .map((param) => {
+        return '\'' + ScriptGenerator.escapeQuotes(param) + '\''
+      }).join(' ')
 
-      The first step will filter only the ones that are strings (excluding the
-      {}). And the second step will produce the following string:
+    return [header, 'delete ' + params, ''].join('\n')
+  }
 
-        "./A.txt ./B.txt"
-    */
-    var excludes = rule.files.filter(isString).map((name) => {
-      return './' + name.replace(/^([/]|[.][/])*/, '').replace(/["$]/g, '\\$1')
+  /**
+   * Generates the script for a mkdir rule.
+   * @param {object} rule Mkdir rule.
+   * @return {string} Script for the given rule.
+   */
+  mkdir (rule, index) {
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   path: "' + rule.path + '"'
+    ]
+    var params = ['\'' + ScriptGenerator.escapeQuotes(rule.path) + '\'']
+    if (rule.parents === true) {
+      fields.push('#   parents: true')
+      params.push('\'p\'')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+    return [header, 'make_directory ' + params.join(' '), ''].join('\n')
+  }
+
+  /**
+   * Generates the script for a write rule. The content of the file is given to
+   * the script as a here-document.
+   * @param {object} rule Write rule.
+   * @return {string} Script for the given rule.
+   */
+  write (rule, index) {
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   path: "' + rule.path + '"'
+    ]
+    if (isString(rule.overwrite)) {
+      fields.push('#   overwrite: "' + rule.overwrite + '"')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+    var command = [
+      'write_file',
+      '\'' + ScriptGenerator.escapeQuotes(rule.path) + '\'',
+      ScriptGenerator.heredoc(rule.content)
+    ].join(' ')
+    return [header, command, ''].join('\n')
+  }
+
+  /**
+   * Generates the script for append, prepend and insert rules. The lines to
+   * insert are given to the script as a here-document.
+   * @param {object} rule Append, prepend or insert rule.
+   * @return {string} Script for the given rule.
+   */
+  insertLines (rule, index) {
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   path: "' + rule.path + '"'
+    ]
+    var params = [rule.path]
+    if (rule.action === 'append') {
+      params.push('end')
+    } else if (rule.action === 'prepend') {
+      params.push('start')
+    } else if (exists(rule.line)) {
+      fields.push('#   line: ' + rule.line)
+      params.push('line', rule.line.toString())
+    } else {
+      var at = exists(rule.before) ? 'before' : 'after'
+      fields.push('#   ' + at + ': "' + rule[at] + '"')
+      params.push(at)
+      if (rule.regex === true) {
+        fields.push('#   regex: true')
+        params.push(ScriptGenerator.toExtendedRegex(rule[at]), 'E')
+      } else {
+        params.push(rule[at])
+      }
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+
+    var content = TextFile.split(rule.content).join('\n')
+    var command = ['insert_lines'].concat(params.map((param) => {
+      return '\'' + ScriptGenerator.escapeQuotes(param) + '\''
+    })).concat(ScriptGenerator.heredoc(content)).join(' ')
+    return [header, command, ''].join('\n')
+  }
+
+  /**
+   * Generates the script for json and yaml rules. Editing structured files is
+   * not feasible with standard shell tools, so the script writes the resulting
+   * content of the file as determined by the transformer.
+   * @param {object} rule Json or yaml rule.
+   * @param {string} content Content of the file after applying the rule.
+   * @return {string} Script for the given rule.
+   */
+  editValues (rule, index, content) {
+    var operations = rule.operations.filter(exists).map((operation) => {
+      return operation.op + ' ' + operation.path
     })
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   path: "' + rule.path + '"',
+      '#   operations: [' + operations.join(', ') + ']'
+    ]
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+    var command = [
+      'write_file',
+      '\'' + ScriptGenerator.escapeQuotes(rule.path) + '\'',
+      ScriptGenerator.heredoc(content)
+    ].join(' ')
+    return [header, command, ''].join('\n')
+  }
+
+  /**
+   * Generates the script for an env rule. Values are quoted for the dotenv
+   * file (see `EnvFile.quote`) before they are given to the script.
+   * @param {object} rule Env rule.
+   * @return {string} Script for the given rule.
+   */
+  env (rule, index) {
+    var set = []
+    if (isObject(rule.set)) {
+      set = Object.keys(rule.set).filter((name) => {
+        return EnvFile.isName(name) && EnvFile.isValue(rule.set[name])
+      })
+    }
+    var unset = Array.isArray(rule.unset) ? rule.unset.filter(EnvFile.isName) : []
+
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   path: "' + rule.path + '"'
+    ]
+    if (set.length) {
+      fields.push('#   set: [' + set.join(', ') + ']')
+    }
+    if (unset.length) {
+      fields.push('#   unset: [' + unset.join(', ') + ']')
+    }
+    if (rule.create === true) {
+      fields.push('#   create: true')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+
+    var params = [rule.path, rule.create === true ? 'c' : '']
+      .concat(set.map((name) => {
+        return name + '=' + EnvFile.quote(rule.set[name])
+      }))
+      .concat(unset)
+      .map((param) => {
+        return '\'' + ScriptGenerator.escapeQuotes(param) + '\''
+      }).join(' ')
+    return [header, 'edit_env ' + params, ''].join('\n')
+  }
+
+  /**
+   * Generates the script for an ini rule. Like json and yaml rules, the script
+   * writes the resulting content of the file as determined by the transformer.
+   * @param {object} rule Ini rule.
+   * @param {string} content Content of the file after applying the rule.
+   * @return {string} Script for the given rule.
+   */
+  ini (rule, index, content) {
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   path: "' + rule.path + '"'
+    ]
+    if (isString(rule.section)) {
+      fields.push('#   section: "' + rule.section + '"')
+    }
+    fields.push('#   key: "' + rule.key + '"')
+    if (rule.unset === true) {
+      fields.push('#   unset: true')
+    } else if (rule.create === true) {
+      fields.push('#   create: true')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+    var command = [
+      'write_file',
+      '\'' + ScriptGenerator.escapeQuotes(rule.path) + '\'',
+      ScriptGenerator.heredoc(content)
+    ].join(' ')
+    return [header, command, ''].join('\n')
+  }
 
+  /**
+   * Generates the script for a chmod rule.
+   * @param {object} rule Chmod rule.
+   * @return {string} Script for the given rule.
+   */
+  chmod (rule, index) {
+    var mode = rule.mode.toString()
     var header = [
       '# RULE ' + index,
       '# {',
       '#   action: "' + rule.action + '",',
-      '#   files: [' + excludes.join(', ') + ']',
-      '# }'
+      '#   path: "' + rule.path + '",',
+      '#   mode: "' + mode + '"',
+      '# }',
+      ''
     ].join('\n')
-    var command = 'global_exclude="./$script_name ' + excludes.join(' ') + '"'
-    return [header, '', command, ''].join('\n')
+    var command = [
+      'change_mode',
+      '\'' + ScriptGenerator.escapeQuotes(mode) + '\'',
+      '\'' + ScriptGenerator.escapeQuotes(rule.path) + '\''
+    ].join(' ')
+    return [header, command, ''].join('\n')
+  }
+
+  /**
+   * Generates the script for a symlink rule.
+   * @param {object} rule Symlink rule.
+   * @param {string} target Target of the link, as determined by the
+   *   transformer (see `Transformer#symlink`).
+   * @return {string} Script for the given rule.
+   */
+  symlink (rule, index, target) {
+    var fields = [
+      '#   action: "' + rule.action + '"',
+      '#   target: "' + rule.target + '"',
+      '#   link: "' + rule.link + '"'
+    ]
+    if (rule.relative === true) {
+      fields.push('#   relative: true')
+    }
+    var header = ['# RULE ' + index, '# {', fields.join(',\n'), '# }', '']
+      .join('\n')
+    var command = [
+      'make_symlink',
+      '\'' + ScriptGenerator.escapeQuotes(target) + '\'',
+      '\'' + ScriptGenerator.escapeQuotes(rule.link) + '\''
+    ].join(' ')
+    return [header, command, ''].join('\n')
   }
 }
 
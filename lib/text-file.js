@@ -0,0 +1,139 @@
+'use strict'
+
+var isString = require('101/is-string')
+
+/**
+ * The contents of a text file as a list of lines, used by rules that edit
+ * files line by line. Whether or not the file ends with a newline is kept so
+ * the file can be written back without changing its unedited parts.
+ *
+ * @example
+ * var file = new TextFile('a\nc\n')
+ * file.insert(file.findLine('a') + 1, ['b'])
+ * file.toString() // 'a\nb\nc\n'
+ *
+ * @class
+ */
+class TextFile {
+  /**
+   * Splits text into lines. A final newline ends the last line, rather than
+   * starting a new empty line.
+   * @param {string} text Text to split.
+   * @return {array} The lines of the text.
+   */
+  static split (text) {
+    if (text === '') {
+      return []
+    }
+    var lines = text.split('\n')
+    if (lines[lines.length - 1] === '') {
+      lines.pop()
+    }
+    return lines
+  }
+
+  /**
+   * Determines if a line matches a search.
+   * @param {string|RegExp} search String the line must contain, or a regular
+   *   expression the line must match.
+   * @param {string} line Line to test.
+   * @return {boolean} `true` if the line matches, `false` otherwise.
+   */
+  static test (search, line) {
+    if (isString(search)) {
+      return !!~line.indexOf(search)
+    }
+    // Global expressions keep track of where their last match ended
+    search.lastIndex = 0
+    return search.test(line)
+  }
+
+  /**
+   * Creates a new text file.
+   * @param {string} text Contents of the file.
+   */
+  constructor (text) {
+    this.lines = TextFile.split(text)
+    this.endsWithNewline = /\n$/.test(text)
+  }
+
+  /**
+   * Finds the first line that matches the given search.
+   * @param {string|RegExp} search Search to match (see `TextFile.test`).
+   * @return {number} The index of the line, or -1 if no line matched.
+   */
+  findLine (search) {
+    for (var i = 0; i < this.lines.length; i++) {
+      if (TextFile.test(search, this.lines[i])) {
+        return i
+      }
+    }
+    return -1
+  }
+
+  /**
+   * Determines if the file contains the given lines, one after another.
+   * @param {array} lines Lines to find.
+   * @return {boolean} `true` if the file contains the lines, `false`
+   *   otherwise.
+   */
+  contains (lines) {
+    for (var i = 0; i + lines.length <= this.lines.length; i++) {
+      var found = lines.every((line, j) => {
+        return this.lines[i + j] === line
+      })
+      if (found) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * Inserts lines before the line at the given index. Lines inserted at the
+   * end of the file are always followed by a newline.
+   * @param {number} index Index at which to insert the lines.
+   * @param {array} lines Lines to insert.
+   */
+  insert (index, lines) {
+    if (index === this.lines.length) {
+      this.endsWithNewline = true
+    }
+    Array.prototype.splice.apply(this.lines, [index, 0].concat(lines))
+  }
+
+  /**
+   * Deletes every line that matches the given search. Like `sed`, the lines
+   * that remain always end with a newline when the last line is deleted.
+   * @param {string|RegExp} search Search to match (see `TextFile.test`).
+   * @return {number} The number of lines deleted.
+   */
+  deleteLines (search) {
+    var count = this.lines.length
+    var last = this.lines.length - 1
+    this.lines = this.lines.filter((line, index) => {
+      var match = TextFile.test(search, line)
+      if (match && index === last) {
+        this.endsWithNewline = true
+      }
+      return !match
+    })
+    return count - this.lines.length
+  }
+
+  /**
+   * @return {string} The contents of the file.
+   */
+  toString () {
+    if (this.lines.length === 0) {
+      return ''
+    }
+    return this.lines.join('\n') + (this.endsWithNewline ? '\n' : '')
+  }
+}
+
+/**
+ * Line based editing of text files.
+ * @module fs-transform:text-file
+ */
+module.exports = TextFile
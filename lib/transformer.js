@@ -1,13 +1,26 @@
 'use strict'
 
 var async = require('async')
+var Promise = require('bluebird')
+var isBoolean = require('101/is-boolean')
+var isFunction = require('101/is-function')
+var isObject = require('101/is-object')
 var isString = require('101/is-string')
+var path = require('path')
 var FsDriver = require('./fs-driver')
+var NodeFsDriver = require('./node-fs-driver')
 var Warning = require('./warning')
 var ScriptGenerator = require('./script-generator')
 var exists = require('101/exists')
 var debug = require('debug')
 var Replacer = require('./replacer')
+var TextFile = require('./text-file')
+var JsonFile = require('./json-file')
+var YamlFile = require('./yaml-file')
+var EnvFile = require('./env-file')
+var IniFile = require('./ini-file')
+var Glob = require('./glob')
+var Schema = require('./schema')
 
 var fullDiffDebug = debug('fs-transform:full-diff')
 
@@ -23,15 +36,20 @@ class Transformer {
    * @param {String} root Root directory to run the transformations.
    * @param {String|Array} rules An array of transformations, or a JSON string
    *   that parses into a stream of transformations.
-   * @param {fs-transform~Callback} cb Callback to execute once the
+   * @param {object} [options] Options for the transformer (see
+   *   `Transformer`).
+   * @param {fs-transform~Callback} [cb] Callback to execute once the
    *   transformations have been completed or if an error has occurred.
+   * @return {Promise} Resolves with the transformer, if no callback was given.
    */
-  static transform (root, rules, cb) {
-    try {
-      new Transformer(root, rules).transform(cb)
-    } catch (err) {
-      cb(err)
+  static transform (root, rules, options, cb) {
+    if (isFunction(options)) {
+      cb = options
+      options = {}
     }
+    return Transformer._create(root, rules, options, cb, (transformer) => {
+      return transformer.transform(cb)
+    })
   }
 
   /**
@@ -39,15 +57,96 @@ class Transformer {
    * @param {String} root Root directory to run the transformations.
    * @param {String|Array} rules An array of transformations, or a JSON string
    *   that parses into a stream of transformations.
-   * @param {fs-transform~Callback} cb Callback to execute once the
+   * @param {object} [options] Options for the transformer (see
+   *   `Transformer`).
+   * @param {fs-transform~Callback} [cb] Callback to execute once the
    *   transformations have been completed or if an error has occurred.
+   * @return {Promise} Resolves with the transformer, if no callback was given.
+   */
+  static dry (root, rules, options, cb) {
+    if (isFunction(options)) {
+      cb = options
+      options = {}
+    }
+    return Transformer._create(root, rules, options, cb, (transformer) => {
+      return transformer.dry(cb)
+    })
+  }
+
+  /**
+   * Finishes or reverts a commit to the given root directory that was
+   * interrupted, e.g. by the process exiting during a transformation.
+   * @param {String} root Root directory of the interrupted transformation.
+   * @param {object} [options] Options for the transformer (see
+   *   `Transformer`).
+   * @param {function} [cb] Callback to execute with `'finished'` or
+   *   `'reverted'`, or `null` if there was no interrupted commit.
+   * @return {Promise} Resolves with the outcome, if no callback was given.
+   */
+  static recover (root, options, cb) {
+    if (isFunction(options)) {
+      cb = options
+      options = {}
+    }
+    return Transformer._create(root, [], options, cb, (transformer) => {
+      return transformer.recover(cb)
+    })
+  }
+
+  /**
+   * Creates a new transformer and runs it, surfacing errors from the
+   * constructor through the callback, or as a rejection if no callback was
+   * given.
+   * @param {String} root Root directory to run the transformations.
+   * @param {String|Array} rules An array of transformations, or a JSON string
+   *   that parses into a stream of transformations.
+   * @param {object} [options] Options for the transformer.
+   * @param {fs-transform~Callback} [cb] Callback to execute if an error
+   *   occurred while creating the transformer.
+   * @param {function} run Runs the new transformer.
+   * @return {Promise} The promise returned by `run`, or a rejected promise, if
+   *   no callback was given.
    */
-  static dry (root, rules, cb) {
+  static _create (root, rules, options, cb, run) {
+    var transformer
     try {
-      new Transformer(root, rules).dry(cb)
+      transformer = new Transformer(root, rules, options)
     } catch (err) {
-      cb(err)
+      if (!isFunction(cb)) {
+        return Promise.reject(err)
+      }
+      return cb(err)
+    }
+    return run(transformer)
+  }
+
+  /**
+   * Validates rules against the schemas of the built-in actions, without
+   * applying them.
+   * @param {String|Array} rules An array of transformations, or a JSON string
+   *   that parses into a stream of transformations.
+   * @return {array} The problems found in the rules (see
+   *   `Transformer#validate`).
+   * @throws SyntaxError If rules were provided as a string, but were not valid
+   *   JSON.
+   * @throws Error If the given rules were not an array.
+   */
+  static validate (rules) {
+    return new Transformer(null, rules).validate()
+  }
+
+  /**
+   * Formats a problem found by rule validation for error messages.
+   * @param {object} problem Problem to format.
+   * @return {string} The problem with the full path of the field (e.g.
+   *   `'rules[2].source is required'`).
+   */
+  static formatProblem (problem) {
+    var field = 'rules[' + problem.index + ']'
+    if (problem.path) {
+      field += '.' + problem.path
     }
+    return field + ' ' + problem.message
   }
 
   /**
@@ -55,32 +154,69 @@ class Transformer {
    * @param {String} root Root directory to run the transformations.
    * @param {String|Array} rules An array of transformations, or a JSON string
    *   that parses into a stream of transformations.
+   * @param {object} [options] Options for the transformer.
+   * @param {string} [options.driver] Name of the filesystem driver to use:
+   *   `'shell'` (the default) runs commands such as `cp` and `diff`, and
+   *   `'node'` only uses the `fs` module (see `Transformer.DRIVERS`).
+   * @param {string} [options.tmpDir] Directory in which to create the working
+   *   and results directories. Defaults to the parent of the root directory, or
+   *   the system's temporary directory if the parent is not writable.
+   * @param {boolean} [options.lenient] Whether rules that do not match the
+   *   schemas of the built-in actions are still applied, with warnings about
+   *   the fields the actions cannot use (see `Transformer#validate`).
    * @throws SyntaxError If rules were provided as a string, but were not valid
    *   JSON.
-   * @throws Error If the given rules were not an array.
+   * @throws Error If the given rules were not an array, or the driver is not
+   *   defined.
    */
-  constructor (root, rules) {
+  constructor (root, rules, options) {
     if (isString(rules)) {
       rules = JSON.parse(rules)
     }
     if (!Array.isArray(rules)) {
       throw new Error('Rules must be an array.')
     }
+    options = options || {}
+    var driver = options.driver || 'shell'
+    if (!Transformer.DRIVERS.hasOwnProperty(driver)) {
+      throw new Error('Unknown driver: ' + driver)
+    }
 
-    this.driver = new FsDriver(root)
+    this.driver = new Transformer.DRIVERS[driver](root, options)
     this.rules = rules
+    this.lenient = options.lenient === true
     this._ruleActions = {}
+    this._ruleSchemas = {}
+    this._customActions = {}
     this.currentResult = null
     this.warnings = []
     this.results = []
     this.nameChanges = []
+    this.modeChanges = []
     this._globalExcludes = []
     this.script = new ScriptGenerator()
 
-    this.setAction('copy', this.copy)
-    this.setAction('rename', this.rename)
-    this.setAction('replace', this.replace)
-    this.setAction('exclude', this.exclude)
+    this.setAction('copy', this.copy, Transformer.SCHEMAS.copy)
+    this.setAction('rename', this.rename, Transformer.SCHEMAS.rename)
+    this.setAction('replace', this.replace, Transformer.SCHEMAS.replace)
+    this.setAction('exclude', this.exclude, Transformer.SCHEMAS.exclude)
+    this.setAction('delete', this.delete, Transformer.SCHEMAS.delete)
+    this.setAction('mkdir', this.mkdir, Transformer.SCHEMAS.mkdir)
+    this.setAction('write', this.write, Transformer.SCHEMAS.write)
+    this.setAction('append', this.append, Transformer.SCHEMAS.append)
+    this.setAction('prepend', this.prepend, Transformer.SCHEMAS.prepend)
+    this.setAction('insert', this.insert, Transformer.SCHEMAS.insert)
+    this.setAction(
+      'deleteLines',
+      this.deleteLines,
+      Transformer.SCHEMAS.deleteLines
+    )
+    this.setAction('json', this.json, Transformer.SCHEMAS.json)
+    this.setAction('yaml', this.yaml, Transformer.SCHEMAS.yaml)
+    this.setAction('env', this.env, Transformer.SCHEMAS.env)
+    this.setAction('ini', this.ini, Transformer.SCHEMAS.ini)
+    this.setAction('chmod', this.chmod, Transformer.SCHEMAS.chmod)
+    this.setAction('symlink', this.symlink, Transformer.SCHEMAS.symlink)
   }
 
   /**
@@ -93,6 +229,7 @@ class Transformer {
       rule: rule,
       warnings: [],
       nameChanges: [],
+      modeChanges: [],
       diffs: {}
     }
     this.results.push(this.currentResult)
@@ -103,9 +240,10 @@ class Transformer {
    * Adds a rule generated warning to the transformer.
    * @param object Object that generated the warning.
    * @param msg Message for the warning.
+   * @param [path] Path of the file the warning concerns.
    */
-  addWarning (object, msg) {
-    var warning = new Warning(object, msg)
+  addWarning (object, msg, path) {
+    var warning = new Warning(object, msg, path)
     this.warnings.push(warning)
     if (exists(this.currentResult)) {
       this.currentResult.warnings.push(warning)
@@ -124,6 +262,25 @@ class Transformer {
     }
   }
 
+  /**
+   * Adds a mode change result, and sets the diff for the mode change to the
+   * current result.
+   * @param {string} path Path of the file or directory.
+   * @param {string} from Octal permissions before the change (e.g. `'644'`).
+   * @param {string} to Octal permissions after the change.
+   */
+  addModeChange (path, from, to) {
+    var modeChange = { path: path, from: from, to: to }
+    this.modeChanges.push(modeChange)
+    if (exists(this.currentResult)) {
+      this.currentResult.modeChanges.push(modeChange)
+    }
+    this.setFileDiff(
+      this.driver.absoluteResultsPath(path),
+      ['old mode ' + from, 'new mode ' + to].join('\n')
+    )
+  }
+
   /**
    * Sets a diff for a given file to the current result.
    * @param {string} filename Name of the file for the diff.
@@ -137,6 +294,28 @@ class Transformer {
     this.currentResult.diffs[relativePath] = diff
   }
 
+  /**
+   * Sets the files searched, and the number of matches replaced in each file,
+   * for the current result.
+   * @param {object} report Report from the `Replacer` for the search.
+   * @param {array} report.files Names of the files that were searched.
+   * @param {object} report.matches Number of matches replaced (or lines
+   *   deleted), by file name.
+   */
+  setSearchResults (report) {
+    if (!this.currentResult) { return }
+    this.currentResult.files = report.files.map((filename) => {
+      return this.driver.stripAbsolutePaths(filename)
+    })
+    this.currentResult.matches = {}
+    report.files.forEach((filename) => {
+      if (report.matches[filename] > 0) {
+        var relativePath = this.driver.stripAbsolutePaths(filename)
+        this.currentResult.matches[relativePath] = report.matches[filename]
+      }
+    })
+  }
+
   /**
    * Generates a shell script from this transfromer's rules.
    * @return {string} A shell-script that executes the rules.
@@ -155,16 +334,30 @@ class Transformer {
   /**
    * Allows the user to override existing rule actions and define new ones.
    * Note the action function will be applied within the context of this
-   * Transformation.
+   * Transformation, and that the whole results directory is committed after
+   * each rule for a custom action.
    * @param {string} name Name of the action to define or override.
    * @param {fs-transform~Rule} fn Function to apply when encountering the rule
    *   with the given action name.
+   * @param {object} [schema] JSON Schema that rules for the action must match
+   *   (see `Transformer#validate`). Rules for actions without a schema are
+   *   only checked for their action.
    */
-  setAction (name, fn) {
+  setAction (name, fn, schema) {
     var self = this
     this._ruleActions[name] = function () {
       fn.apply(self, arguments)
     }
+    if (fn === Transformer.prototype[name]) {
+      delete this._customActions[name]
+    } else {
+      this._customActions[name] = true
+    }
+    if (isObject(schema)) {
+      this._ruleSchemas[name] = schema
+    } else {
+      delete this._ruleSchemas[name]
+    }
   }
 
   /**
@@ -176,22 +369,88 @@ class Transformer {
     return this._ruleActions[name]
   }
 
+  /**
+   * Determine the JSON Schema for rules of the given action.
+   * @param {string} name Name of the action.
+   * @return {?object} The schema for the action, or `undefined` if the action
+   *   has no schema.
+   */
+  getSchema (name) {
+    return this._ruleSchemas[name]
+  }
+
+  /**
+   * Validates every rule before any of them are applied. Each rule must be an
+   * object with the name of a defined action, and must match the schema of
+   * the action (see `Transformer.SCHEMAS`). Problems that can only be found
+   * while applying a rule (e.g. missing files) are reported as warnings
+   * instead.
+   * @param {boolean} [lenient] Whether to leave out problems with the schemas
+   *   of built-in actions, which are reported as warnings by the actions in
+   *   lenient transformations (see `Transformer`).
+   * @return {array} Every problem found in the rules, with the `index` of the
+   *   rule, the `path` of the field in the rule (e.g. `'operations[0].op'`,
+   *   or `''` for the rule itself) and a `message` describing the problem.
+   */
+  validate (lenient) {
+    var problems = []
+    this.rules.forEach((rule, index) => {
+      var found = Schema.validate(Transformer.RULE_SCHEMA, rule)
+      if (found.length === 0 && !this.getAction(rule.action)) {
+        found.push({ path: 'action', message: 'is not a defined action' })
+      }
+      var checkSchema = !lenient || this._customActions[rule.action]
+      if (found.length === 0 && checkSchema && this.getSchema(rule.action)) {
+        found = Schema.validate(this.getSchema(rule.action), rule)
+      }
+      found.forEach((problem) => {
+        problems.push({
+          index: index,
+          path: problem.path,
+          message: problem.message
+        })
+      })
+    })
+    return problems
+  }
+
   /**
    * Perform and commit the transformations.
-   * @param {fs-transform~Callback} cb Callback to execute once the
+   * @param {fs-transform~Callback} [cb] Callback to execute once the
    *   transformations have been completed or if an error has occurred.
+   * @return {Promise} Resolves with the transformer, if no callback was given.
    */
   transform (cb) {
-    this._execute(true, cb)
+    return this._execute(true, cb)
   }
 
   /**
    * Perform a dry run of of the tranformations.
-   * @param {fs-transform~Callback} cb Callback to execute once the
+   * @param {fs-transform~Callback} [cb] Callback to execute once the
    *   transformations have been completed or if an error has occurred.
+   * @return {Promise} Resolves with the transformer, if no callback was given.
    */
   dry (cb) {
-    this._execute(false, cb)
+    return this._execute(false, cb)
+  }
+
+  /**
+   * Finishes or reverts an interrupted commit to the root directory (see
+   * `FsDriver#recover`).
+   * @param {function} [cb] Callback to execute with `'finished'` or
+   *   `'reverted'`, or `null` if there was no interrupted commit.
+   * @return {Promise} Resolves with the outcome, if no callback was given.
+   */
+  recover (cb) {
+    if (!isFunction(cb)) {
+      return new Promise((resolve, reject) => {
+        this.recover((err, outcome) => {
+          if (err) { return reject(err) }
+          resolve(outcome)
+        })
+      })
+    }
+    this.driver.recover(cb)
   }
 
   /**
@@ -199,10 +458,19 @@ class Transformer {
    * @param {boolean} commit Whether or not to commit the transformations to the
    *   original root directory. If true then the changes are applied to the root
    *   directory, if false then the root directory will remain unchanged.
-   * @param {fs-transform~Callback} executeCallback Callback to execute once the
-   *   transformations have been completed or if an error has occurred.
+   * @param {fs-transform~Callback} [executeCallback] Callback to execute once
+   *   the transformations have been completed or if an error has occurred.
+   * @return {Promise} Resolves with the transformer, if no callback was given.
    */
   _execute (commit, executeCallback) {
+    if (!isFunction(executeCallback)) {
+      return new Promise((resolve, reject) => {
+        this._execute(commit, (err) => {
+          if (err) { return reject(err) }
+          resolve(this)
+        })
+      })
+    }
     var self = this
     this._fullDiff = ''
 
@@ -212,12 +480,23 @@ class Transformer {
         self.driver.hasAllCommands(cb)
       },
 
-      // 1. Create initial working and results directory
+      // 1. Validate every rule before doing any work
+      function validateRules (cb) {
+        var problems = self.validate(self.lenient)
+        if (problems.length === 0) { return cb() }
+        var err = new Error(['Invalid rules:'].concat(
+          problems.map(Transformer.formatProblem)
+        ).join('\n  '))
+        err.problems = problems
+        cb(err)
+      },
+
+      // 2. Create initial working and results directory
       function setup (cb) {
         self.driver.setup(cb)
       },
 
-      // 2. Apply transformation rules
+      // 3. Apply transformation rules
       function applyRules (cb) {
         async.mapSeries(self.rules, function (rule, ruleCallback) {
           self.applyRule(rule, function (err) {
@@ -229,26 +508,62 @@ class Transformer {
         })
       },
 
-      // 3. Fetch a diff between the working and the original root
+      // 4. Fetch a diff between the working and the original root
       function fetchFullDiff (cb) {
         self.driver.workingDiff(function (err, diff) {
           if (err) { return cb(err) }
+          diff += self._getModeDiff()
           fullDiffDebug(diff)
           self._fullDiff = diff
           cb()
         })
       },
 
-      // 4. Commit the changes if applicable, otherwise remove the working
+      // 5. Commit the changes if applicable, otherwise remove the working
       //    directory.
       function cleanup (cleanupCallback) {
         self.driver.teardown(commit, cleanupCallback)
       }
     ], function (err) {
-      executeCallback(err, self)
+      if (!err) {
+        return executeCallback(null, self)
+      }
+      // Remove the working and results directories, which are left behind by
+      // errors before the teardown
+      self.driver.cleanup(function () {
+        executeCallback(err, self)
+      })
     })
   }
 
+  /**
+   * Determines the diff for the permissions that were changed in the working
+   * directory, as `diff` only reports changes to the content of files.
+   * @return {string} The mode changes for each path that no longer has its
+   *   original permissions, in the same form as a git diff.
+   */
+  _getModeDiff () {
+    var paths = []
+    this.modeChanges.forEach((modeChange) => {
+      if (!~paths.indexOf(modeChange.path)) {
+        paths.push(modeChange.path)
+      }
+    })
+    return paths.map((file) => {
+      var from = this.driver.getMode(this.driver.root + '/' + file)
+      var to = this.driver.getMode(this.driver.absoluteWorkingPath(file))
+      if (!from || !to || from === to) {
+        return ''
+      }
+      return [
+        'diff -u -r /' + file + ' /' + file,
+        'old mode ' + from,
+        'new mode ' + to,
+        ''
+      ].join('\n')
+    }).join('')
+  }
+
   /**
    * Applys a given transformation rule.
    * @param {object} rule Rule to apply.
@@ -269,149 +584,1372 @@ class Transformer {
     }
 
     this.pushResult(rule)
+    if (this._customActions[rule.action]) {
+      // Custom actions may change files without recording them with the
+      // driver, so the whole results directory is committed
+      this.driver.addChangedPath('.')
+    } else {
+      this._warnUnknownFields(rule)
+    }
     actionMethod(rule, cb)
   }
 
   /**
-   * Performs validations for copy and rename rules.
+   * Adds a warning for each field of a rule that is not in the schema of its
+   * action. Such rules are rejected unless transformations are lenient (see
+   * `Transformer#validate`), in which case the fields are ignored.
+   * @param {object} rule Rule to check.
+   */
+  _warnUnknownFields (rule) {
+    var schema = this.getSchema(rule.action)
+    if (!schema || !isObject(schema.properties)) { return }
+    Object.keys(rule).forEach((field) => {
+      if (!schema.properties.hasOwnProperty(field)) {
+        this.addWarning(rule, 'Unknown field "' + field + '", ignoring.')
+      }
+    })
+  }
+
+  /**
+   * Sets the diffs for each file changed in the results directory to the
+   * current result.
+   * @param {function} cb Callback to execute once the diffs have been set.
+   */
+  _setResultsDiffs (cb) {
+    this.driver.resultsDiff((err, diff) => {
+      if (err) { return cb(err) }
+      let entries = diff.split('diff -u -r ')
+      entries.shift()
+      entries.forEach((diff) => {
+        let lines = diff.split('\n')
+        let fileLine = lines.shift()
+        let filename = fileLine.split(/\s+/).pop()
+        this.setFileDiff(filename, lines.join('\n'))
+      })
+      cb()
+    })
+  }
+
+  /**
+   * Records the files changed by a search with the driver, since `Replacer`
+   * writes them to the results directory directly.
+   * @param {object} report Report for the search (see `Replacer#replace`).
+   */
+  _addChangedFiles (report) {
+    report.files.forEach((filename) => {
+      if (report.matches[filename] > 0) {
+        this.driver.addChangedPath(
+          filename.replace(this.driver.workingPath, this.driver.resultsPath)
+        )
+      }
+    })
+  }
+
+  /**
+   * Performs validations for rename and copy rules and determines the source
+   * and destination of each file to rename or copy. When the source is a glob
+   * pattern that does not name an existing file, it is matched against every
+   * path in the results directory and `$1` through `$9` in the destination are
+   * replaced with the text matched by the pattern's wildcards.
    * @param {object} rule Rule to validate.
-   * @return {boolean} `true` if validations pass, `false` otherwise.
+   * @return {array} The `{source, dest}` pairs to rename or copy (empty if
+   *   validations fail).
    */
-  _isValidRenameOrCopy (rule) {
+  _getRenameOrCopyPairs (rule) {
     if (!isString(rule.source)) {
       this.addWarning(rule, 'Missing source file.')
-      return false
+      return []
     }
     if (!isString(rule.dest)) {
       this.addWarning(rule, 'Missing destination file.')
-      return false
+      return []
+    }
+    var conflict = 'merge'
+    if (exists(rule.conflict)) {
+      if (~Transformer.CONFLICT_POLICIES.indexOf(rule.conflict)) {
+        conflict = rule.conflict
+      } else {
+        this.addWarning(rule, 'Invalid conflict policy, omitting.')
+      }
+    }
+    var createParents = true
+    if (exists(rule.createParents)) {
+      if (isBoolean(rule.createParents)) {
+        createParents = rule.createParents
+      } else {
+        this.addWarning(
+          rule,
+          'Create parents not supplied as a boolean, omitting.'
+        )
+      }
     }
+    var pairs = [{ source: rule.source, dest: rule.dest }]
     if (!this.driver.exists(rule.source)) {
-      this.addWarning(rule, 'Source file does not exist.')
+      if (!Glob.isPattern(rule.source)) {
+        this.addWarning(rule, 'Source file does not exist.')
+        return []
+      }
+      pairs = this._expandRenameOrCopy(rule)
+      if (pairs.length === 0) {
+        this.addWarning(rule, 'No files match the source pattern.')
+        return []
+      }
+    }
+    var dests = []
+    var parents = []
+    return pairs.filter((pair) => {
+      if (dests.indexOf(pair.dest) !== -1) {
+        this.addWarning(rule, 'Duplicate destination file.')
+        return false
+      }
+      dests.push(pair.dest)
+      return this._checkRenameOrCopyParents(rule, pair, createParents, parents) &&
+        this._checkRenameOrCopyPair(rule, pair, conflict)
+    })
+  }
+
+  /**
+   * Determines the missing parent directories of a rename or copy destination.
+   * Pairs with missing parents are annotated with the `parents` to create, from
+   * the top down, unless the rule disables `createParents`.
+   * @param {object} rule Rename or copy rule.
+   * @param {object} pair The `{source, dest}` pair to check.
+   * @param {boolean} createParents Whether or not to create missing parents.
+   * @param {array} created Parent directories that will be created for earlier
+   *   pairs of the rule.
+   * @return {boolean} `true` if the pair should be renamed or copied.
+   */
+  _checkRenameOrCopyParents (rule, pair, createParents, created) {
+    var missing = []
+    var parent = path.dirname(pair.dest)
+    while (
+      parent !== '.' &&
+      parent !== '/' &&
+      created.indexOf(parent) === -1 &&
+      !this.driver.exists(parent)
+    ) {
+      missing.unshift(parent)
+      parent = path.dirname(parent)
+    }
+    if (missing.length === 0) {
+      return true
+    }
+    if (!createParents) {
+      this.addWarning(rule, 'Parent directory does not exist.', missing[0])
       return false
     }
-    if (this.driver.exists(rule.dest)) {
-      this.addWarning(rule, 'Overwrites destination file.')
+    var deepest = missing[missing.length - 1]
+    this.addWarning(rule, 'Creates parent directory.', deepest)
+    pair.parents = missing
+    missing.forEach((dir) => created.push(dir))
+    return true
+  }
+
+  /**
+   * Lists the paths in the results directory, or in one of its directories,
+   * excluding `.git` and `node_modules` directories.
+   * @param {string} [dir] Directory to list, relative to the root.
+   * @return {array} The paths, relative to the root, in sorted order.
+   */
+  _listPaths (dir) {
+    var isIgnored = (file) => Glob.match(Glob.IGNORE, file + '/')
+    return this.driver.listPaths(dir, (file) => !isIgnored(file))
+      .filter((file) => !isIgnored(file))
+  }
+
+  /**
+   * Matches the glob source of a rename or copy rule against the paths in the
+   * results directory. Paths inside of a matched directory are skipped, since
+   * they are renamed or copied along with the directory.
+   * @param {object} rule Rule with a glob pattern source.
+   * @return {array} The `{source, dest}` pairs for the matched paths.
+   */
+  _expandRenameOrCopy (rule) {
+    var glob = new Glob(rule.source)
+    var pairs = []
+    this._listPaths().forEach((file) => {
+      var captures = glob.capture(file)
+      if (!captures) { return }
+      var isNested = pairs.some((pair) => {
+        return file.indexOf(pair.source + '/') === 0
+      })
+      if (isNested) { return }
+      pairs.push({
+        source: file,
+        dest: rule.dest.replace(/\$([1-9])/g, (match, n) => {
+          return captures[n - 1] || ''
+        })
+      })
+    })
+    return pairs
+  }
+
+  /**
+   * Determines how a single file or directory should be renamed or copied
+   * given the rule's conflict policy, and adds a warning for each file that
+   * would be overwritten. Directory pairs are annotated with the paths they
+   * contain and whether they `merge` with or `replace` their destination, and
+   * pairs that conflict under the `error` policy are annotated with an
+   * `error`.
+   * @param {object} rule Rename or copy rule.
+   * @param {object} pair The `{source, dest}` pair to check.
+   * @param {string} conflict Conflict policy (`merge`, `replace` or `error`).
+   * @return {boolean} `true` if the pair should be renamed or copied.
+   */
+  _checkRenameOrCopyPair (rule, pair, conflict) {
+    var driver = this.driver
+    var isDirectory = (file) => {
+      return driver.isDirectory(file) && !driver.isSymlink(file)
     }
+    pair.directory = isDirectory(pair.source)
+    if (pair.directory) {
+      if (pair.dest === pair.source || pair.dest.indexOf(pair.source + '/') === 0) {
+        this.addWarning(rule, 'Destination is inside the source directory.')
+        return false
+      }
+      pair.paths = this._listPaths(pair.source)
+    }
+    if (!driver.exists(pair.dest)) {
+      return true
+    }
+    if (conflict === 'error') {
+      pair.error = new Error('Destination file already exists: ' + pair.dest)
+      return true
+    }
+    if (!pair.directory || !isDirectory(pair.dest)) {
+      pair.replace = pair.directory
+      this.addWarning(rule, 'Overwrites destination file.', pair.dest)
+      return true
+    }
+    var toDest = (file) => pair.dest + file.slice(pair.source.length)
+    if (conflict === 'replace') {
+      pair.replace = true
+      this._listPaths(pair.dest).forEach((file) => {
+        if (isDirectory(file)) { return }
+        var source = pair.source + file.slice(pair.dest.length)
+        if (driver.exists(source) && !isDirectory(source)) {
+          this.addWarning(rule, 'Overwrites destination file.', file)
+        } else {
+          this.addWarning(rule, 'Removes destination file.', file)
+        }
+      })
+      return true
+    }
+    var conflicts = pair.paths.filter((file) => {
+      var dest = toDest(file)
+      return driver.exists(dest) && isDirectory(file) !== isDirectory(dest)
+    })
+    if (conflicts.length > 0) {
+      conflicts.forEach((file) => {
+        this.addWarning(
+          rule,
+          'Cannot merge a file with a directory.',
+          toDest(file)
+        )
+      })
+      return false
+    }
+    pair.merge = true
+    pair.paths.forEach((file) => {
+      if (!isDirectory(file) && driver.exists(toDest(file))) {
+        this.addWarning(rule, 'Overwrites destination file.', toDest(file))
+      }
+    })
     return true
   }
 
   /**
-   * Copy a file.
-   * @param {object} rule Defines the source and destination for the file copy.
-   * @param {function} cb Callback to execute once the file has been copied.
+   * Renames or copies a single file or directory.
+   * @param {object} pair The `{source, dest}` pair to rename or copy.
+   * @param {string} method Name of the driver method to use for files (`move`
+   *   or `copy`).
+   * @param {function} cb Callback to execute once the pair has been renamed or
+   *   copied.
    */
-  copy (rule, cb) {
-    if (!this._isValidRenameOrCopy(rule)) {
+  _renameOrCopyPair (pair, method, cb) {
+    var driver = this.driver
+    if (!pair.directory) {
+      return driver[method](pair.source, pair.dest, cb)
+    }
+    if (pair.merge) {
+      return driver.mergeDirectory(pair.source, pair.dest, function (err) {
+        if (err || method === 'copy') { return cb(err) }
+        driver.remove(pair.source, true, cb)
+      })
+    }
+    async.series([
+      function removeDest (next) {
+        if (!pair.replace) { return next() }
+        driver.remove(pair.dest, true, next)
+      },
+      function transfer (next) {
+        if (method === 'move') {
+          return driver.move(pair.source, pair.dest, next)
+        }
+        driver.copyDirectory(pair.source, pair.dest, next)
+      }
+    ], cb)
+  }
+
+  /**
+   * Renames or copies each file given by a rule.
+   * @param {object} rule Rename or copy rule.
+   * @param {string} method Name of the driver method to use (`move` or
+   *   `copy`).
+   * @param {function} cb Callback to execute once all files have been renamed
+   *   or copied.
+   */
+  _renameOrCopy (rule, method, cb) {
+    var pairs = this._getRenameOrCopyPairs(rule)
+    if (pairs.length === 0) {
       return cb()
     }
+    var conflicts = pairs.filter((pair) => pair.error)
+    if (conflicts.length > 0) {
+      return cb(conflicts[0].error)
+    }
     var self = this
-    this.driver.copy(rule.source, rule.dest, function (err, output) {
+    async.eachSeries(pairs, function (pair, pairCallback) {
+      async.series([
+        function createParents (next) {
+          if (!pair.parents) { return next() }
+          self.driver.mkdir(pair.parents[pair.parents.length - 1], true, next)
+        },
+        function renameOrCopy (next) {
+          self._renameOrCopyPair(pair, method, next)
+        }
+      ], function (err) {
+        if (err) { return pairCallback(err) }
+        if (pair.parents) {
+          pair.parents.forEach((dir) => self.addNameChange(null, dir))
+        }
+        self.addNameChange(pair.source, pair.dest)
+        if (pair.directory) {
+          pair.paths.forEach((file) => {
+            self.addNameChange(file, pair.dest + file.slice(pair.source.length))
+          })
+        }
+        pairCallback()
+      })
+    }, function (err) {
       if (err) { return cb(err) }
-      self.addNameChange(rule.source, rule.dest)
-      self.script.addRule(rule)
+      self.script.addRule(rule, pairs.map((pair) => {
+        var data = { source: pair.source, dest: pair.dest }
+        if (pair.parents) {
+          data.parent = pair.parents[pair.parents.length - 1]
+        }
+        return data
+      }))
       cb()
     })
   }
 
   /**
-   * Rename a file.
+   * Copy a file, or each file matching a glob pattern.
+   * @param {object} rule Defines the source and destination for the file copy.
+   * @param {function} cb Callback to execute once the file has been copied.
+   */
+  copy (rule, cb) {
+    this._renameOrCopy(rule, 'copy', cb)
+  }
+
+  /**
+   * Rename a file, or each file matching a glob pattern.
    * @param {object} rule Defines the source and destination for the file
    *   rename.
    * @param {function} cb Callback to execute once the file has been renamed.
    */
   rename (rule, cb) {
-    if (!this._isValidRenameOrCopy(rule)) {
+    this._renameOrCopy(rule, 'move', cb)
+  }
+
+  /**
+   * Performs validations for delete rules and determines the paths that should
+   * be deleted.
+   * @param {object} rule Rule to validate.
+   * @return {array} The paths to delete (empty if validations fail).
+   */
+  _getDeletePaths (rule) {
+    var paths = []
+    if (isString(rule.path)) {
+      paths.push(rule.path)
+    }
+    if (exists(rule.paths)) {
+      if (Array.isArray(rule.paths)) {
+        paths = paths.concat(rule.paths.filter((file) => {
+          if (!isString(file)) {
+            this.addWarning(rule, 'Non-string delete path encountered.')
+            return false
+          }
+          return true
+        }))
+      } else {
+        this.addWarning(rule, 'Paths not supplied as an array, omitting.')
+      }
+    }
+    if (paths.length === 0) {
+      this.addWarning(rule, 'Missing path.')
+      return paths
+    }
+
+    if (exists(rule.recursive) && !isBoolean(rule.recursive)) {
+      this.addWarning(rule, 'Recursive not supplied as a boolean, omitting.')
+    }
+
+    return paths.filter((file) => {
+      if (!this.driver.exists(file)) {
+        this.addWarning(rule, 'Path does not exist.')
+        return false
+      }
+      if (rule.recursive !== true && this.driver.isDirectory(file)) {
+        this.addWarning(rule, 'Cannot delete a directory without recursive.')
+        return false
+      }
+      return true
+    })
+  }
+
+  /**
+   * Delete files or directories. Directories are only deleted when
+   * `rule.recursive` is `true`.
+   * @param {object} rule Defines the path (`rule.path`) or paths (`rule.paths`)
+   *   to delete.
+   * @param {function} cb Callback to execute once the paths have been deleted.
+   */
+  delete (rule, cb) {
+    var paths = this._getDeletePaths(rule)
+    if (paths.length === 0) {
       return cb()
     }
     var self = this
-    this.driver.move(rule.source, rule.dest, function (err, output) {
+    async.eachSeries(paths, function (file, fileCallback) {
+      self.driver.remove(file, rule.recursive === true, function (err) {
+        if (err) { return fileCallback(err) }
+        self.addNameChange(file, null)
+        fileCallback()
+      })
+    }, function (err) {
       if (err) { return cb(err) }
-      self.addNameChange(rule.source, rule.dest)
       self.script.addRule(rule)
-      cb()
+      self._setResultsDiffs(cb)
     })
   }
 
   /**
-   * Text search and replace for many files.
-   * @param {object} rule Rules that define what to search for, replace, and
-   *   exclude from the search.
-   * @param {function} cb Callback to execute once the search and replace has
-   *   been performed.
+   * Create a directory. Missing parent directories are only created when
+   * `rule.parents` is `true`.
+   * @param {object} rule Defines the path (`rule.path`) of the directory to
+   *   create.
+   * @param {function} cb Callback to execute once the directory has been
+   *   created.
    */
-  replace (rule, cb) {
-    var self = this
-
-    var search = rule.search
-    if (!isString(search)) {
-      this.addWarning(rule, 'Search pattern not specified.')
+  mkdir (rule, cb) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
       return cb()
     }
-
-    var replace = rule.replace
-    if (!isString(replace)) {
-      this.addWarning(rule, 'Replacement not specified.')
+    if (exists(rule.parents) && !isBoolean(rule.parents)) {
+      this.addWarning(rule, 'Parents not supplied as a boolean, omitting.')
+    }
+    if (this.driver.exists(rule.path)) {
+      this.addWarning(rule, 'Path already exists.')
       return cb()
     }
-
-    var exclude = rule.exclude
-    if (!Array.isArray(exclude)) {
-      this.addWarning(rule, 'Excludes not supplied as an array, omitting.')
-      exclude = []
+    var parents = rule.parents === true
+    if (!parents && !this.driver.exists(path.dirname(rule.path))) {
+      this.addWarning(rule, 'Parent directory does not exist.')
+      return cb()
     }
-
-    Replacer
-      .findAndReplace(
-        this.driver.workingPath,
-        this.driver.resultsPath,
-        this._globalExcludes.concat(exclude),
-        rule.search,
-        rule.replace
-      )
-      .then(function () {
-        // Add the rule to the script
-        self.script.addRule(rule)
-
-        // Set the diffs for each file
-        self.driver.resultsDiff((err, diff) => {
-          if (err) { return cb(err) }
-          let entries = diff.split('diff -u -r ')
-          entries.shift()
-          entries.forEach((diff) => {
-            let lines = diff.split('\n')
-            let fileLine = lines.shift()
-            let filename = fileLine.split(/\s+/).pop()
-            self.setFileDiff(filename, lines.join('\n'))
-          })
-          cb()
-        })
-      })
-      .catch(cb)
+    var self = this
+    this.driver.mkdir(rule.path, parents, function (err) {
+      if (err) { return cb(err) }
+      self.addNameChange(null, rule.path)
+      self.script.addRule(rule)
+      cb()
+    })
   }
 
   /**
-   * Global exclude rule. Causes given files to be ignored by all subsequent
-   * rules.
-   * @param {object} rule Rule that provides a list of files to exclude.
-   * @param {function} cb Callback to execute once the exclude rules have been
-   *   applied.
+   * Change the permissions of a file or directory.
+   * @param {object} rule Defines the path (`rule.path`) and the octal (e.g.
+   *   `'755'`) or symbolic (e.g. `'u+x'`) mode (`rule.mode`) to set.
+   * @param {function} cb Callback to execute once the mode has been changed.
    */
-  exclude (rule, cb) {
-    if (!Array.isArray(rule.files)) {
-      this.addWarning('Exclude files not specified as an array.')
+  chmod (rule, cb) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
+      return cb()
+    }
+    if (!exists(rule.mode)) {
+      this.addWarning(rule, 'Missing mode.')
+      return cb()
+    }
+    var mode = rule.mode.toString()
+    if (!Transformer.OCTAL_MODE.test(mode) &&
+        !Transformer.SYMBOLIC_MODE.test(mode)) {
+      this.addWarning(rule, 'Invalid mode.')
+      return cb()
+    }
+    if (!this.driver.exists(rule.path)) {
+      this.addWarning(rule, 'File does not exist.')
       return cb()
     }
-
     var self = this
-    rule.files.forEach(function (name) {
-      if (!isString(name)) {
-        self.addWarning('Non-string exclude filename encountered.')
+    var from = this.driver.getMode(rule.path)
+    this.driver.chmod(rule.path, mode, function (err) {
+      if (err) { return cb(err) }
+      var to = self.driver.getMode(rule.path)
+      if (from !== to) {
+        self.addModeChange(rule.path, from, to)
+      }
+      self.script.addRule(rule)
+      cb()
+    })
+  }
+
+  /**
+   * Create a symbolic link. When `rule.relative` is `true` the target is
+   * given relative to the root directory, and the link is made relative to
+   * the directory of the link. Otherwise the target is used as-is.
+   * @param {object} rule Defines the `rule.target` of the link and the path of
+   *   the link (`rule.link`) to create.
+   * @param {function} cb Callback to execute once the link has been created.
+   */
+  symlink (rule, cb) {
+    if (!isString(rule.target)) {
+      this.addWarning(rule, 'Missing target.')
+      return cb()
+    }
+    if (!isString(rule.link)) {
+      this.addWarning(rule, 'Missing link.')
+      return cb()
+    }
+    if (exists(rule.relative) && !isBoolean(rule.relative)) {
+      this.addWarning(rule, 'Relative not supplied as a boolean, omitting.')
+    }
+    if (this.driver.exists(rule.link) || this.driver.isSymlink(rule.link)) {
+      this.addWarning(rule, 'Link already exists.')
+      return cb()
+    }
+    var directory = path.dirname(rule.link)
+    if (!this.driver.exists(directory)) {
+      this.addWarning(rule, 'Parent directory does not exist.')
+      return cb()
+    }
+
+    var target = rule.target
+    if (rule.relative === true) {
+      var root = this.driver.root
+      target = path.relative(
+        path.resolve(root, directory),
+        path.resolve(root, rule.target)
+      ) || '.'
+    }
+    var resolved = path.isAbsolute(target)
+      ? target
+      : path.join(directory, target)
+    if (!this.driver.exists(resolved)) {
+      this.addWarning(rule, 'Target does not exist.')
+    }
+
+    var self = this
+    this.driver.symlink(target, rule.link, function (err) {
+      if (err) { return cb(err) }
+      self.addNameChange(null, rule.link)
+      self.script.addRule(rule, target)
+      // Note: `diff` follows links, so the diff is given as git would give it
+      self.setFileDiff(self.driver.absoluteResultsPath(rule.link), [
+        'new file mode 120000',
+        '--- /dev/null',
+        '+++ /' + rule.link,
+        '@@ -0,0 +1 @@',
+        '+' + target,
+        '\\ No newline at end of file'
+      ].join('\n'))
+      cb()
+    })
+  }
+
+  /**
+   * Write a file with the given content. How existing files are handled is
+   * determined by `rule.overwrite` (see `Transformer.OVERWRITE_POLICIES`).
+   * @param {object} rule Defines the path (`rule.path`) and content
+   *   (`rule.content`) of the file to write.
+   * @param {function} cb Callback to execute once the file has been written.
+   */
+  write (rule, cb) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
+      return cb()
+    }
+    if (!isString(rule.content)) {
+      this.addWarning(rule, 'Missing content.')
+      return cb()
+    }
+
+    var policy = 'replace'
+    if (exists(rule.overwrite)) {
+      if (~Transformer.OVERWRITE_POLICIES.indexOf(rule.overwrite)) {
+        policy = rule.overwrite
+      } else {
+        this.addWarning(rule, 'Invalid overwrite policy, omitting.')
+      }
+    }
+
+    if (!this.driver.exists(path.dirname(rule.path))) {
+      this.addWarning(rule, 'Parent directory does not exist.')
+      return cb()
+    }
+    if (this.driver.isDirectory(rule.path)) {
+      this.addWarning(rule, 'Path is a directory.')
+      return cb()
+    }
+
+    var overwrite = this.driver.exists(rule.path)
+    if (overwrite) {
+      if (policy === 'error') {
+        return cb(new Error('Destination file already exists: ' + rule.path))
+      }
+      if (policy === 'skip') {
+        this.addWarning(rule, 'Destination file exists, skipping.')
+        return cb()
+      }
+      this.addWarning(rule, 'Overwrites destination file.')
+    }
+
+    var self = this
+    this.driver.writeFile(rule.path, rule.content, function (err) {
+      if (err) { return cb(err) }
+      if (!overwrite) {
+        self.addNameChange(null, rule.path)
+      }
+      self.script.addRule(rule)
+      self._setResultsDiffs(cb)
+    })
+  }
+
+  /**
+   * Performs validations for rules that insert content into a file.
+   * @param {object} rule Rule to validate.
+   * @return {boolean} `true` if validations pass, `false` otherwise.
+   */
+  _isValidInsert (rule) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
+      return false
+    }
+    if (!isString(rule.content) || TextFile.split(rule.content).length === 0) {
+      this.addWarning(rule, 'Missing content.')
+      return false
+    }
+    if (!this.driver.exists(rule.path)) {
+      this.addWarning(rule, 'File does not exist.')
+      return false
+    }
+    if (this.driver.isDirectory(rule.path)) {
+      this.addWarning(rule, 'Path is a directory.')
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Inserts the lines of `rule.content` into the file at `rule.path`, unless
+   * the file already contains them.
+   * @param {object} rule Rule that defines the file and content.
+   * @param {object} position Where to insert the content.
+   * @param {string} position.at One of `start`, `end`, `line`, `before` or
+   *   `after`.
+   * @param {number} [position.line] Line number at which to insert.
+   * @param {string|RegExp} [position.anchor] Search for the line before or
+   *   after which to insert.
+   * @param {function} cb Callback to execute once the content has been
+   *   inserted.
+   */
+  _insertLines (rule, position, cb) {
+    var self = this
+    this.driver.readFile(rule.path, function (err, text) {
+      if (err) { return cb(err) }
+      var file = new TextFile(text)
+      var lines = TextFile.split(rule.content)
+      if (file.contains(lines)) {
+        self.addWarning(rule, 'Content already present, skipping.')
+        return cb()
+      }
+
+      var index
+      if (position.at === 'start') {
+        index = 0
+      } else if (position.at === 'end') {
+        index = file.lines.length
+      } else if (position.at === 'line') {
+        if (position.line > file.lines.length + 1) {
+          self.addWarning(rule, 'Line number out of range.')
+          return cb()
+        }
+        index = position.line - 1
+      } else {
+        index = file.findLine(position.anchor)
+        if (index === -1) {
+          self.addWarning(rule, 'Anchor not found.')
+          return cb()
+        }
+        if (position.at === 'after') {
+          index++
+        }
+      }
+
+      file.insert(index, lines)
+      self.driver.writeFile(rule.path, file.toString(), function (err) {
+        if (err) { return cb(err) }
+        self.script.addRule(rule)
+        self._setResultsDiffs(cb)
+      })
+    })
+  }
+
+  /**
+   * Append lines to the end of a file.
+   * @param {object} rule Defines the file (`rule.path`) and the lines to
+   *   append (`rule.content`).
+   * @param {function} cb Callback to execute once the lines have been
+   *   appended.
+   */
+  append (rule, cb) {
+    if (!this._isValidInsert(rule)) {
+      return cb()
+    }
+    this._insertLines(rule, { at: 'end' }, cb)
+  }
+
+  /**
+   * Prepend lines to the start of a file.
+   * @param {object} rule Defines the file (`rule.path`) and the lines to
+   *   prepend (`rule.content`).
+   * @param {function} cb Callback to execute once the lines have been
+   *   prepended.
+   */
+  prepend (rule, cb) {
+    if (!this._isValidInsert(rule)) {
+      return cb()
+    }
+    this._insertLines(rule, { at: 'start' }, cb)
+  }
+
+  /**
+   * Insert lines into a file, either `rule.before` or `rule.after` the first
+   * line containing the given anchor, or at the given `rule.line` number. When
+   * `rule.regex` is `true` the anchor is treated as a regular expression.
+   * @param {object} rule Defines the file (`rule.path`), the lines to insert
+   *   (`rule.content`) and where to insert them.
+   * @param {function} cb Callback to execute once the lines have been
+   *   inserted.
+   */
+  insert (rule, cb) {
+    if (!this._isValidInsert(rule)) {
+      return cb()
+    }
+
+    var positions = ['before', 'after', 'line'].filter((at) => {
+      return exists(rule[at])
+    })
+    if (positions.length === 0) {
+      this.addWarning(rule, 'Missing insert position.')
+      return cb()
+    }
+    if (positions.length > 1) {
+      this.addWarning(rule, 'Multiple insert positions given.')
+      return cb()
+    }
+
+    var at = positions[0]
+    if (at === 'line') {
+      if (!Number.isInteger(rule.line) || rule.line < 1) {
+        this.addWarning(rule, 'Invalid line number.')
+        return cb()
+      }
+      return this._insertLines(rule, { at: at, line: rule.line }, cb)
+    }
+
+    var anchor = rule[at]
+    if (!isString(anchor)) {
+      this.addWarning(rule, 'Anchor not specified as a string.')
+      return cb()
+    }
+    if (rule.regex === true) {
+      try {
+        anchor = new RegExp(anchor)
+      } catch (err) {
+        this.addWarning(rule, 'Invalid regular expression.')
+        return cb()
+      }
+    }
+    this._insertLines(rule, { at: at, anchor: anchor }, cb)
+  }
+
+  /**
+   * Applies a single operation of a json or yaml rule to a file, adding a
+   * warning if the operation is invalid or cannot be applied.
+   * @param {object} rule Json or yaml rule that gave the operation.
+   * @param {JsonFile} file File to which to apply the operation.
+   * @param {object} operation Operation to apply.
+   * @return {boolean} `true` if the operation was applied, `false` otherwise.
+   */
+  _applyJsonOperation (rule, file, operation) {
+    if (!operation || !~JsonFile.OPERATIONS.indexOf(operation.op)) {
+      this.addWarning(rule, 'Invalid operation.')
+      return false
+    }
+    if (!isString(operation.path)) {
+      this.addWarning(rule, 'Invalid operation path.')
+      return false
+    }
+    if (operation.op !== 'unset') {
+      if (operation.value === undefined) {
+        this.addWarning(rule, 'Missing operation value.')
+        return false
+      }
+      if (operation.op === 'merge' && !isObject(operation.value)) {
+        this.addWarning(rule, 'Merge value must be an object.')
+        return false
+      }
+    }
+
+    var applied
+    try {
+      applied = file[operation.op](operation.path, operation.value)
+    } catch (err) {
+      this.addWarning(rule, 'Operation would corrupt the file, skipping.')
+      return false
+    }
+    if (!applied) {
+      this.addWarning(rule, Transformer.JSON_OPERATION_WARNINGS[operation.op])
+    }
+    return applied
+  }
+
+  /**
+   * Edits the values of a structured (e.g. JSON or YAML) file, as given by the
+   * operations of a json or yaml rule (see `Transformer#json`).
+   * @param {object} rule Defines the file (`rule.path`) and the operations
+   *   (`rule.operations`) to perform.
+   * @param {function} File Class for the file, either `JsonFile` or a class
+   *   that extends it.
+   * @param {string} invalidMessage Warning for files that cannot be parsed.
+   * @param {function} cb Callback to execute once the file has been edited.
+   */
+  _editValues (rule, File, invalidMessage, cb) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
+      return cb()
+    }
+    if (!Array.isArray(rule.operations)) {
+      this.addWarning(rule, 'Operations not supplied as an array.')
+      return cb()
+    }
+    if (!this.driver.exists(rule.path)) {
+      this.addWarning(rule, 'File does not exist.')
+      return cb()
+    }
+    if (this.driver.isDirectory(rule.path)) {
+      this.addWarning(rule, 'Path is a directory.')
+      return cb()
+    }
+
+    var self = this
+    this.driver.readFile(rule.path, function (err, text) {
+      if (err) { return cb(err) }
+      var file
+      try {
+        file = new File(text)
+      } catch (err) {
+        self.addWarning(rule, invalidMessage)
+        return cb()
+      }
+
+      var applied = rule.operations.filter((operation) => {
+        return self._applyJsonOperation(rule, file, operation)
+      })
+      if (applied.length === 0) {
+        return cb()
+      }
+
+      var content = file.toString()
+      self.driver.writeFile(rule.path, content, function (err) {
+        if (err) { return cb(err) }
+        self.script.addRule(rule, content)
+        self._setResultsDiffs(cb)
+      })
+    })
+  }
+
+  /**
+   * Edit the values of a JSON file. Each operation in `rule.operations` gives
+   * the operation (`op`, one of `JsonFile.OPERATIONS`), the dotted or JSON
+   * Pointer `path` of the value and, except for `unset`, the `value` to use.
+   * The indentation and trailing newline of the file are kept as-is.
+   * @param {object} rule Defines the file (`rule.path`) and the operations
+   *   (`rule.operations`) to perform.
+   * @param {function} cb Callback to execute once the file has been edited.
+   */
+  json (rule, cb) {
+    this._editValues(rule, JsonFile, 'File is not valid JSON.', cb)
+  }
+
+  /**
+   * Edit the values of a YAML file, using the same operations as json rules
+   * (see `Transformer#json`). Comments, ordering and the formatting of values
+   * that are not changed are kept as-is. Operations that would leave the file
+   * invalid, or that cannot be made without changing other values, are
+   * skipped.
+   * @param {object} rule Defines the file (`rule.path`) and the operations
+   *   (`rule.operations`) to perform.
+   * @param {function} cb Callback to execute once the file has been edited.
+   */
+  yaml (rule, cb) {
+    this._editValues(rule, YamlFile, 'File is not valid YAML.', cb)
+  }
+
+  /**
+   * Determines the variables to set and unset for an env rule, adding warnings
+   * for invalid names and values.
+   * @param {object} rule Env rule.
+   * @return {object} The values of the variables to `set`, by name, and the
+   *   names of the variables to `unset`.
+   */
+  _getEnvVariables (rule) {
+    var variables = { set: {}, unset: [] }
+    if (exists(rule.set)) {
+      if (!isObject(rule.set)) {
+        this.addWarning(
+          rule,
+          'Variables to set not supplied as an object, omitting.'
+        )
+      } else {
+        Object.keys(rule.set).forEach((name) => {
+          if (!EnvFile.isName(name)) {
+            this.addWarning(rule, 'Invalid variable name.')
+          } else if (!EnvFile.isValue(rule.set[name])) {
+            this.addWarning(rule, 'Invalid variable value.')
+          } else {
+            variables.set[name] = rule.set[name]
+          }
+        })
+      }
+    }
+    if (exists(rule.unset)) {
+      if (!Array.isArray(rule.unset)) {
+        this.addWarning(
+          rule,
+          'Variables to unset not supplied as an array, omitting.'
+        )
+      } else {
+        rule.unset.forEach((name) => {
+          if (!EnvFile.isName(name)) {
+            this.addWarning(rule, 'Invalid variable name.')
+          } else {
+            variables.unset.push(name)
+          }
+        })
+      }
+    }
+    return variables
+  }
+
+  /**
+   * Set and remove environment variables in a dotenv file. Variables in
+   * `rule.set` replace every existing assignment of the variable, or are
+   * appended to the file. Variables in `rule.unset` have all their assignments
+   * removed. When `rule.create` is `true` a missing file is created.
+   * @param {object} rule Defines the file (`rule.path`) and the variables to
+   *   set (`rule.set`) and unset (`rule.unset`).
+   * @param {function} cb Callback to execute once the file has been edited.
+   */
+  env (rule, cb) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
+      return cb()
+    }
+    if (exists(rule.create) && !isBoolean(rule.create)) {
+      this.addWarning(rule, 'Create not supplied as a boolean, omitting.')
+    }
+    var variables = this._getEnvVariables(rule)
+    var names = Object.keys(variables.set).concat(variables.unset)
+    if (names.length === 0) {
+      this.addWarning(rule, 'No variables to set or unset.')
+      return cb()
+    }
+    if (this.driver.isDirectory(rule.path)) {
+      this.addWarning(rule, 'Path is a directory.')
+      return cb()
+    }
+    var create = !this.driver.exists(rule.path)
+    if (create && rule.create !== true) {
+      this.addWarning(rule, 'File does not exist.')
+      return cb()
+    }
+    if (create && !this.driver.exists(path.dirname(rule.path))) {
+      this.addWarning(rule, 'Parent directory does not exist.')
+      return cb()
+    }
+
+    var self = this
+    var readFile = function (readCallback) {
+      if (create) { return readCallback(null, '') }
+      self.driver.readFile(rule.path, readCallback)
+    }
+    readFile(function (err, text) {
+      if (err) { return cb(err) }
+      var file = new EnvFile(text)
+      names.forEach((name) => {
+        if (file.find(name).length > 1) {
+          self.addWarning(rule, 'Duplicate variable.')
+        }
+      })
+      Object.keys(variables.set).forEach((name) => {
+        file.set(name, variables.set[name])
+      })
+      variables.unset.forEach((name) => {
+        if (file.unset(name) === 0) {
+          self.addWarning(rule, 'Variable to unset does not exist.')
+        }
+      })
+
+      var content = file.toString()
+      if (!create && content === text) {
+        return cb()
+      }
+      self.driver.writeFile(rule.path, content, function (err) {
+        if (err) { return cb(err) }
+        if (create) {
+          self.addNameChange(null, rule.path)
+        }
+        self.script.addRule(rule)
+        self._setResultsDiffs(cb)
+      })
+    })
+  }
+
+  /**
+   * Set or remove a key in an INI style file (e.g. `.ini`, `.cfg` or java
+   * `.properties` files). Every entry for the key in the section is updated
+   * or removed, and new keys are added after the last entry of the section.
+   * Comments and the spacing around separators are kept as-is.
+   * @param {object} rule Defines the file (`rule.path`), the `rule.section`
+   *   (omit for keys before the first section), the `rule.key` and either
+   *   the `rule.value` to set or `rule.unset` to remove the key. Set
+   *   `rule.create` to add the section if it does not exist.
+   * @param {function} cb Callback to execute once the file has been edited.
+   */
+  ini (rule, cb) {
+    if (!isString(rule.path)) {
+      this.addWarning(rule, 'Missing path.')
+      return cb()
+    }
+    if (exists(rule.section) && !IniFile.isSection(rule.section)) {
+      this.addWarning(rule, 'Invalid section.')
+      return cb()
+    }
+    if (!isString(rule.key)) {
+      this.addWarning(rule, 'Missing key.')
+      return cb()
+    }
+    if (!IniFile.isKey(rule.key)) {
+      this.addWarning(rule, 'Invalid key.')
+      return cb()
+    }
+    if (exists(rule.unset) && !isBoolean(rule.unset)) {
+      this.addWarning(rule, 'Unset not supplied as a boolean, omitting.')
+    }
+    if (exists(rule.create) && !isBoolean(rule.create)) {
+      this.addWarning(rule, 'Create not supplied as a boolean, omitting.')
+    }
+    var unset = rule.unset === true
+    if (!unset && !exists(rule.value)) {
+      this.addWarning(rule, 'Missing value.')
+      return cb()
+    }
+    if (!unset && !IniFile.isValue(rule.value)) {
+      this.addWarning(rule, 'Invalid value.')
+      return cb()
+    }
+    if (!this.driver.exists(rule.path)) {
+      this.addWarning(rule, 'File does not exist.')
+      return cb()
+    }
+    if (this.driver.isDirectory(rule.path)) {
+      this.addWarning(rule, 'Path is a directory.')
+      return cb()
+    }
+
+    var self = this
+    this.driver.readFile(rule.path, function (err, text) {
+      if (err) { return cb(err) }
+      var file = new IniFile(text)
+      if (!file.hasSection(rule.section) && (unset || rule.create !== true)) {
+        self.addWarning(rule, 'Section does not exist.')
+        return cb()
+      }
+
+      var count = unset
+        ? file.unset(rule.section, rule.key)
+        : file.set(rule.section, rule.key, rule.value)
+      if (count > 1) {
+        self.addWarning(rule, 'Duplicate key.')
+      }
+      if (unset && count === 0) {
+        self.addWarning(rule, 'Key to unset does not exist.')
+      }
+
+      var content = file.toString()
+      if (content === text) {
+        return cb()
+      }
+      self.driver.writeFile(rule.path, content, function (err) {
+        if (err) { return cb(err) }
+        self.script.addRule(rule, content)
+        self._setResultsDiffs(cb)
+      })
+    })
+  }
+
+  /**
+   * Filters a rule's list of glob patterns, adding a warning for each pattern
+   * that is not a string.
+   * @param {object} rule Rule that provided the patterns.
+   * @param {array} patterns List of patterns to filter.
+   * @param {string} message Warning message for non-string patterns.
+   * @return {array} The string patterns from the list.
+   */
+  _filterPatterns (rule, patterns, message) {
+    return patterns.filter((pattern) => {
+      if (!isString(pattern)) {
+        this.addWarning(rule, message)
+        return false
+      }
+      return true
+    })
+  }
+
+  /**
+   * Adds warnings for replace rules with searches that did not match anything
+   * or with excludes that were never used.
+   * @param {object} rule Replace rule that performed the search.
+   * @param {array} exclude Exclude patterns given by the rule.
+   * @param {object} report Report from the `Replacer` for the search.
+   */
+  _checkSearchResults (rule, exclude, report) {
+    var sum = function (counts) {
+      return Object.keys(counts).reduce(function (total, filename) {
+        return total + counts[filename]
+      }, 0)
+    }
+
+    if (sum(report.matches) === 0) {
+      if (report.excluded.length === 0) {
+        this.addWarning(rule, 'Search did not return any results.')
+      } else {
+        this.addWarning(rule, 'All results were excluded.')
+      }
+    }
+
+    exclude.forEach((pattern) => {
+      if (!~report.usedExcludes.indexOf(pattern)) {
+        this.addWarning(rule, 'Unused exclude.')
+      }
+    })
+  }
+
+  /**
+   * Determines the excludes and search options for rules that search files
+   * (see `Transformer#replace`), adding warnings for invalid options.
+   * @param {object} rule Rule that defines the search.
+   * @return {?object} The string `exclude` patterns given by the rule and the
+   *   `options` for the search, or `null` if the search is invalid.
+   */
+  _getSearchOptions (rule) {
+    var exclude = []
+    if (Array.isArray(rule.exclude)) {
+      exclude = this._filterPatterns(
+        rule,
+        rule.exclude,
+        'Non-string exclude pattern encountered.'
+      )
+    } else if (exists(rule.exclude)) {
+      this.addWarning(rule, 'Excludes not supplied as an array, omitting.')
+    }
+
+    var include = []
+    if (exists(rule.include)) {
+      if (Array.isArray(rule.include)) {
+        include = this._filterPatterns(
+          rule,
+          rule.include,
+          'Non-string include pattern encountered.'
+        )
+      } else {
+        this.addWarning(rule, 'Includes not supplied as an array, omitting.')
+      }
+    }
+
+    var options = {
+      regex: rule.regex === true,
+      flags: '',
+      ignoreCase: rule.ignoreCase === true,
+      wholeWord: rule.wholeWord === true,
+      include: include,
+      isBinary: this.driver.isBinary,
+      findMatches: this.driver.findMatches
+    }
+    if (options.regex && exists(rule.flags)) {
+      if (isString(rule.flags)) {
+        options.flags = rule.flags
+      } else {
+        this.addWarning(rule, 'Regex flags not supplied as a string, omitting.')
+      }
+    }
+    if (exists(rule.ignoreCase) && !isBoolean(rule.ignoreCase)) {
+      this.addWarning(rule, 'Ignore case not supplied as a boolean, omitting.')
+    }
+    if (exists(rule.wholeWord) && !isBoolean(rule.wholeWord)) {
+      this.addWarning(rule, 'Whole word not supplied as a boolean, omitting.')
+    }
+
+    if (options.regex) {
+      try {
+        Replacer.createSearch(rule.search, options)
+      } catch (err) {
+        this.addWarning(rule, 'Invalid regular expression.')
+        return null
+      }
+    }
+
+    return { exclude: exclude, options: options }
+  }
+
+  /**
+   * Text search and replace for many files. When `rule.regex` is `true` the
+   * search is treated as a regular expression (with optional `rule.flags`) and
+   * `$1`-style references in the replacement are replaced with the matching
+   * capture groups. Setting `rule.ignoreCase` matches regardless of case and
+   * setting `rule.wholeWord` only matches the search as a whole word. The files
+   * searched can be limited with a list of glob patterns in `rule.include`, and
+   * files can be excluded with a list of glob patterns in `rule.exclude`.
+   * @param {object} rule Rules that define what to search for, replace, and
+   *   exclude from the search.
+   * @param {function} cb Callback to execute once the search and replace has
+   *   been performed.
+   */
+  replace (rule, cb) {
+    var self = this
+
+    var search = rule.search
+    if (!isString(search)) {
+      this.addWarning(rule, 'Search pattern not specified.')
+      return cb()
+    }
+
+    var replace = rule.replace
+    if (!isString(replace)) {
+      this.addWarning(rule, 'Replacement not specified.')
+      return cb()
+    }
+
+    if (!exists(rule.exclude)) {
+      this.addWarning(rule, 'Excludes not supplied as an array, omitting.')
+    }
+
+    var searchOptions = this._getSearchOptions(rule)
+    if (!searchOptions) {
+      return cb()
+    }
+    var exclude = searchOptions.exclude
+
+    Replacer
+      .findAndReplace(
+        this.driver.workingPath,
+        this.driver.resultsPath,
+        this._globalExcludes.concat(exclude),
+        rule.search,
+        rule.replace,
+        searchOptions.options
+      )
+      .then(function (report) {
+        // Report the files that were searched and warn about stale rules
+        self.setSearchResults(report)
+        self._checkSearchResults(rule, exclude, report)
+
+        // Add the rule to the script
+        self.script.addRule(rule)
+
+        // Set the diffs for each file
+        self._addChangedFiles(report)
+        self._setResultsDiffs(cb)
+      })
+      .catch(cb)
+  }
+
+  /**
+   * Deletes every line that matches a search from many files. The search, and
+   * the files searched, are given in the same way as for `Transformer#replace`.
+   * @param {object} rule Rule that defines what to search for, and the files
+   *   to include in or exclude from the search.
+   * @param {function} cb Callback to execute once the lines have been deleted.
+   */
+  deleteLines (rule, cb) {
+    var self = this
+
+    if (!isString(rule.search)) {
+      this.addWarning(rule, 'Search pattern not specified.')
+      return cb()
+    }
+
+    var searchOptions = this._getSearchOptions(rule)
+    if (!searchOptions) {
+      return cb()
+    }
+    var exclude = searchOptions.exclude
+
+    Replacer
+      .findAndDeleteLines(
+        this.driver.workingPath,
+        this.driver.resultsPath,
+        this._globalExcludes.concat(exclude),
+        rule.search,
+        searchOptions.options
+      )
+      .then(function (report) {
+        self.setSearchResults(report)
+        self._checkSearchResults(rule, exclude, report)
+        self.script.addRule(rule)
+        self._addChangedFiles(report)
+        self._setResultsDiffs(cb)
+      })
+      .catch(cb)
+  }
+
+  /**
+   * Global exclude rule. Causes given files to be ignored by all subsequent
+   * rules.
+   * @param {object} rule Rule that provides a list of glob patterns for the
+   *   files to exclude.
+   * @param {function} cb Callback to execute once the exclude rules have been
+   *   applied.
+   */
+  exclude (rule, cb) {
+    if (!Array.isArray(rule.files)) {
+      this.addWarning(rule, 'Exclude files not specified as an array.')
+      return cb()
+    }
+
+    var self = this
+    rule.files.forEach(function (pattern) {
+      if (!isString(pattern)) {
+        self.addWarning(rule, 'Non-string exclude filename encountered.')
         return
       }
-      var absoluteName = self.driver.absoluteWorkingPath(name)
-      if (!~self._globalExcludes.indexOf(absoluteName)) {
-        self._globalExcludes.push(absoluteName)
+      if (!~self._globalExcludes.indexOf(pattern)) {
+        self._globalExcludes.push(pattern)
       }
     })
 
@@ -427,6 +1965,250 @@ class Transformer {
  */
 Transformer.ORIGINAL_POSTFIX = '.fs-transform.original'
 
+/**
+ * Filesystem drivers that can be selected with the `driver` option:
+ * - `shell` - Runs commands such as `cp`, `mv` and `diff` (default)
+ * - `node` - Only uses the `fs` module, for systems without those commands
+ * @type {object}
+ */
+Transformer.DRIVERS = {
+  shell: FsDriver,
+  node: NodeFsDriver
+}
+
+/**
+ * Policies for handling existing files when performing write rules:
+ * - `replace` - Overwrite the file with a warning (default)
+ * - `skip` - Leave the file as-is with a warning
+ * - `error` - Stop the transformation with an error
+ * @type {array}
+ */
+Transformer.OVERWRITE_POLICIES = ['replace', 'skip', 'error']
+
+/**
+ * Policies for handling existing destinations when performing copy and rename
+ * rules:
+ * - `merge` - Merge directories into existing directories, overwriting the
+ *   files they share with a warning for each (default)
+ * - `replace` - Remove the existing destination first, with a warning for each
+ *   file that is overwritten or removed
+ * - `error` - Stop the transformation with an error
+ * @type {array}
+ */
+Transformer.CONFLICT_POLICIES = ['merge', 'replace', 'error']
+
+/**
+ * Matches octal modes for chmod rules.
+ * @type {RegExp}
+ */
+Transformer.OCTAL_MODE = /^[0-7]{3,4}$/
+
+/**
+ * Matches symbolic modes for chmod rules (e.g. `'u+x'` or `'go-w,a+r'`).
+ * @type {RegExp}
+ */
+Transformer.SYMBOLIC_MODE =
+  /^[ugoa]*([-+=]([rwxXst]*|[ugo]))+(,[ugoa]*([-+=]([rwxXst]*|[ugo]))+)*$/
+
+/**
+ * Warnings for json and yaml rule operations that could not be applied to the
+ * file, by operation.
+ * @type {object}
+ */
+Transformer.JSON_OPERATION_WARNINGS = {
+  set: 'Path is not within an object or array.',
+  unset: 'Path to unset does not exist.',
+  merge: 'Path is not an object.',
+  push: 'Path is not an array.'
+}
+
+/**
+ * JSON Schema that every rule must match, regardless of its action.
+ * @type {object}
+ */
+Transformer.RULE_SCHEMA = {
+  type: 'object',
+  required: ['action'],
+  properties: {
+    action: { type: 'string' }
+  }
+}
+
+/**
+ * Creates the JSON Schema for rules of an action. Rules may only have the
+ * given properties (and `action`).
+ * @param {string} action Name of the action.
+ * @param {object} properties Schemas of the properties of the rule.
+ * @param {object} [keywords] Additional keywords for the schema (e.g.
+ *   `required`).
+ * @return {object} The schema for the action.
+ */
+function ruleSchema (action, properties, keywords) {
+  var schema = {
+    type: 'object',
+    properties: Object.assign({ action: { enum: [action] } }, properties),
+    additionalProperties: false
+  }
+  return Object.assign(schema, keywords)
+}
+
+/**
+ * Schemas for the properties shared by many actions.
+ * @type {object}
+ */
+const STRING = { type: 'string' }
+const BOOLEAN = { type: 'boolean' }
+const STRINGS = { type: 'array', items: STRING }
+const SCALAR = { type: ['string', 'number', 'boolean'] }
+
+/**
+ * Schemas for the properties of rules that search files (see
+ * `Transformer#_getSearchOptions`).
+ * @type {object}
+ */
+const SEARCH = {
+  search: STRING,
+  regex: BOOLEAN,
+  flags: STRING,
+  ignoreCase: BOOLEAN,
+  wholeWord: BOOLEAN,
+  include: STRINGS,
+  exclude: STRINGS
+}
+
+/**
+ * Schemas for the properties of copy and rename rules.
+ * @type {object}
+ */
+const TRANSFER = {
+  source: STRING,
+  dest: STRING,
+  conflict: { enum: Transformer.CONFLICT_POLICIES },
+  createParents: BOOLEAN
+}
+
+/**
+ * Schemas for the properties of json and yaml rules.
+ * @type {object}
+ */
+const VALUES = {
+  path: STRING,
+  operations: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['op', 'path'],
+      properties: {
+        op: { enum: JsonFile.OPERATIONS },
+        path: STRING,
+        value: {}
+      },
+      additionalProperties: false
+    }
+  }
+}
+
+/**
+ * JSON Schemas for the rules of each built-in action, by action. Rules are
+ * validated against the schema for their action before any rule is applied
+ * (see `Transformer#validate`).
+ * @type {object}
+ */
+Transformer.SCHEMAS = {
+  copy: ruleSchema('copy', TRANSFER, { required: ['source', 'dest'] }),
+  rename: ruleSchema('rename', TRANSFER, { required: ['source', 'dest'] }),
+  replace: ruleSchema('replace', Object.assign({ replace: STRING }, SEARCH), {
+    required: ['search', 'replace']
+  }),
+  exclude: ruleSchema('exclude', { files: STRINGS }, { required: ['files'] }),
+  delete: ruleSchema('delete', {
+    path: STRING,
+    paths: STRINGS,
+    recursive: BOOLEAN
+  }, {
+    anyOf: [{ required: ['path'] }, { required: ['paths'] }]
+  }),
+  mkdir: ruleSchema('mkdir', {
+    path: STRING,
+    parents: BOOLEAN
+  }, {
+    required: ['path']
+  }),
+  write: ruleSchema('write', {
+    path: STRING,
+    content: STRING,
+    overwrite: { enum: Transformer.OVERWRITE_POLICIES }
+  }, {
+    required: ['path', 'content']
+  }),
+  append: ruleSchema('append', {
+    path: STRING,
+    content: STRING
+  }, {
+    required: ['path', 'content']
+  }),
+  prepend: ruleSchema('prepend', {
+    path: STRING,
+    content: STRING
+  }, {
+    required: ['path', 'content']
+  }),
+  insert: ruleSchema('insert', {
+    path: STRING,
+    content: STRING,
+    before: STRING,
+    after: STRING,
+    line: { type: 'integer', minimum: 1 },
+    regex: BOOLEAN
+  }, {
+    required: ['path', 'content'],
+    oneOf: [
+      { required: ['before'] },
+      { required: ['after'] },
+      { required: ['line'] }
+    ]
+  }),
+  deleteLines: ruleSchema('deleteLines', SEARCH, { required: ['search'] }),
+  json: ruleSchema('json', VALUES, { required: ['path', 'operations'] }),
+  yaml: ruleSchema('yaml', VALUES, { required: ['path', 'operations'] }),
+  env: ruleSchema('env', {
+    path: STRING,
+    set: { type: 'object', additionalProperties: SCALAR },
+    unset: STRINGS,
+    create: BOOLEAN
+  }, {
+    required: ['path'],
+    anyOf: [{ required: ['set'] }, { required: ['unset'] }]
+  }),
+  ini: ruleSchema('ini', {
+    path: STRING,
+    section: STRING,
+    key: STRING,
+    value: SCALAR,
+    unset: BOOLEAN,
+    create: BOOLEAN
+  }, {
+    required: ['path', 'key'],
+    anyOf: [
+      { required: ['value'] },
+      { required: ['unset'], properties: { unset: { enum: [true] } } }
+    ]
+  }),
+  chmod: ruleSchema('chmod', {
+    path: STRING,
+    mode: { type: ['string', 'integer'] }
+  }, {
+    required: ['path', 'mode']
+  }),
+  symlink: ruleSchema('symlink', {
+    target: STRING,
+    link: STRING,
+    relative: BOOLEAN
+  }, {
+    required: ['target', 'link']
+  })
+}
+
 /**
  * @module fs-transform:Transformer
  * @author Ryan Sandor Richards
@@ -0,0 +1,512 @@
+'use strict'
+
+var fs = require('fs')
+
+/**
+ * Number of bytes at the start of a file that are checked for null bytes to
+ * determine if the file is binary, as `diff` does.
+ * @type {number}
+ */
+const SNIFF_BYTES = 8192
+
+/**
+ * Recursive unified diffs between two directories, computed in-process. The
+ * output has the same form as `diff -u -r a b`, or `diff -u -r -N a b` when
+ * diffing new files, so it can be used in place of the output of the command:
+ * - Files that only exist in one directory are listed as `Only in dir: name`,
+ *   or compared to an empty file when diffing new files
+ * - Files with null bytes are reported as `Binary files a and b differ`
+ * - Symbolic links are followed
+ *
+ * Content is compared byte for byte, and lines are matched using Myers'
+ * O(ND) difference algorithm in linear space.
+ *
+ * @example
+ * UnifiedDiff.directories('/tmp/before', '/tmp/after')
+ * // 'diff -u -r /tmp/before/A /tmp/after/A\n--- /tmp/before/A ...'
+ *
+ * @class
+ */
+class UnifiedDiff {
+  /**
+   * Diffs two files or directories, as `diff -u -r a b` does. Files that
+   * are given directly are diffed without the `diff` line naming them, since
+   * `diff` only names the files it compares when comparing directories.
+   * @param {string} a Path of the original file or directory.
+   * @param {string} b Path of the changed file or directory.
+   * @param {boolean} [newFiles] Whether files that only exist in one directory
+   *   are compared to an empty file, as `diff -N` does.
+   * @return {string} The diff for every file that differs, in sorted order.
+   */
+  static paths (a, b, newFiles) {
+    return UnifiedDiff.entry(a, b, false, newFiles)
+  }
+
+  /**
+   * Diffs two directories recursively.
+   * @param {string} a Path of the original directory.
+   * @param {string} b Path of the changed directory.
+   * @param {boolean} [newFiles] Whether files that only exist in one directory
+   *   are compared to an empty file, rather than listed.
+   * @return {string} The diff for every file that differs, in sorted order.
+   */
+  static directories (a, b, newFiles) {
+    var namesA = UnifiedDiff.readdir(a)
+    var namesB = UnifiedDiff.readdir(b)
+    var names = namesA.concat(namesB.filter((name) => !~namesA.indexOf(name)))
+    return names.sort().map((name) => {
+      if (!newFiles && !~namesB.indexOf(name)) {
+        return 'Only in ' + a + ': ' + name + '\n'
+      }
+      if (!newFiles && !~namesA.indexOf(name)) {
+        return 'Only in ' + b + ': ' + name + '\n'
+      }
+      return UnifiedDiff.entry(a + '/' + name, b + '/' + name, true, newFiles)
+    }).join('')
+  }
+
+  /**
+   * Diffs two files or directories by type: directories (or a directory and a
+   * path that does not exist) are diffed recursively, and files are diffed by
+   * content.
+   * @param {string} a Path of the original file or directory.
+   * @param {string} b Path of the changed file or directory.
+   * @param {boolean} nested Whether the paths are in directories that are
+   *   being compared, in which case diffs of files name the files.
+   * @param {boolean} [newFiles] Whether files that only exist in one directory
+   *   are compared to an empty file, rather than listed.
+   * @return {string} The diff of the paths.
+   */
+  static entry (a, b, nested, newFiles) {
+    var statA = UnifiedDiff.stat(a)
+    var statB = UnifiedDiff.stat(b)
+    if (statA === false || statB === false) {
+      return ''
+    }
+    var directoryA = statA && statA.isDirectory()
+    var directoryB = statB && statB.isDirectory()
+    if ((directoryA || !statA) && (directoryB || !statB)) {
+      return UnifiedDiff.directories(a, b, newFiles)
+    }
+    if (directoryA || directoryB) {
+      return 'File ' + a + ' is a ' + UnifiedDiff.describe(statA) +
+        ' while file ' + b + ' is a ' + UnifiedDiff.describe(statB) + '\n'
+    }
+    var diff = UnifiedDiff.files(a, statA, b, statB, newFiles)
+    return nested ? diff : diff.replace(/^diff .*\n/, '')
+  }
+
+  /**
+   * Diffs two files.
+   * @param {string} a Path of the original file.
+   * @param {?fs.Stats} statA Stats for the original file, or `null` if it
+   *   does not exist.
+   * @param {string} b Path of the changed file.
+   * @param {?fs.Stats} statB Stats for the changed file, or `null` if it does
+   *   not exist.
+   * @param {boolean} [newFiles] Whether new files are being diffed, which is
+   *   named in the `diff` line of the diff.
+   * @return {string} The diff for the files, or an empty string if they have
+   *   the same content.
+   */
+  static files (a, statA, b, statB, newFiles) {
+    var contentA = statA ? fs.readFileSync(a) : Buffer.alloc(0)
+    var contentB = statB ? fs.readFileSync(b) : Buffer.alloc(0)
+    if (contentA.equals(contentB)) {
+      return ''
+    }
+    if (UnifiedDiff.isBinary(contentA) || UnifiedDiff.isBinary(contentB)) {
+      return 'Binary files ' + a + ' and ' + b + ' differ\n'
+    }
+    var header = [
+      (newFiles ? 'diff -u -r -N ' : 'diff -u -r ') + a + ' ' + b,
+      '--- ' + a + '\t' + UnifiedDiff.timestamp(statA),
+      '+++ ' + b + '\t' + UnifiedDiff.timestamp(statB)
+    ].join('\n') + '\n'
+    // Lines are compared as bytes (`'binary'`, which Node 6.4 and later also
+    // call `'latin1'`), and decoded once diffed
+    var hunks = UnifiedDiff.hunks(
+      UnifiedDiff.split(contentA.toString('binary')),
+      UnifiedDiff.split(contentB.toString('binary'))
+    )
+    return header + Buffer.from(hunks, 'binary').toString('utf8')
+  }
+
+  /**
+   * Lists the names in a directory.
+   * @param {string} dir Path of the directory.
+   * @return {array} The names in the directory, or an empty list if it does
+   *   not exist.
+   */
+  static readdir (dir) {
+    try {
+      return fs.readdirSync(dir)
+    } catch (err) {
+      return []
+    }
+  }
+
+  /**
+   * Determines the stats of a file, following symbolic links.
+   * @param {string} file Path of the file.
+   * @return {?fs.Stats|boolean} The stats of the file, `null` if it does not
+   *   exist, or `false` if it is a broken symbolic link (which `diff` reports
+   *   as an error and skips).
+   */
+  static stat (file) {
+    try {
+      return fs.statSync(file)
+    } catch (err) {
+      try {
+        fs.lstatSync(file)
+        return false
+      } catch (err) {
+        return null
+      }
+    }
+  }
+
+  /**
+   * Describes the type of a file, for files that cannot be compared.
+   * @param {fs.Stats} stat Stats of the file.
+   * @return {string} The type of the file.
+   */
+  static describe (stat) {
+    if (stat.isDirectory()) {
+      return 'directory'
+    }
+    return stat.size === 0 ? 'regular empty file' : 'regular file'
+  }
+
+  /**
+   * Determines if the content of a file is binary (i.e. has a null byte near
+   * the start of the file).
+   * @param {Buffer} content Content of the file.
+   * @return {boolean} `true` if the content is binary, `false` otherwise.
+   */
+  static isBinary (content) {
+    return !!~content.slice(0, SNIFF_BYTES).indexOf(0)
+  }
+
+  /**
+   * Formats the modification time of a file for the header of a diff.
+   * @param {?fs.Stats} stat Stats of the file, or `null` if it does not exist
+   *   (which is given the epoch).
+   * @return {string} The local time of the modification (e.g.
+   *   `'2016-02-24 11:04:01.525000000 -0800'`).
+   */
+  static timestamp (stat) {
+    var time = stat ? stat.mtime : new Date(0)
+    var pad = (n, width) => ('000' + n).slice(-(width || 2))
+    var offset = -time.getTimezoneOffset()
+    return [
+      time.getFullYear() + '-' + pad(time.getMonth() + 1) + '-' +
+        pad(time.getDate()),
+      pad(time.getHours()) + ':' + pad(time.getMinutes()) + ':' +
+        pad(time.getSeconds()) + '.' + pad(time.getMilliseconds(), 3) +
+        '000000',
+      (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) +
+        pad(Math.abs(offset) % 60)
+    ].join(' ')
+  }
+
+  /**
+   * Splits text into lines, keeping the newline that ends each line so a
+   * missing newline at the end of the text is a difference.
+   * @param {string} text Text to split.
+   * @return {array} The lines of the text.
+   */
+  static split (text) {
+    var lines = text.split('\n')
+    var last = lines.pop()
+    lines = lines.map((line) => line + '\n')
+    if (last !== '') {
+      lines.push(last)
+    }
+    return lines
+  }
+
+  /**
+   * Finds the lines that differ between two lists of lines, using the linear
+   * space variant of Myers' algorithm.
+   * @param {array} a Original lines.
+   * @param {array} b Changed lines.
+   * @return {array} The changes, each with the range of the lines removed
+   *   from `a` (`a0` to `a1`, exclusive) and the range of the lines added
+   *   from `b` (`b0` to `b1`, exclusive), in order.
+   */
+  static compare (a, b) {
+    // Compare numbers rather than strings
+    var ids = new Map()
+    var id = (line) => {
+      if (!ids.has(line)) {
+        ids.set(line, ids.size)
+      }
+      return ids.get(line)
+    }
+    a = a.map(id)
+    b = b.map(id)
+
+    var removed = a.map(() => false)
+    var added = b.map(() => false)
+    UnifiedDiff._bisect(a, 0, a.length, b, 0, b.length, removed, added)
+    UnifiedDiff._shift(a, removed, added)
+    UnifiedDiff._shift(b, added, removed)
+
+    var changes = []
+    var i = 0
+    var j = 0
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && !removed[i] && !added[j]) {
+        i++
+        j++
+        continue
+      }
+      var change = { a0: i, b0: j }
+      while (i < a.length && removed[i]) { i++ }
+      while (j < b.length && added[j]) { j++ }
+      change.a1 = i
+      change.b1 = j
+      changes.push(change)
+    }
+    return changes
+  }
+
+  /**
+   * Marks the lines removed from `a` and added from `b` for the given ranges
+   * of the lists, by recursively splitting the ranges at the middle of an
+   * optimal path through the edit graph.
+   * @param {array} a Original lines.
+   * @param {number} aLow Start of the range of `a`.
+   * @param {number} aHigh End of the range of `a` (exclusive).
+   * @param {array} b Changed lines.
+   * @param {number} bLow Start of the range of `b`.
+   * @param {number} bHigh End of the range of `b` (exclusive).
+   * @param {array} removed Whether each line of `a` was removed.
+   * @param {array} added Whether each line of `b` was added.
+   */
+  static _bisect (a, aLow, aHigh, b, bLow, bHigh, removed, added) {
+    while (aLow < aHigh && bLow < bHigh && a[aLow] === b[bLow]) {
+      aLow++
+      bLow++
+    }
+    while (aLow < aHigh && bLow < bHigh && a[aHigh - 1] === b[bHigh - 1]) {
+      aHigh--
+      bHigh--
+    }
+    if (aLow === aHigh || bLow === bHigh) {
+      for (let i = aLow; i < aHigh; i++) { removed[i] = true }
+      for (let j = bLow; j < bHigh; j++) { added[j] = true }
+      return
+    }
+
+    var n = aHigh - aLow
+    var m = bHigh - bLow
+    var delta = n - m
+    var max = Math.ceil((n + m) / 2)
+    var offset = max + 1
+    var forward = new Array(2 * max + 3).fill(0)
+    var backward = new Array(2 * max + 3).fill(0)
+    forward[offset + 1] = 0
+    backward[offset + 1] = 0
+
+    // The paths always meet within `max` differences
+    for (let d = 0; ; d++) {
+      for (let k = d; k >= -d; k -= 2) {
+        let x = (k === -d || (k !== d &&
+          forward[offset + k - 1] < forward[offset + k + 1]))
+          ? forward[offset + k + 1]
+          : forward[offset + k - 1] + 1
+        let y = x - k
+        while (x < n && y < m && a[aLow + x] === b[bLow + y]) {
+          x++
+          y++
+        }
+        forward[offset + k] = x
+        let reverse = delta - k
+        if (delta % 2 !== 0 && reverse >= -(d - 1) && reverse <= d - 1 &&
+            x + backward[offset + reverse] >= n) {
+          return UnifiedDiff._split(
+            a, aLow, aHigh, b, bLow, bHigh, aLow + x, bLow + y, removed, added
+          )
+        }
+      }
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d &&
+          backward[offset + k - 1] < backward[offset + k + 1]))
+          ? backward[offset + k + 1]
+          : backward[offset + k - 1] + 1
+        let y = x - k
+        while (x < n && y < m &&
+            a[aHigh - 1 - x] === b[bHigh - 1 - y]) {
+          x++
+          y++
+        }
+        backward[offset + k] = x
+        let ahead = delta - k
+        if (delta % 2 === 0 && ahead >= -d && ahead <= d &&
+            x + forward[offset + ahead] >= n) {
+          return UnifiedDiff._split(
+            a, aLow, aHigh, b, bLow, bHigh, aHigh - x, bHigh - y, removed, added
+          )
+        }
+      }
+    }
+  }
+
+  /**
+   * Bisects both halves of the given ranges, split at a point on an optimal
+   * path (see `UnifiedDiff._bisect`).
+   * @param {array} a Original lines.
+   * @param {number} aLow Start of the range of `a`.
+   * @param {number} aHigh End of the range of `a` (exclusive).
+   * @param {array} b Changed lines.
+   * @param {number} bLow Start of the range of `b`.
+   * @param {number} bHigh End of the range of `b` (exclusive).
+   * @param {number} x Index at which to split `a`.
+   * @param {number} y Index at which to split `b`.
+   * @param {array} removed Whether each line of `a` was removed.
+   * @param {array} added Whether each line of `b` was added.
+   */
+  static _split (a, aLow, aHigh, b, bLow, bHigh, x, y, removed, added) {
+    UnifiedDiff._bisect(a, aLow, x, b, bLow, y, removed, added)
+    UnifiedDiff._bisect(a, x, aHigh, b, y, bHigh, removed, added)
+  }
+
+  /**
+   * Slides each run of changed lines in one list as far down as the lines
+   * allow, merging it with neighbouring runs, and then back up to line up
+   * with a run of changes in the other list, as `diff` does, so that lines
+   * that can be matched in more than one way are usually matched the same
+   * way as by `diff`.
+   * @param {array} lines Lines of the list.
+   * @param {array} changed Whether each line of the list was changed.
+   * @param {array} other Whether each line of the other list was changed.
+   */
+  static _shift (lines, changed, other) {
+    var end = lines.length
+    var i = 0
+    var j = 0
+    for (;;) {
+      // Find the start of the next run, and the matching point in the other
+      while (i < end && !changed[i]) {
+        while (other[j]) { j++ }
+        j++
+        i++
+      }
+      if (i === end) {
+        return
+      }
+      var start = i
+      i++
+      while (changed[i]) { i++ }
+      while (other[j]) { j++ }
+
+      var length
+      var corresponding
+      do {
+        length = i - start
+        // Move the run up while the line before it matches its last line
+        while (start && lines[start - 1] === lines[i - 1]) {
+          changed[--start] = true
+          changed[--i] = false
+          while (changed[start - 1]) { start-- }
+          j--
+          while (other[j]) { j-- }
+        }
+        // Then down while its first line matches the line after it
+        corresponding = other[j - 1] ? i : end
+        while (i !== end && lines[start] === lines[i]) {
+          changed[start++] = false
+          changed[i++] = true
+          while (changed[i]) { i++ }
+          j++
+          while (other[j]) {
+            corresponding = i
+            j++
+          }
+        }
+      } while (length !== i - start)
+
+      // Line the run up with a run of changes in the other list if possible
+      while (corresponding < i) {
+        changed[--start] = true
+        changed[--i] = false
+        j--
+      }
+    }
+  }
+
+  /**
+   * Formats the changes between two lists of lines as unified diff hunks.
+   * Changes separated by no more than twice the number of context lines are
+   * given in the same hunk.
+   * @param {array} a Original lines (see `UnifiedDiff.split`).
+   * @param {array} b Changed lines.
+   * @param {number} [context] Number of unchanged lines to give around each
+   *   change (defaults to 3).
+   * @return {string} The hunks.
+   */
+  static hunks (a, b, context) {
+    if (context === undefined) {
+      context = 3
+    }
+    var groups = []
+    UnifiedDiff.compare(a, b).forEach((change) => {
+      var group = groups[groups.length - 1]
+      if (group && change.a0 - group[group.length - 1].a1 <= 2 * context) {
+        group.push(change)
+      } else {
+        groups.push([change])
+      }
+    })
+
+    var output = []
+    var line = (prefix, text) => {
+      output.push(prefix + text.replace(/\n$/, ''))
+      if (!/\n$/.test(text)) {
+        output.push('\\ No newline at end of file')
+      }
+    }
+    groups.forEach((group) => {
+      var first = group[0]
+      var last = group[group.length - 1]
+      var before = Math.min(context, first.a0)
+      var after = Math.min(context, a.length - last.a1)
+      var aStart = first.a0 - before
+      var bStart = first.b0 - before
+      output.push(
+        '@@ -' + UnifiedDiff.range(aStart, last.a1 + after - aStart) +
+        ' +' + UnifiedDiff.range(bStart, last.b1 + after - bStart) + ' @@'
+      )
+      var i = aStart
+      group.forEach((change) => {
+        for (; i < change.a0; i++) { line(' ', a[i]) }
+        for (; i < change.a1; i++) { line('-', a[i]) }
+        for (let j = change.b0; j < change.b1; j++) { line('+', b[j]) }
+      })
+      for (; i < last.a1 + after; i++) { line(' ', a[i]) }
+    })
+    return output.join('\n') + '\n'
+  }
+
+  /**
+   * Formats the range of lines of a hunk.
+   * @param {number} start Index of the first line.
+   * @param {number} length Number of lines.
+   * @return {string} The line number of the first line and the number of
+   *   lines (omitted for one line). Empty ranges give the line before them.
+   */
+  static range (start, length) {
+    if (length === 1) {
+      return String(start + 1)
+    }
+    return (length === 0 ? start : start + 1) + ',' + length
+  }
+}
+
+/**
+ * In-process unified diffs.
+ * @module fs-transform:unified-diff
+ */
+module.exports = UnifiedDiff
@@ -11,9 +11,14 @@ module.exports = class Warning {
    * and contains the given message.
    * @param {object} rule Rule that generated the warning.
    * @param {string} message Message for the warning.
+   * @param {string} [path] Path of the file the warning concerns, for rules
+   *   that affect many files.
    */
-  constructor (rule, message) {
+  constructor (rule, message, path) {
     this.rule = rule
     this.message = message
+    if (path !== undefined) {
+      this.path = path
+    }
   }
 }
@@ -0,0 +1,486 @@
+'use strict'
+
+var exists = require('101/exists')
+var isObject = require('101/is-object')
+var yaml = require('js-yaml')
+var JsonFile = require('./json-file')
+var TextFile = require('./text-file')
+
+/**
+ * Matches the key of a block mapping entry (quoted or plain), up to and
+ * including the colon that separates it from its value.
+ * @type {RegExp}
+ */
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|(?:[^\s#'"[\]{},&*!|>%@`-]|-(?=\S))[^#]*?)[ \t]*:(?=\s|$)/
+
+/**
+ * Matches the dash that starts a block sequence item.
+ * @type {RegExp}
+ */
+const ITEM = /^-(?=\s|$)/
+
+/**
+ * The contents of a YAML file, used by rules that edit values in YAML files.
+ * Supports the same operations as `JsonFile`, but rather than formatting the
+ * entire file after an edit, only the lines of the entries that changed are
+ * rewritten. This keeps comments, ordering and formatting intact.
+ *
+ * Entries are found by their indentation, so only block mappings and block
+ * sequences can be edited in place. Values in flow style (e.g. `[a, b]`) are
+ * rewritten as a whole. After each edit the text is parsed again and compared
+ * to the expected values, and the edit is undone if they differ.
+ *
+ * @example
+ * var file = new YamlFile('# Web\nweb:\n  image: nginx:1.9 # pinned\n')
+ * file.set('web.image', 'nginx:1.10')
+ * file.toString() // '# Web\nweb:\n  image: nginx:1.10 # pinned\n'
+ *
+ * @class
+ */
+class YamlFile extends JsonFile {
+  /**
+   * Determines the indentation used by YAML text, defaulting to two spaces.
+   * @param {string} text YAML text.
+   * @return {string} The indentation for the text.
+   */
+  static detectIndent (text) {
+    var match = text.match(/^( +)[^\s#]/m)
+    return match ? match[1] : '  '
+  }
+
+  /**
+   * @param {string} line Line to check.
+   * @return {boolean} `true` if the line is empty or only has a comment.
+   */
+  static isBlank (line) {
+    return /^\s*(#.*)?$/.test(line)
+  }
+
+  /**
+   * @param {string} line Line to check.
+   * @return {number} The number of spaces the line is indented by.
+   */
+  static indentOf (line) {
+    return line.match(/^ */)[0].length
+  }
+
+  /**
+   * Splits the comment from the end of an inline value.
+   * @param {string} text Inline value, which may be followed by a comment.
+   * @return {object} The `value` and the `comment`, including the whitespace
+   *   that precedes it.
+   */
+  static splitComment (text) {
+    var quote = null
+    for (var i = 0; i < text.length; i++) {
+      var c = text.charAt(i)
+      if (quote) {
+        if (c === '\\' && quote === '"') {
+          i++
+        } else if (c === quote) {
+          quote = null
+        }
+      } else if ((c === '"' || c === '\'') && /(^|[[{,:])\s*$/.test(text.slice(0, i))) {
+        quote = c
+      } else if (c === '#' && (i === 0 || /\s/.test(text.charAt(i - 1)))) {
+        break
+      }
+    }
+    var value = text.slice(0, i).replace(/\s+$/, '')
+    return { value: value, comment: text.slice(value.length) }
+  }
+
+  /**
+   * Determines every path that is changed when merging an object into another
+   * (see `JsonFile.merge`).
+   * @param {array} keys Keys for the path of the target object.
+   * @param {object} target Object to merge into.
+   * @param {object} source Object with the keys to merge.
+   * @return {array} The keys for each changed path.
+   */
+  static mergePaths (keys, target, source) {
+    var paths = []
+    Object.keys(source).forEach((key) => {
+      if (isObject(source[key]) && isObject(target[key])) {
+        paths = paths.concat(YamlFile.mergePaths(
+          keys.concat(key),
+          target[key],
+          source[key]
+        ))
+      } else {
+        paths.push(keys.concat(key))
+      }
+    })
+    return paths
+  }
+
+  /**
+   * Creates a new YAML file.
+   * @param {string} text Contents of the file.
+   * @throws YAMLException If the text is not valid YAML.
+   */
+  constructor (text) {
+    super(text)
+    this.file = new TextFile(text)
+  }
+
+  /**
+   * Parses the contents of the file. Empty files parse as an empty object.
+   * @param {string} text Contents of the file.
+   * @return {*} The value represented by the text.
+   * @throws YAMLException If the text is not valid YAML.
+   */
+  parse (text) {
+    var data = yaml.safeLoad(text)
+    return exists(data) ? data : {}
+  }
+
+  /**
+   * Sets the value at a path (see `JsonFile#set`).
+   * @param {string} path Path to the value.
+   * @param {*} value Value to set.
+   * @return {boolean} `true` if the value was set, `false` otherwise.
+   * @throws Error If the file could not be edited (see `YamlFile#edit`).
+   */
+  set (path, value) {
+    var keys = JsonFile.parsePath(path)
+    return this.edit([keys], false, () => {
+      return super.set(path, value)
+    })
+  }
+
+  /**
+   * Removes the value at a path (see `JsonFile#unset`).
+   * @param {string} path Path to the value.
+   * @return {boolean} `true` if the value was removed, `false` otherwise.
+   * @throws Error If the file could not be edited (see `YamlFile#edit`).
+   */
+  unset (path) {
+    var keys = JsonFile.parsePath(path)
+    return this.edit([keys], true, () => {
+      return super.unset(path)
+    })
+  }
+
+  /**
+   * Deeply merges an object into the object at a path (see `JsonFile#merge`).
+   * Entries that are not changed by the merge are left as-is.
+   * @param {string} path Path to the object.
+   * @param {object} value Object to merge.
+   * @return {boolean} `true` if the object was merged, `false` otherwise.
+   * @throws Error If the file could not be edited (see `YamlFile#edit`).
+   */
+  merge (path, value) {
+    var keys = JsonFile.parsePath(path)
+    var current = this.get(path)
+    var paths = isObject(current)
+      ? YamlFile.mergePaths(keys, current, value)
+      : [keys]
+    return this.edit(paths, false, () => {
+      return super.merge(path, value)
+    })
+  }
+
+  /**
+   * Appends a value to the array at a path (see `JsonFile#push`).
+   * @param {string} path Path to the array.
+   * @param {*} value Value to append.
+   * @return {boolean} `true` if the value was appended, `false` otherwise.
+   * @throws Error If the file could not be edited (see `YamlFile#edit`).
+   */
+  push (path, value) {
+    var keys = JsonFile.parsePath(path)
+    return this.edit([keys.concat('-')], false, () => {
+      return super.push(path, value)
+    })
+  }
+
+  /**
+   * Edits the values of the file, then updates the text for the values at the
+   * given paths. If the updated text does not parse into the edited values,
+   * both the values and the text are restored.
+   * @param {array} paths Keys for each path changed by the edit.
+   * @param {boolean} unset Whether or not the edit removes the values.
+   * @param {function} apply Edits the values of the file, and returns `false`
+   *   if they could not be edited.
+   * @return {boolean} The result of `apply`.
+   * @throws Error If the updated text is not valid YAML, or does not parse into
+   *   the edited values.
+   */
+  edit (paths, unset, apply) {
+    var text = this.toString()
+    if (!apply()) {
+      return false
+    }
+    try {
+      paths.forEach((keys) => {
+        this.update(keys, unset)
+      })
+      var expected = JSON.stringify(this.data)
+      if (JSON.stringify(this.parse(this.toString())) !== expected) {
+        throw new Error('Edited YAML does not match the expected values.')
+      }
+    } catch (err) {
+      this.file = new TextFile(text)
+      this.data = this.parse(text)
+      throw err
+    }
+    return true
+  }
+
+  /**
+   * Updates the text for the value at a path. Entries are followed down the
+   * path for as long as they are block mappings or sequences. The entry for
+   * the value is then rewritten, inserted or removed. When the path leads
+   * through any other value, that value is rewritten as a whole instead.
+   * @param {array} keys Keys for the path.
+   * @param {boolean} unset Whether or not the value was removed.
+   */
+  update (keys, unset) {
+    var block = this.block(this.start(), this.file.lines.length)
+    var parent = null
+    var value = this.data
+    for (var i = 0; i < keys.length && block; i++) {
+      var entries = this.entries(block)
+      var sequence = entries[0].sequence
+      var key = keys[i]
+      if (key === '-' && Array.isArray(value)) {
+        key = String(value.length - 1)
+      }
+      var entry = entries.find((candidate) => {
+        return candidate.key === key
+      })
+
+      if (!entry) {
+        if (unset || (sequence && key !== String(entries.length))) {
+          break
+        }
+        return this.insert(entries, key, value[key])
+      }
+      if (i === keys.length - 1) {
+        if (!unset) {
+          return this.replace(entry, value[key])
+        }
+        if (entries.length === 1) {
+          break
+        }
+        return this.remove(block, entries, entry)
+      }
+
+      parent = entry
+      block = this.child(entry)
+      value = value[key]
+    }
+
+    if (parent) {
+      return this.replace(parent, value)
+    }
+    var start = this.start()
+    this.file.lines = this.file.lines.slice(0, start).concat(this.dump(value))
+    this.file.endsWithNewline = true
+  }
+
+  /**
+   * @return {number} The index of the first line of the document's content,
+   *   after any comments, directives and document start marker.
+   */
+  start () {
+    var lines = this.file.lines
+    for (var i = 0; i < lines.length; i++) {
+      if (!YamlFile.isBlank(lines[i]) && !/^%/.test(lines[i])) {
+        return /^---\s*(#.*)?$/.test(lines[i]) ? i + 1 : i
+      }
+    }
+    return lines.length
+  }
+
+  /**
+   * Finds the block mapping or sequence that starts with the first non-blank
+   * line in the given range.
+   * @param {number} start Index of the first line of the range.
+   * @param {number} end Index after the last line of the range.
+   * @return {?object} The block's lines (`start` and `end`) and the `column`
+   *   of its entries, or `null` if the range does not hold a block.
+   */
+  block (start, end) {
+    var lines = this.file.lines
+    for (var i = start; i < end; i++) {
+      if (YamlFile.isBlank(lines[i])) {
+        continue
+      }
+      var column = YamlFile.indentOf(lines[i])
+      var text = lines[i].slice(column)
+      if (!KEY.test(text) && !ITEM.test(text)) {
+        return null
+      }
+      return { start: i, end: end, column: column }
+    }
+    return null
+  }
+
+  /**
+   * Lists the entries of a block. Each entry spans from its key (or dash) to
+   * the line before the next entry, without trailing blank lines or comments.
+   * @param {object} block Block to list (see `YamlFile#block`).
+   * @return {array} The entries of the block.
+   */
+  entries (block) {
+    var lines = this.file.lines
+    var entries = []
+    var sequence = null
+    for (var i = block.start; i < block.end; i++) {
+      var line = lines[i]
+      if (YamlFile.isBlank(line)) {
+        continue
+      }
+      // The first line of a block nested in a sequence item starts after the
+      // item's dash, all other entries start at the block's column
+      if (i > block.start && YamlFile.indentOf(line) !== block.column) {
+        continue
+      }
+      var text = line.slice(block.column)
+      var item = ITEM.test(text)
+      var match = KEY.exec(text)
+      if (sequence === null) {
+        sequence = item
+      }
+      // Sequences can be indented as far as the mapping key they belong to
+      if (sequence ? !item : (item || !match)) {
+        continue
+      }
+      entries.push({
+        key: sequence ? String(entries.length) : this.parseKey(match[1]),
+        sequence: sequence,
+        line: i,
+        column: block.column,
+        valueColumn: block.column + (sequence ? 1 : match[0].length)
+      })
+    }
+
+    entries.forEach((entry, index) => {
+      var end = index + 1 < entries.length
+        ? entries[index + 1].line
+        : block.end
+      while (end - 1 > entry.line && YamlFile.isBlank(lines[end - 1])) {
+        end--
+      }
+      entry.end = end
+    })
+    return entries
+  }
+
+  /**
+   * Converts the text of a mapping key into the key used by the values of the
+   * file (e.g. unquoted).
+   * @param {string} text Text of the key.
+   * @return {string} The key.
+   */
+  parseKey (text) {
+    return String(yaml.safeLoad(text))
+  }
+
+  /**
+   * Finds the block that holds the value of an entry.
+   * @param {object} entry Entry with the value.
+   * @return {?object} The block, or `null` if the value of the entry is not a
+   *   block mapping or sequence.
+   */
+  child (entry) {
+    var line = this.file.lines[entry.line]
+    var inline = YamlFile.splitComment(line.slice(entry.valueColumn)).value
+    var text = inline.replace(/^\s+/, '')
+    if (text === '') {
+      return this.block(entry.line + 1, entry.end)
+    }
+    if (entry.sequence && (KEY.test(text) || ITEM.test(text))) {
+      return {
+        start: entry.line,
+        end: entry.end,
+        column: entry.valueColumn + inline.length - text.length,
+        inline: true
+      }
+    }
+    return null
+  }
+
+  /**
+   * Formats a value as YAML, using the indentation of the file.
+   * @param {*} value Value to format.
+   * @return {array} The lines for the value.
+   */
+  dump (value) {
+    return TextFile.split(yaml.safeDump(value, {
+      indent: this.indent.length,
+      lineWidth: -1
+    }))
+  }
+
+  /**
+   * Rewrites the value of an entry. A comment that follows the key or dash of
+   * the entry is kept.
+   * @param {object} entry Entry to rewrite.
+   * @param {*} value New value for the entry.
+   */
+  replace (entry, value) {
+    var line = this.file.lines[entry.line]
+    var comment = YamlFile.splitComment(line.slice(entry.valueColumn)).comment
+    var lines = this.dump(entry.sequence ? [value] : { x: value })
+    var first = lines[0].slice(entry.sequence ? 1 : 2)
+    var indent = ' '.repeat(entry.column)
+    var replacement = [line.slice(0, entry.valueColumn) + first + comment]
+      .concat(lines.slice(1).map((line) => {
+        return indent + line
+      }))
+    Array.prototype.splice.apply(
+      this.file.lines,
+      [entry.line, entry.end - entry.line].concat(replacement)
+    )
+  }
+
+  /**
+   * Adds an entry after the last entry of a block.
+   * @param {array} entries Entries of the block.
+   * @param {string} key Key for the new entry, ignored for sequences.
+   * @param {*} value Value for the new entry.
+   */
+  insert (entries, key, value) {
+    var last = entries[entries.length - 1]
+    var data = {}
+    data[key] = value
+    var indent = ' '.repeat(last.column)
+    this.file.insert(last.end, this.dump(last.sequence ? [value] : data)
+      .map((line) => {
+        return indent + line
+      }))
+  }
+
+  /**
+   * Removes an entry from a block that has other entries.
+   * @param {object} block Block with the entry.
+   * @param {array} entries Entries of the block.
+   * @param {object} entry Entry to remove.
+   */
+  remove (block, entries, entry) {
+    var lines = this.file.lines
+    if (block.inline && entry === entries[0]) {
+      // Move the next entry up so that it follows the sequence item's dash
+      var next = entries[1]
+      lines[next.line] = lines[entry.line].slice(0, block.column) +
+        lines[next.line].slice(block.column)
+    }
+    lines.splice(entry.line, entry.end - entry.line)
+  }
+
+  /**
+   * @return {string} The contents of the file.
+   */
+  toString () {
+    return this.file.toString()
+  }
+}
+
+/**
+ * Comment preserving editing of YAML files.
+ * @module fs-transform:yaml-file
+ */
+module.exports = YamlFile
@@ -0,0 +1,17 @@
+# RULE 1
+# {
+#   action: "chmod",
+#   path: "bin/start",
+#   mode: "755"
+# }
+
+change_mode '755' 'bin/start'
+
+# RULE 2
+# {
+#   action: "chmod",
+#   path: "it's",
+#   mode: "go-w"
+# }
+
+change_mode 'go-w' 'it'"'"'s'
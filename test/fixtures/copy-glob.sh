@@ -0,0 +1,10 @@
+# RULE 7
+# {
+#   action: "copy",
+#   source: "config/*.example",
+#   dest: "config/$1"
+# }
+
+copy \
+  'config/a.example' 'config/a' \
+  'config/it'"'"'s.example' 'config/it'"'"'s'
@@ -5,4 +5,4 @@
 #   dest: "bar.rtf"
 # }
 
-copy foo.txt bar.rtf
+copy 'foo.txt' 'bar.rtf'
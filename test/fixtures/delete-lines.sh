@@ -0,0 +1,20 @@
+# RULE 1
+# {
+#   action: "deleteLines",
+#   search: "console.log('debug')",
+#   exclude: [vendor/, !vendor/app.js],
+#   include: [**/*.js]
+# }
+
+delete_lines 'console\.log\('"'"'debug'"'"'\)' '^vendor/.*$ !^vendor/app\.js(/.*)?$' 'E' '^(.*/)?([^/]*)\.js(/.*)?$' '*.js'
+
+# RULE 2
+# {
+#   action: "deleteLines",
+#   search: "^\s*//\d+",
+#   regex: true,
+#   flags: "i",
+#   wholeWord: true
+# }
+
+delete_lines '\b(^\s*//[0-9]+)\b' '' 'EI'
@@ -0,0 +1,8 @@
+# RULE 7
+# {
+#   action: "delete",
+#   paths: [.env.example, yarn.lock, it's],
+#   recursive: true
+# }
+
+delete 'r' '.env.example' 'yarn.lock' 'it'"'"'s'
@@ -0,0 +1,10 @@
+# RULE 1
+# {
+#   action: "env",
+#   path: "it's/.env",
+#   set: [NODE_ENV, GREETING],
+#   unset: [DEBUG],
+#   create: true
+# }
+
+edit_env 'it'"'"'s/.env' 'c' 'NODE_ENV=production' 'GREETING="it'"'"'s \$HOME"' 'DEBUG'
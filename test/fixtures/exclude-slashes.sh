@@ -1,7 +1,7 @@
 # RULE 1324
 # {
 #   action: "exclude",
-#   files: [./good.txt, ./bad.txt, ./.omg.txt]
+#   files: [/good.txt, ///./bad.txt, ./././////.omg.txt]
 # }
 
-global_exclude="./$script_name ./good.txt ./bad.txt ./.omg.txt"
+exclude '^good\.txt(/.*)?$ ^bad\.txt(/.*)?$ ^\.omg\.txt(/.*)?$'
@@ -1,7 +1,7 @@
 # RULE 1234
 # {
 #   action: "exclude",
-#   files: [./A.dmg, ./B.tar.gz, ./gamma.pajama]
+#   files: [A.dmg, B.tar.gz, gamma.pajama]
 # }
 
-global_exclude="./$script_name ./A.dmg ./B.tar.gz ./gamma.pajama"
+exclude '^A\.dmg(/.*)?$ ^B\.tar\.gz(/.*)?$ ^gamma\.pajama(/.*)?$'
@@ -0,0 +1,14 @@
+# RULE 1
+# {
+#   action: "ini",
+#   path: "it's.cfg",
+#   section: "metadata",
+#   key: "version",
+#   create: true
+# }
+
+write_file 'it'"'"'s.cfg' <<'FS_TRANSFORM_EOF'
+[metadata]
+version = 2.0
+
+FS_TRANSFORM_EOF
@@ -0,0 +1,54 @@
+# RULE 1
+# {
+#   action: "append",
+#   path: ".gitignore"
+# }
+
+insert_lines '.gitignore' 'end' <<'FS_TRANSFORM_EOF'
+node_modules
+.env
+FS_TRANSFORM_EOF
+
+# RULE 2
+# {
+#   action: "prepend",
+#   path: "it's"
+# }
+
+insert_lines 'it'"'"'s' 'start' <<'FS_TRANSFORM_EOF'
+#!/bin/bash
+FS_TRANSFORM_EOF
+
+# RULE 3
+# {
+#   action: "insert",
+#   path: "A",
+#   line: 3
+# }
+
+insert_lines 'A' 'line' '3' <<'FS_TRANSFORM_EOF'
+at line
+FS_TRANSFORM_EOF
+
+# RULE 4
+# {
+#   action: "insert",
+#   path: "A",
+#   before: "Exa'mple"
+# }
+
+insert_lines 'A' 'before' 'Exa'"'"'mple' <<'FS_TRANSFORM_EOF'
+before
+FS_TRANSFORM_EOF
+
+# RULE 5
+# {
+#   action: "insert",
+#   path: "A",
+#   after: "^\d+",
+#   regex: true
+# }
+
+insert_lines 'A' 'after' '^[0-9]+' 'E' <<'FS_TRANSFORM_EOF'
+after
+FS_TRANSFORM_EOF
@@ -0,0 +1,15 @@
+# RULE 2
+# {
+#   action: "json",
+#   path: "it's.json",
+#   operations: [set scripts.test, unset /devDependencies/mocha]
+# }
+
+write_file 'it'"'"'s.json' <<'FS_TRANSFORM_EOF'
+{
+  "scripts": {
+    "test": "lab"
+  }
+}
+
+FS_TRANSFORM_EOF
@@ -0,0 +1 @@
+index.js
\ No newline at end of file
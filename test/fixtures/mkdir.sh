@@ -0,0 +1,8 @@
+# RULE 3
+# {
+#   action: "mkdir",
+#   path: "config/env",
+#   parents: true
+# }
+
+make_directory 'config/env' 'p'
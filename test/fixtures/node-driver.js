@@ -0,0 +1,38 @@
+'use strict'
+
+var FsDriver = require('../../lib/fs-driver')
+var NodeFsDriver = require('../../lib/node-fs-driver')
+var Transformer = require('../../lib/transformer')
+
+/**
+ * Loads a separate copy of a functional test script that runs its tests with
+ * the pure-Node driver (`NodeFsDriver`) in place of the shell driver, so both
+ * drivers are held to the same tests.
+ * @param {string} file Absolute path of the test script.
+ * @return {object} The lab script to export.
+ */
+function withNodeDriver (file) {
+  var cached = require.cache[file]
+  delete require.cache[file]
+  var lab = require(file).lab
+  if (cached) {
+    require.cache[file] = cached
+  } else {
+    delete require.cache[file]
+  }
+
+  lab.before((done) => {
+    Transformer.DRIVERS.shell = NodeFsDriver
+    done()
+  })
+  lab.after((done) => {
+    Transformer.DRIVERS.shell = FsDriver
+    done()
+  })
+  return lab
+}
+
+/**
+ * @module fs-transform:test:node-driver
+ */
+module.exports = withNodeDriver
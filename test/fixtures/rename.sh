@@ -5,4 +5,4 @@
 #   dest: "bar.rtf"
 # }
 
-rename foo.txt bar.rtf
+rename 'foo.txt' 'bar.rtf'
@@ -0,0 +1,9 @@
+# RULE 3
+# {
+#   action: replace,
+#   search: "localhost",
+#   replace: "example.com",
+#   include: [config/**/*.yml, *.env, !secret.env]
+# }
+
+replace 'localhost' 'example.com' '' '' '^config/(.*/)?([^/]*)\.yml(/.*)?$ ^([^/]*)\.env(/.*)?$ !^secret\.env(/.*)?$' '*.yml *.env'
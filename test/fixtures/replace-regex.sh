@@ -0,0 +1,10 @@
+# RULE 31
+# {
+#   action: replace,
+#   search: "port: (\d+)",
+#   replace: "port: '$1' & more",
+#   regex: true,
+#   flags: "i"
+# }
+
+replace 'port: ([0-9]+)' 'port: '"'"'\1'"'"' \& more' '' 'EI'
@@ -3,7 +3,7 @@
 #   action: replace,
 #   search: "yes",
 #   replace: "no",
-#   exclude: [./file.txt, ./somefile.txt, ./somefile2.txt, ./yarfile.txt]
+#   exclude: [file.txt, /somefile.txt, ./somefile2.txt, ././././//yarfile.txt]
 # }
 
-replace 'yes' 'no' './file.txt ./somefile.txt ./somefile2.txt ./yarfile.txt'
+replace 'yes' 'no' '^file\.txt(/.*)?$ ^somefile\.txt(/.*)?$ ^somefile2\.txt(/.*)?$ ^yarfile\.txt(/.*)?$'
@@ -0,0 +1,10 @@
+# RULE 8
+# {
+#   action: replace,
+#   search: "localhost",
+#   replace: "example.com",
+#   ignoreCase: true,
+#   wholeWord: true
+# }
+
+replace '\blocalhost\b' 'example.com' '' 'I'
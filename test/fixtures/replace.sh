@@ -3,7 +3,7 @@
 #   action: replace,
 #   search: "whut",
 #   replace: "wat",
-#   exclude: [./A.dmg, ./B.tar.gz]
+#   exclude: [A.dmg, B.tar.gz]
 # }
 
-replace 'whut' 'wat' './A.dmg ./B.tar.gz'
+replace 'whut' 'wat' '^A\.dmg(/.*)?$ ^B\.tar\.gz(/.*)?$'
@@ -6,9 +6,12 @@
 
 # Global script variables
 script_name=`basename $0`
-global_exclude="./$script_name"
+global_exclude=''
 rule_count=1
 
+# Paths that are always excluded from replace rules
+always_exclude='^(.*/)?\.git/.*$ ^(.*/)?node_modules/.*$'
+
 # Color Codes
 Clear='\e[0m'
 Red='\e[1;31m'
@@ -45,63 +48,503 @@ command -v sed >/dev/null 2>&1 || {
 command -v rm >/dev/null 2>&1 || {
   error "Missing required command: rm";
 }
+command -v mkdir >/dev/null 2>&1 || {
+  error "Missing required command: mkdir";
+}
+command -v chmod >/dev/null 2>&1 || {
+  error "Missing required command: chmod";
+}
+command -v ln >/dev/null 2>&1 || {
+  error "Missing required command: ln";
+}
+
+# Ensures sed supports the GNU extensions used by case insensitive, whole word
+# and some regular expression searches (e.g. the I modifier and \b), which
+# other versions of sed (e.g. on macOS) do not. Called before any rule is
+# applied by scripts that need them.
+function require_gnu_sed {
+  if [[ $(echo 'Ab' | sed 's/\ba/x/I' 2>/dev/null) != 'xb' ]]; then
+    error "GNU sed is required for case insensitive and whole word searches";
+  fi
+}
+
+# Copies or moves a directory, merging it into an existing directory or
+# replacing an existing destination.
+# Arguments:
+#   $1 - Command to use (cp or mv)
+#   $2 - Source directory
+#   $3 - Destination
+#   $4 - Conflict policy for existing directories (merge or replace)
+function transfer_directory {
+  if [[ -d "$3" && ! -L "$3" && "$4" == "merge" ]]; then
+    cp -R "$2/." "$3" || return 1
+    if [[ "$1" == "mv" ]]; then
+      rm -r "$2"
+    fi
+    return
+  fi
+  if [[ -e "$3" || -L "$3" ]]; then
+    rm -r "$3" || return 1
+  fi
+  if [[ "$1" == "mv" ]]; then
+    mv "$2" "$3"
+  else
+    cp -R "$2" "$3"
+  fi
+}
 
 # File rename.
 # Arguments:
+#   --replace - Replace existing directories rather than merging (optional)
 #   $1 - Source file
 #   $2 - Destination file
+#   $3... - Additional source and destination file pairs (optional)
 function rename {
-  log "Rule $rule_count: Renaming file $1 to $2"
-  mv $1 $2 || {
-    warning "Rule $rule_count: unable to rename $1 to $2"
-  }
+  local conflict="merge"
+  if [[ "$1" == "--replace" ]]; then
+    conflict="replace"
+    shift
+  fi
+  while (($# > 1))
+  do
+    log "Rule $rule_count: Renaming file $1 to $2"
+    if [[ -d "$1" && ! -L "$1" ]]; then
+      transfer_directory mv "$1" "$2" "$conflict"
+    else
+      mv "$1" "$2"
+    fi || {
+      warning "Rule $rule_count: unable to rename $1 to $2"
+    }
+    shift 2
+  done
   ((rule_count++))
 }
 
 # Performs a file copy
 # Arguments:
+#   --replace - Replace existing directories rather than merging (optional)
 #   $1 - Source file
 #   $2 - Destination file
+#   $3... - Additional source and destination file pairs (optional)
 function copy {
-  log "Rule $rule_count: Copying file $1 to $2"
-  cp $1 $2 || {
-    warning "Rule $rule_count: unable to copy $1 to $2"
-  }
+  local conflict="merge"
+  if [[ "$1" == "--replace" ]]; then
+    conflict="replace"
+    shift
+  fi
+  while (($# > 1))
+  do
+    log "Rule $rule_count: Copying file $1 to $2"
+    if [[ -d "$1" && ! -L "$1" ]]; then
+      transfer_directory cp "$1" "$2" "$conflict"
+    else
+      cp "$1" "$2"
+    fi || {
+      warning "Rule $rule_count: unable to copy $1 to $2"
+    }
+    shift 2
+  done
   ((rule_count++))
 }
 
+# Determines if a path matches a list of patterns. The last pattern that
+# matches the path determines the result, patterns prefixed with ! negate it.
+# Arguments:
+#   $1 - Path relative to the root directory
+#   $2 - Whitespace separated list of extended regular expressions
+function path_matches {
+  local matched=1
+  local patterns
+  read -ra patterns <<< "$2"
+  for pattern in "${patterns[@]}"
+  do
+    if [[ $pattern == !* ]]; then
+      if [[ $1 =~ ${pattern:1} ]]; then matched=1; fi
+    elif [[ $1 =~ $pattern ]]; then
+      matched=0
+    fi
+  done
+  return $matched
+}
+
+# Lists the files that contain matches for a search pattern, one per line.
+# Arguments:
+#   $1 - Search pattern
+#   $2 - Local exclusions
+#   $3 - Search modes (optional): E - extended regular expression search,
+#        I - case insensitive search
+#   $4 - Include patterns (optional), only matching files are searched
+#   $5 - File name globs (optional) used to narrow the search to included files
+function find_files {
+  local grep_flags='-rlI'
+  local grep_include=()
+  local include_globs
+  read -ra include_globs <<< "$5"
+  for glob in "${include_globs[@]}"
+  do
+    grep_include+=("--include=$glob")
+  done
+  if [[ $3 == *E* ]]; then
+    grep_flags="${grep_flags}E"
+  fi
+  if [[ $3 == *I* ]]; then
+    grep_flags="${grep_flags}i"
+  fi
+  for name in $(grep $grep_flags "${grep_include[@]}" -e "$1" .)
+  do
+    local file=${name#./}
+
+    # Always exclude this script, .git/ and node_modules/ files
+    if [[ $file == "$script_name" ]]; then continue; fi
+    if path_matches "$file" "$always_exclude"; then continue; fi
+
+    # Only search files matching the include patterns
+    if [[ -n $4 ]] && ! path_matches "$file" "$4"; then continue; fi
+
+    # Exclude files from the global and local exclude lists
+    if path_matches "$file" "$global_exclude $2"; then continue; fi
+
+    echo "$name"
+  done
+}
+
 # Performs a find-and-replace rule.
 # Arguments:
 #   $1 - Search pattern
 #   $2 - Replace text
 #   $3 - Local exclusions
+#   $4 - Search modes (optional): E - extended regular expression search,
+#        I - case insensitive search
+#   $5 - Include patterns (optional), only matching files are searched
+#   $6 - File name globs (optional) used to narrow the search to included files
 function replace {
-  local git_pattern='.git/'
+  local sed_flags=''
+  local sed_modifiers='g'
+  local delimiter='/'
+  if [[ $4 == *E* ]]; then
+    sed_flags='-E'
+    delimiter=$'\001'
+  fi
+  if [[ $4 == *I* ]]; then
+    sed_modifiers="${sed_modifiers}I"
+  fi
   log "Rule $rule_count: Replacing instances of '$1' with '$2'"
-  for name in $(grep -rlI "$1" .)
+  for name in $(find_files "$1" "$3" "$4" "$5" "$6")
   do
-    # Always exclude .git/ files
-    if [[ $name =~ $git_pattern ]]; then continue; fi
+    log "--- sed -i.last $sed_flags 's/$1/$2/$sed_modifiers' $name"
+    sed -i.last $sed_flags \
+      "s${delimiter}$1${delimiter}$2${delimiter}${sed_modifiers}" $name || {
+      warning "Rule $rule_count: could not replace '$1' with '$2' in $name"
+    }
+    rm -f $name.last
+  done
+  ((rule_count++))
+}
 
-    # Exclude files from the global and local exclude lists
-    local exclude_list="$global_exclude $3"
-    local execute=1
-    for exclude_file in $exclude_list
+# Deletes the lines that match a search pattern.
+# Arguments:
+#   $1 - Search pattern
+#   $2 - Local exclusions
+#   $3 - Search modes (optional): E - extended regular expression search,
+#        I - case insensitive search
+#   $4 - Include patterns (optional), only matching files are searched
+#   $5 - File name globs (optional) used to narrow the search to included files
+function delete_lines {
+  local sed_flags=''
+  local sed_modifiers=''
+  local delimiter='/'
+  if [[ $3 == *E* ]]; then
+    sed_flags='-E'
+    delimiter=$'\001'
+  fi
+  if [[ $3 == *I* ]]; then
+    sed_modifiers='I'
+  fi
+  log "Rule $rule_count: Deleting lines matching '$1'"
+  for name in $(find_files "$1" "$2" "$3" "$4" "$5")
+  do
+    log "--- sed -i.last $sed_flags '/$1/${sed_modifiers}d' $name"
+    sed -i.last $sed_flags \
+      "\\${delimiter}$1${delimiter}${sed_modifiers}d" $name || {
+      warning "Rule $rule_count: could not delete lines matching '$1' in $name"
+    }
+    rm -f $name.last
+  done
+  ((rule_count++))
+}
+
+# Adds patterns to the global exclude list for all subsequent replace rules.
+# Arguments:
+#   $1 - Exclude patterns
+function exclude {
+  log "Rule $rule_count: Excluding files matching '$1'"
+  global_exclude="$global_exclude $1"
+  ((rule_count++))
+}
+
+# Deletes files or directories.
+# Arguments:
+#   $1 - Delete modes: r - recursively delete directories
+#   $2... - Paths to delete
+function delete {
+  local rm_flags=''
+  if [[ $1 == *r* ]]; then
+    rm_flags='-r'
+  fi
+  shift
+  for file in "$@"
+  do
+    log "Rule $rule_count: Deleting $file"
+    rm $rm_flags "$file" || {
+      warning "Rule $rule_count: unable to delete $file"
+    }
+  done
+  ((rule_count++))
+}
+
+# Creates a directory.
+# Arguments:
+#   $1 - Path of the directory
+#   $2 - Directory modes (optional): p - create missing parent directories
+function make_directory {
+  local mkdir_flags=''
+  if [[ $2 == *p* ]]; then
+    mkdir_flags='-p'
+  fi
+  log "Rule $rule_count: Creating directory $1"
+  mkdir $mkdir_flags "$1" || {
+    warning "Rule $rule_count: unable to create directory $1"
+  }
+  ((rule_count++))
+}
+
+# Changes the permissions of a file or directory.
+# Arguments:
+#   $1 - Octal or symbolic mode
+#   $2 - Path of the file or directory
+function change_mode {
+  log "Rule $rule_count: Changing mode of $2 to $1"
+  chmod "$1" "$2" || {
+    warning "Rule $rule_count: unable to change mode of $2"
+  }
+  ((rule_count++))
+}
+
+# Creates a symbolic link, unless the link already exists.
+# Arguments:
+#   $1 - Target of the link
+#   $2 - Path of the link
+function make_symlink {
+  log "Rule $rule_count: Linking $2 to $1"
+  if [[ -e $2 || -L $2 ]]; then
+    warning "Rule $rule_count: $2 already exists"
+  else
+    ln -s "$1" "$2" || {
+      warning "Rule $rule_count: unable to link $2 to $1"
+    }
+  fi
+  ((rule_count++))
+}
+
+# Writes a file with the content given on standard input. The final newline of
+# the input (added by the here-document) is not written to the file.
+# Arguments:
+#   $1 - Path of the file
+function write_file {
+  local content
+  local newline=$'\n'
+  log "Rule $rule_count: Writing file $1"
+  content="$(cat; printf x)"
+  content="${content%x}"
+  printf '%s' "${content%$newline}" > "$1" || {
+    warning "Rule $rule_count: unable to write file $1"
+  }
+  ((rule_count++))
+}
+
+# Inserts the lines given on standard input into a file, unless the file
+# already contains them.
+# Arguments:
+#   $1 - Path of the file
+#   $2 - Where to insert the lines: start, end, line, before or after
+#   $3 - Line number (for line), or the anchor to insert the lines before or
+#        after (for before and after)
+#   $4 - Anchor modes (optional): E - extended regular expression anchor
+function insert_lines {
+  local newline=$'\n'
+  local content
+  local text
+  local lines=()
+  local insert=()
+  local index=-1
+  local missing_newline=0
+  local line
+  local i
+  local j
+  log "Rule $rule_count: Inserting lines into $1"
+  content="$(cat; printf x)"
+  content="${content%x}"
+
+  # Read the lines without mapfile, which bash 3 (e.g. on macOS) does not have
+  while IFS= read -r line
+  do
+    insert+=("$line")
+  done <<< "${content%$newline}"
+  while IFS= read -r line || [[ -n $line ]]
+  do
+    lines+=("$line")
+  done < "$1"
+  if [[ -n $(tail -c 1 "$1") ]]; then
+    missing_newline=1
+  fi
+
+  # Skip files that already contain the lines
+  for ((i = 0; i + ${#insert[@]} <= ${#lines[@]}; i++))
+  do
+    for ((j = 0; j < ${#insert[@]}; j++))
     do
-      if [[ $name == $exclude_file ]]; then
-        execute=0
-        break;
-      fi
+      if [[ ${lines[i + j]} != "${insert[j]}" ]]; then break; fi
     done
-    if [[ $execute == 0 ]]; then continue; fi
+    if ((j == ${#insert[@]})); then
+      log "--- lines already present in $1"
+      ((rule_count++))
+      return
+    fi
+  done
 
-    # Perform the search and replace
-    log "--- sed -i.last 's/$1/$2/g' $name"
-    sed -i.last "s/$1/$2/g" $name || {
-      warning "Rule $rule_count: could not replace '$1' with '$2' in $name"
-    }
-    rm -f $name.last
+  case $2 in
+    start) index=0 ;;
+    end) index=${#lines[@]} ;;
+    line)
+      if (($3 <= ${#lines[@]} + 1)); then
+        index=$(($3 - 1))
+      fi
+      ;;
+    *)
+      for ((i = 0; i < ${#lines[@]}; i++))
+      do
+        if [[ $4 == *E* ]]; then
+          if [[ ${lines[i]} =~ $3 ]]; then break; fi
+        elif [[ ${lines[i]} == *"$3"* ]]; then
+          break
+        fi
+      done
+      if ((i < ${#lines[@]})); then
+        index=$i
+        if [[ $2 == after ]]; then ((index++)); fi
+      fi
+      ;;
+  esac
+  if ((index < 0)); then
+    warning "Rule $rule_count: unable to find where to insert lines in $1"
+    ((rule_count++))
+    return
+  fi
+
+  # Lines inserted at the end of the file are always followed by a newline
+  if ((index == ${#lines[@]})); then
+    missing_newline=0
+  fi
+  lines=("${lines[@]:0:index}" "${insert[@]}" "${lines[@]:index}")
+  text="$(printf '%s\n' "${lines[@]}"; printf x)"
+  text="${text%x}"
+  if ((missing_newline)); then
+    text="${text%$newline}"
+  fi
+  printf '%s' "$text" > "$1" || {
+    warning "Rule $rule_count: unable to insert lines into $1"
+  }
+  ((rule_count++))
+}
+
+# Prints the comment at the end of an assigned value in a dotenv file (see
+# `EnvFile.comment`).
+# Arguments:
+#   $1 - Text after the `=` of an assignment
+function env_comment {
+  local quoted="^[[:space:]]*(\"([^\"\\\\]|\\\\.)*\"|'[^']*')([[:space:]]*#.*)$"
+  local unquoted='(^|[[:space:]]+)#.*$'
+  if [[ $1 =~ $quoted ]]; then
+    printf '%s' "${BASH_REMATCH[3]}"
+  elif [[ ! $1 =~ ^[[:space:]]*[\"\'] && $1 =~ $unquoted ]]; then
+    printf '%s' "${BASH_REMATCH[0]}"
+  fi
+}
+
+# Sets and removes variables in a dotenv file. Every assignment of a variable
+# that is set is updated, keeping comments at the end of the assignment, or a
+# new assignment is appended to the file if there are none. Every assignment of
+# a variable that is unset is removed.
+# Arguments:
+#   $1 - Path of the file
+#   $2 - File modes: c - create the file if it does not exist
+#   $3... - Assignments (NAME=value) of variables to set, or names of variables
+#           to unset
+function edit_env {
+  local newline=$'\n'
+  local lines=()
+  local text=''
+  local missing_newline=0
+  local name
+  local pattern
+  local prefix
+  local comment
+  local found
+  local count
+  local line
+  local i
+  log "Rule $rule_count: Editing variables in $1"
+  if [[ -e $1 ]]; then
+    # Read the lines without mapfile, which bash 3 does not have
+    while IFS= read -r line || [[ -n $line ]]
+    do
+      lines+=("$line")
+    done < "$1"
+    if [[ -n $(tail -c 1 "$1") ]]; then
+      missing_newline=1
+    fi
+  elif [[ $2 != *c* ]]; then
+    warning "Rule $rule_count: unable to find $1"
+    ((rule_count++))
+    return
+  fi
+
+  for variable in "${@:3}"
+  do
+    name=${variable%%=*}
+    pattern="^([[:space:]]*(export[[:space:]]+)?)${name//./\\.}[[:space:]]*="
+    found=0
+    count=${#lines[@]}
+    for ((i = 0; i < count; i++))
+    do
+      if [[ ${lines[i]} =~ $pattern ]]; then
+        found=1
+        if [[ $variable == *=* ]]; then
+          prefix=${BASH_REMATCH[1]}
+          comment=$(env_comment "${lines[i]:${#BASH_REMATCH[0]}}")
+          lines[i]="$prefix$variable$comment"
+        else
+          unset 'lines[i]'
+        fi
+      fi
+    done
+    lines=("${lines[@]}")
+    if ((!found)) && [[ $variable == *=* ]]; then
+      lines+=("$variable")
+      missing_newline=0
+    fi
   done
+
+  if ((${#lines[@]})); then
+    text="$(printf '%s\n' "${lines[@]}"; printf x)"
+    text="${text%x}"
+    if ((missing_newline)); then
+      text="${text%$newline}"
+    fi
+  fi
+  printf '%s' "$text" > "$1" || {
+    warning "Rule $rule_count: unable to edit variables in $1"
+  }
   ((rule_count++))
 }
 
@@ -123,7 +566,7 @@ replace '\\sum' '\\prod' ''
 #   dest: "A-copy"
 # }
 
-copy A A-copy
+copy 'A' 'A-copy'
 
 # RULE 3
 # {
@@ -132,7 +575,7 @@ copy A A-copy
 #   dest: "B-copy"
 # }
 
-copy B B-copy
+copy 'B' 'B-copy'
 
 # RULE 4
 # {
@@ -141,4 +584,4 @@ copy B B-copy
 #   dest: "sub/C-rename"
 # }
 
-rename sub/C sub/C-rename
+rename 'sub/C' 'sub/C-rename'
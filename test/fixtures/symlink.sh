@@ -0,0 +1,18 @@
+# RULE 1
+# {
+#   action: "symlink",
+#   target: "config/prod",
+#   link: "config/current",
+#   relative: true
+# }
+
+make_symlink 'prod' 'config/current'
+
+# RULE 2
+# {
+#   action: "symlink",
+#   target: "/it's",
+#   link: "link"
+# }
+
+make_symlink '/it'"'"'s' 'link'
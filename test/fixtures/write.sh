@@ -0,0 +1,13 @@
+# RULE 5
+# {
+#   action: "write",
+#   path: "it's/.npmrc",
+#   overwrite: "skip"
+# }
+
+write_file 'it'"'"'s/.npmrc' <<'FS_TRANSFORM_EOF_'
+registry=http://npm.example.com
+FS_TRANSFORM_EOF
+$HOME 'quoted'
+
+FS_TRANSFORM_EOF_
@@ -0,0 +1,106 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+var fs = require('../fixtures/fs-helper')
+var nodeFs = require('fs')
+var path = require('path')
+
+var Transformer = require('../../index')
+
+describe('functional', () => {
+  beforeEach(fs.createTestDir)
+  afterEach(fs.removeTestDir)
+
+  describe('changed paths', () => {
+    /**
+     * Performs a dry run of the given rules, and lists the trees copied and
+     * diffed while committing and diffing the results of each rule.
+     * @param {array} rules Rules to run.
+     * @param {function} [custom] Handler for the `custom` rule action.
+     * @param {function} cb Callback to execute with the copied and diffed
+     *   paths, relative to the temporary directory.
+     */
+    function run (rules, custom, cb) {
+      if (!cb) {
+        cb = custom
+        custom = null
+      }
+      var transformer = new Transformer(fs.path, rules)
+      if (custom) {
+        transformer.setAction('custom', custom)
+      }
+      sinon.spy(transformer.driver, 'copyTree')
+      sinon.spy(transformer.driver, 'diff')
+      transformer.dry((err) => {
+        if (err) { return cb(err) }
+        // The temporary directory has been removed by now, but the working
+        // directory was the first tree copied into it
+        var tmpPath = path.dirname(transformer.driver.copyTree.firstCall.args[1])
+        var relative = (call) => call.args.slice(0, 2).map((file) => {
+          return path.relative(tmpPath, file)
+        })
+        // Skip copying the working and results directories during the setup,
+        // and the full diff against the root directory
+        var copied = transformer.driver.copyTree.getCalls().slice(2)
+        var diffed = transformer.driver.diff.getCalls().slice(0, -1)
+        cb(null, copied.map(relative), diffed.map(relative))
+      })
+    }
+
+    it('should only commit and diff the paths each rule changed', (done) => {
+      var rules = [
+        { action: 'write', path: 'A', content: 'a\n' },
+        { action: 'rename', source: 'sub/C', dest: 'new/C' },
+        { action: 'replace', search: 'file B', replace: 'document B' }
+      ]
+      run(rules, (err, copied, diffed) => {
+        if (err) { return done(err) }
+        expect(copied).to.deep.equal([
+          ['results/A', 'working/A'],
+          ['results/new', 'working/new'],
+          ['results/B', 'working/B']
+        ])
+        expect(diffed).to.deep.equal([
+          ['working/A', 'results/A'],
+          ['working/B', 'results/B']
+        ])
+        done()
+      })
+    })
+
+    it('should not commit or diff anything for rules without changes', (done) => {
+      var rules = [
+        { action: 'exclude', files: ['A'] },
+        { action: 'replace', search: 'nothing matches this', replace: 'x' },
+        { action: 'copy', source: 'missing', dest: 'missing-copy' }
+      ]
+      run(rules, (err, copied, diffed) => {
+        if (err) { return done(err) }
+        expect(copied).to.deep.equal([])
+        expect(diffed).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should commit and diff everything after custom actions', (done) => {
+      var rules = [{ action: 'custom' }]
+      run(rules, function (rule, cb) {
+        nodeFs.writeFileSync(path.join(this.driver.resultsPath, 'A'), 'a\n')
+        this._setResultsDiffs(cb)
+      }, (err, copied, diffed) => {
+        if (err) { return done(err) }
+        expect(copied).to.deep.equal([['results', 'working']])
+        expect(diffed).to.deep.equal([['working', 'results']])
+        done()
+      })
+    })
+  }) // end 'changed paths'
+})
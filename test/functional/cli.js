@@ -0,0 +1,127 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var fs = require('../fixtures/fs-helper')
+var path = require('path')
+var childProcess = require('child_process')
+
+/**
+ * Path to the command-line executable.
+ * @type {string}
+ */
+var bin = path.resolve(__dirname, '../../bin/fs-transform')
+
+/**
+ * Runs the command-line executable and yields its exit code and output.
+ * @param {array} args Arguments for the command.
+ * @param {string} [input] Content to write to standard input.
+ * @param {function} cb Callback to execute with the exit code, standard
+ *   output and standard error of the command.
+ */
+function run (args, input, cb) {
+  if (typeof input === 'function') {
+    cb = input
+    input = ''
+  }
+  var child = childProcess.execFile(bin, args, (err, stdout, stderr) => {
+    cb(err ? err.code : 0, stdout, stderr)
+  })
+  child.stdin.end(input)
+}
+
+describe('functional', () => {
+  describe('cli', () => {
+    var rulesPath = path.resolve(__dirname, '../fixtures/cli-rules.json')
+
+    beforeEach(fs.createTestDir)
+    afterEach(fs.removeTestDir)
+
+    it('should apply rules from a file', (done) => {
+      run(['apply', fs.path, rulesPath], (code, stdout, stderr) => {
+        expect(code).to.equal(0)
+        expect(stdout).to.equal('')
+        expect(stderr).to.equal(
+          'warning: rule 2 (copy): Source file does not exist.\n'
+        )
+        expect(fs.exists('A-copy')).to.be.true()
+        done()
+      })
+    })
+
+    it('should apply rules from standard input', (done) => {
+      var input = JSON.stringify([
+        { action: 'copy', source: 'A', dest: 'A-copy' }
+      ])
+      run(['apply', fs.path], input, (code, stdout, stderr) => {
+        expect(code).to.equal(0)
+        expect(stderr).to.equal('')
+        expect(fs.exists('A-copy')).to.be.true()
+        done()
+      })
+    })
+
+    it('should perform a dry run', (done) => {
+      run(['dry', fs.path, rulesPath], (code, stdout, stderr) => {
+        expect(code).to.equal(0)
+        expect(fs.exists('A-copy')).to.be.false()
+        done()
+      })
+    })
+
+    it('should print the diff', (done) => {
+      var input = JSON.stringify([
+        { action: 'replace', search: 'Exampel', replace: 'Example' }
+      ])
+      run(['diff', fs.path, '-'], input, (code, stdout, stderr) => {
+        expect(code).to.equal(0)
+        expect(stdout).to.match(/^-Exampel$/m)
+        expect(fs.read('A')).to.equal(fs.readMock('A'))
+        done()
+      })
+    })
+
+    it('should print the script', (done) => {
+      run(['script', fs.path, rulesPath], (code, stdout, stderr) => {
+        expect(code).to.equal(0)
+        expect(stdout).to.match(/^#!\/bin\/bash/)
+        expect(stdout).to.contain('copy \'A\' \'A-copy\'')
+        done()
+      })
+    })
+
+    it('should exit with 2 on warnings in strict mode', (done) => {
+      run(['apply', '--strict', fs.path, rulesPath], (code, stdout, stderr) => {
+        expect(code).to.equal(2)
+        expect(stderr).to.contain('Source file does not exist.')
+        expect(fs.exists('A-copy')).to.be.false()
+        done()
+      })
+    })
+
+    it('should exit with 1 on errors', (done) => {
+      run(['apply', fs.path], '{sou[p]', (code, stdout, stderr) => {
+        expect(code).to.equal(1)
+        expect(stderr).to.match(/^error: /)
+        done()
+      })
+    })
+
+    it('should exit with 1 if the root does not exist', (done) => {
+      var root = path.resolve(fs.path, 'not-there')
+      run(['apply', root, rulesPath], (code, stdout, stderr) => {
+        expect(code).to.equal(1)
+        expect(stderr).to.equal(
+          'error: Root directory does not exist: ' + root + '\n'
+        )
+        done()
+      })
+    })
+  }) // end 'cli'
+}) // end 'functional'
@@ -0,0 +1,220 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var childProcess = require('child_process')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+var Transformer = require('../../index')
+
+/**
+ * Path to the fixture with executables and symbolic links.
+ * @type {string}
+ */
+var fixturePath = path.resolve(__dirname, '../fixtures/metadata')
+
+/**
+ * Time given to every path of the test directory.
+ * @type {Date}
+ */
+var time = new Date('2001-02-03T04:05:06Z')
+
+describe('functional', () => {
+  describe('metadata', () => {
+    var tmpPath
+    var root
+
+    beforeEach((done) => {
+      tmpPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-transform-'))
+      root = path.join(tmpPath, 'root')
+      childProcess.execFile('cp', ['-PR', fixturePath, root], (err) => {
+        if (err) { return done(err) }
+        // Links to missing paths are not kept in the fixture, as they break
+        // the search for test scripts
+        fs.symlinkSync('missing', path.join(root, 'dangling'))
+        fs.chmodSync(path.join(root, 'config'), 0o750)
+        fs.chmodSync(path.join(root, 'config/secret.txt'), 0o600)
+        if (process.getuid() === 0) {
+          fs.lchownSync(path.join(root, 'config/secret.txt'), 1234, 1234)
+          fs.lchownSync(path.join(root, 'docs'), 1234, 1234)
+        }
+        list(root).forEach((file) => {
+          if (!fs.lstatSync(path.join(root, file)).isSymbolicLink()) {
+            fs.utimesSync(path.join(root, file), time, time)
+          } else if (fs.lutimesSync) {
+            fs.lutimesSync(path.join(root, file), time, time)
+          }
+        })
+        done()
+      })
+    })
+
+    afterEach((done) => {
+      childProcess.execFile('rm', ['-rf', tmpPath], done)
+    })
+
+    /**
+     * Lists the paths in a directory, without following symbolic links.
+     * @param {string} dir Absolute path of the directory.
+     * @return {array} The relative paths in the directory, including the
+     *   directory itself (`''`).
+     */
+    function list (dir) {
+      var paths = ['']
+      fs.readdirSync(dir).sort().forEach((name) => {
+        var file = path.join(dir, name)
+        if (!fs.lstatSync(file).isDirectory()) {
+          return paths.push(name)
+        }
+        list(file).forEach((child) => {
+          paths.push(path.join(name, child))
+        })
+      })
+      return paths
+    }
+
+    /**
+     * Describes the content and metadata of every path in the test directory.
+     * The modification times of symbolic links are left out on versions of
+     * Node that cannot set them.
+     * @return {object} The type, content or link target, mode, ownership and
+     *   modification time of each path, by relative path.
+     */
+    function snapshot () {
+      var paths = {}
+      list(root).forEach((file) => {
+        var absolute = path.join(root, file)
+        var stat = fs.lstatSync(absolute)
+        var entry = {
+          mode: stat.mode,
+          uid: stat.uid,
+          gid: stat.gid,
+          mtime: stat.mtime.getTime()
+        }
+        if (stat.isSymbolicLink()) {
+          entry.link = fs.readlinkSync(absolute)
+          if (!fs.lutimesSync) {
+            delete entry.mtime
+          }
+        } else if (stat.isFile()) {
+          entry.content = fs.readFileSync(absolute).toString()
+        }
+        paths[file] = entry
+      })
+      return paths
+    }
+
+    /**
+     * Omits paths from a snapshot.
+     * @param {object} paths Snapshot of the test directory.
+     * @param {array} omitted Relative paths to omit.
+     * @return {object} The snapshot without the given paths.
+     */
+    function omit (paths, omitted) {
+      var result = {}
+      Object.keys(paths).forEach((file) => {
+        if (omitted.indexOf(file) === -1) {
+          result[file] = paths[file]
+        }
+      })
+      return result
+    }
+
+    it('should leave paths that are not transformed as they were', (done) => {
+      var before = snapshot()
+      var rules = [
+        { action: 'write', path: 'README.md', content: '# changed\n' },
+        { action: 'replace', search: 'running', replace: 'walking' }
+      ]
+      Transformer.transform(root, rules, (err) => {
+        if (err) { return done(err) }
+        var after = snapshot()
+        expect(after['README.md'].content).to.equal('# changed\n')
+        expect(after['bin/run.sh'].content).to.contain('walking')
+        expect(after['lib/index.js'].content).to.contain('walking')
+        // The changed files and the directories that contain them
+        var changed = ['', 'README.md', 'bin', 'bin/run.sh', 'lib', 'lib/index.js']
+        expect(omit(after, changed)).to.deep.equal(omit(before, changed))
+        done()
+      })
+    })
+
+    it('should keep the modes and owners of changed files', (done) => {
+      var before = snapshot()
+      var rules = [
+        { action: 'replace', search: 'running', replace: 'walking' },
+        { action: 'write', path: 'config/secret.txt', content: 'secret=*\n' }
+      ]
+      Transformer.transform(root, rules, (err) => {
+        if (err) { return done(err) }
+        var after = snapshot()
+        ;['bin/run.sh', 'config/secret.txt'].forEach((file) => {
+          expect(after[file].mode).to.equal(before[file].mode)
+          expect(after[file].uid).to.equal(before[file].uid)
+          expect(after[file].gid).to.equal(before[file].gid)
+        })
+        done()
+      })
+    })
+
+    it('should leave files a replace did not change untouched by later rules', (done) => {
+      var before = snapshot()
+      var rules = [
+        { action: 'replace', search: 'running', replace: 'walking' },
+        { action: 'exclude', files: ['nothing'] },
+        { action: 'custom' }
+      ]
+      var transformer = new Transformer(root, rules)
+      // Custom actions commit the whole results directory
+      transformer.setAction('custom', (rule, cb) => { cb() })
+      transformer.transform((err) => {
+        if (err) { return done(err) }
+        var after = snapshot()
+        expect(after['bin/run.sh'].content).to.contain('walking')
+        expect(after['README.md']).to.deep.equal(before['README.md'])
+        expect(after['config/secret.txt'])
+          .to.deep.equal(before['config/secret.txt'])
+        done()
+      })
+    })
+
+    it('should copy symbolic links as links', (done) => {
+      var before = snapshot()
+      var rules = [
+        { action: 'symlink', target: 'index.js', link: 'lib/latest.js' },
+        { action: 'write', path: 'docs/index.js', content: 'changed\n' }
+      ]
+      Transformer.transform(root, rules, (err) => {
+        if (err) { return done(err) }
+        var after = snapshot()
+        expect(after['lib/latest.js'].link).to.equal('index.js')
+        expect(after['lib/index.js'].content).to.equal('changed\n')
+        expect(after.docs).to.deep.equal(before.docs)
+        expect(after.dangling).to.deep.equal(before.dangling)
+        expect(after['lib/current.js']).to.deep.equal(before['lib/current.js'])
+        done()
+      })
+    })
+
+    it('should leave the directory as it was after a dry run', (done) => {
+      var before = snapshot()
+      var rules = [
+        { action: 'write', path: 'README.md', content: '# changed\n' },
+        { action: 'chmod', path: 'bin/run.sh', mode: '644' }
+      ]
+      Transformer.dry(root, rules, (err) => {
+        if (err) { return done(err) }
+        expect(snapshot()).to.deep.equal(before)
+        done()
+      })
+    })
+  }) // end 'metadata'
+}) // end 'functional'
@@ -0,0 +1,6 @@
+'use strict'
+
+var path = require('path')
+var withNodeDriver = require('../../fixtures/node-driver')
+
+exports.lab = withNodeDriver(path.resolve(__dirname, '../transformer.js'))
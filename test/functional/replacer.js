@@ -4,10 +4,14 @@ const Lab = require('lab')
 const lab = exports.lab = Lab.script()
 
 const describe = lab.describe
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
 const expect = require('code').expect
 const it = lab.it
 const path = require('path')
+const sinon = require('sinon')
 
+const fs = require('../fixtures/fs-helper')
 const Replacer = require('../../lib/replacer')
 
 const fixturesPath = path.resolve(__dirname, '..', 'fixtures')
@@ -28,6 +32,243 @@ function stripPath (files, pathToStrip) {
 
 describe('functional', () => {
   describe('Replacer', () => {
+    describe('createSearch', () => {
+      it('should use literal queries as-is', (done) => {
+        expect(Replacer.createSearch('a.b', {})).to.equal('a.b')
+        expect(Replacer.createSearch('a.b')).to.equal('a.b')
+        done()
+      })
+
+      it('should create global regular expressions for regex queries', (done) => {
+        const search = Replacer.createSearch('a(.)b', { regex: true })
+        expect(search).to.be.an.instanceof(RegExp)
+        expect(search.source).to.equal('a(.)b')
+        expect(search.global).to.be.true()
+        done()
+      })
+
+      it('should apply regular expression flags', (done) => {
+        const search = Replacer.createSearch('ab', { regex: true, flags: 'ig' })
+        expect(search.ignoreCase).to.be.true()
+        expect(search.global).to.be.true()
+        done()
+      })
+
+      it('should escape literal queries that ignore case', (done) => {
+        const search = Replacer.createSearch('a.b', { ignoreCase: true })
+        expect(search.source).to.equal('a\\.b')
+        expect(search.ignoreCase).to.be.true()
+        expect(search.global).to.be.true()
+        done()
+      })
+
+      it('should only match whole words', (done) => {
+        const search = Replacer.createSearch('foo', { wholeWord: true })
+        expect('foo foobar barfoo (foo)'.replace(search, 'X'))
+          .to.equal('X foobar barfoo (X)')
+        done()
+      })
+
+      it('should not add capture groups for whole word regexes', (done) => {
+        const search = Replacer.createSearch('a|(b)', {
+          regex: true,
+          wholeWord: true
+        })
+        expect('a b ab'.replace(search, '[$1]')).to.equal('[] [b] ab')
+        done()
+      })
+
+      it('should throw on invalid regular expressions', (done) => {
+        expect(() => {
+          Replacer.createSearch('(ab', { regex: true })
+        }).to.throw(SyntaxError)
+        done()
+      })
+    }) // end 'createSearch'
+
+    describe('allowFile', () => {
+      it('should use the last matching exclude', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, ['sub/', '!sub/C'])
+        expect(replacer.allowFile(path.resolve(readPath, 'A'))).to.be.true()
+        expect(replacer.allowFile(path.resolve(readPath, 'sub/C'))).to.be.true()
+        expect(replacer.allowFile(path.resolve(readPath, 'sub/subsub/D')))
+          .to.be.false()
+        done()
+      })
+    }) // end 'allowFile'
+
+    describe('createGrepSearch', () => {
+      it('should escape literal searches', (done) => {
+        expect(Replacer.createGrepSearch('a.(b)')).to.deep.equal({
+          search: 'a.(b)',
+          pattern: 'a\\.\\(b\\)',
+          ignoreCase: false
+        })
+        done()
+      })
+
+      it('should translate regular expressions', (done) => {
+        const search = Replacer.createSearch('(?:a|\\d)b', {
+          regex: true,
+          wholeWord: true,
+          ignoreCase: true
+        })
+        expect(Replacer.createGrepSearch(search)).to.deep.equal({
+          search: search,
+          pattern: '\\b((a|[0-9])b)\\b',
+          ignoreCase: true
+        })
+        done()
+      })
+    }) // end 'createGrepSearch'
+
+    describe('findDirectoryExclude', () => {
+      it('should find the exclude for directories', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, ['sub/', 'E'])
+        expect(replacer.findDirectoryExclude(path.resolve(readPath, 'sub')))
+          .to.equal(replacer.ignore[0])
+        expect(replacer.findDirectoryExclude(path.resolve(readPath, 'other')))
+          .to.be.null()
+        done()
+      })
+
+      it('should not exclude directories that may be re-included', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, [
+          '!sub/C', 'sub/', '!sub/subsub/D', 'sub/subsub/'
+        ])
+        expect(replacer.findDirectoryExclude(path.resolve(readPath, 'sub')))
+          .to.be.null()
+        expect(replacer.findDirectoryExclude(path.resolve(readPath, 'sub/subsub')))
+          .to.equal(replacer.ignore[3])
+        done()
+      })
+    }) // end 'findDirectoryExclude'
+
+    describe('createReplace', () => {
+      it('should leave references to missing capture groups', (done) => {
+        const search = /a(b)(c)?/g
+        const replace = Replacer.createReplace(search, '[$1|$2|$3]', () => {})
+        expect('ab abc'.replace(search, replace)).to.equal('[b||$3] [b|c|$3]')
+        done()
+      })
+
+      it('should count each match', (done) => {
+        let count = 0
+        const replace = Replacer.createReplace('a', 'b', () => { count++ })
+        expect('banana'.replace(/a/g, replace)).to.equal('bbnbnb')
+        expect(count).to.equal(3)
+        done()
+      })
+    }) // end 'createReplace'
+
+    describe('replace', () => {
+      beforeEach(fs.createTestDir)
+      afterEach(fs.removeTestDir)
+
+      it('should report the matches for each file', (done) => {
+        const replacer = new Replacer(readPath, fs.path, [])
+        replacer.replace('Mew', 'Woof').asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.matches[path.resolve(readPath, 'sub/C')]).to.equal(4)
+          expect(report.matches[path.resolve(readPath, 'B')]).to.equal(1)
+          expect(report.matches[path.resolve(readPath, 'A')]).to.equal(0)
+          expect(fs.read('sub/C').match('Mew')).to.be.null()
+          done()
+        })
+      })
+
+      it('should report the excluded files with matches', (done) => {
+        const replacer = new Replacer(readPath, fs.path, ['sub/', 'B', 'nope'])
+        replacer.replace('m[a-z]w', 'Woof', {
+          regex: true,
+          flags: 'i'
+        }).asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.excluded.sort()).to.deep.equal([
+            path.resolve(readPath, 'B'),
+            path.resolve(readPath, 'sub/C')
+          ])
+          expect(fs.read('sub/C')).to.equal(fs.readMock('sub/C'))
+          done()
+        })
+      })
+
+      it('should only search excluded files without other matches', (done) => {
+        const replacer = new Replacer(readPath, fs.path, ['sub/'], [], null, () => {
+          done(new Error('Excluded files were searched'))
+        })
+        replacer.replace('Mew', 'Woof').asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.matches[path.resolve(readPath, 'B')]).to.equal(1)
+          expect(report.excluded).to.deep.equal([])
+          done()
+        })
+      })
+
+      it('should only report included excluded files', (done) => {
+        const replacer = new Replacer(readPath, fs.path, ['sub/'], ['**/C'])
+        replacer.replace('Mew', 'Woof').asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.files).to.deep.equal([])
+          expect(report.excluded).to.deep.equal([path.resolve(readPath, 'sub/C')])
+          done()
+        })
+      })
+
+      it('should report the excludes that were used', (done) => {
+        const replacer = new Replacer(readPath, fs.path, ['sub/', 'nope', '!sub/C'])
+        replacer.replace('Mew', 'Woof').asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.usedExcludes).to.only.include(['sub/', '!sub/C'])
+          done()
+        })
+      })
+    }) // end 'replace'
+
+    describe('deleteLines', () => {
+      beforeEach(fs.createTestDir)
+      afterEach(fs.removeTestDir)
+
+      it('should delete matching lines and report the number deleted', (done) => {
+        const replacer = new Replacer(readPath, fs.path, ['sub/subsub/'])
+        replacer.deleteLines('File', {}).asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.matches[path.resolve(readPath, 'B')]).to.equal(2)
+          expect(report.matches[path.resolve(readPath, 'sub/C')]).to.equal(1)
+          expect(report.excluded).to.deep.equal([])
+          expect(report.usedExcludes).to.deep.equal(['sub/subsub/'])
+          expect(fs.read('B')).to.equal(
+            '\nThis is file B\nInteresting\nExampel\n\nMew\n'
+          )
+          expect(fs.read('sub/subsub/D')).to.equal(fs.readMock('sub/subsub/D'))
+          done()
+        })
+      })
+
+      it('should delete lines matching a regular expression', (done) => {
+        Replacer.findAndDeleteLines(readPath, fs.path, [], '^$', {
+          regex: true,
+          include: ['A']
+        }).asCallback((err, report) => {
+          expect(err).to.not.exist()
+          expect(report.files).to.deep.equal([path.resolve(readPath, 'A')])
+          expect(report.matches[path.resolve(readPath, 'A')]).to.equal(2)
+          expect(fs.read('A')).to.equal(
+            'File A\nExample\nExampel\nInteresting\n/some/path/foo\n'
+          )
+          done()
+        })
+      })
+
+      it('should reject with invalid regular expressions', (done) => {
+        const replacer = new Replacer(readPath, fs.path, [])
+        replacer.deleteLines('(', { regex: true }).asCallback((err) => {
+          expect(err).to.be.an.instanceof(SyntaxError)
+          done()
+        })
+      })
+    }) // end 'deleteLines'
+
     describe('getFiles', () => {
       it('should ignore excluded files', (done) => {
         const replacer = new Replacer(readPath, resultsPath, ['A', 'B'])
@@ -38,6 +279,109 @@ describe('functional', () => {
         })
       })
 
+      it('should always ignore .git directories', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, [])
+        fs.createDotGit((err) => {
+          if (err) { return done(err) }
+          replacer.getFiles().asCallback((err, files) => {
+            fs.removeDotGit(() => {
+              expect(err).to.not.exist()
+              expect(stripPath(files, readPath)).to.not.include([
+                '/.git/some-file'
+              ])
+              done()
+            })
+          })
+        })
+      })
+
+      it('should not exclude files by substring', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, ['C', 'ub'])
+        replacer.getFiles().asCallback((err, files) => {
+          expect(err).to.not.exist()
+          expect(stripPath(files, readPath)).to.include([
+            '/sub/C', '/sub/subsub/D'
+          ])
+          done()
+        })
+      })
+
+      it('should exclude files matching glob patterns', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, ['**/[CD]', 'E'])
+        replacer.getFiles().asCallback((err, files) => {
+          expect(err).to.not.exist()
+          expect(stripPath(files, readPath).sort()).to.deep.equal(['/A', '/B'])
+          done()
+        })
+      })
+
+      it('should exclude directory subtrees', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, ['sub/'])
+        replacer.getFiles().asCallback((err, files) => {
+          expect(err).to.not.exist()
+          expect(stripPath(files, readPath).sort()).to.deep.equal([
+            '/A', '/B', '/E'
+          ])
+          done()
+        })
+      })
+
+      it('should not walk excluded directories', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, ['sub/', 'A'])
+        sinon.spy(replacer, 'findExclude')
+        replacer.findFiles().asCallback((err, found) => {
+          expect(err).to.not.exist()
+          expect(stripPath(found.excluded, readPath).sort()).to.deep.equal([
+            '/A', '/sub'
+          ])
+          expect(found.usedExcludes).to.only.include(['sub/', 'A'])
+          replacer.findExclude.args.forEach((args) => {
+            expect(args[0]).to.not.contain('subsub')
+          })
+          done()
+        })
+      })
+
+      it('should re-include files with negated excludes', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, [
+          'sub/',
+          '!sub/subsub/D'
+        ])
+        replacer.getFiles().asCallback((err, files) => {
+          expect(err).to.not.exist()
+          expect(stripPath(files, readPath).sort()).to.deep.equal([
+            '/A', '/B', '/E', '/sub/subsub/D'
+          ])
+          done()
+        })
+      })
+
+      it('should only find included files', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, [], [
+          'sub/**/[CD]',
+          'A'
+        ])
+        replacer.getFiles().asCallback((err, files) => {
+          expect(err).to.not.exist()
+          expect(stripPath(files, readPath).sort()).to.deep.equal([
+            '/A', '/sub/C', '/sub/subsub/D'
+          ])
+          done()
+        })
+      })
+
+      it('should apply negated include patterns', (done) => {
+        const replacer = new Replacer(readPath, resultsPath, [], [
+          'sub/',
+          '!sub/subsub/'
+        ])
+        replacer.getFiles().asCallback((err, files) => {
+          expect(err).to.not.exist()
+          expect(stripPath(files, readPath)).to.deep.equal(['/sub/C'])
+          done()
+        })
+      })
+
       it('should not search binary files', (done) => {
         const replacer = new Replacer(readPath, resultsPath, [])
         replacer.getFiles().asCallback((err, files) => {
@@ -13,6 +13,7 @@ var expect = Code.expect
 var fs = require('../fixtures/fs-helper')
 var async = require('async')
 var childProcess = require('child_process')
+var nodeFs = require('fs')
 
 var debug = require('debug')('fs-transform:test')
 
@@ -88,6 +89,20 @@ describe('functional', () => {
       ], done)
     })
 
+    it('should handle glob excludes', (done) => {
+      compareScript([
+        { action: 'exclude', files: ['sub/'] },
+        { action: 'exclude', files: ['!sub/subsub/D'] },
+        { action: 'replace', search: 'Example', replace: 'Sample' },
+        {
+          action: 'replace',
+          search: 'File',
+          replace: 'Document',
+          exclude: ['[AB]', '!B']
+        }
+      ], done)
+    })
+
     it('should always exclude .git files', (done) => {
       compareScript([
         { action: 'replace', search: 'only_in_gitfile', replace: 'yus' }
@@ -110,6 +125,299 @@ describe('functional', () => {
       ], done)
     })
 
+    it('should handle regex replaces', (done) => {
+      compareScript([
+        {
+          action: 'replace',
+          search: '\\\\sum_\\{i=(\\d+)\\}',
+          replace: '\\prod_{j=$1}',
+          regex: true
+        },
+        {
+          action: 'replace',
+          search: 'file ([a-z])',
+          replace: 'document $1 &',
+          regex: true,
+          flags: 'i'
+        }
+      ], done)
+    })
+
+    it('should handle non-capturing groups and back-references', (done) => {
+      compareScript([
+        {
+          action: 'replace',
+          search: '(?:F|f)ile (\\w)',
+          replace: 'document $1',
+          regex: true
+        },
+        {
+          action: 'replace',
+          search: '(?:M)(e)\\1?w',
+          replace: '$1$2',
+          regex: true,
+          wholeWord: true
+        },
+        {
+          action: 'deleteLines',
+          search: '(?:g)(o)\\1d',
+          regex: true,
+          wholeWord: true
+        }
+      ], done)
+    })
+
+    it('should handle case insensitive and whole word replaces', (done) => {
+      compareScript([
+        { action: 'replace', search: 'mew', replace: 'Woof', ignoreCase: true },
+        { action: 'replace', search: 'Exam', replace: 'Test', wholeWord: true },
+        {
+          action: 'replace',
+          search: '(file|document) (b)',
+          replace: '$2 $1',
+          regex: true,
+          ignoreCase: true,
+          wholeWord: true
+        }
+      ], done)
+    })
+
+    it('should handle replace includes', (done) => {
+      compareScript([
+        { action: 'replace', search: 'Mew', replace: 'Purr', include: ['sub/*'] },
+        {
+          action: 'replace',
+          search: 'Example',
+          replace: 'Sample',
+          include: ['**/[A-D]', '!sub/']
+        },
+        {
+          action: 'replace',
+          search: 'File',
+          replace: 'Document',
+          include: ['{A,E}']
+        }
+      ], done)
+    })
+
+    it('should handle deletes', (done) => {
+      compareScript([
+        { action: 'delete', path: 'A', paths: ['sub/subsub/D'] },
+        { action: 'delete', path: 'sub' },
+        { action: 'delete', path: 'not-there' },
+        { action: 'delete', path: 'sub/subsub', recursive: true }
+      ], done)
+    })
+
+    it('should handle mkdirs and writes', (done) => {
+      compareScript([
+        { action: 'mkdir', path: 'config' },
+        { action: 'mkdir', path: 'a/b/c', parents: true },
+        { action: 'write', path: 'config/.npmrc', content: 'save=true\n' },
+        { action: 'write', path: 'a/b/c/empty', content: '' },
+        {
+          action: 'write',
+          path: 'A',
+          content: '$HOME \\n \'quotes\'\nFS_TRANSFORM_EOF\n\n\n'
+        },
+        { action: 'write', path: 'B', content: 'no newline' }
+      ], done)
+    })
+
+    it('should handle appends, prepends and inserts', (done) => {
+      compareScript([
+        { action: 'write', path: 'no-newline', content: 'first\nlast' },
+        { action: 'write', path: 'empty', content: '' },
+        { action: 'append', path: 'A', content: 'Appended\n\n' },
+        { action: 'append', path: 'A', content: 'Example\nExampel' },
+        { action: 'append', path: 'empty', content: 'only' },
+        { action: 'prepend', path: 'no-newline', content: '$HOME \'quoted\'' },
+        { action: 'insert', path: 'no-newline', content: 'middle', line: 3 },
+        { action: 'insert', path: 'B', content: 'new', line: 9 },
+        { action: 'insert', path: 'B', content: 'Before *', before: 'is [good]' },
+        { action: 'insert', path: 'B', content: 'Before', before: 'is good' },
+        { action: 'insert', path: 'E', content: 'After', after: '\'username\'' },
+        {
+          action: 'insert',
+          path: 'sub/C',
+          content: 'After',
+          after: '^\\\\sum_\\{i=\\d+\\}',
+          regex: true
+        },
+        { action: 'insert', path: 'sub/C', content: 'Nope', after: 'Woof' },
+        { action: 'insert', path: 'sub/C', content: 'Nope', line: 100 }
+      ], done)
+    })
+
+    it('should handle delete lines', (done) => {
+      compareScript([
+        { action: 'write', path: 'no-newline', content: 'a.b\nlast' },
+        { action: 'exclude', files: ['sub/subsub/'] },
+        { action: 'deleteLines', search: 'last' },
+        { action: 'deleteLines', search: 'a.b' },
+        { action: 'deleteLines', search: 'mew', ignoreCase: true, exclude: ['B'] },
+        { action: 'deleteLines', search: 'Example', include: ['**/[A-D]'] },
+        {
+          action: 'deleteLines',
+          search: '^(\\\\sum|\'username\')',
+          regex: true,
+          wholeWord: true
+        },
+        { action: 'deleteLines', search: 'file', wholeWord: true, flags: 'i' },
+        { action: 'deleteLines', search: '^$', regex: true, include: ['A'] }
+      ], done)
+    })
+
+    it('should handle json edits', (done) => {
+      compareScript([
+        {
+          action: 'write',
+          path: 'package.json',
+          content: '{\n    "name": "it\'s",\n    "scripts": {}\n}\n'
+        },
+        { action: 'write', path: 'min.json', content: '{"a":[1]}' },
+        {
+          action: 'json',
+          path: 'package.json',
+          operations: [
+            { op: 'set', path: 'scripts.test', value: 'lab $HOME' },
+            { op: 'unset', path: 'name' },
+            { op: 'merge', path: '/dependencies', value: { async: '^1.0.0' } }
+          ]
+        },
+        {
+          action: 'json',
+          path: 'min.json',
+          operations: [
+            { op: 'push', path: 'a', value: 'FS_TRANSFORM_EOF' },
+            { op: 'unset', path: 'b' }
+          ]
+        },
+        { action: 'json', path: 'A', operations: [] }
+      ], done)
+    })
+
+    it('should handle yaml edits', (done) => {
+      compareScript([
+        {
+          action: 'write',
+          path: 'config.yml',
+          content: '# it\'s\nenv:\n  - A=1 # first\nname: app\n'
+        },
+        {
+          action: 'yaml',
+          path: 'config.yml',
+          operations: [
+            { op: 'push', path: 'env', value: 'HOME=$HOME' },
+            { op: 'set', path: 'name', value: 'FS_TRANSFORM_EOF' },
+            { op: 'merge', path: 'build', value: { context: '.' } }
+          ]
+        },
+        { action: 'yaml', path: 'A', operations: [{ op: 'unset', path: 'a' }] }
+      ], done)
+    })
+
+    it('should handle env edits', (done) => {
+      compareScript([
+        {
+          action: 'write',
+          path: '.env',
+          content: '# it\'s\nexport A=1 # one\nB=2\nA="3 # x" # three\nC=4'
+        },
+        {
+          action: 'env',
+          path: '.env',
+          set: { A: 'it\'s $HOME', D: 'a\nb' },
+          unset: ['B', 'E']
+        },
+        { action: 'env', path: 'sub/.env', set: { A: 'a b' }, create: true },
+        { action: 'env', path: '.env', unset: ['C', 'D'] },
+        { action: 'env', path: 'A', set: { A: 1 } },
+        { action: 'env', path: '.missing', set: { A: 1 } }
+      ], done)
+    })
+
+    it('should handle ini edits', (done) => {
+      compareScript([
+        {
+          action: 'write',
+          path: 'it\'s.ini',
+          content: '; $HOME\n[a]\nb = 1\n\n[c]\nd: FS_TRANSFORM_EOF'
+        },
+        { action: 'ini', path: 'it\'s.ini', section: 'a', key: 'e', value: '$f' },
+        { action: 'ini', path: 'it\'s.ini', section: 'c', key: 'd', unset: true },
+        {
+          action: 'ini',
+          path: 'it\'s.ini',
+          section: 'g',
+          key: 'h',
+          value: 'i',
+          create: true
+        },
+        { action: 'ini', path: 'A', section: 'missing', key: 'a', value: 1 }
+      ], done)
+    })
+
+    it('should handle chmod and symlinks', (done) => {
+      compareScript([
+        { action: 'write', path: 'start.sh', content: 'echo hi\n' },
+        { action: 'chmod', path: 'start.sh', mode: '750' },
+        { action: 'chmod', path: 'A', mode: 'a+x' },
+        { action: 'symlink', target: 'sub/C', link: 'sub/subsub/C', relative: true },
+        { action: 'symlink', target: 'sub/C', link: 'C' },
+        { action: 'symlink', target: 'A', link: 'B' }
+      ], (err) => {
+        if (err) { return done(err) }
+        ['start.sh', 'A', 'sub/subsub/C', 'C'].forEach((file) => {
+          var original = nodeFs.lstatSync(fs.path + '/' + file)
+          var scripted = nodeFs.lstatSync(scriptPath + '/' + file)
+          expect(scripted.mode).to.equal(original.mode)
+        })
+        expect(nodeFs.readlinkSync(scriptPath + '/sub/subsub/C'))
+          .to.equal('../C')
+        done()
+      })
+    })
+
+    it('should handle glob copies and renames', (done) => {
+      compareScript([
+        { action: 'write', path: 'it\'s 1.example', content: 'a\n' },
+        { action: 'write', path: 'sub/$b.example', content: 'b\n' },
+        { action: 'copy', source: '**/*.example', dest: '$1$2.txt' },
+        { action: 'rename', source: 'sub/**/?', dest: 'sub/$1$2-renamed' },
+        { action: 'copy', source: '*.missing', dest: '$1' }
+      ], done)
+    })
+
+    it('should handle directory copies and renames', (done) => {
+      compareScript([
+        { action: 'mkdir', path: 'target' },
+        { action: 'write', path: 'target/C', content: 'Old\n' },
+        { action: 'write', path: 'target/keep', content: 'Keep\n' },
+        { action: 'copy', source: 'sub', dest: 'sub-copy' },
+        { action: 'copy', source: 'sub', dest: 'target' },
+        { action: 'rename', source: 'sub-copy', dest: 'target', conflict: 'replace' },
+        { action: 'copy', source: 'target', dest: 'A' },
+        { action: 'rename', source: 'target', dest: 'sub' }
+      ], done)
+    })
+
+    it('should create missing parent directories', (done) => {
+      compareScript([
+        { action: 'copy', source: 'A', dest: 'new/dir/A' },
+        { action: 'rename', source: '{B,sub/C}', dest: 'it\'s/$1' },
+        { action: 'copy', source: 'A', dest: 'not/A', createParents: false }
+      ], done)
+    })
+
+    it('should handle paths with spaces and quotes', (done) => {
+      compareScript([
+        { action: 'write', path: 'my file.txt', content: 'a\n' },
+        { action: 'copy', source: 'my file.txt', dest: 'new dir/copy.txt' },
+        { action: 'rename', source: 'my file.txt', dest: 'it\'s.txt' }
+      ], done)
+    })
+
     it('should handle multiple transforms', (done) => {
       compareScript([
         { action: 'replace', search: '\\sum', replace: '\\prod' },
@@ -118,5 +426,35 @@ describe('functional', () => {
         { action: 'rename', source: 'sub/C', dest: 'sub/C-rename' }
       ], done)
     })
+
+    it('should require GNU sed for case insensitive searches', (done) => {
+      var rules = [
+        { action: 'copy', source: 'A', dest: 'A-copy' },
+        { action: 'replace', search: 'mew', replace: 'Woof', ignoreCase: true }
+      ]
+      var binPath = scriptPath + '/bin'
+      Transformer.dry(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        // Stands in for a sed without the GNU extensions
+        nodeFs.mkdirSync(binPath)
+        nodeFs.writeFileSync(binPath + '/sed', '#!/bin/sh\nexit 1\n')
+        nodeFs.chmodSync(binPath + '/sed', '755')
+        fs.writeFile(scriptPath + '/script.sh', transformer.getScript(), () => {
+          var opts = {
+            cwd: scriptPath,
+            env: { PATH: binPath + ':' + process.env.PATH }
+          }
+          childProcess.exec('bash script.sh', opts, (err, output) => {
+            expect(err).to.exist()
+            expect(err.code).to.equal(1)
+            expect(output).to.contain(
+              'GNU sed is required for case insensitive and whole word searches'
+            )
+            expect(nodeFs.existsSync(scriptPath + '/A-copy')).to.be.false()
+            done()
+          })
+        })
+      })
+    })
   }) // end 'script'
 }) // end 'functional'
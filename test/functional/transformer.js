@@ -8,7 +8,12 @@ var beforeEach = lab.beforeEach
 var afterEach = lab.afterEach
 var Code = require('code')
 var expect = Code.expect
+var sinon = require('sinon')
 var fs = require('../fixtures/fs-helper')
+var childProcess = require('child_process')
+var nodeFs = require('fs')
+var os = require('os')
+var path = require('path')
 
 var Transformer = require('../../index')
 
@@ -16,6 +21,78 @@ describe('functional', () => {
   beforeEach(fs.createTestDir)
   afterEach(fs.removeTestDir)
 
+  describe('promises', () => {
+    it('should resolve with the transformer', (done) => {
+      var rules = [{ action: 'copy', source: 'A', dest: 'A-copy' }]
+      Transformer.transform(fs.path, rules).then((transformer) => {
+        expect(transformer).to.be.an.instanceof(Transformer)
+        expect(fs.exists('A-copy')).to.be.true()
+        done()
+      }).catch(done)
+    })
+
+    it('should resolve dry runs with the transformer', (done) => {
+      var rules = [{ action: 'copy', source: 'A', dest: 'A-copy' }]
+      Transformer.dry(fs.path, rules).then((transformer) => {
+        expect(transformer.nameChanges.length).to.equal(1)
+        expect(fs.exists('A-copy')).to.be.false()
+        done()
+      }).catch(done)
+    })
+
+    it('should reject errors', (done) => {
+      var rules = [{ action: 'unknown' }]
+      new Transformer(fs.path, rules).transform().catch((err) => {
+        expect(err.message).to.equal(
+          'Invalid rules:\n  rules[0].action is not a defined action'
+        )
+        done()
+      })
+    })
+  }) // end 'promises'
+
+  describe('validation', () => {
+    it('should reject rules that do not match their schemas', (done) => {
+      var rules = [
+        { action: 'copy', source: 'A', dest: 'A-copy', note: 'copies A' },
+        { action: 'replace', serach: 'File B', replace: 'B' },
+        { action: 'replace', search: 'File B', replace: 'B', exclude: 'B' }
+      ]
+      var transformer = new Transformer(fs.path, rules)
+      sinon.spy(transformer.driver, 'setup')
+      transformer.transform((err) => {
+        expect(err.message).to.equal([
+          'Invalid rules:',
+          '  rules[0].note is not allowed',
+          '  rules[1].search is required',
+          '  rules[1].serach is not allowed',
+          '  rules[2].exclude must be an array'
+        ].join('\n'))
+        expect(transformer.driver.setup.callCount).to.equal(0)
+        expect(fs.exists('A-copy')).to.be.false()
+        done()
+      })
+    })
+
+    it('should apply rules that do not match their schemas when lenient', (done) => {
+      var rules = [
+        { action: 'copy', source: 'A', dest: 'A-copy', note: 'copies A' },
+        { action: 'replace', search: 'File B', replace: 'B', exclude: 'B' }
+      ]
+      Transformer.transform(fs.path, rules, { lenient: true }, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('A-copy')).to.be.true()
+        expect(fs.read('B').split('\n')[0]).to.equal('B')
+        expect(transformer.warnings.map((warning) => warning.message))
+          .to.deep.equal([
+            'Unknown field "note", ignoring.',
+            'Excludes not supplied as an array, omitting.'
+          ])
+        done()
+      })
+    })
+  }) // end 'validation'
+
   describe('copy', () => {
     it('should copy a file', (done) => {
       var dest = 'A-copy'
@@ -56,6 +133,62 @@ describe('functional', () => {
         })
       })
     })
+
+    it('should copy files matching a glob', (done) => {
+      var rules = [{ action: 'copy', source: '{A,B}', dest: '$1-copy' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('A-copy')).to.be.true()
+        expect(fs.exists('B-copy')).to.be.true()
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: 'A', to: 'A-copy' },
+          { from: 'B', to: 'B-copy' }
+        ])
+        done()
+      })
+    })
+
+    it('should copy directories', (done) => {
+      var rules = [{ action: 'copy', source: 'sub', dest: 'sub-copy' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('sub/C')).to.be.true()
+        expect(fs.exists('sub-copy/C')).to.be.true()
+        expect(fs.exists('sub-copy/subsub/D')).to.be.true()
+        expect(transformer.nameChanges).to.deep.include([
+          { from: 'sub', to: 'sub-copy' },
+          { from: 'sub/subsub/D', to: 'sub-copy/subsub/D' }
+        ])
+        done()
+      })
+    })
+
+    it('should create missing parent directories', (done) => {
+      var rules = [{ action: 'copy', source: 'A', dest: 'new/dir/A' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('new/dir/A')).to.equal(fs.readMock('A'))
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Creates parent directory.')
+        done()
+      })
+    })
+
+    it('should skip missing parent directories when asked', (done) => {
+      var rules = [
+        { action: 'copy', source: 'A', dest: 'new/A', createParents: false },
+        { action: 'copy', source: 'B', dest: 'B-copy' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('new')).to.be.false()
+        expect(fs.exists('B-copy')).to.be.true()
+        expect(transformer.warnings[0].message)
+          .to.equal('Parent directory does not exist.')
+        done()
+      })
+    })
   }) // end 'copy'
 
   describe('rename', () => {
@@ -105,8 +238,597 @@ describe('functional', () => {
         })
       })
     })
+
+    it('should rename files matching a glob', (done) => {
+      var rules = [{ action: 'rename', source: 'sub/**/?', dest: 'sub/$1$2.txt' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('sub/C')).to.be.false()
+        expect(fs.exists('sub/C.txt')).to.be.true()
+        expect(fs.exists('sub/subsub/D')).to.be.false()
+        expect(fs.exists('sub/subsub/D.txt')).to.be.true()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    describe('with an existing directory', () => {
+      var rules = [
+        { action: 'mkdir', path: 'target' },
+        { action: 'write', path: 'target/C', content: 'Old\n' },
+        { action: 'write', path: 'target/keep', content: 'Keep\n' }
+      ]
+
+      it('should merge directories', (done) => {
+        var rename = { action: 'rename', source: 'sub', dest: 'target' }
+        Transformer.transform(fs.path, rules.concat(rename), (err, transformer) => {
+          if (err) { return done(err) }
+          expect(fs.exists('sub')).to.be.false()
+          expect(fs.exists('target/keep')).to.be.true()
+          expect(fs.exists('target/subsub/D')).to.be.true()
+          expect(fs.read('target/C')).to.equal(fs.readMock('sub/C'))
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Overwrites destination file.')
+          expect(transformer.warnings[0].path).to.equal('target/C')
+          done()
+        })
+      })
+
+      it('should replace directories when asked', (done) => {
+        var rename = {
+          action: 'rename',
+          source: 'sub',
+          dest: 'target',
+          conflict: 'replace'
+        }
+        Transformer.transform(fs.path, rules.concat(rename), (err, transformer) => {
+          if (err) { return done(err) }
+          expect(fs.exists('sub')).to.be.false()
+          expect(fs.exists('target/keep')).to.be.false()
+          expect(fs.exists('target/subsub/D')).to.be.true()
+          expect(transformer.warnings.map((w) => w.message)).to.deep.equal([
+            'Overwrites destination file.',
+            'Removes destination file.'
+          ])
+          done()
+        })
+      })
+    }) // end 'with an existing directory'
   }) // end 'rename'
 
+  describe('delete', () => {
+    it('should delete files', (done) => {
+      var rules = [{ action: 'delete', path: 'A', paths: ['sub/C'] }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('A')).to.be.false()
+        expect(fs.exists('sub/C')).to.be.false()
+        expect(fs.exists('B')).to.be.true()
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: 'A', to: null },
+          { from: 'sub/C', to: null }
+        ])
+        done()
+      })
+    })
+
+    it('should only delete directories when recursive', (done) => {
+      var rules = [
+        { action: 'delete', path: 'sub' },
+        { action: 'delete', path: 'sub/subsub', recursive: true }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Cannot delete a directory without recursive.')
+        expect(fs.exists('sub/C')).to.be.true()
+        expect(fs.exists('sub/subsub')).to.be.false()
+        done()
+      })
+    })
+
+    it('should set diffs for deleted files', (done) => {
+      var rules = [{ action: 'delete', path: 'sub', recursive: true }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var diffs = transformer.results[0].diffs
+        expect(Object.keys(diffs)).to.only.include(['/sub/C', '/sub/subsub/D'])
+        expect(diffs['/sub/C']).to.contain('-File C')
+        done()
+      })
+    })
+  }) // end 'delete'
+
+  describe('mkdir', () => {
+    it('should create directories', (done) => {
+      var rules = [
+        { action: 'mkdir', path: 'config' },
+        { action: 'mkdir', path: 'a/b/c', parents: true },
+        { action: 'mkdir', path: 'x/y' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.exists('config')).to.be.true()
+        expect(fs.exists('a/b/c')).to.be.true()
+        expect(fs.exists('x')).to.be.false()
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Parent directory does not exist.')
+        done()
+      })
+    })
+  }) // end 'mkdir'
+
+  describe('chmod', () => {
+    it('should change the mode of files', (done) => {
+      var rules = [
+        { action: 'write', path: 'start.sh', content: '#!/bin/sh\n' },
+        { action: 'chmod', path: 'start.sh', mode: '644' },
+        { action: 'chmod', path: 'start.sh', mode: 'u+x' },
+        { action: 'chmod', path: 'missing', mode: '755' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var mode = nodeFs.statSync(path.resolve(fs.path, 'start.sh')).mode
+        expect((mode & 0o777).toString(8)).to.equal('744')
+        expect(transformer.results[2].diffs['/start.sh'])
+          .to.equal('old mode 644\nnew mode 744')
+        expect(transformer.warnings[0].message)
+          .to.equal('File does not exist.')
+        done()
+      })
+    })
+
+    it('should include mode changes in the full diff', (done) => {
+      var rules = [{ action: 'chmod', path: 'A', mode: '700' }]
+      var from = (nodeFs.statSync(path.resolve(fs.path, 'A')).mode & 0o777)
+        .toString(8)
+      Transformer.dry(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(transformer.getDiff()).to.equal([
+          'diff -u -r /A /A',
+          'old mode ' + from,
+          'new mode 700',
+          ''
+        ].join('\n'))
+        done()
+      })
+    })
+  }) // end 'chmod'
+
+  describe('symlink', () => {
+    it('should create symbolic links', (done) => {
+      var rules = [
+        { action: 'mkdir', path: 'config' },
+        { action: 'write', path: 'config/prod.json', content: '{}\n' },
+        {
+          action: 'symlink',
+          target: 'config/prod.json',
+          link: 'config/current.json',
+          relative: true
+        },
+        { action: 'symlink', target: 'sub/C', link: 'C' },
+        { action: 'symlink', target: 'A', link: 'B' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var link = path.resolve(fs.path, 'config/current.json')
+        expect(nodeFs.readlinkSync(link)).to.equal('prod.json')
+        expect(fs.read('config/current.json')).to.equal('{}\n')
+        expect(nodeFs.readlinkSync(path.resolve(fs.path, 'C')))
+          .to.equal('sub/C')
+        expect(transformer.results[2].diffs['/config/current.json'])
+          .to.contain('+prod.json')
+        expect(transformer.warnings.map((warning) => warning.message))
+          .to.deep.equal(['Link already exists.'])
+        done()
+      })
+    })
+
+    it('should create links to missing targets', (done) => {
+      var rules = [{ action: 'symlink', target: 'missing', link: 'broken' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var link = path.resolve(fs.path, 'broken')
+        expect(nodeFs.readlinkSync(link)).to.equal('missing')
+        expect(transformer.warnings[0].message)
+          .to.equal('Target does not exist.')
+        done()
+      })
+    })
+  }) // end 'symlink'
+
+  describe('write', () => {
+    it('should write files', (done) => {
+      var rules = [
+        { action: 'mkdir', path: 'config' },
+        { action: 'write', path: 'config/.npmrc', content: 'save=true\n' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('config/.npmrc')).to.equal('save=true\n')
+        expect(transformer.results[1].diffs['/config/.npmrc'])
+          .to.contain('+save=true')
+        done()
+      })
+    })
+
+    it('should overwrite files with a warning', (done) => {
+      var rules = [{ action: 'write', path: 'A', content: 'new' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal('new')
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Overwrites destination file.')
+        done()
+      })
+    })
+
+    it('should not overwrite files when skipping', (done) => {
+      var rules = [{ action: 'write', path: 'A', content: 'new', overwrite: 'skip' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal(fs.readMock('A'))
+        done()
+      })
+    })
+
+    it('should not change the root when overwriting is an error', (done) => {
+      var rules = [
+        { action: 'write', path: 'new', content: 'new' },
+        { action: 'write', path: 'A', content: 'new', overwrite: 'error' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        expect(err).to.exist()
+        expect(fs.exists('new')).to.be.false()
+        expect(fs.read('A')).to.equal(fs.readMock('A'))
+        done()
+      })
+    })
+  }) // end 'write'
+
+  describe('append, prepend and insert', () => {
+    it('should insert lines into files', (done) => {
+      var rules = [
+        { action: 'append', path: 'A', content: 'Appended\n' },
+        { action: 'prepend', path: 'A', content: '#!/bin/sh' },
+        { action: 'insert', path: 'A', content: 'At line 2', line: 2 },
+        { action: 'insert', path: 'A', content: 'Before', before: 'Example' },
+        { action: 'insert', path: 'A', content: 'After', after: '^I', regex: true }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal([
+          '#!/bin/sh',
+          'At line 2',
+          'File A',
+          '',
+          'Before',
+          'Example',
+          'Exampel',
+          'Interesting',
+          'After',
+          '',
+          '/some/path/foo',
+          'Appended',
+          ''
+        ].join('\n'))
+        expect(transformer.results[0].diffs['/A']).to.contain('+Appended')
+        done()
+      })
+    })
+
+    it('should not insert content that is already present', (done) => {
+      var rules = [
+        { action: 'append', path: 'A', content: 'Example\nExampel' },
+        { action: 'insert', path: 'A', content: 'Interesting', line: 1 }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal(fs.readMock('A'))
+        expect(transformer.warnings.length).to.equal(2)
+        transformer.warnings.forEach((warning) => {
+          expect(warning.message).to.equal('Content already present, skipping.')
+        })
+        done()
+      })
+    })
+
+    it('should warn when the anchor was not found', (done) => {
+      var rules = [
+        { action: 'insert', path: 'A', content: 'new', after: 'Not there' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal(fs.readMock('A'))
+        expect(transformer.warnings[0].message).to.equal('Anchor not found.')
+        done()
+      })
+    })
+  }) // end 'append, prepend and insert'
+
+  describe('deleteLines', () => {
+    it('should delete lines matching a search', (done) => {
+      var rules = [
+        { action: 'exclude', files: ['B'] },
+        { action: 'deleteLines', search: 'mew', ignoreCase: true, exclude: ['F'] }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('sub/C')).to.equal('File C\n\\sum_{i=10}^{100} i^2\n\n\n')
+        expect(fs.read('B')).to.equal(fs.readMock('B'))
+        expect(transformer.results[1].matches).to.deep.equal({ '/sub/C': 4 })
+        expect(transformer.results[1].diffs['/sub/C']).to.contain('-Mew')
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message).to.equal('Unused exclude.')
+        done()
+      })
+    })
+  }) // end 'deleteLines'
+
+  describe('json', () => {
+    it('should edit values in a JSON file', (done) => {
+      var rules = [
+        {
+          action: 'write',
+          path: 'package.json',
+          content: '{\n\t"name": "a",\n\t"files": ["lib"]\n}'
+        },
+        {
+          action: 'json',
+          path: 'package.json',
+          operations: [
+            { op: 'set', path: '/scripts/test', value: 'lab' },
+            { op: 'push', path: 'files', value: 'index.js' },
+            { op: 'unset', path: 'devDependencies.mocha' }
+          ]
+        }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('package.json')).to.equal([
+          '{',
+          '\t"name": "a",',
+          '\t"files": [',
+          '\t\t"lib",',
+          '\t\t"index.js"',
+          '\t],',
+          '\t"scripts": {',
+          '\t\t"test": "lab"',
+          '\t}',
+          '}'
+        ].join('\n'))
+        expect(transformer.results[1].diffs['/package.json'])
+          .to.contain('+\t\t"test": "lab"')
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Path to unset does not exist.')
+        done()
+      })
+    })
+
+    it('should not change files that are not valid JSON', (done) => {
+      var rules = [
+        { action: 'json', path: 'A', operations: [{ op: 'unset', path: 'a' }] }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal(fs.readMock('A'))
+        expect(transformer.warnings[0].message)
+          .to.equal('File is not valid JSON.')
+        done()
+      })
+    })
+  }) // end 'json'
+
+  describe('yaml', () => {
+    it('should edit values in a YAML file and keep comments', (done) => {
+      var rules = [
+        {
+          action: 'write',
+          path: 'docker-compose.yml',
+          content: [
+            '# Services',
+            'web:',
+            '  image: nginx:1.9 # pinned',
+            '  ports:',
+            '    - "80:80"',
+            ''
+          ].join('\n')
+        },
+        {
+          action: 'yaml',
+          path: 'docker-compose.yml',
+          operations: [
+            { op: 'set', path: 'web.image', value: 'nginx:1.10' },
+            { op: 'push', path: '/web/ports', value: '443:443' },
+            { op: 'unset', path: 'web.command' }
+          ]
+        }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('docker-compose.yml')).to.equal([
+          '# Services',
+          'web:',
+          '  image: \'nginx:1.10\' # pinned',
+          '  ports:',
+          '    - "80:80"',
+          '    - \'443:443\'',
+          ''
+        ].join('\n'))
+        expect(transformer.results[1].diffs['/docker-compose.yml'])
+          .to.contain('+    - \'443:443\'')
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Path to unset does not exist.')
+        done()
+      })
+    })
+
+    it('should not change files that are not valid YAML', (done) => {
+      var rules = [
+        { action: 'write', path: 'bad.yml', content: 'a: [1\n' },
+        { action: 'yaml', path: 'bad.yml', operations: [{ op: 'unset', path: 'a' }] }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('bad.yml')).to.equal('a: [1\n')
+        expect(transformer.warnings[0].message)
+          .to.equal('File is not valid YAML.')
+        done()
+      })
+    })
+
+    it('should skip operations that would corrupt the file', (done) => {
+      var rules = [
+        { action: 'write', path: 'a.yml', content: 'a: &a 1\nb: *a\n' },
+        { action: 'yaml', path: 'a.yml', operations: [{ op: 'set', path: 'a', value: 2 }] }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('a.yml')).to.equal('a: &a 1\nb: *a\n')
+        expect(transformer.warnings[0].message)
+          .to.equal('Operation would corrupt the file, skipping.')
+        done()
+      })
+    })
+  }) // end 'yaml'
+
+  describe('env', () => {
+    it('should set and unset variables in a dotenv file', (done) => {
+      var rules = [
+        {
+          action: 'write',
+          path: '.env',
+          content: '# Database\nexport DB_HOST=localhost\nDEBUG=1\nDB_HOST=db\n'
+        },
+        {
+          action: 'env',
+          path: '.env',
+          set: { DB_HOST: 'db.example.com', SECRET: 'it\'s $ecret' },
+          unset: ['DEBUG', 'MISSING']
+        }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('.env')).to.equal([
+          '# Database',
+          'export DB_HOST=db.example.com',
+          'DB_HOST=db.example.com',
+          'SECRET="it\'s \\$ecret"',
+          ''
+        ].join('\n'))
+        expect(transformer.results[1].diffs['/.env'])
+          .to.contain('-DEBUG=1')
+        expect(transformer.warnings.map((warning) => warning.message))
+          .to.deep.equal([
+            'Duplicate variable.',
+            'Variable to unset does not exist.'
+          ])
+        done()
+      })
+    })
+
+    it('should create the file when asked', (done) => {
+      var rules = [
+        { action: 'env', path: 'sub/.env', set: { PORT: 80 }, create: true },
+        { action: 'env', path: 'sub/.other', set: { PORT: 80 } }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('sub/.env')).to.equal('PORT=80\n')
+        expect(fs.exists('sub/.other')).to.be.false()
+        expect(transformer.warnings[0].message)
+          .to.equal('File does not exist.')
+        done()
+      })
+    })
+  }) // end 'env'
+
+  describe('ini', () => {
+    it('should set and unset keys and keep comments', (done) => {
+      var rules = [
+        {
+          action: 'write',
+          path: 'setup.cfg',
+          content: [
+            '; Package metadata',
+            '[metadata]',
+            'name = app',
+            'version = 1.0',
+            '',
+            '[options]',
+            'zip_safe = False',
+            ''
+          ].join('\n')
+        },
+        {
+          action: 'ini',
+          path: 'setup.cfg',
+          section: 'metadata',
+          key: 'version',
+          value: '2.0'
+        },
+        {
+          action: 'ini',
+          path: 'setup.cfg',
+          section: 'options',
+          key: 'zip_safe',
+          unset: true
+        },
+        {
+          action: 'ini',
+          path: 'setup.cfg',
+          section: 'tool:pytest',
+          key: 'addopts',
+          value: '-v'
+        }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('setup.cfg')).to.equal([
+          '; Package metadata',
+          '[metadata]',
+          'name = app',
+          'version = 2.0',
+          '',
+          '[options]',
+          ''
+        ].join('\n'))
+        expect(transformer.results[1].diffs['/setup.cfg'])
+          .to.contain('+version = 2.0')
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Section does not exist.')
+        done()
+      })
+    })
+
+    it('should edit java properties files', (done) => {
+      var rules = [
+        {
+          action: 'write',
+          path: 'app.properties',
+          content: '# Settings\nserver.port=8080\ngreeting=Hello \\\n  World\n'
+        },
+        { action: 'ini', path: 'app.properties', key: 'greeting', value: 'Hi' },
+        { action: 'ini', path: 'app.properties', key: 'debug', value: true }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('app.properties')).to.equal(
+          '# Settings\nserver.port=8080\ngreeting=Hi\ndebug=true\n'
+        )
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+  }) // end 'ini'
+
   describe('replace', () => {
     it('should replace text in a file', (done) => {
       var search = 'File B is good'
@@ -149,6 +871,126 @@ describe('functional', () => {
       })
     })
 
+    it('should replace regular expression matches', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'File ([A-Z]) is (\\w+)',
+        replace: 'File $1 was $2',
+        regex: true
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('B').split('\n')[3]).to.equal('File B was good')
+        expect(fs.read('sub/subsub/D').split('\n')[3])
+          .to.equal('File B was good')
+        done()
+      })
+    })
+
+    it('should apply regular expression flags', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: '^mew$',
+        replace: 'Purr',
+        regex: true,
+        flags: 'im'
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('B').match('Mew')).to.be.null()
+        expect(fs.read('sub/C').match('Mew')).to.be.null()
+        expect(fs.read('sub/C').split('\n')[3]).to.equal('Purr')
+        done()
+      })
+    })
+
+    it('should only refuse scripts for regular expressions they cannot run', (done) => {
+      var rules = [
+        { action: 'replace', search: 'M(?=ew)', replace: 'P', regex: true },
+        { action: 'replace', search: 'ew$', replace: 'urr', regex: true, flags: 'm' }
+      ]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('sub/C').split('\n')[3]).to.equal('Purr')
+        expect(() => transformer.getScript()).to.throw(Error, [
+          'Rules cannot be converted into a script:',
+          '  RULE 1 search uses a lookahead, which scripts do not support',
+          '  RULE 2 flags can only contain "g" and "i"'
+        ].join('\n'))
+        done()
+      })
+    })
+
+    it('should ignore case when asked', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'file b',
+        replace: 'Document B',
+        ignoreCase: true
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var lines = fs.read('B').split('\n')
+        expect(lines[0]).to.equal('Document B')
+        expect(lines[2]).to.equal('This is Document B')
+        done()
+      })
+    })
+
+    it('should only replace whole words when asked', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'Example',
+        replace: 'Sample',
+        wholeWord: true
+      }, {
+        action: 'replace',
+        search: 'Exam',
+        replace: 'Test',
+        wholeWord: true
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var lines = fs.read('A').split('\n')
+        expect(lines[2]).to.equal('Sample')
+        expect(lines[3]).to.equal('Exampel')
+        done()
+      })
+    })
+
+    it('should not treat literal searches as patterns when ignoring case', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'i^2',
+        replace: 'i$1^3',
+        ignoreCase: true
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('sub/C').split('\n')[1])
+          .to.equal('\\sum_{i=10}^{100} i$1^3')
+        done()
+      })
+    })
+
+    it('should only replace in included files', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'File B is good',
+        replace: 'File B is great',
+        include: ['sub/**/*']
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(fs.read('B')).to.equal(fs.readMock('B'))
+        expect(fs.read('sub/subsub/D').match('File B is great')).to.not.be.null()
+        expect(transformer.results[0].files.sort()).to.deep.equal([
+          '/sub/C', '/sub/subsub/D'
+        ])
+        done()
+      })
+    })
+
     it('should apply exclusions', (done) => {
       var rules = [{
         action: 'replace',
@@ -172,6 +1014,49 @@ describe('functional', () => {
       })
     })
 
+    it('should warn when the search did not return any results', (done) => {
+      var rules = [{ action: 'replace', search: 'Not there', replace: 'a' }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.map((w) => w.message)).to.include(
+          'Search did not return any results.'
+        )
+        done()
+      })
+    })
+
+    it('should warn when all results were excluded', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'Mew',
+        replace: 'Woof',
+        exclude: ['B', 'sub/']
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.map((w) => w.message)).to.only.include([
+          'All results were excluded.'
+        ])
+        done()
+      })
+    })
+
+    it('should warn about unused excludes', (done) => {
+      var rules = [{
+        action: 'replace',
+        search: 'Mew',
+        replace: 'Woof',
+        exclude: ['B', 'not-there']
+      }]
+      Transformer.transform(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message).to.equal('Unused exclude.')
+        expect(transformer.results[0].matches).to.deep.equal({ '/sub/C': 4 })
+        done()
+      })
+    })
+
     it('should correctly set diffs by filename', (done) => {
       var rules = [
         { action: 'replace', search: 'Exampel', replace: 'Shamp' }
@@ -256,6 +1141,24 @@ describe('functional', () => {
       })
     })
 
+    it('should list added and deleted files in full diffs', (done) => {
+      var rules = [
+        { action: 'write', path: 'new', content: 'New file\n' },
+        { action: 'delete', path: 'E' }
+      ]
+      Transformer.dry(fs.path, rules, (err, transformer) => {
+        if (err) { return done(err) }
+        var diff = transformer.getDiff()
+        expect(diff).to.match(/^Only in .*: E$/m)
+        expect(diff).to.match(/^Only in .*: new$/m)
+        expect(diff).to.not.contain('New file')
+        expect(diff).to.not.contain('File E')
+        expect(transformer.results[0].diffs['/new']).to.contain('+New file')
+        expect(transformer.results[1].diffs['/E']).to.contain('-File E')
+        done()
+      })
+    })
+
     it('should use relative paths for full diffs', (done) => {
       var rules = [
         { action: 'replace', search: '\\sum', replace: '\\prod' },
@@ -270,5 +1173,230 @@ describe('functional', () => {
         done()
       })
     })
+
+    it('should commit files custom actions change directly', (done) => {
+      var rules = [
+        { action: 'custom' },
+        { action: 'copy', source: 'A', dest: 'A-copy' }
+      ]
+      var transformer = new Transformer(fs.path, rules)
+      transformer.setAction('custom', function (rule, cb) {
+        nodeFs.writeFileSync(path.join(this.driver.resultsPath, 'A'), 'custom')
+        cb()
+      })
+      transformer.transform((err) => {
+        if (err) { return done(err) }
+        expect(fs.read('A')).to.equal('custom')
+        expect(fs.read('A-copy')).to.equal('custom')
+        expect(transformer.getDiff()).to.contain('+custom')
+        done()
+      })
+    })
   }) // end 'results'
+
+  describe('temporary directories', () => {
+    /**
+     * Lists the temporary directories created for the test directory.
+     * @param {string} dir Directory in which they are created.
+     * @return {array} Names of the temporary directories.
+     */
+    function listTmp (dir) {
+      return nodeFs.readdirSync(dir).filter((name) => {
+        return name.indexOf('.test.fs-transform-') === 0
+      })
+    }
+
+    it('should create them next to the root directory', (done) => {
+      var transformer = new Transformer(fs.path, [{ action: 'custom' }])
+      transformer.setAction('custom', function (rule, cb) {
+        expect(path.dirname(this.driver.tmpPath))
+          .to.equal(path.dirname(fs.path))
+        expect(listTmp(path.dirname(fs.path))).to.have.length(1)
+        cb()
+      })
+      transformer.transform((err) => {
+        if (err) { return done(err) }
+        expect(listTmp(path.dirname(fs.path))).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should create them in the given directory', (done) => {
+      var tmpDir = nodeFs.mkdtempSync(path.join(os.tmpdir(), 'fs-transform-'))
+      var rules = [{ action: 'custom' }]
+      var transformer = new Transformer(fs.path, rules, { tmpDir: tmpDir })
+      transformer.setAction('custom', function (rule, cb) {
+        expect(listTmp(tmpDir)).to.have.length(1)
+        cb()
+      })
+      transformer.transform((err) => {
+        if (err) { return done(err) }
+        expect(nodeFs.readdirSync(tmpDir)).to.deep.equal([])
+        nodeFs.rmdirSync(tmpDir)
+        done()
+      })
+    })
+
+    it('should not show them in diffs when they share a prefix with the root', (done) => {
+      var tmpDir = fs.path + '-tmp'
+      nodeFs.mkdirSync(tmpDir)
+      var rules = [{ action: 'replace', search: 'Mew', replace: 'Woof' }]
+      Transformer.dry(fs.path, rules, { tmpDir: tmpDir }, (err, transformer) => {
+        nodeFs.rmdirSync(tmpDir)
+        if (err) { return done(err) }
+        var diff = transformer.getDiff()
+        expect(diff).to.contain('diff -u -r /B /B\n')
+        expect(diff).to.not.contain('-tmp')
+        expect(diff).to.not.contain('fs-transform-')
+        done()
+      })
+    })
+
+    it('should remove them when a rule fails', (done) => {
+      var transformer = new Transformer(fs.path, [{ action: 'custom' }])
+      transformer.setAction('custom', function (rule, cb) {
+        cb(new Error('custom error'))
+      })
+      transformer.transform((err) => {
+        expect(err).to.exist()
+        expect(err.message).to.equal('custom error')
+        expect(listTmp(path.dirname(fs.path))).to.deep.equal([])
+        expect(fs.exists('A')).to.be.true()
+        done()
+      })
+    })
+
+    it('should remove them when the setup fails', (done) => {
+      var rules = [{ action: 'copy', source: 'A', dest: 'A-copy' }]
+      var transformer = new Transformer(fs.path, rules)
+      sinon.stub(transformer.driver, 'createResultsDirectory')
+        .yieldsAsync(new Error('results error'))
+      transformer.transform((err) => {
+        expect(err).to.exist()
+        expect(err.message).to.equal('results error')
+        expect(listTmp(path.dirname(fs.path))).to.deep.equal([])
+        expect(fs.exists('A-copy')).to.be.false()
+        done()
+      })
+    })
+  }) // end 'temporary directories'
+
+  describe('commit recovery', () => {
+    var backupPath = fs.path + '.bak'
+    var journalPath = fs.path + '.fs-transform.json'
+
+    afterEach((done) => {
+      childProcess.execFile('rm', ['-rf', backupPath, journalPath], done)
+    })
+
+    /**
+     * Runs a transformation that is interrupted during its commit, by leaving
+     * the commit to be recovered later.
+     * @param {number|null} failingMove Move of the commit that fails, if any.
+     * @param {function} cb Callback to execute once the commit is interrupted.
+     */
+    function interruptCommit (failingMove, cb) {
+      var rules = [{ action: 'copy', source: 'A', dest: 'A-copy' }]
+      var transformer = new Transformer(fs.path, rules)
+      var driver = transformer.driver
+      var moveTree = driver.moveTree.bind(driver)
+      var moves = 0
+      sinon.stub(driver, 'moveTree', (source, dest, cb) => {
+        if (++moves === failingMove) {
+          return cb(new Error('move failed'))
+        }
+        moveTree(source, dest, cb)
+      })
+      sinon.stub(driver, 'recover').yieldsAsync()
+      transformer.transform(cb)
+    }
+
+    it('should roll back a commit that fails', (done) => {
+      var rules = [{ action: 'copy', source: 'A', dest: 'A-copy' }]
+      var transformer = new Transformer(fs.path, rules)
+      var driver = transformer.driver
+      var moveTree = driver.moveTree.bind(driver)
+      sinon.stub(driver, 'moveTree', (source, dest, cb) => {
+        if (source === driver.workingPath) {
+          return cb(new Error('move failed'))
+        }
+        moveTree(source, dest, cb)
+      })
+      transformer.transform((err) => {
+        expect(err.message).to.equal('move failed')
+        expect(fs.exists('A')).to.be.true()
+        expect(fs.exists('A-copy')).to.be.false()
+        expect(nodeFs.existsSync(backupPath)).to.be.false()
+        expect(nodeFs.existsSync(journalPath)).to.be.false()
+        done()
+      })
+    })
+
+    it('should revert a commit that did not finish the swap', (done) => {
+      interruptCommit(2, (err) => {
+        expect(err.message).to.equal('move failed')
+        expect(fs.exists('A')).to.be.false()
+        Transformer.recover(fs.path, (err, outcome) => {
+          if (err) { return done(err) }
+          expect(outcome).to.equal('reverted')
+          expect(fs.exists('A')).to.be.true()
+          expect(fs.exists('A-copy')).to.be.false()
+          expect(nodeFs.existsSync(backupPath)).to.be.false()
+          expect(nodeFs.existsSync(journalPath)).to.be.false()
+          done()
+        })
+      })
+    })
+
+    it('should finish a commit that swapped the directories', (done) => {
+      interruptCommit(null, (err) => {
+        if (err) { return done(err) }
+        expect(nodeFs.existsSync(backupPath)).to.be.true()
+        Transformer.recover(fs.path).then((outcome) => {
+          expect(outcome).to.equal('finished')
+          expect(fs.exists('A')).to.be.true()
+          expect(fs.exists('A-copy')).to.be.true()
+          expect(nodeFs.existsSync(backupPath)).to.be.false()
+          expect(nodeFs.existsSync(journalPath)).to.be.false()
+          done()
+        }).catch(done)
+      })
+    })
+
+    it('should not commit until an interrupted commit is recovered', (done) => {
+      interruptCommit(null, () => {
+        var rules = [{ action: 'copy', source: 'B', dest: 'B-copy' }]
+        Transformer.transform(fs.path, rules, (err) => {
+          expect(err.message).to.equal(
+            'An interrupted commit must be recovered first: ' + journalPath
+          )
+          done()
+        })
+      })
+    })
+
+    it('should not start a dry run until an interrupted commit is recovered', (done) => {
+      interruptCommit(null, () => {
+        var rules = [{ action: 'copy', source: 'B', dest: 'B-copy' }]
+        var transformer = new Transformer(fs.path, rules)
+        sinon.spy(transformer.driver, 'createWorkingDirectory')
+        transformer.dry((err) => {
+          expect(err.message).to.equal(
+            'An interrupted commit must be recovered first: ' + journalPath
+          )
+          expect(transformer.driver.createWorkingDirectory.callCount).to.equal(0)
+          done()
+        })
+      })
+    })
+
+    it('should recover nothing without an interrupted commit', (done) => {
+      Transformer.recover(fs.path, (err, outcome) => {
+        if (err) { return done(err) }
+        expect(outcome).to.be.null()
+        expect(fs.exists('A')).to.be.true()
+        done()
+      })
+    })
+  }) // end 'commit recovery'
 }) // end 'functional'
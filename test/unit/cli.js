@@ -0,0 +1,319 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+var fs = require('fs')
+var Promise = require('bluebird')
+var PassThrough = require('stream').PassThrough
+
+var Cli = require('../../lib/cli')
+var Transformer = require('../../lib/transformer')
+var Warning = require('../../lib/warning')
+
+/**
+ * Collects everything written to a stream.
+ * @param {stream.PassThrough} stream Stream to collect.
+ * @return {function} Returns the collected output when called.
+ */
+function collect (stream) {
+  var chunks = []
+  stream.on('data', (chunk) => chunks.push(chunk.toString()))
+  return () => chunks.join('')
+}
+
+describe('Cli', () => {
+  describe('parse', () => {
+    it('should parse the command, root and rules file', (done) => {
+      var options = Cli.parse(['diff', '/root', 'rules.json'])
+      expect(options).to.deep.equal({
+        strict: false,
+        help: false,
+        command: 'diff',
+        root: '/root',
+        rules: 'rules.json'
+      })
+      done()
+    })
+
+    it('should read rules from standard input by default', (done) => {
+      expect(Cli.parse(['dry', '/root']).rules).to.equal('-')
+      expect(Cli.parse(['dry', '/root', '-']).rules).to.equal('-')
+      done()
+    })
+
+    it('should parse the strict flag', (done) => {
+      expect(Cli.parse(['apply', '--strict', '/root']).strict).to.be.true()
+      done()
+    })
+
+    it('should parse the help flags', (done) => {
+      expect(Cli.parse(['-h']).help).to.be.true()
+      expect(Cli.parse(['dry', '--help']).help).to.be.true()
+      done()
+    })
+
+    it('should throw on unknown options', (done) => {
+      expect(() => {
+        Cli.parse(['dry', '--force', '/root'])
+      }).to.throw(Error, 'Unknown option: --force')
+      done()
+    })
+
+    it('should throw on unknown commands', (done) => {
+      expect(() => {
+        Cli.parse(['run', '/root'])
+      }).to.throw(Error, 'Unknown command: run')
+      done()
+    })
+
+    it('should throw when arguments are missing', (done) => {
+      expect(() => {
+        Cli.parse(['dry'])
+      }).to.throw(Error, 'Expected a command, root directory and rules file.')
+      done()
+    })
+
+    it('should throw when there are too many arguments', (done) => {
+      expect(() => {
+        Cli.parse(['dry', '/root', 'a.json', 'b.json'])
+      }).to.throw(Error, 'Expected a command, root directory and rules file.')
+      done()
+    })
+  }) // end 'parse'
+
+  describe('isDirectory', () => {
+    it('should determine if a path is a directory', (done) => {
+      expect(Cli.isDirectory(__dirname)).to.be.true()
+      expect(Cli.isDirectory(__filename)).to.be.false()
+      expect(Cli.isDirectory('/does/not/exist')).to.be.false()
+      done()
+    })
+  }) // end 'isDirectory'
+
+  describe('formatWarning', () => {
+    var rule = { action: 'copy', source: 'A', dest: 'B' }
+    var transformer = { rules: [{ action: 'mkdir' }, rule] }
+
+    it('should include the position and action of the rule', (done) => {
+      var warning = new Warning(rule, 'Source file does not exist.')
+      expect(Cli.formatWarning(transformer, warning)).to.equal(
+        'warning: rule 2 (copy): Source file does not exist.'
+      )
+      done()
+    })
+
+    it('should include the path of the warning', (done) => {
+      var warning = new Warning(rule, 'Overwrites destination file.', 'B')
+      expect(Cli.formatWarning(transformer, warning)).to.equal(
+        'warning: rule 2 (copy): Overwrites destination file. [B]'
+      )
+      done()
+    })
+
+    it('should omit the rule if it is not in the rules', (done) => {
+      var warning = new Warning({ action: 'copy' }, 'Hello')
+      expect(Cli.formatWarning(transformer, warning)).to.equal(
+        'warning: Hello'
+      )
+      done()
+    })
+  }) // end 'formatWarning'
+
+  describe('run', () => {
+    var cli
+    var stdout
+    var stderr
+    var transformer
+
+    beforeEach((done) => {
+      cli = new Cli({
+        stdin: new PassThrough(),
+        stdout: new PassThrough(),
+        stderr: new PassThrough()
+      })
+      stdout = collect(cli.stdout)
+      stderr = collect(cli.stderr)
+      transformer = {
+        rules: [],
+        warnings: [],
+        getDiff: sinon.stub().returns('diff\n'),
+        getScript: sinon.stub().returns('script\n')
+      }
+      sinon.stub(Cli, 'isDirectory').returns(true)
+      sinon.stub(Transformer, 'dry').returns(Promise.resolve(transformer))
+      sinon.stub(Transformer, 'transform')
+        .returns(Promise.resolve(transformer))
+      sinon.stub(fs, 'readFile').yieldsAsync(null, '[]')
+      done()
+    })
+
+    afterEach((done) => {
+      Cli.isDirectory.restore()
+      Transformer.dry.restore()
+      Transformer.transform.restore()
+      fs.readFile.restore()
+      done()
+    })
+
+    it('should print usage information', (done) => {
+      cli.run(['--help']).then((code) => {
+        expect(code).to.equal(0)
+        expect(stdout()).to.match(/^Usage: fs-transform/)
+        done()
+      }).catch(done)
+    })
+
+    it('should print errors and exit with 1', (done) => {
+      cli.run(['run', '/root']).then((code) => {
+        expect(code).to.equal(1)
+        expect(stderr()).to.equal('error: Unknown command: run\n')
+        done()
+      }).catch(done)
+    })
+
+    it('should read the rules file', (done) => {
+      cli.run(['dry', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(0)
+        expect(fs.readFile.calledWith('rules.json', 'utf8')).to.be.true()
+        expect(Transformer.dry.calledWith('/root', '[]')).to.be.true()
+        done()
+      }).catch(done)
+    })
+
+    it('should handle rules file read errors', (done) => {
+      fs.readFile.yieldsAsync(new Error('ENOENT'))
+      cli.run(['dry', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(1)
+        expect(stderr()).to.equal('error: ENOENT\n')
+        expect(Transformer.dry.callCount).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should read the rules from standard input', (done) => {
+      cli.run(['dry', '/root']).then((code) => {
+        expect(code).to.equal(0)
+        expect(fs.readFile.callCount).to.equal(0)
+        expect(Transformer.dry.calledWith('/root', '[{"action":"mkdir"}]'))
+          .to.be.true()
+        done()
+      }).catch(done)
+      cli.stdin.write('[{"action":')
+      cli.stdin.end('"mkdir"}]')
+    })
+
+    it('should error if the root is not a directory', (done) => {
+      Cli.isDirectory.returns(false)
+      cli.run(['dry', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(1)
+        expect(stderr()).to.equal(
+          'error: Root directory does not exist: /root\n'
+        )
+        expect(Transformer.dry.callCount).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should handle transformation errors', (done) => {
+      Transformer.dry.restore()
+      sinon.stub(Transformer, 'dry', () => {
+        return Promise.reject(new Error('Action not found'))
+      })
+      cli.run(['dry', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(1)
+        expect(stderr()).to.equal('error: Action not found\n')
+        done()
+      }).catch(done)
+    })
+
+    it('should print warnings to standard error', (done) => {
+      var rule = { action: 'copy' }
+      transformer.rules.push(rule)
+      transformer.warnings.push(new Warning(rule, 'Hello'))
+      cli.run(['dry', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(0)
+        expect(stderr()).to.equal('warning: rule 1 (copy): Hello\n')
+        expect(stdout()).to.equal('')
+        done()
+      }).catch(done)
+    })
+
+    it('should apply the rules', (done) => {
+      cli.run(['apply', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(0)
+        expect(Transformer.transform.calledOnce).to.be.true()
+        expect(Transformer.dry.callCount).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should print the diff', (done) => {
+      cli.run(['diff', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(0)
+        expect(Transformer.dry.calledOnce).to.be.true()
+        expect(stdout()).to.equal('diff\n')
+        done()
+      }).catch(done)
+    })
+
+    it('should print the script', (done) => {
+      cli.run(['script', '/root', 'rules.json']).then((code) => {
+        expect(code).to.equal(0)
+        expect(Transformer.dry.calledOnce).to.be.true()
+        expect(stdout()).to.equal('script\n')
+        done()
+      }).catch(done)
+    })
+
+    describe('strict', () => {
+      beforeEach((done) => {
+        var rule = { action: 'copy' }
+        transformer.rules.push(rule)
+        transformer.warnings.push(new Warning(rule, 'Hello'))
+        done()
+      })
+
+      it('should exit with 2 if there are warnings', (done) => {
+        cli.run(['dry', '--strict', '/root', 'rules.json']).then((code) => {
+          expect(code).to.equal(2)
+          done()
+        }).catch(done)
+      })
+
+      it('should still print the output of the command', (done) => {
+        cli.run(['diff', '--strict', '/root', 'rules.json']).then((code) => {
+          expect(code).to.equal(2)
+          expect(stdout()).to.equal('diff\n')
+          done()
+        }).catch(done)
+      })
+
+      it('should not apply rules with warnings', (done) => {
+        cli.run(['apply', '--strict', '/root', 'rules.json']).then((code) => {
+          expect(code).to.equal(2)
+          expect(Transformer.dry.calledOnce).to.be.true()
+          expect(Transformer.transform.callCount).to.equal(0)
+          done()
+        }).catch(done)
+      })
+
+      it('should apply rules without warnings', (done) => {
+        transformer.warnings = []
+        cli.run(['apply', '--strict', '/root', 'rules.json']).then((code) => {
+          expect(code).to.equal(0)
+          expect(Transformer.dry.calledOnce).to.be.true()
+          expect(Transformer.transform.calledWith('/root', '[]'))
+            .to.be.true()
+          done()
+        }).catch(done)
+      })
+    }) // end 'strict'
+  }) // end 'run'
+}) // end 'Cli'
@@ -0,0 +1,155 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+
+var EnvFile = require('../../lib/env-file')
+
+describe('EnvFile', () => {
+  describe('isName', () => {
+    it('should accept valid variable names', (done) => {
+      expect(EnvFile.isName('NODE_ENV')).to.be.true()
+      expect(EnvFile.isName('_a.b-c1')).to.be.true()
+      done()
+    })
+
+    it('should reject invalid variable names', (done) => {
+      expect(EnvFile.isName('1A')).to.be.false()
+      expect(EnvFile.isName('A B')).to.be.false()
+      expect(EnvFile.isName('A=B')).to.be.false()
+      expect(EnvFile.isName('')).to.be.false()
+      expect(EnvFile.isName(1)).to.be.false()
+      done()
+    })
+  }) // end 'isName'
+
+  describe('isValue', () => {
+    it('should accept strings, numbers and booleans', (done) => {
+      expect(EnvFile.isValue('a')).to.be.true()
+      expect(EnvFile.isValue(8080)).to.be.true()
+      expect(EnvFile.isValue(false)).to.be.true()
+      expect(EnvFile.isValue(null)).to.be.false()
+      expect(EnvFile.isValue({})).to.be.false()
+      done()
+    })
+  }) // end 'isValue'
+
+  describe('quote', () => {
+    it('should not quote safe values', (done) => {
+      expect(EnvFile.quote('postgres://u@localhost:5432/db')).to.equal(
+        'postgres://u@localhost:5432/db'
+      )
+      expect(EnvFile.quote(true)).to.equal('true')
+      expect(EnvFile.quote('')).to.equal('')
+      done()
+    })
+
+    it('should single quote values with special characters', (done) => {
+      expect(EnvFile.quote('a b $HOME "c"')).to.equal('\'a b $HOME "c"\'')
+      done()
+    })
+
+    it('should double quote values with single quotes or newlines', (done) => {
+      expect(EnvFile.quote('it\'s $HOME')).to.equal('"it\'s \\$HOME"')
+      expect(EnvFile.quote('a\nb\\c"`')).to.equal('"a\\nb\\\\c\\"\\`"')
+      done()
+    })
+  }) // end 'quote'
+
+  describe('pattern', () => {
+    it('should match assignments of the variable', (done) => {
+      var pattern = EnvFile.pattern('A.B')
+      expect(pattern.test('A.B=1')).to.be.true()
+      expect(pattern.test('  export A.B = 1')).to.be.true()
+      expect(pattern.test('AxB=1')).to.be.false()
+      expect(pattern.test('A.BC=1')).to.be.false()
+      expect(pattern.test('# A.B=1')).to.be.false()
+      expect('  export A.B=1'.match(pattern)[1]).to.equal('  export ')
+      done()
+    })
+  }) // end 'pattern'
+
+  describe('comment', () => {
+    it('should find comments after unquoted values', (done) => {
+      expect(EnvFile.comment('1 # one # two')).to.equal(' # one # two')
+      expect(EnvFile.comment('# empty')).to.equal('# empty')
+      expect(EnvFile.comment('a#b c')).to.equal('')
+      done()
+    })
+
+    it('should find comments after quoted values', (done) => {
+      expect(EnvFile.comment(' "a \\" # b"  # c')).to.equal('  # c')
+      expect(EnvFile.comment('\'a # b\'#c')).to.equal('#c')
+      expect(EnvFile.comment('\'a # b\'')).to.equal('')
+      expect(EnvFile.comment('"a # b')).to.equal('')
+      done()
+    })
+  }) // end 'comment'
+
+  describe('find', () => {
+    it('should find every assignment of a variable', (done) => {
+      var file = new EnvFile('A=1\nB=2\nexport A=3\n')
+      expect(file.find('A')).to.deep.equal([0, 2])
+      expect(file.find('C')).to.deep.equal([])
+      done()
+    })
+  }) // end 'find'
+
+  describe('set', () => {
+    it('should update every assignment of the variable', (done) => {
+      var file = new EnvFile('# A\nA=1\n  export A=2 # two\nB=3')
+      expect(file.set('A', 'a b')).to.equal(2)
+      expect(file.toString())
+        .to.equal('# A\nA=\'a b\'\n  export A=\'a b\' # two\nB=3')
+      done()
+    })
+
+    it('should keep comments at the end of assignments', (done) => {
+      var file = new EnvFile('A="1 # one" # quoted\nA=a#b  # unquoted\nA=\'1\'')
+      file.set('A', 2)
+      expect(file.toString()).to.equal('A=2 # quoted\nA=2  # unquoted\nA=2')
+      done()
+    })
+
+    it('should append new variables', (done) => {
+      var file = new EnvFile('A=1')
+      expect(file.set('B', 2)).to.equal(0)
+      expect(file.toString()).to.equal('A=1\nB=2\n')
+      done()
+    })
+
+    it('should add variables to empty files', (done) => {
+      var file = new EnvFile('')
+      file.set('A', 1)
+      expect(file.toString()).to.equal('A=1\n')
+      done()
+    })
+  }) // end 'set'
+
+  describe('unset', () => {
+    it('should remove every assignment of the variable', (done) => {
+      var file = new EnvFile('A=1\n# B\nexport A=2\nC=3\n')
+      expect(file.unset('A')).to.equal(2)
+      expect(file.toString()).to.equal('# B\nC=3\n')
+      done()
+    })
+
+    it('should not change the file for missing variables', (done) => {
+      var file = new EnvFile('A=1')
+      expect(file.unset('B')).to.equal(0)
+      expect(file.toString()).to.equal('A=1')
+      done()
+    })
+
+    it('should leave files with no lines empty', (done) => {
+      var file = new EnvFile('A=1\n')
+      file.unset('A')
+      expect(file.toString()).to.equal('')
+      done()
+    })
+  }) // end 'unset'
+}) // end 'EnvFile'
@@ -9,9 +9,12 @@ var afterEach = lab.afterEach
 var Code = require('code')
 var expect = Code.expect
 var sinon = require('sinon')
+var async = require('async')
 var childProcess = require('child_process')
 var FsDriver = require('../../lib/fs-driver')
 var fs = require('fs')
+var os = require('os')
+var path = require('path')
 
 describe('fs-driver', () => {
   describe('escape', () => {
@@ -94,44 +97,82 @@ describe('fs-driver', () => {
       expect(driver.createResultsDirectory.calledOnce).to.be.true()
       done()
     })
+
+    describe('after an interrupted commit', () => {
+      var parentPath
+
+      beforeEach((done) => {
+        parentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'setup-'))
+        driver = new FsDriver(parentPath + '/root')
+        fs.writeFileSync(driver.journalPath, '{}')
+        sinon.stub(driver, 'createWorkingDirectory').yieldsAsync()
+        sinon.stub(driver, 'createResultsDirectory').yieldsAsync()
+        done()
+      })
+
+      afterEach((done) => {
+        childProcess.execFile('rm', ['-rf', parentPath], done)
+      })
+
+      it('should fail before creating any directories', (done) => {
+        driver.setup((err) => {
+          expect(err.message).to.equal(
+            'An interrupted commit must be recovered first: ' + driver.journalPath
+          )
+          expect(driver.createWorkingDirectory.callCount).to.equal(0)
+          expect(driver.createResultsDirectory.callCount).to.equal(0)
+          done()
+        })
+      })
+    })
   }) // end 'setup'
 
   describe('teardown', () => {
     var driver
-    var rootPath
-    var backupPath
-    var workingPath
-    var resultsPath
 
     beforeEach((done) => {
       driver = new FsDriver('/tmp')
-      driver.workingPath = '/omg'
-      driver.resultsPath = '/wow'
+      driver.tmpPath = '/omg'
+      driver.workingPath = '/omg/working'
+      driver.resultsPath = '/omg/results'
       sinon.stub(driver, 'exec').yieldsAsync()
-      rootPath = driver.root
-      backupPath = driver.root + '.bak'
-      workingPath = driver.workingPath
-      resultsPath = driver.resultsPath
+      sinon.stub(driver, 'commit').yieldsAsync()
       done()
     })
 
     describe('with commit', () => {
-      beforeEach((done) => {
-        driver.teardown(true, done)
+      it('should commit changes to the root directory', (done) => {
+        driver.teardown(true, (err) => {
+          expect(err).to.not.exist()
+          expect(driver.commit.calledOnce).to.be.true()
+          expect(driver.exec.calledOnce).to.be.true()
+          expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+            'rm', ['-rf', '/omg']
+          ])
+          done()
+        })
       })
 
-      it('should commit changes to the root directory', (done) => {
-        expect(driver.exec.callCount).to.equal(3)
-        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
-          'mv', [rootPath, backupPath]
-        ])
-        expect(driver.exec.secondCall.args.slice(0, 2)).to.deep.equal([
-          'mv', [workingPath, rootPath]
-        ])
-        expect(driver.exec.thirdCall.args.slice(0, 2)).to.deep.equal([
-          'rm', ['-rf', backupPath, resultsPath]
-        ])
-        done()
+      it('should clean up if the commit fails', (done) => {
+        var error = new Error('mv failed')
+        driver.commit.yieldsAsync(error)
+        driver.teardown(true, (err) => {
+          expect(err).to.equal(error)
+          expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+            'rm', ['-rf', '/omg']
+          ])
+          expect(driver.tmpPath).to.be.null()
+          done()
+        })
+      })
+
+      it('should yield clean up errors', (done) => {
+        var error = new Error('rm failed')
+        driver.exec.yieldsAsync(error)
+        driver.teardown(true, (err) => {
+          expect(err).to.equal(error)
+          done()
+        })
       })
     }) // end 'on commit'
 
@@ -139,31 +180,391 @@ describe('fs-driver', () => {
       beforeEach((done) => { driver.teardown(false, done) })
 
       it('should execute the correct commands', (done) => {
+        expect(driver.commit.callCount).to.equal(0)
         expect(driver.exec.calledOnce).to.be.true()
         expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
-          'rm', ['-rf', workingPath, resultsPath]
+          'rm', ['-rf', '/omg']
         ])
         done()
       })
     }) // end 'on commit'
   }) // end 'teardown'
 
+  describe('commit', () => {
+    var parentPath
+    var driver
+    var rootPath
+    var backupPath
+    var journals
+
+    /**
+     * Reads the journal of the driver.
+     * @return {object} The parsed journal, or `null` if there is none.
+     */
+    function readJournal () {
+      try {
+        return JSON.parse(fs.readFileSync(driver.journalPath, 'utf8'))
+      } catch (err) {
+        return null
+      }
+    }
+
+    beforeEach((done) => {
+      parentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-driver-'))
+      driver = new FsDriver(parentPath + '/root')
+      driver.tmpPath = '/omg'
+      driver.workingPath = '/omg/working'
+      rootPath = driver.root
+      backupPath = driver.root + '.bak'
+      journals = []
+      sinon.stub(driver, 'exec', (command, args, cb) => {
+        journals.push(readJournal())
+        setImmediate(cb)
+      })
+      done()
+    })
+
+    afterEach((done) => {
+      childProcess.execFile('rm', ['-rf', parentPath], done)
+    })
+
+    it('should swap the working directory with the root directory', (done) => {
+      driver.commit((err) => {
+        expect(err).to.not.exist()
+        expect(driver.exec.args.map((args) => args.slice(0, 2)))
+          .to.deep.equal([
+            ['mv', [rootPath, backupPath]],
+            ['mv', ['/omg/working', rootPath]],
+            ['rm', ['-rf', backupPath]],
+            ['rm', ['-rf', '/omg']]
+          ])
+        done()
+      })
+    })
+
+    it('should journal the swap while it is in progress', (done) => {
+      var journal = {
+        root: rootPath,
+        backup: backupPath,
+        tmp: '/omg',
+        committed: false
+      }
+      driver.commit((err) => {
+        expect(err).to.not.exist()
+        expect(journals[0]).to.deep.equal(journal)
+        expect(journals[1]).to.deep.equal(journal)
+        journal.committed = true
+        expect(journals[2]).to.deep.equal(journal)
+        expect(fs.existsSync(driver.journalPath)).to.be.false()
+        expect(fs.existsSync(driver.journalPath + '.tmp')).to.be.false()
+        done()
+      })
+    })
+
+    it('should roll back the swap if it fails', (done) => {
+      var error = new Error('mv failed')
+      driver.exec.restore()
+      sinon.stub(driver, 'exec').yieldsAsync()
+      driver.exec.onSecondCall().yieldsAsync(error)
+      sinon.stub(driver, 'exists').returns(false)
+      driver.exists.withArgs(backupPath).onSecondCall().returns(true)
+      driver.commit((err) => {
+        expect(err).to.equal(error)
+        expect(driver.exec.args.map((args) => args.slice(0, 2)))
+          .to.deep.equal([
+            ['mv', [rootPath, backupPath]],
+            ['mv', ['/omg/working', rootPath]],
+            ['rm', ['-rf', rootPath]],
+            ['mv', [backupPath, rootPath]],
+            ['rm', ['-rf', '/omg']]
+          ])
+        expect(fs.existsSync(driver.journalPath)).to.be.false()
+        done()
+      })
+    })
+
+    it('should yield errors from the recovery', (done) => {
+      var error = new Error('rm failed')
+      driver.exec.restore()
+      sinon.stub(driver, 'exec').yieldsAsync()
+      driver.exec.onThirdCall().yieldsAsync(error)
+      driver.commit((err) => {
+        expect(err).to.equal(error)
+        expect(readJournal().committed).to.be.true()
+        done()
+      })
+    })
+
+    it('should yield errors writing the journal', (done) => {
+      driver.journalPath = parentPath + '/missing/root.fs-transform.json'
+      driver.commit((err) => {
+        expect(err.code).to.equal('ENOENT')
+        expect(driver.exec.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should not commit over an interrupted commit', (done) => {
+      fs.writeFileSync(driver.journalPath, '{}')
+      driver.commit((err) => {
+        expect(err.message).to.equal(
+          'An interrupted commit must be recovered first: ' + driver.journalPath
+        )
+        expect(driver.exec.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should not commit over an existing backup', (done) => {
+      fs.mkdirSync(backupPath)
+      driver.commit((err) => {
+        expect(err.message).to.equal(
+          'Backup path already exists: ' + backupPath
+        )
+        expect(driver.exec.callCount).to.equal(0)
+        expect(fs.existsSync(driver.journalPath)).to.be.false()
+        done()
+      })
+    })
+  }) // end 'commit'
+
+  describe('recover', () => {
+    var parentPath
+    var driver
+    var rootPath
+    var backupPath
+
+    beforeEach((done) => {
+      parentPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-driver-'))
+      driver = new FsDriver(parentPath + '/root')
+      rootPath = driver.root
+      backupPath = driver.root + '.bak'
+      sinon.stub(driver, 'exec').yieldsAsync()
+      done()
+    })
+
+    afterEach((done) => {
+      childProcess.execFile('rm', ['-rf', parentPath], done)
+    })
+
+    /**
+     * Writes the journal of an interrupted commit.
+     * @param {boolean} committed Whether the working directory was moved to
+     *   the root directory.
+     */
+    function writeJournal (committed) {
+      fs.writeFileSync(driver.journalPath, JSON.stringify({
+        root: rootPath,
+        backup: backupPath,
+        tmp: '/omg',
+        committed: committed
+      }))
+    }
+
+    it('should do nothing without an interrupted commit', (done) => {
+      driver.recover((err, outcome) => {
+        expect(err).to.not.exist()
+        expect(outcome).to.be.null()
+        expect(driver.exec.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should finish a commit of the working directory', (done) => {
+      writeJournal(true)
+      driver.recover((err, outcome) => {
+        expect(err).to.not.exist()
+        expect(outcome).to.equal('finished')
+        expect(driver.exec.args.map((args) => args.slice(0, 2)))
+          .to.deep.equal([
+            ['rm', ['-rf', backupPath]],
+            ['rm', ['-rf', '/omg']]
+          ])
+        expect(fs.existsSync(driver.journalPath)).to.be.false()
+        done()
+      })
+    })
+
+    it('should restore the backup of an unfinished commit', (done) => {
+      writeJournal(false)
+      fs.mkdirSync(backupPath)
+      driver.recover((err, outcome) => {
+        expect(err).to.not.exist()
+        expect(outcome).to.equal('reverted')
+        expect(driver.exec.args.map((args) => args.slice(0, 2)))
+          .to.deep.equal([
+            ['rm', ['-rf', rootPath]],
+            ['mv', [backupPath, rootPath]],
+            ['rm', ['-rf', '/omg']]
+          ])
+        expect(fs.existsSync(driver.journalPath)).to.be.false()
+        done()
+      })
+    })
+
+    it('should keep the root of a commit that did not move it', (done) => {
+      writeJournal(false)
+      driver.recover((err, outcome) => {
+        expect(err).to.not.exist()
+        expect(outcome).to.equal('reverted')
+        expect(driver.exec.args.map((args) => args.slice(0, 2)))
+          .to.deep.equal([['rm', ['-rf', '/omg']]])
+        done()
+      })
+    })
+
+    it('should revert commits with partially written journals', (done) => {
+      fs.writeFileSync(driver.journalPath, '{"root":')
+      driver.recover((err, outcome) => {
+        expect(err).to.not.exist()
+        expect(outcome).to.equal('reverted')
+        expect(driver.exec.callCount).to.equal(0)
+        expect(fs.existsSync(driver.journalPath)).to.be.false()
+        done()
+      })
+    })
+
+    it('should yield errors and keep the journal', (done) => {
+      var error = new Error('mv failed')
+      driver.exec.yieldsAsync(error)
+      writeJournal(true)
+      driver.recover((err) => {
+        expect(err).to.equal(error)
+        expect(fs.existsSync(driver.journalPath)).to.be.true()
+        done()
+      })
+    })
+  }) // end 'recover'
+
+  describe('cleanup', () => {
+    var driver
+
+    beforeEach((done) => {
+      driver = new FsDriver('/tmp')
+      sinon.stub(driver, 'exec').yieldsAsync()
+      done()
+    })
+
+    it('should remove the temporary directory', (done) => {
+      driver.tmpPath = '/omg'
+      driver.workingPath = '/omg/working'
+      driver.resultsPath = '/omg/results'
+      driver.cleanup((err) => {
+        expect(err).to.not.exist()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'rm', ['-rf', '/omg']
+        ])
+        expect(driver.tmpPath).to.be.null()
+        expect(driver.workingPath).to.be.null()
+        expect(driver.resultsPath).to.be.null()
+        done()
+      })
+    })
+
+    it('should do nothing without a temporary directory', (done) => {
+      driver.cleanup((err) => {
+        expect(err).to.not.exist()
+        expect(driver.exec.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should yield errors', (done) => {
+      var error = new Error('rm failed')
+      driver.exec.yieldsAsync(error)
+      driver.tmpPath = '/omg'
+      driver.cleanup((err) => {
+        expect(err).to.equal(error)
+        expect(driver.tmpPath).to.equal('/omg')
+        done()
+      })
+    })
+  }) // end 'cleanup'
+
+  describe('getTmpDir', () => {
+    afterEach((done) => {
+      if (fs.accessSync.restore) {
+        fs.accessSync.restore()
+      }
+      done()
+    })
+
+    it('should use the given directory', (done) => {
+      var driver = new FsDriver('/root/dir', { tmpDir: 'tmp' })
+      expect(driver.getTmpDir()).to.equal(path.resolve('tmp'))
+      done()
+    })
+
+    it('should default to the parent of the root directory', (done) => {
+      sinon.stub(fs, 'accessSync')
+      var driver = new FsDriver('/root/dir')
+      expect(driver.getTmpDir()).to.equal('/root')
+      expect(fs.accessSync.calledWith('/root', fs.constants.W_OK))
+        .to.be.true()
+      done()
+    })
+
+    it('should use the system directory if the parent is not writable', (done) => {
+      sinon.stub(fs, 'accessSync').throws(new Error('EACCES'))
+      var driver = new FsDriver('/root/dir')
+      expect(driver.getTmpDir()).to.equal(os.tmpdir())
+      done()
+    })
+  }) // end 'getTmpDir'
+
+  describe('stripAbsolutePaths', () => {
+    it('should strip the root and temporary directories', (done) => {
+      var driver = new FsDriver('/x/app')
+      driver.workingPath = '/tmp/.app.fs-transform-AbC123/working'
+      driver.resultsPath = '/tmp/.app.fs-transform-AbC123/results'
+      expect(driver.stripAbsolutePaths([
+        'diff -u -r /x/app/A /tmp/.app.fs-transform-AbC123/working/A',
+        'Only in /tmp/.app.fs-transform-AbC123/results: B',
+        '/x/app'
+      ].join('\n'))).to.equal('diff -u -r /A /A\nOnly in : B\n')
+      done()
+    })
+
+    it('should strip temporary directories that share a prefix with the root', (done) => {
+      var driver = new FsDriver('/x/app', { tmpDir: '/x/app-tmp' })
+      driver.workingPath = '/x/app-tmp/.app.fs-transform-AbC123/working'
+      driver.resultsPath = '/x/app-tmp/.app.fs-transform-AbC123/results'
+      expect(driver.stripAbsolutePaths(
+        'diff -u -r /x/app-tmp/.app.fs-transform-AbC123/working/A ' +
+        '/x/app-tmp/.app.fs-transform-AbC123/results/A'
+      )).to.equal('diff -u -r /A /A')
+      done()
+    })
+
+    it('should only strip whole path components', (done) => {
+      var driver = new FsDriver('/x/app')
+      expect(driver.stripAbsolutePaths('/x/app/A /x/apple/B /x/app'))
+        .to.equal('/A /x/apple/B ')
+      done()
+    })
+
+    it('should strip paths with regular expression syntax literally', (done) => {
+      var driver = new FsDriver('/x/a.p+p(1)')
+      expect(driver.stripAbsolutePaths('/x/a.p+p(1)/A /x/aXp+p(1)/B'))
+        .to.equal('/A /x/aXp+p(1)/B')
+      done()
+    })
+  }) // end 'stripAbsolutePaths'
+
   describe('createWorkingDirectory', () => {
     var driver
     var root = '/tmp/wow'
-    var workingPath
+    var tmpPath = '/var/tmp/.wow.fs-transform-AbC123'
 
     beforeEach((done) => {
-      driver = new FsDriver(root)
+      driver = new FsDriver(root, { tmpDir: '/var/tmp' })
       sinon.stub(driver, 'exec').yieldsAsync()
-      sinon.stub(driver, 'exists')
-      sinon.stub(Math, 'random').returns('0.9')
-      workingPath = '/tmp/.wow.fs-work.900000'
+      sinon.stub(fs, 'mkdtemp').yieldsAsync(null, tmpPath)
       done()
     })
 
     afterEach((done) => {
-      Math.random.restore()
+      fs.mkdtemp.restore()
       done()
     })
 
@@ -176,14 +577,22 @@ describe('fs-driver', () => {
       })
     })
 
+    it('should create a new temporary directory', (done) => {
+      driver.createWorkingDirectory((err) => {
+        expect(err).to.not.exist()
+        expect(fs.mkdtemp.calledWith('/var/tmp/.wow.fs-transform-'))
+          .to.be.true()
+        expect(driver.tmpPath).to.equal(tmpPath)
+        done()
+      })
+    })
+
     it('should copy the root directory to working directory', (done) => {
-      const source = driver.root
-      const dest = workingPath
       driver.createWorkingDirectory((err) => {
         expect(err).to.not.exist()
         expect(driver.exec.calledOnce).to.be.true()
         expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
-          'cp', ['-r', source, dest]
+          'cp', ['-pPR', root, tmpPath + '/working']
         ])
         done()
       })
@@ -192,25 +601,38 @@ describe('fs-driver', () => {
     it('should correctly set the working path', (done) => {
       driver.createWorkingDirectory((err) => {
         expect(err).to.not.exist()
-        expect(driver.workingPath).to.equal(workingPath)
+        expect(driver.workingPath).to.equal(tmpPath + '/working')
         done()
       })
     })
 
-    it('should not overwrite existing working directories', (done) => {
-      driver.exists
-        .onFirstCall().returns(true)
-        .onSecondCall().returns(false)
-      Math.random
-        .onFirstCall().returns(0.9)
-        .onSecondCall().returns(0.8)
-      let secondWorkingPath = '/tmp/.wow.fs-work.800000'
+    it('should yield errors creating the temporary directory', (done) => {
+      var error = new Error('ENOSPC')
+      fs.mkdtemp.yieldsAsync(error)
       driver.createWorkingDirectory((err) => {
-        expect(err).to.not.exist()
-        expect(driver.workingPath).to.equal(secondWorkingPath)
+        expect(err).to.equal(error)
+        expect(driver.tmpPath).to.be.null()
+        expect(driver.exec.callCount).to.equal(0)
         done()
       })
     })
+
+    it('should not create temporary directories inside of the root', (done) => {
+      driver.tmpDir = '/tmp/wow/tmp'
+      driver.createWorkingDirectory((err) => {
+        expect(err).to.exist()
+        expect(err.message).to.equal(
+          'Temporary directory cannot be inside of the root directory: ' +
+          '/tmp/wow/tmp'
+        )
+        driver.tmpDir = '/tmp/wow'
+        driver.createWorkingDirectory((err) => {
+          expect(err).to.exist()
+          expect(fs.mkdtemp.callCount).to.equal(0)
+          done()
+        })
+      })
+    })
   }) // end 'createWorkingDirectory'
 
   describe('createResultsDirectory', () => {
@@ -242,25 +664,25 @@ describe('fs-driver', () => {
     })
 
     it('should create the correct results directory', (done) => {
-      driver.workingPath = '/tmp/workingPath.123'
+      driver.workingPath = '/tmp/.neat.fs-transform-123/working'
       let source = driver.workingPath
-      let dest = driver.workingPath + '.results'
+      let dest = '/tmp/.neat.fs-transform-123/results'
       driver.createResultsDirectory((err) => {
         expect(err).to.not.exist()
         expect(driver.exec.calledOnce).to.be.true()
         expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
-          'cp', ['-r', source, dest]
+          'cp', ['-pPR', source, dest]
         ])
         done()
       })
     })
 
     it('should set the correct results directory', (done) => {
-      driver.workingPath = '/tmp/workingPath.123'
-      let resultsPath = driver.workingPath + '.results'
+      driver.workingPath = '/tmp/.neat.fs-transform-123/working'
       driver.createResultsDirectory((err) => {
         expect(err).to.not.exist()
-        expect(driver.resultsPath).to.equal(resultsPath)
+        expect(driver.resultsPath)
+          .to.equal('/tmp/.neat.fs-transform-123/results')
         done()
       })
     })
@@ -277,7 +699,15 @@ describe('fs-driver', () => {
       done()
     })
 
+    afterEach((done) => {
+      if (fs.existsSync.restore) {
+        fs.existsSync.restore()
+      }
+      done()
+    })
+
     it('should commit the results directory to the working directory', (done) => {
+      driver.addChangedPath('/tmp/results')
       driver.commitResults((err) => {
         expect(err).to.not.exist()
         expect(driver.exec.calledTwice).to.be.true()
@@ -285,13 +715,148 @@ describe('fs-driver', () => {
           'rm', ['-rf', driver.workingPath]
         ])
         expect(driver.exec.secondCall.args.slice(0, 2)).to.deep.equal([
-          'cp', ['-r', driver.resultsPath, driver.workingPath]
+          'cp', ['-pPR', driver.resultsPath, driver.workingPath]
+        ])
+        expect(driver.changedPaths).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should only commit the changed paths', (done) => {
+      sinon.stub(fs, 'existsSync').returns(true)
+      fs.existsSync.withArgs('/tmp/results/removed').returns(false)
+      driver.addChangedPath('dir/changed')
+      driver.addChangedPath('removed')
+      driver.commitResults((err) => {
+        expect(err).to.not.exist()
+        expect(driver.exec.callCount).to.equal(2)
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'rm', ['-rf', '/tmp/working/dir/changed', '/tmp/working/removed']
+        ])
+        expect(driver.exec.secondCall.args.slice(0, 2)).to.deep.equal([
+          'cp', ['-pPR', '/tmp/results/dir/changed', '/tmp/working/dir/changed']
+        ])
+        expect(driver.changedPaths).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should commit symbolic links', (done) => {
+      sinon.stub(fs, 'existsSync').returns(false)
+      sinon.stub(driver, 'isSymlink').returns(true)
+      driver.addChangedPath('link')
+      driver.commitResults((err) => {
+        expect(err).to.not.exist()
+        expect(driver.exec.secondCall.args.slice(0, 2)).to.deep.equal([
+          'cp', ['-pPR', '/tmp/results/link', '/tmp/working/link']
         ])
         done()
       })
     })
+
+    it('should do nothing if no paths were recorded', (done) => {
+      driver.commitResults((err) => {
+        expect(err).to.not.exist()
+        expect(driver.exec.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should yield errors', (done) => {
+      var error = new Error('cp failed')
+      sinon.stub(fs, 'existsSync').returns(true)
+      driver.exec.onSecondCall().yieldsAsync(error)
+      driver.addChangedPath('changed')
+      driver.commitResults((err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
   }) // end 'commitResults'
 
+  describe('getChangedPaths', () => {
+    var driver
+
+    beforeEach((done) => {
+      driver = new FsDriver('/wow')
+      driver.workingPath = '/tmp/working'
+      driver.resultsPath = '/tmp/results'
+      sinon.stub(fs, 'existsSync').returns(true)
+      done()
+    })
+
+    afterEach((done) => {
+      fs.existsSync.restore()
+      done()
+    })
+
+    it('should list the changed paths relative to the results', (done) => {
+      driver.addChangedPath('b')
+      driver.addChangedPath('/tmp/results/a/file')
+      expect(driver.getChangedPaths()).to.deep.equal(['a/file', 'b'])
+      done()
+    })
+
+    it('should omit paths inside of other changed paths', (done) => {
+      driver.addChangedPath('a/b/c')
+      driver.addChangedPath('a-b')
+      driver.addChangedPath('a/b')
+      driver.addChangedPath('a-b')
+      driver.addChangedPath('a/bc')
+      expect(driver.getChangedPaths()).to.deep.equal(['a-b', 'a/b', 'a/bc'])
+      done()
+    })
+
+    it('should replace new paths with their first new parent', (done) => {
+      fs.existsSync.withArgs('/tmp/working/new').returns(false)
+      fs.existsSync.withArgs('/tmp/working/new/dir').returns(false)
+      driver.addChangedPath('new/dir/file')
+      driver.addChangedPath('new/other')
+      expect(driver.getChangedPaths()).to.deep.equal(['new'])
+      done()
+    })
+
+    it('should give null if the results directory has changed', (done) => {
+      driver.addChangedPath('a')
+      driver.addChangedPath('.')
+      expect(driver.getChangedPaths()).to.be.null()
+      done()
+    })
+
+    it('should give null if a path outside of the results has changed', (done) => {
+      driver.addChangedPath('/tmp/elsewhere')
+      expect(driver.getChangedPaths()).to.be.null()
+      done()
+    })
+
+    it('should give an empty list if no paths were recorded', (done) => {
+      expect(driver.getChangedPaths()).to.deep.equal([])
+      done()
+    })
+  }) // end 'getChangedPaths'
+
+  describe('destinationPath', () => {
+    var driver = new FsDriver('/tmp')
+
+    afterEach((done) => {
+      driver.isDirectory.restore()
+      done()
+    })
+
+    it('should give the destination', (done) => {
+      sinon.stub(driver, 'isDirectory').returns(false)
+      expect(driver.destinationPath('a/file', 'b')).to.equal('/tmp/b')
+      expect(driver.isDirectory.calledWith('/tmp/b')).to.be.true()
+      done()
+    })
+
+    it('should place files in existing directories', (done) => {
+      sinon.stub(driver, 'isDirectory').returns(true)
+      expect(driver.destinationPath('a/file', 'b')).to.equal('/tmp/b/file')
+      done()
+    })
+  }) // end 'destinationPath'
+
   describe('absoluteResultsPath', () => {
     var driver = new FsDriver('/tmp')
 
@@ -422,6 +987,111 @@ describe('fs-driver', () => {
     })
   }) // end 'exec'
 
+  describe('isBinary', () => {
+    var driver = new FsDriver('/root/dir')
+
+    beforeEach((done) => {
+      sinon.stub(childProcess, 'execFile')
+      done()
+    })
+
+    afterEach((done) => {
+      childProcess.execFile.restore()
+      done()
+    })
+
+    it('should use `file` to determine the mime type', (done) => {
+      childProcess.execFile.yieldsAsync(null, '/a: application/octet-stream\n')
+      driver.isBinary('/a', (err, binary) => {
+        if (err) { return done(err) }
+        expect(childProcess.execFile.firstCall.args.slice(0, 2)).to.deep.equal([
+          'file', ['--mime-type', '/a']
+        ])
+        expect(binary).to.be.true()
+        done()
+      })
+    })
+
+    it('should not consider text files to be binary', (done) => {
+      childProcess.execFile.yieldsAsync(null, '/a: text/plain\n')
+      driver.isBinary('/a', (err, binary) => {
+        if (err) { return done(err) }
+        expect(binary).to.be.false()
+        done()
+      })
+    })
+
+    it('should yield childProcess.execFile errors', (done) => {
+      var error = new Error('Some error')
+      childProcess.execFile.yieldsAsync(error)
+      driver.isBinary('/a', (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+  }) // end 'isBinary'
+
+  describe('findMatches', () => {
+    var driver = new FsDriver('/root/dir')
+    var search = { search: 'a.b', pattern: 'a\\.b', ignoreCase: false }
+
+    beforeEach((done) => {
+      sinon.stub(childProcess, 'execFile')
+      done()
+    })
+
+    afterEach((done) => {
+      childProcess.execFile.restore()
+      done()
+    })
+
+    it('should use `grep` to find the text files with matches', (done) => {
+      childProcess.execFile.yieldsAsync(null, '/a/x\n/b\n')
+      driver.findMatches(['/a', '/b'], search, (err, files) => {
+        if (err) { return done(err) }
+        expect(childProcess.execFile.firstCall.args.slice(0, 2)).to.deep.equal([
+          'grep', [
+            '-rlIE', '--exclude-dir=.git', '--exclude-dir=node_modules',
+            '-e', 'a\\.b', '--', '/a', '/b'
+          ]
+        ])
+        expect(files).to.deep.equal(['/a/x', '/b'])
+        done()
+      })
+    })
+
+    it('should search case insensitively', (done) => {
+      childProcess.execFile.yieldsAsync(null, '')
+      var insensitive = { search: /a/i, pattern: 'a', ignoreCase: true }
+      driver.findMatches(['/a'], insensitive, (err) => {
+        if (err) { return done(err) }
+        expect(childProcess.execFile.firstCall.args[1]).to.include('-i')
+        done()
+      })
+    })
+
+    it('should yield no files if nothing matched', (done) => {
+      var error = new Error('Command failed')
+      error.code = 1
+      childProcess.execFile.yieldsAsync(error, '')
+      driver.findMatches(['/a'], search, (err, files) => {
+        if (err) { return done(err) }
+        expect(files).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should yield other childProcess.execFile errors', (done) => {
+      var error = new Error('Some error')
+      error.code = 2
+      childProcess.execFile.yieldsAsync(error)
+      driver.findMatches(['/a'], search, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+  }) // end 'findMatches'
+
   describe('file system', () => {
     var driver
 
@@ -473,6 +1143,302 @@ describe('fs-driver', () => {
       })
     })
 
+    it('should use driver.exec to perform directory copies', (done) => {
+      driver.copyDirectory('foo', 'bar', () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'cp', ['-R', '/tmp/foo', '/tmp/bar']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to perform directory merges', (done) => {
+      driver.mergeDirectory('foo', 'bar', () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'cp', ['-R', '/tmp/foo/.', '/tmp/bar']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to perform file removals', (done) => {
+      driver.remove('foo', false, () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'rm', ['/tmp/foo']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to perform recursive removals', (done) => {
+      driver.remove('foo', true, () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'rm', ['-r', '/tmp/foo']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to create directories', (done) => {
+      driver.mkdir('foo', false, () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'mkdir', ['/tmp/foo']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to create parent directories', (done) => {
+      driver.mkdir('foo/bar', true, () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'mkdir', ['-p', '/tmp/foo/bar']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to change modes', (done) => {
+      driver.chmod('foo', 'u+x', () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'chmod', ['u+x', '/tmp/foo']
+        ])
+        done()
+      })
+    })
+
+    it('should use driver.exec to create symbolic links', (done) => {
+      driver.symlink('../bar', 'foo/bar', () => {
+        expect(driver.exec.calledOnce).to.be.true()
+        expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+          'ln', ['-s', '../bar', '/tmp/foo/bar']
+        ])
+        done()
+      })
+    })
+
+    describe('changed paths', () => {
+      beforeEach((done) => {
+        sinon.stub(driver, 'isDirectory').returns(false)
+        driver.isDirectory.withArgs('/tmp/dir').returns(true)
+        done()
+      })
+
+      it('should record the paths changed by moves', (done) => {
+        driver.move('a', 'dir', () => {
+          expect(driver.changedPaths).to.deep.equal(['/tmp/a', '/tmp/dir/a'])
+          done()
+        })
+      })
+
+      it('should record the paths changed by copies', (done) => {
+        async.series([
+          (next) => driver.copy('a', 'b', next),
+          (next) => driver.copyDirectory('c', 'dir', next),
+          (next) => driver.mergeDirectory('c', 'd', next)
+        ], () => {
+          expect(driver.changedPaths).to.deep.equal([
+            '/tmp/b', '/tmp/dir/c', '/tmp/d'
+          ])
+          done()
+        })
+      })
+
+      it('should record the paths changed by other operations', (done) => {
+        sinon.stub(fs, 'writeFile').yieldsAsync()
+        async.series([
+          (next) => driver.remove('a', true, next),
+          (next) => driver.mkdir('b', false, next),
+          (next) => driver.chmod('c', '755', next),
+          (next) => driver.symlink('../e', 'dir', next),
+          (next) => driver.writeFile('f', 'content', next)
+        ], () => {
+          fs.writeFile.restore()
+          expect(driver.changedPaths).to.deep.equal([
+            '/tmp/a', '/tmp/b', '/tmp/c', '/tmp/dir/e', '/tmp/f'
+          ])
+          done()
+        })
+      })
+    }) // end 'changed paths'
+
+    describe('readFile', () => {
+      afterEach((done) => {
+        fs.readFile.restore()
+        done()
+      })
+
+      it('should use `fs.readFile` to read the file', (done) => {
+        sinon.stub(fs, 'readFile').yieldsAsync(null, 'content')
+        driver.readFile('foo', (err, content) => {
+          if (err) { return done(err) }
+          expect(content).to.equal('content')
+          expect(fs.readFile.calledWith('/tmp/foo', 'utf8')).to.be.true()
+          done()
+        })
+      })
+
+      it('should yield `fs.readFile` errors', (done) => {
+        var error = new Error('ENOENT')
+        sinon.stub(fs, 'readFile').yieldsAsync(error)
+        driver.readFile('foo', (err) => {
+          expect(err).to.equal(error)
+          done()
+        })
+      })
+    }) // end 'readFile'
+
+    describe('writeFile', () => {
+      beforeEach((done) => {
+        sinon.stub(fs, 'writeFile').yieldsAsync()
+        done()
+      })
+
+      afterEach((done) => {
+        fs.writeFile.restore()
+        done()
+      })
+
+      it('should use `fs.writeFile` to write the file', (done) => {
+        driver.writeFile('foo', 'content', (err) => {
+          if (err) { return done(err) }
+          expect(fs.writeFile.calledOnce).to.be.true()
+          expect(fs.writeFile.calledWith('/tmp/foo', 'content')).to.be.true()
+          done()
+        })
+      })
+
+      it('should yield `fs.writeFile` errors', (done) => {
+        var error = new Error('EACCES')
+        fs.writeFile.yieldsAsync(error)
+        driver.writeFile('foo', 'content', (err) => {
+          expect(err).to.equal(error)
+          done()
+        })
+      })
+    }) // end 'writeFile'
+
+    describe('isDirectory', () => {
+      afterEach((done) => {
+        fs.statSync.restore()
+        done()
+      })
+
+      it('should use `fs.statSync` to perform the check', (done) => {
+        sinon.stub(fs, 'statSync').returns({ isDirectory: () => true })
+        expect(driver.isDirectory('dir')).to.be.true()
+        expect(fs.statSync.calledWith('/tmp/dir')).to.be.true()
+        done()
+      })
+
+      it('should return false for files', (done) => {
+        sinon.stub(fs, 'statSync').returns({ isDirectory: () => false })
+        expect(driver.isDirectory('file')).to.be.false()
+        done()
+      })
+
+      it('should return false if the path does not exist', (done) => {
+        sinon.stub(fs, 'statSync').throws(new Error('ENOENT'))
+        expect(driver.isDirectory('nope')).to.be.false()
+        done()
+      })
+    }) // end 'isDirectory'
+
+    describe('isSymlink', () => {
+      afterEach((done) => {
+        fs.lstatSync.restore()
+        done()
+      })
+
+      it('should use `fs.lstatSync` to perform the check', (done) => {
+        sinon.stub(fs, 'lstatSync').returns({ isSymbolicLink: () => true })
+        expect(driver.isSymlink('link')).to.be.true()
+        expect(fs.lstatSync.calledWith('/tmp/link')).to.be.true()
+        done()
+      })
+
+      it('should return false for files', (done) => {
+        sinon.stub(fs, 'lstatSync').returns({ isSymbolicLink: () => false })
+        expect(driver.isSymlink('file')).to.be.false()
+        done()
+      })
+
+      it('should return false if the path does not exist', (done) => {
+        sinon.stub(fs, 'lstatSync').throws(new Error('ENOENT'))
+        expect(driver.isSymlink('nope')).to.be.false()
+        done()
+      })
+    }) // end 'isSymlink'
+
+    describe('listPaths', () => {
+      beforeEach((done) => {
+        sinon.stub(fs, 'readdirSync')
+        fs.readdirSync.withArgs('/tmp').returns(['b', 'a'])
+        fs.readdirSync.withArgs('/tmp/a').returns(['c'])
+        sinon.stub(fs, 'lstatSync').returns({ isDirectory: () => false })
+        fs.lstatSync.withArgs('/tmp/a').returns({ isDirectory: () => true })
+        done()
+      })
+
+      afterEach((done) => {
+        fs.readdirSync.restore()
+        fs.lstatSync.restore()
+        done()
+      })
+
+      it('should list all paths relative to the root in order', (done) => {
+        expect(driver.listPaths()).to.deep.equal(['a', 'a/c', 'b'])
+        done()
+      })
+
+      it('should list paths in the results directory', (done) => {
+        driver.resultsPath = '/tmp/results'
+        fs.readdirSync.withArgs('/tmp/results').returns(['d'])
+        expect(driver.listPaths()).to.deep.equal(['d'])
+        expect(fs.lstatSync.calledWith('/tmp/results/d')).to.be.true()
+        done()
+      })
+
+      it('should list the paths within a directory', (done) => {
+        expect(driver.listPaths('a')).to.deep.equal(['a/c'])
+        done()
+      })
+
+      it('should only list the contents of allowed directories', (done) => {
+        var allowDirectory = sinon.stub().returns(false)
+        expect(driver.listPaths('', allowDirectory)).to.deep.equal(['a', 'b'])
+        expect(allowDirectory.calledOnce).to.be.true()
+        expect(allowDirectory.calledWith('a')).to.be.true()
+        done()
+      })
+    }) // end 'listPaths'
+
+    describe('getMode', () => {
+      afterEach((done) => {
+        fs.statSync.restore()
+        done()
+      })
+
+      it('should give the permissions of the path as an octal string', (done) => {
+        sinon.stub(fs, 'statSync').returns({ mode: 0o104755 })
+        expect(driver.getMode('file')).to.equal('4755')
+        expect(fs.statSync.calledWith('/tmp/file')).to.be.true()
+        done()
+      })
+
+      it('should return null if the path does not exist', (done) => {
+        sinon.stub(fs, 'statSync').throws(new Error('ENOENT'))
+        expect(driver.getMode('nope')).to.be.null()
+        done()
+      })
+    }) // end 'getMode'
+
     describe('exists', () => {
       it('should use `fs.existsSync` to perform the check', (done) => {
         var stub = sinon.stub(fs, 'existsSync')
@@ -510,6 +1476,17 @@ describe('fs-driver', () => {
         })
       })
 
+      it('should diff new files against empty files if asked', (done) => {
+        driver.exec.yieldsAsync(null, 'diff', 'command')
+        driver.diff('/file/a', '/file/b', true, (err) => {
+          expect(err).to.not.exist()
+          expect(driver.exec.firstCall.args.slice(0, 2)).to.deep.equal([
+            'diff', ['-u', '-r', '-N', '/file/a', '/file/b']
+          ])
+          done()
+        })
+      })
+
       it('should ignore errors with code 1 (indicated differences)', (done) => {
         var error = new Error('diff error')
         error.code = 1
@@ -531,6 +1508,7 @@ describe('fs-driver', () => {
       })
 
       it('should have paths that are relative to the root directory', (done) => {
+        driver.workingPath = '/var/tmp/.tmp.fs-transform-AbC123/working'
         var absoluteDiff = driver.workingPath + '\n' + driver.root + '\n'
         driver.exec.yieldsAsync(null, absoluteDiff, 'command')
         driver.diff('a', 'b', (err, diff) => {
@@ -552,14 +1530,85 @@ describe('fs-driver', () => {
       })
     })
 
-    it('should call `diff` when computing the `resultsDiff`', (done) => {
-      sinon.stub(driver, 'diff').yieldsAsync()
-      driver.resultsDiff((err, result) => {
-        if (err) { return done(err) }
-        expect(driver.diff.calledWith(driver.workingPath, driver.resultsPath))
-          .to.be.true()
+    describe('resultsDiff', () => {
+      beforeEach((done) => {
+        driver.workingPath = '/tmp/working'
+        driver.resultsPath = '/tmp/results'
+        sinon.stub(fs, 'existsSync').returns(true)
+        sinon.stub(driver, 'diff')
         done()
       })
-    })
+
+      afterEach((done) => {
+        fs.existsSync.restore()
+        done()
+      })
+
+      it('should diff the results if they have changed', (done) => {
+        driver.diff.yieldsAsync(null, 'diff')
+        driver.addChangedPath('/tmp/results')
+        driver.resultsDiff((err, result) => {
+          if (err) { return done(err) }
+          expect(driver.diff.calledOnce).to.be.true()
+          expect(driver.diff.calledWith(
+            driver.workingPath,
+            driver.resultsPath,
+            true
+          )).to.be.true()
+          expect(result).to.equal('diff')
+          done()
+        })
+      })
+
+      it('should only diff the changed paths', (done) => {
+        driver.diff.onFirstCall().yieldsAsync(
+          null,
+          'diff -u -r -N /dir/a /dir/a\n--- /dir/a\n'
+        )
+        driver.diff.onSecondCall().yieldsAsync(null, '--- /file\n')
+        driver.diff.onThirdCall().yieldsAsync(null, '')
+        driver.addChangedPath('file')
+        driver.addChangedPath('dir')
+        driver.addChangedPath('same')
+        driver.resultsDiff((err, result) => {
+          if (err) { return done(err) }
+          expect(driver.diff.callCount).to.equal(3)
+          expect(driver.diff.firstCall.args.slice(0, 3)).to.deep.equal([
+            '/tmp/working/dir', '/tmp/results/dir', true
+          ])
+          expect(driver.diff.secondCall.args.slice(0, 2)).to.deep.equal([
+            '/tmp/working/file', '/tmp/results/file'
+          ])
+          expect(result).to.equal([
+            'diff -u -r -N /dir/a /dir/a',
+            '--- /dir/a',
+            'diff -u -r -N /file /file',
+            '--- /file',
+            ''
+          ].join('\n'))
+          expect(driver.changedPaths).to.have.length(3)
+          done()
+        })
+      })
+
+      it('should not diff anything if no paths were recorded', (done) => {
+        driver.resultsDiff((err, result) => {
+          if (err) { return done(err) }
+          expect(driver.diff.callCount).to.equal(0)
+          expect(result).to.equal('')
+          done()
+        })
+      })
+
+      it('should yield diff errors', (done) => {
+        var error = new Error('diff error')
+        driver.diff.yieldsAsync(error)
+        driver.addChangedPath('file')
+        driver.resultsDiff((err) => {
+          expect(err).to.equal(error)
+          done()
+        })
+      })
+    }) // end 'resultsDiff'
   }) // end 'file system'
 }) // end 'fs-driver'
@@ -0,0 +1,188 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+
+var Glob = require('../../lib/glob')
+
+describe('Glob', () => {
+  describe('normalize', () => {
+    it('should remove leading slashes and dots', (done) => {
+      expect(Glob.normalize('/a.txt')).to.equal('a.txt')
+      expect(Glob.normalize('./a.txt')).to.equal('a.txt')
+      expect(Glob.normalize('././//./a.txt')).to.equal('a.txt')
+      expect(Glob.normalize('.a.txt')).to.equal('.a.txt')
+      done()
+    })
+  }) // end 'normalize'
+
+  describe('constructor', () => {
+    it('should anchor patterns to the root', (done) => {
+      var glob = new Glob('a.txt')
+      expect(glob.test('a.txt')).to.be.true()
+      expect(glob.test('/a.txt')).to.be.true()
+      expect(glob.test('data.txt.bak')).to.be.false()
+      expect(glob.test('banana.txt')).to.be.false()
+      expect(glob.test('sub/a.txt')).to.be.false()
+      done()
+    })
+
+    it('should match the subtree of a path', (done) => {
+      var glob = new Glob('sub')
+      expect(glob.test('sub')).to.be.true()
+      expect(glob.test('sub/C')).to.be.true()
+      expect(glob.test('sub/subsub/D')).to.be.true()
+      expect(glob.test('subway')).to.be.false()
+      done()
+    })
+
+    it('should only match directory contents for trailing slashes', (done) => {
+      var glob = new Glob('sub/')
+      expect(glob.directory).to.be.true()
+      expect(glob.test('sub')).to.be.false()
+      expect(glob.test('sub/')).to.be.true()
+      expect(glob.test('sub/C')).to.be.true()
+      done()
+    })
+
+    it('should handle negation', (done) => {
+      var glob = new Glob('!sub/C')
+      expect(glob.negated).to.be.true()
+      expect(glob.test('sub/C')).to.be.true()
+      done()
+    })
+  }) // end 'constructor'
+
+  describe('toSource', () => {
+    it('should not match slashes with a single star', (done) => {
+      var glob = new Glob('*.js')
+      expect(glob.test('a.js')).to.be.true()
+      expect(glob.test('a/b.js')).to.be.false()
+      done()
+    })
+
+    it('should match any depth with a double star', (done) => {
+      var glob = new Glob('**/*.min.js')
+      expect(glob.test('a.min.js')).to.be.true()
+      expect(glob.test('a/b/c.min.js')).to.be.true()
+      expect(glob.test('a/b/c.js')).to.be.false()
+      expect(new Glob('a/**').test('a/b/c')).to.be.true()
+      done()
+    })
+
+    it('should match single characters', (done) => {
+      var glob = new Glob('?.txt')
+      expect(glob.test('a.txt')).to.be.true()
+      expect(glob.test('ab.txt')).to.be.false()
+      expect(glob.test('/.txt')).to.be.false()
+      done()
+    })
+
+    it('should match character sets', (done) => {
+      expect(new Glob('[ab].txt').test('b.txt')).to.be.true()
+      expect(new Glob('[ab].txt').test('c.txt')).to.be.false()
+      expect(new Glob('[!ab].txt').test('c.txt')).to.be.true()
+      expect(new Glob('[!ab].txt').test('a.txt')).to.be.false()
+      expect(new Glob('[.txt').test('[.txt')).to.be.true()
+      done()
+    })
+
+    it('should match alternatives', (done) => {
+      var glob = new Glob('*.{yml,yaml}')
+      expect(glob.test('a.yml')).to.be.true()
+      expect(glob.test('a.yaml')).to.be.true()
+      expect(glob.test('a.json')).to.be.false()
+      expect(new Glob('{a,b').test('b')).to.be.true()
+      done()
+    })
+
+    it('should escape special characters', (done) => {
+      expect(new Glob('a+(b)|c^$').test('a+(b)|c^$')).to.be.true()
+      expect(new Glob('a\\*').test('a*')).to.be.true()
+      expect(new Glob('a\\*').test('ab')).to.be.false()
+      expect(new Glob('}').test('}')).to.be.true()
+      done()
+    })
+
+    it('should escape spaces as bracket expressions', (done) => {
+      var glob = new Glob('my file.txt')
+      expect(glob.source).to.contain('my[ ]file')
+      expect(glob.test('my file.txt')).to.be.true()
+      done()
+    })
+  }) // end 'toSource'
+
+  describe('match', () => {
+    it('should use the last matching glob', (done) => {
+      var globs = ['*.js', '!index.js', 'index.js'].map((p) => new Glob(p))
+      expect(Glob.match(globs, 'index.js')).to.be.true()
+      expect(Glob.match(globs.slice(0, 2), 'index.js')).to.be.false()
+      expect(Glob.match(globs, 'main.js')).to.be.true()
+      expect(Glob.match(globs, 'main.css')).to.be.false()
+      done()
+    })
+  }) // end 'match'
+
+  describe('isPattern', () => {
+    it('should detect glob syntax', (done) => {
+      ['*.js', 'a?', '[ab]', '{a,b}', 'config/**'].forEach((str) => {
+        expect(Glob.isPattern(str)).to.be.true()
+      })
+      expect(Glob.isPattern('config/a.example')).to.be.false()
+      done()
+    })
+  }) // end 'isPattern'
+
+  describe('capture', () => {
+    it('should give the text matched by each wildcard', (done) => {
+      var glob = new Glob('config/*.{yml,json}.example')
+      expect(glob.capture('config/db.yml.example')).to.deep.equal(['db', 'yml'])
+      expect(glob.capture('./config/db.json.example')).to.deep.equal(['db', 'json'])
+      expect(new Glob('**/?.txt').capture('a/b/c.txt')).to.deep.equal(['a/b/', 'c'])
+      done()
+    })
+
+    it('should not match the subtree of a path', (done) => {
+      var glob = new Glob('config/*.example')
+      expect(glob.capture('config/a.example/b')).to.be.null()
+      expect(glob.capture('config/a')).to.be.null()
+      done()
+    })
+
+    it('should give undefined for optional wildcards that did not match', (done) => {
+      expect(new Glob('**/*.txt').capture('a.txt')).to.deep.equal([undefined, 'a'])
+      done()
+    })
+  }) // end 'capture'
+
+  describe('IGNORE', () => {
+    it('should ignore .git and node_modules directories', (done) => {
+      expect(Glob.match(Glob.IGNORE, '.git/')).to.be.true()
+      expect(Glob.match(Glob.IGNORE, 'a/node_modules/b')).to.be.true()
+      expect(Glob.match(Glob.IGNORE, 'a/.gitignore')).to.be.false()
+      done()
+    })
+  }) // end 'IGNORE'
+
+  describe('basename', () => {
+    it('should return the file name glob', (done) => {
+      expect(new Glob('config/**/*.yml').basename()).to.equal('*.yml')
+      expect(new Glob('*.env').basename()).to.equal('*.env')
+      done()
+    })
+
+    it('should return null for patterns that cannot be expressed', (done) => {
+      expect(new Glob('config/').basename()).to.be.null()
+      expect(new Glob('!*.env').basename()).to.be.null()
+      expect(new Glob('*.{yml,yaml}').basename()).to.be.null()
+      expect(new Glob('config/**').basename()).to.be.null()
+      expect(new Glob('my file').basename()).to.be.null()
+      expect(new Glob('').basename()).to.be.null()
+      done()
+    })
+  }) // end 'basename'
+}) // end 'Glob'
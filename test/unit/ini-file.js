@@ -0,0 +1,244 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+
+var IniFile = require('../../lib/ini-file')
+
+describe('IniFile', () => {
+  describe('isSection', () => {
+    it('should accept valid section names', (done) => {
+      expect(IniFile.isSection('server')).to.be.true()
+      expect(IniFile.isSection('remote "origin"')).to.be.true()
+      expect(IniFile.isSection('a')).to.be.true()
+      done()
+    })
+
+    it('should reject invalid section names', (done) => {
+      expect(IniFile.isSection('')).to.be.false()
+      expect(IniFile.isSection(' a')).to.be.false()
+      expect(IniFile.isSection('a]')).to.be.false()
+      expect(IniFile.isSection('a\nb')).to.be.false()
+      expect(IniFile.isSection(1)).to.be.false()
+      done()
+    })
+  }) // end 'isSection'
+
+  describe('isKey', () => {
+    it('should accept valid keys', (done) => {
+      expect(IniFile.isKey('port')).to.be.true()
+      expect(IniFile.isKey('log4j.rootLogger')).to.be.true()
+      expect(IniFile.isKey('a b')).to.be.true()
+      done()
+    })
+
+    it('should reject invalid keys', (done) => {
+      expect(IniFile.isKey('')).to.be.false()
+      expect(IniFile.isKey('a=b')).to.be.false()
+      expect(IniFile.isKey('a:b')).to.be.false()
+      expect(IniFile.isKey('; a')).to.be.false()
+      expect(IniFile.isKey('[a]')).to.be.false()
+      expect(IniFile.isKey('a ')).to.be.false()
+      expect(IniFile.isKey(null)).to.be.false()
+      done()
+    })
+  }) // end 'isKey'
+
+  describe('isValue', () => {
+    it('should accept strings, numbers and booleans', (done) => {
+      expect(IniFile.isValue('a = b')).to.be.true()
+      expect(IniFile.isValue(80)).to.be.true()
+      expect(IniFile.isValue(true)).to.be.true()
+      done()
+    })
+
+    it('should reject other values and multiple lines', (done) => {
+      expect(IniFile.isValue('a\nb')).to.be.false()
+      expect(IniFile.isValue(null)).to.be.false()
+      expect(IniFile.isValue([])).to.be.false()
+      done()
+    })
+  }) // end 'isValue'
+
+  describe('parseEntry', () => {
+    it('should parse entries with separators', (done) => {
+      expect(IniFile.parseEntry('  a b : c=d')).to.deep.equal({
+        indent: '  ',
+        key: 'a b',
+        separator: ' : ',
+        value: 'c=d'
+      })
+      done()
+    })
+
+    it('should parse entries without separators', (done) => {
+      expect(IniFile.parseEntry('key  value')).to.deep.equal({
+        indent: '',
+        key: 'key',
+        separator: '  ',
+        value: 'value'
+      })
+      expect(IniFile.parseEntry('\tflag').key).to.equal('flag')
+      done()
+    })
+
+    it('should not parse comments, blank lines or headers', (done) => {
+      expect(IniFile.parseEntry('; a = b')).to.be.null()
+      expect(IniFile.parseEntry('# a = b')).to.be.null()
+      expect(IniFile.parseEntry('! a = b')).to.be.null()
+      expect(IniFile.parseEntry('  ')).to.be.null()
+      expect(IniFile.parseEntry('[a] ; b')).to.be.null()
+      done()
+    })
+  }) // end 'parseEntry'
+
+  describe('separator', () => {
+    it('should use the separator of the first entry that has one', (done) => {
+      expect(new IniFile('flag\n[a]\nb: 1\nc = 2\n').separator())
+        .to.equal(': ')
+      expect(new IniFile('a b\n').separator()).to.equal(' = ')
+      done()
+    })
+  }) // end 'separator'
+
+  describe('sections', () => {
+    it('should find every part of a section', (done) => {
+      var file = new IniFile('a=1\n[s]\nb=2\n[ t ]\n[s]\n')
+      expect(file.sections('s')).to.deep.equal([
+        { start: 1, end: 3 },
+        { start: 4, end: 5 }
+      ])
+      expect(file.sections('t')).to.deep.equal([{ start: 3, end: 4 }])
+      expect(file.sections(null)).to.deep.equal([{ start: -1, end: 1 }])
+      expect(file.hasSection('u')).to.be.false()
+      done()
+    })
+
+    it('should always have a global section', (done) => {
+      expect(new IniFile('').sections()).to.deep.equal([{ start: -1, end: 0 }])
+      done()
+    })
+  }) // end 'sections'
+
+  describe('entries', () => {
+    it('should find entries and their continuation lines', (done) => {
+      var file = new IniFile('; c\na = 1 \\\n  2 \\\\\nb \\\\\n[s]\n')
+      var entries = file.entries({ start: -1, end: 4 })
+      expect(entries.map((entry) => [entry.start, entry.end])).to.deep.equal([
+        [1, 3],
+        [3, 4]
+      ])
+      expect(entries[0].entry.key).to.equal('a')
+      done()
+    })
+
+    it('should not continue entries past the end of a part', (done) => {
+      var file = new IniFile('a = \\\n[s]\n')
+      var entries = file.entries({ start: -1, end: 1 })
+      expect(entries).to.deep.equal([{
+        start: 0,
+        end: 1,
+        entry: { indent: '', key: 'a', separator: ' = ', value: '\\' }
+      }])
+      done()
+    })
+  }) // end 'entries'
+
+  describe('set', () => {
+    it('should update every entry for the key', (done) => {
+      var file = new IniFile('[s]\n  a = 1 ; c\n[t]\na=2\n[s]\na:3\n')
+      expect(file.set('s', 'a', 'x')).to.equal(2)
+      expect(file.toString()).to.equal('[s]\n  a = x\n[t]\na=2\n[s]\na:x\n')
+      done()
+    })
+
+    it('should replace continuation lines', (done) => {
+      var file = new IniFile('a = 1 \\\n  2\nb = 3\n')
+      file.set(null, 'a', 4)
+      expect(file.toString()).to.equal('a = 4\nb = 3\n')
+      done()
+    })
+
+    it('should keep whitespace separators', (done) => {
+      var file = new IniFile('a=1\nkey   value\nflag\n')
+      file.set(null, 'key', 'other')
+      file.set(null, 'flag', true)
+      expect(file.toString()).to.equal('a=1\nkey   other\nflag=true\n')
+      done()
+    })
+
+    it('should add keys after the last entry of the section', (done) => {
+      var file = new IniFile('[s]\n\ta = 1\n\n; t\n[t]\n[s]\n\tb = 2\n\n')
+      expect(file.set('s', 'c', 3)).to.equal(0)
+      expect(file.toString())
+        .to.equal('[s]\n\ta = 1\n\n; t\n[t]\n[s]\n\tb = 2\n\tc = 3\n\n')
+      done()
+    })
+
+    it('should add keys after the header of empty sections', (done) => {
+      var file = new IniFile('[s]\n\n[t]\na=1')
+      file.set('s', 'b', 2)
+      expect(file.toString()).to.equal('[s]\nb=2\n\n[t]\na=1')
+      done()
+    })
+
+    it('should add global keys after comments at the start', (done) => {
+      var file = new IniFile('# a\n# b\n\n[s]\n')
+      file.set(null, 'c', 1)
+      expect(file.toString()).to.equal('# a\n# b\nc = 1\n\n[s]\n')
+      done()
+    })
+
+    it('should add sections to the end of the file', (done) => {
+      var file = new IniFile('a=1')
+      file.set('s', 'b', 2)
+      expect(file.toString()).to.equal('a=1\n\n[s]\nb=2\n')
+      done()
+    })
+
+    it('should not add blank lines before new sections if not needed', (done) => {
+      var file = new IniFile('')
+      file.set('s', 'a', 1)
+      expect(file.toString()).to.equal('[s]\na = 1\n')
+      file = new IniFile('a=1\n\n')
+      file.set('s', 'b', 2)
+      expect(file.toString()).to.equal('a=1\n\n[s]\nb=2\n')
+      done()
+    })
+
+    it('should end the file with a newline when adding to the end', (done) => {
+      var file = new IniFile('[s]\na=1')
+      file.set('s', 'b', 2)
+      expect(file.toString()).to.equal('[s]\na=1\nb=2\n')
+      done()
+    })
+  }) // end 'set'
+
+  describe('unset', () => {
+    it('should remove every entry for the key', (done) => {
+      var file = new IniFile('[s]\na=1\n; c\nb=2 \\\n  3\n[s]\nb=4\n[t]\nb=5')
+      expect(file.unset('s', 'b')).to.equal(2)
+      expect(file.toString()).to.equal('[s]\na=1\n; c\n[s]\n[t]\nb=5')
+      done()
+    })
+
+    it('should not change the file for missing keys', (done) => {
+      var file = new IniFile('a=1')
+      expect(file.unset(null, 'b')).to.equal(0)
+      expect(file.unset('s', 'a')).to.equal(0)
+      expect(file.toString()).to.equal('a=1')
+      done()
+    })
+
+    it('should leave files with no lines empty', (done) => {
+      var file = new IniFile('a=1\n')
+      file.unset(null, 'a')
+      expect(file.toString()).to.equal('')
+      done()
+    })
+  }) // end 'unset'
+}) // end 'IniFile'
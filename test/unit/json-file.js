@@ -0,0 +1,284 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+
+var JsonFile = require('../../lib/json-file')
+
+describe('JsonFile', () => {
+  describe('parsePath', () => {
+    it('should parse dotted paths', (done) => {
+      expect(JsonFile.parsePath('a')).to.deep.equal(['a'])
+      expect(JsonFile.parsePath('a.b.0')).to.deep.equal(['a', 'b', '0'])
+      done()
+    })
+
+    it('should parse JSON pointers', (done) => {
+      expect(JsonFile.parsePath('/a/b')).to.deep.equal(['a', 'b'])
+      expect(JsonFile.parsePath('/a.b/c~1d/e~0f'))
+        .to.deep.equal(['a.b', 'c/d', 'e~f'])
+      expect(JsonFile.parsePath('/')).to.deep.equal([''])
+      done()
+    })
+
+    it('should parse the empty path as the document', (done) => {
+      expect(JsonFile.parsePath('')).to.deep.equal([])
+      done()
+    })
+  }) // end 'parsePath'
+
+  describe('detectIndent', () => {
+    it('should detect the indentation of the text', (done) => {
+      expect(JsonFile.detectIndent('{\n  "a": 1\n}')).to.equal('  ')
+      expect(JsonFile.detectIndent('{\n    "a": 1\n}')).to.equal('    ')
+      expect(JsonFile.detectIndent('[\n\t1\n]')).to.equal('\t')
+      done()
+    })
+
+    it('should not indent minified text', (done) => {
+      expect(JsonFile.detectIndent('{"a":{"b":1}}')).to.equal('')
+      expect(JsonFile.detectIndent('1')).to.equal('')
+      done()
+    })
+
+    it('should indent empty objects and arrays', (done) => {
+      expect(JsonFile.detectIndent('{}\n')).to.equal('  ')
+      expect(JsonFile.detectIndent('[ ]')).to.equal('  ')
+      done()
+    })
+  }) // end 'detectIndent'
+
+  describe('detectEol', () => {
+    it('should detect CRLF line endings', (done) => {
+      expect(JsonFile.detectEol('{\r\n  "a": 1\r\n}\r\n')).to.equal('\r\n')
+      expect(JsonFile.detectEol('{}\r\n')).to.equal('\r\n')
+      done()
+    })
+
+    it('should default to LF line endings', (done) => {
+      expect(JsonFile.detectEol('{\n  "a": "\r\n"\n}')).to.equal('\n')
+      expect(JsonFile.detectEol('{}')).to.equal('\n')
+      done()
+    })
+  }) // end 'detectEol'
+
+  describe('merge', () => {
+    it('should deeply merge objects', (done) => {
+      var target = { a: { b: 1, c: 2 }, d: [1], e: 'x' }
+      var result = JsonFile.merge(target, { a: { c: 3 }, d: [2], f: true })
+      expect(result).to.equal(target)
+      expect(target).to.deep.equal({
+        a: { b: 1, c: 3 },
+        d: [2],
+        e: 'x',
+        f: true
+      })
+      done()
+    })
+
+    it('should replace values that are not objects', (done) => {
+      var target = { a: 'x', b: { c: 1 } }
+      JsonFile.merge(target, { a: { c: 1 }, b: 'y' })
+      expect(target).to.deep.equal({ a: { c: 1 }, b: 'y' })
+      done()
+    })
+  }) // end 'merge'
+
+  describe('isContainer', () => {
+    it('should accept objects and arrays', (done) => {
+      expect(JsonFile.isContainer({})).to.be.true()
+      expect(JsonFile.isContainer([])).to.be.true()
+      expect(JsonFile.isContainer(null)).to.be.false()
+      expect(JsonFile.isContainer('a')).to.be.false()
+      expect(JsonFile.isContainer(1)).to.be.false()
+      done()
+    })
+  }) // end 'isContainer'
+
+  describe('constructor', () => {
+    it('should parse the text', (done) => {
+      var file = new JsonFile('{\n  "a": [1]\n}\n')
+      expect(file.data).to.deep.equal({ a: [1] })
+      expect(file.indent).to.equal('  ')
+      expect(file.eol).to.equal('\n')
+      expect(file.endsWithNewline).to.be.true()
+      expect(new JsonFile('{}').endsWithNewline).to.be.false()
+      done()
+    })
+
+    it('should throw for invalid JSON', (done) => {
+      expect(() => {
+        return new JsonFile('{ a: 1 }')
+      }).to.throw(SyntaxError)
+      done()
+    })
+  }) // end 'constructor'
+
+  describe('get', () => {
+    var file = new JsonFile('{ "a": { "b": [1, { "c": 2 }] }, "d": null }')
+
+    it('should get values by path', (done) => {
+      expect(file.get('a.b.0')).to.equal(1)
+      expect(file.get('/a/b/1/c')).to.equal(2)
+      expect(file.get('d')).to.be.null()
+      expect(file.get('')).to.equal(file.data)
+      done()
+    })
+
+    it('should return undefined for missing values', (done) => {
+      expect(file.get('a.x')).to.be.undefined()
+      expect(file.get('a.b.5')).to.be.undefined()
+      expect(file.get('d.e')).to.be.undefined()
+      expect(file.get('a.b.0.c')).to.be.undefined()
+      done()
+    })
+
+    it('should not find inherited properties', (done) => {
+      expect(file.get('a.toString')).to.be.undefined()
+      done()
+    })
+  }) // end 'get'
+
+  describe('set', () => {
+    it('should set values by path', (done) => {
+      var file = new JsonFile('{ "a": { "b": [1, 2] } }')
+      expect(file.set('a.c', 'x')).to.be.true()
+      expect(file.set('/a/b/0', 3)).to.be.true()
+      expect(file.data).to.deep.equal({ a: { b: [3, 2], c: 'x' } })
+      done()
+    })
+
+    it('should create missing objects', (done) => {
+      var file = new JsonFile('{}')
+      expect(file.set('a.b.c', true)).to.be.true()
+      expect(file.data).to.deep.equal({ a: { b: { c: true } } })
+      done()
+    })
+
+    it('should append to arrays', (done) => {
+      var file = new JsonFile('{ "a": [1] }')
+      expect(file.set('/a/-', 2)).to.be.true()
+      expect(file.data).to.deep.equal({ a: [1, 2] })
+      done()
+    })
+
+    it('should replace the document', (done) => {
+      var file = new JsonFile('{ "a": 1 }')
+      expect(file.set('', [1])).to.be.true()
+      expect(file.data).to.deep.equal([1])
+      done()
+    })
+
+    it('should not set values within other values', (done) => {
+      var file = new JsonFile('{ "a": "x", "b": null }')
+      expect(file.set('a.b', 1)).to.be.false()
+      expect(file.set('b.c.d', 1)).to.be.false()
+      expect(file.data).to.deep.equal({ a: 'x', b: null })
+      done()
+    })
+  }) // end 'set'
+
+  describe('unset', () => {
+    it('should remove values by path', (done) => {
+      var file = new JsonFile('{ "a": { "b": 1, "c": 2 }, "d": [1, 2, 3] }')
+      expect(file.unset('a.b')).to.be.true()
+      expect(file.unset('/d/1')).to.be.true()
+      expect(file.data).to.deep.equal({ a: { c: 2 }, d: [1, 3] })
+      done()
+    })
+
+    it('should not remove missing values', (done) => {
+      var file = new JsonFile('{ "a": { "b": 1 }, "c": [] }')
+      expect(file.unset('a.c')).to.be.false()
+      expect(file.unset('x.y')).to.be.false()
+      expect(file.unset('c.0')).to.be.false()
+      expect(file.unset('')).to.be.false()
+      expect(file.data).to.deep.equal({ a: { b: 1 }, c: [] })
+      done()
+    })
+  }) // end 'unset'
+
+  describe('merge', () => {
+    it('should merge into the object at a path', (done) => {
+      var file = new JsonFile('{ "a": { "b": 1 } }')
+      expect(file.merge('a', { c: 2 })).to.be.true()
+      expect(file.merge('', { d: 3 })).to.be.true()
+      expect(file.data).to.deep.equal({ a: { b: 1, c: 2 }, d: 3 })
+      done()
+    })
+
+    it('should create missing objects', (done) => {
+      var value = { c: { d: 1 } }
+      var file = new JsonFile('{}')
+      expect(file.merge('a.b', value)).to.be.true()
+      expect(file.data).to.deep.equal({ a: { b: { c: { d: 1 } } } })
+      expect(file.get('a.b')).to.not.equal(value)
+      done()
+    })
+
+    it('should not merge into other values', (done) => {
+      var file = new JsonFile('{ "a": [], "b": 1 }')
+      expect(file.merge('a', { c: 2 })).to.be.false()
+      expect(file.merge('b', { c: 2 })).to.be.false()
+      expect(file.data).to.deep.equal({ a: [], b: 1 })
+      done()
+    })
+  }) // end 'merge'
+
+  describe('push', () => {
+    it('should append to the array at a path', (done) => {
+      var file = new JsonFile('{ "a": [1] }')
+      expect(file.push('a', 2)).to.be.true()
+      expect(file.data).to.deep.equal({ a: [1, 2] })
+      done()
+    })
+
+    it('should create missing arrays', (done) => {
+      var file = new JsonFile('{}')
+      expect(file.push('a.b', 1)).to.be.true()
+      expect(file.data).to.deep.equal({ a: { b: [1] } })
+      done()
+    })
+
+    it('should not append to other values', (done) => {
+      var file = new JsonFile('{ "a": {} }')
+      expect(file.push('a', 1)).to.be.false()
+      expect(file.data).to.deep.equal({ a: {} })
+      done()
+    })
+  }) // end 'push'
+
+  describe('toString', () => {
+    it('should keep the indentation and trailing newline', (done) => {
+      var text = '{\n    "a": [\n        1\n    ]\n}\n'
+      var file = new JsonFile(text)
+      expect(file.toString()).to.equal(text)
+      file.push('a', 2)
+      expect(file.toString())
+        .to.equal('{\n    "a": [\n        1,\n        2\n    ]\n}\n')
+      done()
+    })
+
+    it('should keep CRLF line endings', (done) => {
+      var text = '{\r\n  "a": "b\\nc"\r\n}\r\n'
+      var file = new JsonFile(text)
+      expect(file.toString()).to.equal(text)
+      file.set('d', [1])
+      expect(file.toString()).to.equal(
+        '{\r\n  "a": "b\\nc",\r\n  "d": [\r\n    1\r\n  ]\r\n}\r\n'
+      )
+      done()
+    })
+
+    it('should keep minified text minified', (done) => {
+      var file = new JsonFile('{"a":1}')
+      file.set('b', 2)
+      expect(file.toString()).to.equal('{"a":1,"b":2}')
+      done()
+    })
+  }) // end 'toString'
+}) // end 'JsonFile'
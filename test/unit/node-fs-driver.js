@@ -0,0 +1,777 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+var childProcess = require('child_process')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+var FsDriver = require('../../lib/fs-driver')
+var NodeFsDriver = require('../../lib/node-fs-driver')
+var UnifiedDiff = require('../../lib/unified-diff')
+
+describe('node-fs-driver', () => {
+  var root
+  var driver
+
+  beforeEach((done) => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'node-fs-driver-'))
+    driver = new NodeFsDriver(root)
+    done()
+  })
+
+  afterEach((done) => {
+    childProcess.execFile('chmod', ['-R', 'u+w', root], () => {
+      childProcess.execFile('rm', ['-rf', root], done)
+    })
+  })
+
+  /**
+   * Resolves a path relative to the test root.
+   * @param {string} file Relative path.
+   * @return {string} The absolute path.
+   */
+  function resolve (file) {
+    return path.join(root, file)
+  }
+
+  /**
+   * Writes a file relative to the test root.
+   * @param {string} file Relative path of the file.
+   * @param {string} content Content of the file.
+   * @param {number} [mode] Mode of the file.
+   */
+  function write (file, content, mode) {
+    fs.writeFileSync(resolve(file), content)
+    if (mode) {
+      fs.chmodSync(resolve(file), mode)
+    }
+  }
+
+  /**
+   * Reads a file relative to the test root.
+   * @param {string} file Relative path of the file.
+   * @return {string} The content of the file.
+   */
+  function read (file) {
+    return fs.readFileSync(resolve(file)).toString()
+  }
+
+  /**
+   * Determines the permissions of a file relative to the test root.
+   * @param {string} file Relative path of the file.
+   * @return {number} The permission bits of the file.
+   */
+  function mode (file) {
+    return fs.statSync(resolve(file)).mode & 0o7777
+  }
+
+  /**
+   * Determines the modification time of a path relative to the test root,
+   * without following symbolic links.
+   * @param {string} file Relative path.
+   * @return {number} The modification time in milliseconds.
+   */
+  function mtime (file) {
+    return fs.lstatSync(resolve(file)).mtime.getTime()
+  }
+
+  it('should be a filesystem driver', (done) => {
+    expect(driver).to.be.an.instanceof(FsDriver)
+    expect(driver.root).to.equal(root)
+    done()
+  })
+
+  it('should not require any commands', (done) => {
+    sinon.stub(driver, 'exec').yieldsAsync(new Error('not found'))
+    driver.hasAllCommands((err) => {
+      expect(err).to.not.exist()
+      expect(NodeFsDriver.commands).to.deep.equal([])
+      expect(driver.exec.callCount).to.equal(0)
+      done()
+    })
+  })
+
+  describe('copyTree', () => {
+    it('should copy files, directories and symbolic links', (done) => {
+      fs.mkdirSync(resolve('a'))
+      fs.mkdirSync(resolve('a/sub'))
+      write('a/A', 'a', 0o755)
+      write('a/sub/B', 'b')
+      fs.symlinkSync('../A', resolve('a/sub/link'))
+      driver.copyTree(resolve('a'), resolve('b'), (err) => {
+        if (err) { return done(err) }
+        expect(read('b/A')).to.equal('a')
+        expect(mode('b/A')).to.equal(0o755)
+        expect(read('b/sub/B')).to.equal('b')
+        expect(fs.readlinkSync(resolve('b/sub/link'))).to.equal('../A')
+        done()
+      })
+    })
+
+    it('should copy directories that are not writable', (done) => {
+      fs.mkdirSync(resolve('a'))
+      fs.mkdirSync(resolve('a/locked'))
+      write('a/locked/A', 'a')
+      fs.chmodSync(resolve('a/locked'), 0o555)
+      driver.copyTree(resolve('a'), resolve('b'), (err) => {
+        if (err) { return done(err) }
+        expect(read('b/locked/A')).to.equal('a')
+        expect(mode('b/locked')).to.equal(0o555)
+        done()
+      })
+    })
+
+    it('should preserve modes and timestamps', (done) => {
+      var time = new Date('2001-02-03T04:05:06Z')
+      fs.mkdirSync(resolve('a'))
+      fs.mkdirSync(resolve('a/sub'), 0o700)
+      write('a/sub/A', 'a', 0o4751)
+      fs.utimesSync(resolve('a/sub/A'), time, time)
+      fs.utimesSync(resolve('a/sub'), time, time)
+      driver.copyTree(resolve('a'), resolve('b'), (err) => {
+        if (err) { return done(err) }
+        expect(mode('b/sub')).to.equal(0o700)
+        expect(mode('b/sub/A')).to.equal(0o4751)
+        expect(mtime('b/sub')).to.equal(time.getTime())
+        expect(mtime('b/sub/A')).to.equal(time.getTime())
+        done()
+      })
+    })
+
+    it('should preserve the timestamps of symbolic links', { skip: !fs.lutimesSync }, (done) => {
+      var time = new Date('2001-02-03T04:05:06Z')
+      fs.mkdirSync(resolve('a'))
+      fs.symlinkSync('A', resolve('a/link'))
+      fs.lutimesSync(resolve('a/link'), time, time)
+      driver.copyTree(resolve('a'), resolve('b'), (err) => {
+        if (err) { return done(err) }
+        expect(mtime('b/link')).to.equal(time.getTime())
+        done()
+      })
+    })
+
+    describe('without fs.lutimesSync', () => {
+      var lutimesSync = fs.lutimesSync
+
+      beforeEach((done) => {
+        fs.lutimesSync = undefined
+        done()
+      })
+
+      afterEach((done) => {
+        fs.lutimesSync = lutimesSync
+        done()
+      })
+
+      it('should copy symbolic links without their timestamps', (done) => {
+        fs.mkdirSync(resolve('a'))
+        fs.symlinkSync('A', resolve('a/link'))
+        driver.copyTree(resolve('a'), resolve('b'), (err) => {
+          if (err) { return done(err) }
+          expect(fs.readlinkSync(resolve('b/link'))).to.equal('A')
+          done()
+        })
+      })
+    }) // end 'without fs.lutimesSync'
+
+    describe('ownership', () => {
+      afterEach((done) => {
+        fs.chownSync.restore()
+        fs.lchownSync.restore()
+        done()
+      })
+
+      it('should preserve the owners of files and symbolic links', (done) => {
+        sinon.spy(fs, 'chownSync')
+        sinon.spy(fs, 'lchownSync')
+        fs.mkdirSync(resolve('a'))
+        write('a/A', 'a')
+        fs.symlinkSync('A', resolve('a/link'))
+        var stat = fs.lstatSync(resolve('a/link'))
+        driver.copyTree(resolve('a'), resolve('b'), (err) => {
+          if (err) { return done(err) }
+          expect(fs.chownSync.args).to.deep.equal([
+            [resolve('b/A'), stat.uid, stat.gid],
+            [resolve('b'), stat.uid, stat.gid]
+          ])
+          expect(fs.lchownSync.args).to.deep.equal([
+            [resolve('b/link'), stat.uid, stat.gid]
+          ])
+          done()
+        })
+      })
+
+      it('should keep the owner when it cannot be changed', (done) => {
+        var error = new Error('operation not permitted')
+        error.code = 'EPERM'
+        sinon.stub(fs, 'chownSync').throws(error)
+        sinon.stub(fs, 'lchownSync').throws(error)
+        fs.mkdirSync(resolve('a'))
+        write('a/A', 'a', 0o600)
+        driver.copyTree(resolve('a'), resolve('b'), (err) => {
+          if (err) { return done(err) }
+          expect(mode('b/A')).to.equal(0o600)
+          done()
+        })
+      })
+
+      it('should yield other errors', (done) => {
+        var error = new Error('i/o error')
+        error.code = 'EIO'
+        sinon.stub(fs, 'chownSync').throws(error)
+        sinon.stub(fs, 'lchownSync').throws(error)
+        fs.mkdirSync(resolve('a'))
+        driver.copyTree(resolve('a'), resolve('b'), (err) => {
+          expect(err).to.equal(error)
+          done()
+        })
+      })
+    }) // end 'ownership'
+
+    it('should yield errors', (done) => {
+      driver.copyTree(resolve('nope'), resolve('b'), (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+  }) // end 'copyTree'
+
+  describe('moveTree', () => {
+    afterEach((done) => {
+      if (fs.renameSync.restore) {
+        fs.renameSync.restore()
+      }
+      done()
+    })
+
+    it('should rename the directory', (done) => {
+      fs.mkdirSync(resolve('a'))
+      write('a/A', 'a')
+      driver.moveTree(resolve('a'), resolve('b'), (err) => {
+        if (err) { return done(err) }
+        expect(fs.existsSync(resolve('a'))).to.be.false()
+        expect(read('b/A')).to.equal('a')
+        done()
+      })
+    })
+
+    it('should copy and remove across devices', (done) => {
+      fs.mkdirSync(resolve('a'))
+      write('a/A', 'a')
+      var error = new Error('cross-device link not permitted')
+      error.code = 'EXDEV'
+      sinon.stub(fs, 'renameSync').throws(error)
+      var time = new Date('2001-02-03T04:05:06Z')
+      fs.utimesSync(resolve('a/A'), time, time)
+      driver.moveTree(resolve('a'), resolve('b'), (err) => {
+        if (err) { return done(err) }
+        expect(fs.existsSync(resolve('a'))).to.be.false()
+        expect(read('b/A')).to.equal('a')
+        expect(mtime('b/A')).to.equal(time.getTime())
+        done()
+      })
+    })
+
+    it('should yield other errors', (done) => {
+      driver.moveTree(resolve('a'), resolve('b'), (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+  }) // end 'moveTree'
+
+  describe('removeTree', () => {
+    it('should remove directories and ignore missing paths', (done) => {
+      fs.mkdirSync(resolve('a'))
+      fs.mkdirSync(resolve('a/sub'))
+      write('a/sub/A', 'a')
+      fs.symlinkSync('sub', resolve('a/link'))
+      driver.removeTree([resolve('a'), resolve('b')], (err) => {
+        if (err) { return done(err) }
+        expect(fs.readdirSync(root)).to.deep.equal([])
+        done()
+      })
+    })
+
+    it('should yield errors', (done) => {
+      write('A', 'a')
+      driver.removeTree([resolve('A/B')], (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOTDIR')
+        done()
+      })
+    })
+  }) // end 'removeTree'
+
+  describe('move', () => {
+    it('should rename files', (done) => {
+      write('A', 'a')
+      driver.move('A', 'B', (err) => {
+        if (err) { return done(err) }
+        expect(fs.existsSync(resolve('A'))).to.be.false()
+        expect(read('B')).to.equal('a')
+        done()
+      })
+    })
+
+    it('should move files into existing directories', (done) => {
+      write('A', 'a')
+      fs.mkdirSync(resolve('dir'))
+      driver.move('A', 'dir', (err) => {
+        if (err) { return done(err) }
+        expect(read('dir/A')).to.equal('a')
+        done()
+      })
+    })
+  }) // end 'move'
+
+  describe('copy', () => {
+    it('should copy files', (done) => {
+      write('A', 'a', 0o700)
+      driver.copy('A', 'B', (err) => {
+        if (err) { return done(err) }
+        expect(read('B')).to.equal('a')
+        expect(mode('B')).to.equal(0o700)
+        done()
+      })
+    })
+
+    it('should keep the mode of existing files', (done) => {
+      write('A', 'a', 0o700)
+      write('B', 'b', 0o640)
+      driver.copy('A', 'B', (err) => {
+        if (err) { return done(err) }
+        expect(read('B')).to.equal('a')
+        expect(mode('B')).to.equal(0o640)
+        done()
+      })
+    })
+
+    it('should copy files into existing directories', (done) => {
+      write('A', 'a')
+      fs.mkdirSync(resolve('dir'))
+      driver.copy('A', 'dir', (err) => {
+        if (err) { return done(err) }
+        expect(read('A')).to.equal('a')
+        expect(read('dir/A')).to.equal('a')
+        done()
+      })
+    })
+
+    it('should not copy directories', (done) => {
+      fs.mkdirSync(resolve('dir'))
+      driver.copy('dir', 'other', (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('EISDIR')
+        done()
+      })
+    })
+  }) // end 'copy'
+
+  describe('copyDirectory', () => {
+    beforeEach((done) => {
+      fs.mkdirSync(resolve('dir'))
+      write('dir/A', 'a')
+      done()
+    })
+
+    it('should copy directories', (done) => {
+      driver.copyDirectory('dir', 'copy', (err) => {
+        if (err) { return done(err) }
+        expect(read('copy/A')).to.equal('a')
+        done()
+      })
+    })
+
+    it('should copy directories into existing directories', (done) => {
+      fs.mkdirSync(resolve('other'))
+      driver.copyDirectory('dir', 'other', (err) => {
+        if (err) { return done(err) }
+        expect(read('other/dir/A')).to.equal('a')
+        done()
+      })
+    })
+  }) // end 'copyDirectory'
+
+  describe('mergeDirectory', () => {
+    it('should merge the contents into the directory', (done) => {
+      fs.mkdirSync(resolve('dir'))
+      fs.mkdirSync(resolve('dir/sub'))
+      write('dir/A', 'a')
+      write('dir/sub/B', 'b')
+      fs.symlinkSync('A', resolve('dir/link'))
+      fs.mkdirSync(resolve('other'))
+      fs.mkdirSync(resolve('other/sub'))
+      write('other/A', 'old')
+      write('other/sub/C', 'c')
+      write('other/link', 'replaced')
+      driver.mergeDirectory('dir', 'other', (err) => {
+        if (err) { return done(err) }
+        expect(read('other/A')).to.equal('a')
+        expect(read('other/sub/B')).to.equal('b')
+        expect(read('other/sub/C')).to.equal('c')
+        expect(fs.readlinkSync(resolve('other/link'))).to.equal('A')
+        done()
+      })
+    })
+
+    it('should not merge directories into files', (done) => {
+      fs.mkdirSync(resolve('dir'))
+      fs.mkdirSync(resolve('dir/sub'))
+      fs.mkdirSync(resolve('other'))
+      write('other/sub', 'file')
+      driver.mergeDirectory('dir', 'other', (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('EEXIST')
+        done()
+      })
+    })
+  }) // end 'mergeDirectory'
+
+  describe('remove', () => {
+    it('should remove files', (done) => {
+      write('A', 'a')
+      driver.remove('A', false, (err) => {
+        if (err) { return done(err) }
+        expect(fs.existsSync(resolve('A'))).to.be.false()
+        done()
+      })
+    })
+
+    it('should not remove directories unless recursive', (done) => {
+      fs.mkdirSync(resolve('dir'))
+      driver.remove('dir', false, (err) => {
+        expect(err).to.exist()
+        expect(err.message).to.equal(
+          'Cannot remove a directory: ' + resolve('dir')
+        )
+        expect(fs.existsSync(resolve('dir'))).to.be.true()
+        done()
+      })
+    })
+
+    it('should recursively remove directories', (done) => {
+      fs.mkdirSync(resolve('dir'))
+      write('dir/A', 'a')
+      driver.remove('dir', true, (err) => {
+        if (err) { return done(err) }
+        expect(fs.existsSync(resolve('dir'))).to.be.false()
+        done()
+      })
+    })
+
+    it('should yield an error for missing files', (done) => {
+      driver.remove('nope', true, (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+  }) // end 'remove'
+
+  describe('mkdir', () => {
+    it('should create directories', (done) => {
+      driver.mkdir('dir', false, (err) => {
+        if (err) { return done(err) }
+        expect(fs.statSync(resolve('dir')).isDirectory()).to.be.true()
+        done()
+      })
+    })
+
+    it('should not create parents unless asked', (done) => {
+      driver.mkdir('a/b', false, (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+
+    it('should create parent directories', (done) => {
+      driver.mkdir('a/b/c', true, (err) => {
+        if (err) { return done(err) }
+        expect(fs.statSync(resolve('a/b/c')).isDirectory()).to.be.true()
+        driver.mkdir('a/b', true, done)
+      })
+    })
+
+    it('should yield an error if the path is a file', (done) => {
+      write('A', 'a')
+      driver.mkdir('A', true, (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('EEXIST')
+        done()
+      })
+    })
+
+    it('should yield an error if a parent is a file', (done) => {
+      write('A', 'a')
+      driver.mkdir('A/B', true, (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOTDIR')
+        done()
+      })
+    })
+  }) // end 'mkdir'
+
+  describe('applyMode', () => {
+    // Expected modes are the ones given by chmod with a umask of 022
+    var apply = (mode, current, directory) => {
+      return NodeFsDriver.applyMode(mode, current, !!directory, 0o022)
+    }
+
+    it('should apply octal modes', (done) => {
+      expect(apply('755', 0o644)).to.equal(0o755)
+      expect(apply('2750', 0o644)).to.equal(0o2750)
+      done()
+    })
+
+    it('should add, remove and set permissions', (done) => {
+      expect(apply('u+x', 0o644)).to.equal(0o744)
+      expect(apply('go-w', 0o666)).to.equal(0o644)
+      expect(apply('a=r', 0o644)).to.equal(0o444)
+      expect(apply('u+x,g-r', 0o644)).to.equal(0o704)
+      expect(apply('g+w-r,+x', 0o644)).to.equal(0o735)
+      expect(apply('u=,o=u', 0o644)).to.equal(0o040)
+      done()
+    })
+
+    it('should apply the umask when no class is given', (done) => {
+      expect(apply('+x', 0o644)).to.equal(0o755)
+      expect(apply('-w', 0o666)).to.equal(0o466)
+      expect(apply('=r', 0o644)).to.equal(0o444)
+      done()
+    })
+
+    it('should copy the permissions of a class', (done) => {
+      expect(apply('o=u', 0o640)).to.equal(0o646)
+      expect(apply('u=o', 0o751)).to.equal(0o151)
+      expect(apply('o+g', 0o750)).to.equal(0o755)
+      expect(apply('u-g', 0o750)).to.equal(0o250)
+      expect(apply('+u', 0o640)).to.equal(0o644)
+      expect(apply('=o', 0o751)).to.equal(0o111)
+      done()
+    })
+
+    it('should only add execute for directories and executables', (done) => {
+      expect(apply('a+X', 0o644)).to.equal(0o644)
+      expect(apply('a+X', 0o744)).to.equal(0o755)
+      expect(apply('a+X', 0o644, true)).to.equal(0o755)
+      done()
+    })
+
+    it('should set special bits', (done) => {
+      expect(apply('u+s', 0o644)).to.equal(0o4644)
+      expect(apply('+t', 0o644, true)).to.equal(0o1644)
+      expect(apply('=', 0o6755)).to.equal(0)
+      done()
+    })
+
+    it('should keep the set-group-ID bit of directories', (done) => {
+      expect(apply('=', 0o2755, true)).to.equal(0o2000)
+      expect(apply('u=rwx', 0o2755, true)).to.equal(0o2755)
+      expect(apply('g-s', 0o2755, true)).to.equal(0o755)
+      done()
+    })
+  }) // end 'applyMode'
+
+  describe('chmod', () => {
+    it('should change the mode of files', (done) => {
+      write('A', 'a', 0o644)
+      driver.chmod('A', 'u+x,o-r', (err) => {
+        if (err) { return done(err) }
+        expect(mode('A')).to.equal(0o740)
+        done()
+      })
+    })
+
+    it('should yield errors', (done) => {
+      driver.chmod('nope', '755', (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+  }) // end 'chmod'
+
+  describe('symlink', () => {
+    it('should create symbolic links', (done) => {
+      write('A', 'a')
+      driver.symlink('A', 'link', (err) => {
+        if (err) { return done(err) }
+        expect(fs.readlinkSync(resolve('link'))).to.equal('A')
+        expect(read('link')).to.equal('a')
+        done()
+      })
+    })
+
+    it('should create links in existing directories', (done) => {
+      fs.mkdirSync(resolve('dir'))
+      driver.symlink('../A', 'dir', (err) => {
+        if (err) { return done(err) }
+        expect(fs.readlinkSync(resolve('dir/A'))).to.equal('../A')
+        done()
+      })
+    })
+  }) // end 'symlink'
+
+  describe('diff', () => {
+    afterEach((done) => {
+      UnifiedDiff.paths.restore()
+      done()
+    })
+
+    it('should diff the directories in-process', (done) => {
+      driver.workingPath = '/tmp/working'
+      driver.resultsPath = '/tmp/results'
+      sinon.stub(UnifiedDiff, 'paths').returns(
+        'diff -u -r -N /tmp/working/A /tmp/results/A\n'
+      )
+      driver.diff('/tmp/working', '/tmp/results', (err, diff) => {
+        if (err) { return done(err) }
+        expect(UnifiedDiff.paths.calledWith(
+          '/tmp/working',
+          '/tmp/results',
+          false
+        )).to.be.true()
+        expect(diff).to.equal('diff -u -r -N /A /A\n')
+        done()
+      })
+    })
+
+    it('should diff new files against empty files if asked', (done) => {
+      sinon.stub(UnifiedDiff, 'paths').returns('')
+      driver.diff('/tmp/working', '/tmp/results', true, (err) => {
+        if (err) { return done(err) }
+        expect(UnifiedDiff.paths.calledWith(
+          '/tmp/working',
+          '/tmp/results',
+          true
+        )).to.be.true()
+        done()
+      })
+    })
+
+    it('should yield errors', (done) => {
+      var error = new Error('EACCES')
+      sinon.stub(UnifiedDiff, 'paths').throws(error)
+      driver.diff('/tmp/working', '/tmp/results', (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+  }) // end 'diff'
+
+  it('should record the paths it changes', (done) => {
+    fs.mkdirSync(resolve('dir'))
+    write('A', 'a')
+    driver.move('A', 'dir', (err) => {
+      if (err) { return done(err) }
+      driver.copy('dir/A', 'B', (err) => {
+        if (err) { return done(err) }
+        driver.symlink('B', 'dir', (err) => {
+          if (err) { return done(err) }
+          expect(driver.changedPaths).to.deep.equal([
+            resolve('A'), resolve('dir/A'), resolve('B'), resolve('dir/B')
+          ])
+          done()
+        })
+      })
+    })
+  })
+
+  describe('isBinary', () => {
+    it('should not consider text to be binary', (done) => {
+      write('A', 'text\twith\r\ncontrols\u001b[0mé\n')
+      driver.isBinary(resolve('A'), (err, binary) => {
+        if (err) { return done(err) }
+        expect(binary).to.be.false()
+        done()
+      })
+    })
+
+    it('should not consider empty files to be binary', (done) => {
+      write('A', '')
+      driver.isBinary(resolve('A'), (err, binary) => {
+        if (err) { return done(err) }
+        expect(binary).to.be.false()
+        done()
+      })
+    })
+
+    it('should consider other control characters to be binary', (done) => {
+      fs.writeFileSync(resolve('A'), Buffer.from([0x01, 0x02, 0x76, 0x8f]))
+      fs.writeFileSync(resolve('B'), Buffer.from('delete\u007f'))
+      driver.isBinary(resolve('A'), (err, binary) => {
+        if (err) { return done(err) }
+        expect(binary).to.be.true()
+        driver.isBinary(resolve('B'), (err, binary) => {
+          if (err) { return done(err) }
+          expect(binary).to.be.true()
+          done()
+        })
+      })
+    })
+
+    it('should yield errors', (done) => {
+      driver.isBinary(resolve('nope'), (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+  }) // end 'isBinary'
+
+  describe('findMatches', () => {
+    beforeEach((done) => {
+      fs.mkdirSync(resolve('sub'))
+      fs.mkdirSync(resolve('sub/.git'))
+      fs.mkdirSync(resolve('sub/node_modules'))
+      write('A', 'Some a.b\n')
+      write('B', 'Some A-B\n')
+      write('sub/C', 'More a.b\n')
+      write('sub/.git/D', 'a.b\n')
+      write('sub/node_modules/E', 'a.b\n')
+      fs.writeFileSync(resolve('sub/F'), Buffer.from([0x01, 0x61, 0x2e, 0x62]))
+      fs.symlinkSync(resolve('A'), resolve('sub/G'))
+      done()
+    })
+
+    it('should find the text files containing a string', (done) => {
+      var search = { search: 'a.b', pattern: 'a\\.b', ignoreCase: false }
+      driver.findMatches([resolve('A'), resolve('B'), resolve('sub')], search, (err, files) => {
+        if (err) { return done(err) }
+        expect(files).to.deep.equal([resolve('A'), resolve('sub/C')])
+        done()
+      })
+    })
+
+    it('should find the text files matching a regular expression', (done) => {
+      var search = { search: /a.b/gi, pattern: 'a.b', ignoreCase: true }
+      driver.findMatches([resolve('B'), resolve('sub')], search, (err, files) => {
+        if (err) { return done(err) }
+        expect(files).to.deep.equal([resolve('B'), resolve('sub/C')])
+        done()
+      })
+    })
+
+    it('should yield errors', (done) => {
+      var search = { search: 'a', pattern: 'a', ignoreCase: false }
+      driver.findMatches([resolve('nope')], search, (err) => {
+        expect(err).to.exist()
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+    })
+  }) // end 'findMatches'
+}) // end 'node-fs-driver'
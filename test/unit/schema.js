@@ -0,0 +1,262 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+
+var Schema = require('../../lib/schema')
+
+describe('Schema', () => {
+  describe('join', () => {
+    it('should join property names', (done) => {
+      expect(Schema.join('', 'path')).to.equal('path')
+      expect(Schema.join('set', 'NAME')).to.equal('set.NAME')
+      done()
+    })
+
+    it('should join array indexes', (done) => {
+      expect(Schema.join('operations', 0)).to.equal('operations[0]')
+      expect(Schema.join('', 2)).to.equal('[2]')
+      done()
+    })
+  }) // end 'join'
+
+  describe('describe', () => {
+    it('should describe types with an article', (done) => {
+      expect(Schema.describe('string')).to.equal('a string')
+      expect(Schema.describe('array')).to.equal('an array')
+      expect(Schema.describe('integer')).to.equal('an integer')
+      expect(Schema.describe('null')).to.equal('null')
+      done()
+    })
+  }) // end 'describe'
+
+  describe('alternatives', () => {
+    it('should list the required properties of each schema', (done) => {
+      expect(Schema.alternatives([
+        { required: ['path'] },
+        { required: ['paths'] },
+        { required: ['a', 'b'] },
+        {}
+      ])).to.equal('path, paths, a and b, ')
+      done()
+    })
+  }) // end 'alternatives'
+
+  describe('validate', () => {
+    it('should accept values that match the schema', (done) => {
+      var schema = {
+        type: 'object',
+        required: ['path'],
+        properties: { path: { type: 'string' } }
+      }
+      expect(Schema.validate(schema, { path: 'A' })).to.deep.equal([])
+      done()
+    })
+
+    it('should ignore unsupported keywords', (done) => {
+      var schema = { description: 'Anything', format: 'uri' }
+      expect(Schema.validate(schema, 'not a uri')).to.deep.equal([])
+      done()
+    })
+
+    describe('type', () => {
+      it('should check each type', (done) => {
+        var values = {
+          string: 'a',
+          number: 1.5,
+          integer: 2,
+          boolean: false,
+          object: {},
+          array: [],
+          null: null
+        }
+        Object.keys(values).forEach((type) => {
+          var schema = { type: type }
+          expect(Schema.validate(schema, values[type])).to.deep.equal([])
+          expect(Schema.validate(schema, undefined)).to.deep.equal([{
+            path: '',
+            message: 'must be ' + Schema.describe(type)
+          }])
+        })
+        done()
+      })
+
+      it('should not accept arrays or null as objects', (done) => {
+        var schema = { type: 'object' }
+        expect(Schema.validate(schema, []).length).to.equal(1)
+        expect(Schema.validate(schema, null).length).to.equal(1)
+        done()
+      })
+
+      it('should not accept fractions as integers', (done) => {
+        var problems = Schema.validate({ type: 'integer' }, 1.5)
+        expect(problems).to.deep.equal([
+          { path: '', message: 'must be an integer' }
+        ])
+        done()
+      })
+
+      it('should accept any of a list of types', (done) => {
+        var schema = { type: ['string', 'number'] }
+        expect(Schema.validate(schema, 'a')).to.deep.equal([])
+        expect(Schema.validate(schema, 1)).to.deep.equal([])
+        expect(Schema.validate(schema, true)).to.deep.equal([
+          { path: '', message: 'must be a string or a number' }
+        ])
+        done()
+      })
+    }) // end 'type'
+
+    describe('enum', () => {
+      it('should check the value is one of the allowed values', (done) => {
+        var schema = { enum: ['merge', 'replace'] }
+        expect(Schema.validate(schema, 'merge')).to.deep.equal([])
+        expect(Schema.validate(schema, 'skip')).to.deep.equal([
+          { path: '', message: 'must be one of: merge, replace' }
+        ])
+        done()
+      })
+    }) // end 'enum'
+
+    describe('minimum', () => {
+      it('should check numbers against the minimum', (done) => {
+        var schema = { type: 'integer', minimum: 1 }
+        expect(Schema.validate(schema, 1)).to.deep.equal([])
+        expect(Schema.validate(schema, 0)).to.deep.equal([
+          { path: '', message: 'must be at least 1' }
+        ])
+        done()
+      })
+    }) // end 'minimum'
+
+    describe('objects', () => {
+      var schema = {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: { type: 'string' },
+          content: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+
+      it('should report every missing property', (done) => {
+        expect(Schema.validate(schema, {})).to.deep.equal([
+          { path: 'path', message: 'is required' },
+          { path: 'content', message: 'is required' }
+        ])
+        done()
+      })
+
+      it('should check each property', (done) => {
+        expect(Schema.validate(schema, { path: 1, content: 2 })).to.deep.equal([
+          { path: 'path', message: 'must be a string' },
+          { path: 'content', message: 'must be a string' }
+        ])
+        done()
+      })
+
+      it('should report properties that are not allowed', (done) => {
+        var value = { path: 'A', content: 'B', contnet: 'C' }
+        expect(Schema.validate(schema, value)).to.deep.equal([
+          { path: 'contnet', message: 'is not allowed' }
+        ])
+        done()
+      })
+
+      it('should allow additional properties by default', (done) => {
+        var value = { path: 'A', content: 'B', other: 'C' }
+        var open = { properties: schema.properties }
+        expect(Schema.validate(open, value)).to.deep.equal([])
+        done()
+      })
+
+      it('should check additional properties against a schema', (done) => {
+        var map = { additionalProperties: { type: 'string' } }
+        expect(Schema.validate(map, { a: 'A', b: 2 })).to.deep.equal([
+          { path: 'b', message: 'must be a string' }
+        ])
+        done()
+      })
+
+      it('should give the path of nested properties', (done) => {
+        var nested = { properties: { set: schema } }
+        expect(Schema.validate(nested, { set: { path: 'A' } })).to.deep.equal([
+          { path: 'set.content', message: 'is required' }
+        ])
+        done()
+      })
+    }) // end 'objects'
+
+    describe('items', () => {
+      it('should check each item of arrays', (done) => {
+        var schema = {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['op'],
+            properties: { op: { enum: ['set', 'unset'] } }
+          }
+        }
+        var value = [{ op: 'set' }, { op: 'add' }, {}]
+        expect(Schema.validate(schema, value)).to.deep.equal([
+          { path: '[1].op', message: 'must be one of: set, unset' },
+          { path: '[2].op', message: 'is required' }
+        ])
+        done()
+      })
+    }) // end 'items'
+
+    describe('anyOf', () => {
+      var schema = {
+        anyOf: [{ required: ['path'] }, { required: ['paths'] }]
+      }
+
+      it('should accept values that match any of the schemas', (done) => {
+        expect(Schema.validate(schema, { path: 'A' })).to.deep.equal([])
+        expect(Schema.validate(schema, { paths: [] })).to.deep.equal([])
+        expect(Schema.validate(schema, { path: 'A', paths: [] }))
+          .to.deep.equal([])
+        done()
+      })
+
+      it('should report values that match none of the schemas', (done) => {
+        expect(Schema.validate(schema, {})).to.deep.equal([
+          { path: '', message: 'must have one of: path, paths' }
+        ])
+        done()
+      })
+    }) // end 'anyOf'
+
+    describe('oneOf', () => {
+      var schema = {
+        oneOf: [{ required: ['before'] }, { required: ['after'] }]
+      }
+
+      it('should accept values that match one of the schemas', (done) => {
+        expect(Schema.validate(schema, { before: 'A' })).to.deep.equal([])
+        expect(Schema.validate(schema, { after: 'A' })).to.deep.equal([])
+        done()
+      })
+
+      it('should report values that match none of the schemas', (done) => {
+        expect(Schema.validate(schema, {})).to.deep.equal([
+          { path: '', message: 'must have one of: before, after' }
+        ])
+        done()
+      })
+
+      it('should report values that match many of the schemas', (done) => {
+        var value = { before: 'A', after: 'B' }
+        expect(Schema.validate(schema, value)).to.deep.equal([
+          { path: '', message: 'must have only one of: before, after' }
+        ])
+        done()
+      })
+    }) // end 'oneOf'
+  }) // end 'validate'
+}) // end 'Schema'
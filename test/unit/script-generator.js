@@ -11,13 +11,18 @@ var expect = Code.expect
 var sinon = require('sinon')
 
 var ScriptGenerator = require('../../lib/script-generator')
+var Glob = require('../../lib/glob')
 var fs = require('fs')
 
 describe('ScriptGenerator', () => {
   describe('constructor', () => {
     it('should set the action generators', (done) => {
       var script = new ScriptGenerator()
-      var generatorNames = ['copy', 'rename', 'replace', 'exclude']
+      var generatorNames = [
+        'copy', 'rename', 'replace', 'exclude', 'delete', 'mkdir', 'write',
+        'append', 'prepend', 'insert', 'deleteLines', 'json', 'yaml', 'env', 'ini', 'chmod',
+        'symlink'
+      ]
       expect(script.actionGenerators).to.exist()
       generatorNames.forEach((name) => {
         expect(script.actionGenerators[name]).to.exist()
@@ -26,6 +31,24 @@ describe('ScriptGenerator', () => {
     })
   }) // end 'describe'
 
+  describe('usesGnuExtensions', () => {
+    it('should find GNU escapes', (done) => {
+      ['\\ba', 'a\\Bb', '\\w+', '\\W', 'a\\sb', '[\\S]', '\\<a\\>', '\\\\\\b']
+        .forEach((pattern) => {
+          expect(ScriptGenerator.usesGnuExtensions(pattern)).to.be.true()
+        })
+      done()
+    })
+
+    it('should ignore escaped backslashes and other escapes', (done) => {
+      ['ab', '\\\\b', 'a\\\\sb', '[0-9]\\.\\(', '\\\\\\\\w']
+        .forEach((pattern) => {
+          expect(ScriptGenerator.usesGnuExtensions(pattern)).to.be.false()
+        })
+      done()
+    })
+  }) // end 'usesGnuExtensions'
+
   describe('generate', () => {
     var script = new ScriptGenerator()
 
@@ -51,6 +74,28 @@ describe('ScriptGenerator', () => {
       expect(result).to.equal('PREAMBLE\n\n4\n5\n6')
       done()
     })
+
+    it('should check for GNU sed if the rules need it', (done) => {
+      var script = new ScriptGenerator()
+      script.ruleScripts = [4, 5, 6]
+      script.requiresGnuSed = true
+      var result = script.generate()
+      expect(result).to.equal('PREAMBLE\n\nrequire_gnu_sed\n\n4\n5\n6')
+      done()
+    })
+
+    it('should throw if rules cannot be converted into a script', (done) => {
+      var script = new ScriptGenerator()
+      script.ruleScripts = [4, 5, 6]
+      script.unsupported = ['RULE 1 a', 'RULE 3 b']
+      expect(() => script.generate()).to.throw(Error, [
+        'Rules cannot be converted into a script:',
+        '  RULE 1 a',
+        '  RULE 3 b'
+      ].join('\n'))
+      expect(fs.readFileSync.called).to.be.false()
+      done()
+    })
   }) // end 'generate'
 
   describe('addRule', () => {
@@ -116,8 +161,80 @@ describe('ScriptGenerator', () => {
 
       done()
     })
+
+    it('should pass additional data to the handler', (done) => {
+      var rule = { action: 'replace' }
+      script.addRule(rule, 'data')
+      expect(script.actionGenerators.replace.calledWith(rule, 1, 'data'))
+        .to.be.true()
+      done()
+    })
   }) // end 'generateRule'
 
+  describe('checkRegex', () => {
+    var script
+
+    beforeEach((done) => {
+      script = new ScriptGenerator()
+      done()
+    })
+
+    it('should accept syntax and flags that scripts can run', (done) => {
+      script.checkRegex({
+        action: 'replace',
+        search: '(?:\\d+)\\.(\\d+)\\?',
+        replace: 'X$1',
+        regex: true,
+        flags: 'gi'
+      }, 1)
+      expect(script.unsupported).to.deep.equal([])
+      done()
+    })
+
+    it('should record syntax that scripts cannot run', (done) => {
+      script.checkRegex({
+        action: 'replace', search: '\\d+?', replace: 'b', regex: true
+      }, 1)
+      script.checkRegex({
+        action: 'insert', path: 'A', content: 'a', after: '(?<=a)b', regex: true
+      }, 2)
+      expect(script.unsupported).to.deep.equal([
+        'RULE 1 search uses a lazy quantifier, which scripts do not support',
+        'RULE 2 after uses a lookbehind, which scripts do not support'
+      ])
+      done()
+    })
+
+    it('should record flags other than global and ignore case', (done) => {
+      script.checkRegex({
+        action: 'deleteLines', search: '^a', regex: true, flags: 'gm'
+      }, 4)
+      expect(script.unsupported).to.deep.equal([
+        'RULE 4 flags can only contain "g" and "i"'
+      ])
+      done()
+    })
+
+    it('should only check regular expression searches', (done) => {
+      script.checkRegex({
+        action: 'replace', search: '(?=a)', replace: 'b', flags: 'm'
+      }, 1)
+      script.checkRegex({
+        action: 'custom', search: '(?=a)', regex: true, flags: 'm'
+      }, 2)
+      expect(script.unsupported).to.deep.equal([])
+      done()
+    })
+
+    it('should be called when adding rules', (done) => {
+      script.addRule({ action: 'replace', search: '(?!a)', replace: 'b', regex: true })
+      expect(script.unsupported).to.deep.equal([
+        'RULE 1 search uses a lookahead, which scripts do not support'
+      ])
+      done()
+    })
+  }) // end 'checkRegex'
+
   describe('copy', () => {
     it('should generate the script for a copy', (done) => {
       var script = new ScriptGenerator()
@@ -132,6 +249,79 @@ describe('ScriptGenerator', () => {
       )
       done()
     })
+
+    it('should generate the script for a glob copy', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'copy',
+        source: 'config/*.example',
+        dest: 'config/$1'
+      }
+      var pairs = [
+        { source: 'config/a.example', dest: 'config/a' },
+        { source: 'config/it\'s.example', dest: 'config/it\'s' }
+      ]
+      expect(script.copy(rule, 7, pairs)).to.equal(
+        fs.readFileSync('test/fixtures/copy-glob.sh').toString()
+      )
+      done()
+    })
+
+    it('should create missing parent directories', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'copy', source: 'A', dest: 'new/A' }
+      var pairs = [{ source: 'A', dest: 'new/A', parent: 'new' }]
+      expect(script.copy(rule, 1, pairs)).to.equal([
+        '# RULE 1',
+        '# {',
+        '#   action: "copy",',
+        '#   source: "A",',
+        '#   dest: "new/A"',
+        '# }',
+        '',
+        'mkdir -p \'new\'',
+        'copy \'A\' \'new/A\'',
+        ''
+      ].join('\n'))
+      done()
+    })
+
+    it('should create each parent directory once', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'copy',
+        source: '*.x',
+        dest: 'it\'s/$1',
+        createParents: true
+      }
+      var pairs = [
+        { source: 'a.x', dest: 'it\'s/a', parent: 'it\'s' },
+        { source: 'b.x', dest: 'it\'s/b' }
+      ]
+      var lines = script.copy(rule, 1, pairs).split('\n')
+      expect(lines.slice(6, 9)).to.deep.equal([
+        '',
+        'mkdir -p \'it\'"\'"\'s\'',
+        'copy \\'
+      ])
+      done()
+    })
+
+    it('should quote paths with spaces and quotes', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'copy', source: 'my file.txt', dest: 'it\'s dir/copy.txt' }
+      expect(script.copy(rule, 1).split('\n')).to.include(
+        'copy \'my file.txt\' \'it\'"\'"\'s dir/copy.txt\''
+      )
+      done()
+    })
+
+    it('should note when parent directories are not created', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'copy', source: 'A', dest: 'B', createParents: false }
+      expect(script.copy(rule, 1)).to.contain('#   createParents: false\n')
+      done()
+    })
   }) // end 'copy'
 
   describe('rename', () => {
@@ -148,6 +338,31 @@ describe('ScriptGenerator', () => {
       )
       done()
     })
+
+    it('should generate the script for a glob rename with replace', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'rename',
+        source: '*.txt',
+        dest: '$1.rtf',
+        conflict: 'replace'
+      }
+      var pairs = [{ source: 'foo.txt', dest: 'foo.rtf' }]
+      expect(script.rename(rule, 3, pairs)).to.equal([
+        '# RULE 3',
+        '# {',
+        '#   action: "rename",',
+        '#   source: "*.txt",',
+        '#   dest: "$1.rtf",',
+        '#   conflict: "replace"',
+        '# }',
+        '',
+        'rename --replace \\',
+        '  \'foo.txt\' \'foo.rtf\'',
+        ''
+      ].join('\n'))
+      done()
+    })
   }) // end 'rename'
 
   describe('replace', () => {
@@ -180,6 +395,107 @@ describe('ScriptGenerator', () => {
       done()
     })
 
+    it('should generate a script for a regex replace', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'replace',
+        search: 'port: (\\d+)',
+        replace: 'port: \'$1\' & more',
+        regex: true,
+        flags: 'i'
+      }
+      var index = 31
+      expect(script.replace(rule, index)).to.equal(
+        fs.readFileSync('test/fixtures/replace-regex.sh').toString()
+      )
+      done()
+    })
+
+    it('should generate a script for a case insensitive whole word replace', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'replace',
+        search: 'localhost',
+        replace: 'example.com',
+        ignoreCase: true,
+        wholeWord: true
+      }
+      var index = 8
+      expect(script.replace(rule, index)).to.equal(
+        fs.readFileSync('test/fixtures/replace-whole-word.sh').toString()
+      )
+      done()
+    })
+
+    it('should require GNU sed for replaces that need it', (done) => {
+      var script = new ScriptGenerator()
+      script.replace({ action: 'replace', search: 'a\\sb', replace: 'c' }, 1)
+      script.replace({ action: 'replace', search: 'a', replace: 'b', regex: true }, 2)
+      expect(script.requiresGnuSed).to.be.false()
+      script.replace({
+        action: 'replace', search: 'a', replace: 'b', wholeWord: true
+      }, 3)
+      expect(script.requiresGnuSed).to.be.true()
+
+      script = new ScriptGenerator()
+      script.replace({
+        action: 'replace', search: 'a', replace: 'b', ignoreCase: true
+      }, 1)
+      expect(script.requiresGnuSed).to.be.true()
+
+      script = new ScriptGenerator()
+      script.replace({
+        action: 'replace', search: 'a\\sb', replace: 'c', regex: true
+      }, 1)
+      expect(script.requiresGnuSed).to.be.true()
+      done()
+    })
+
+    it('should shift back-references for whole word regex replaces', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'replace',
+        search: '(foo|bar)baz',
+        replace: '$1',
+        regex: true,
+        flags: 'g',
+        wholeWord: true
+      }
+      expect(script.replace(rule, 1)).to.contain(
+        'replace \'\\b((foo|bar)baz)\\b\' \'\\2\' \'\' \'E\''
+      )
+      done()
+    })
+
+    it('should generate a script for a replace with includes', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'replace',
+        search: 'localhost',
+        replace: 'example.com',
+        include: ['config/**/*.yml', '*.env', '!secret.env', 7]
+      }
+      var index = 3
+      expect(script.replace(rule, index)).to.equal(
+        fs.readFileSync('test/fixtures/replace-include.sh').toString()
+      )
+      done()
+    })
+
+    it('should not narrow grep by file name unless all includes can be', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'replace',
+        search: 'a',
+        replace: 'b',
+        include: ['*.env', 'config/']
+      }
+      expect(script.replace(rule, 1)).to.contain(
+        'replace \'a\' \'b\' \'\' \'\' \'^([^/]*)\\.env(/.*)?$ ^config/.*$\' \'\''
+      )
+      done()
+    })
+
     it('should ignore leading slashes in file excludes', (done) => {
       var script = new ScriptGenerator()
       var rule = {
@@ -201,6 +517,128 @@ describe('ScriptGenerator', () => {
     })
   }) // end 'replace'
 
+  describe('toExtendedRegex', () => {
+    it('should pass through extended regular expression syntax', (done) => {
+      var pattern = '^(foo|bar)+\\.baz[a-z]*\\b$'
+      expect(ScriptGenerator.toExtendedRegex(pattern)).to.equal(pattern)
+      done()
+    })
+
+    it('should expand digit classes', (done) => {
+      expect(ScriptGenerator.toExtendedRegex('v\\d+\\D'))
+        .to.equal('v[0-9]+[^0-9]')
+      done()
+    })
+
+    it('should expand digit classes within bracket expressions', (done) => {
+      expect(ScriptGenerator.toExtendedRegex('[\\d.]+'))
+        .to.equal('[0-9.]+')
+      done()
+    })
+
+    it('should turn non-capturing groups into groups', (done) => {
+      var groups = []
+      expect(ScriptGenerator.toExtendedRegex('(?:a|b)(c)[(?:](d)\\2', groups))
+        .to.equal('(a|b)(c)[(?:](d)\\3')
+      expect(groups).to.deep.equal([2, 3])
+      done()
+    })
+
+    it('should shift groups by the given offset', (done) => {
+      var groups = []
+      expect(ScriptGenerator.toExtendedRegex('(a)\\1', groups, 1))
+        .to.equal('(a)\\2')
+      expect(groups).to.deep.equal([2])
+      done()
+    })
+
+    it('should keep other escaped digits', (done) => {
+      expect(ScriptGenerator.toExtendedRegex('(?:a)[\\1]\\2', [], 1))
+        .to.equal('(a)[\\1]\\2')
+      done()
+    })
+  }) // end 'toExtendedRegex'
+
+  describe('unsupportedRegexSyntax', () => {
+    it('should accept syntax with extended regular expression equivalents', (done) => {
+      [
+        '^(foo|bar)+$',
+        '(?:a)b{2,3}c?',
+        '\\(?=a\\*?',
+        '[(?=*?]'
+      ].forEach((pattern) => {
+        expect(ScriptGenerator.unsupportedRegexSyntax(pattern)).to.be.null()
+      })
+      done()
+    })
+
+    it('should find lookarounds, named groups and lazy quantifiers', (done) => {
+      expect(ScriptGenerator.unsupportedRegexSyntax('a(?=b)'))
+        .to.equal('a lookahead')
+      expect(ScriptGenerator.unsupportedRegexSyntax('a(?!b)'))
+        .to.equal('a lookahead')
+      expect(ScriptGenerator.unsupportedRegexSyntax('(?<=a)b'))
+        .to.equal('a lookbehind')
+      expect(ScriptGenerator.unsupportedRegexSyntax('(?<!a)b'))
+        .to.equal('a lookbehind')
+      expect(ScriptGenerator.unsupportedRegexSyntax('(?<a>b)'))
+        .to.equal('a named group')
+      ;['a*?', 'a+?', 'a??', 'a{2}?', 'a{2,}?'].forEach((pattern) => {
+        expect(ScriptGenerator.unsupportedRegexSyntax(pattern))
+          .to.equal('a lazy quantifier')
+      })
+      done()
+    })
+  }) // end 'unsupportedRegexSyntax'
+
+  describe('toPatternList', () => {
+    it('should join glob sources', (done) => {
+      var globs = [new Glob('*.js'), new Glob('!index.js')]
+      expect(ScriptGenerator.toPatternList(globs))
+        .to.equal('^([^/]*)\\.js(/.*)?$ !^index\\.js(/.*)?$')
+      done()
+    })
+
+    it('should replace spaces with character classes', (done) => {
+      var globs = [new Glob('my file'), new Glob('[a b]')]
+      expect(ScriptGenerator.toPatternList(globs))
+        .to.equal('^my[[:space:]]file(/.*)?$ ^[a[:space:]b](/.*)?$')
+      done()
+    })
+
+    it('should escape single quotes', (done) => {
+      expect(ScriptGenerator.toPatternList([new Glob('it\'s')]))
+        .to.equal('^it\'"\'"\'s(/.*)?$')
+      done()
+    })
+  }) // end 'toPatternList'
+
+  describe('toSedReplacement', () => {
+    it('should convert capture group references', (done) => {
+      expect(ScriptGenerator.toSedReplacement('$2-$1'))
+        .to.equal('\\2-\\1')
+      done()
+    })
+
+    it('should shift capture group references by the given offset', (done) => {
+      expect(ScriptGenerator.toSedReplacement('$2-$1', 1))
+        .to.equal('\\3-\\2')
+      done()
+    })
+
+    it('should use the group numbers of the translated search', (done) => {
+      expect(ScriptGenerator.toSedReplacement('$2-$1-$3', 0, [2, 3]))
+        .to.equal('\\3-\\2-$3')
+      done()
+    })
+
+    it('should escape backslashes and ampersands', (done) => {
+      expect(ScriptGenerator.toSedReplacement('\\a & b'))
+        .to.equal('\\\\a \\& b')
+      done()
+    })
+  }) // end 'toSedReplacement'
+
   describe('exclude', () => {
     it('should generate the script for a exclude', (done) => {
       var script = new ScriptGenerator()
@@ -228,4 +666,295 @@ describe('ScriptGenerator', () => {
       done()
     })
   }) // end 'exclude'
+
+  describe('delete', () => {
+    it('should generate the script for a delete', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'delete',
+        path: '.env.example',
+        paths: ['yarn.lock', 4, 'it\'s'],
+        recursive: true
+      }
+      var index = 7
+      var expected = fs.readFileSync('test/fixtures/delete.sh').toString()
+      expect(script.delete(rule, index)).to.equal(expected)
+      done()
+    })
+
+    it('should not recursively delete by default', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'delete', paths: ['A', 'B'] }
+      var generated = script.delete(rule, 1)
+      expect(generated).to.not.contain('recursive')
+      expect(generated).to.contain('delete \'\' \'A\' \'B\'')
+      done()
+    })
+  }) // end 'delete'
+
+  describe('mkdir', () => {
+    it('should generate the script for a mkdir', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'mkdir', path: 'config/env', parents: true }
+      var expected = fs.readFileSync('test/fixtures/mkdir.sh').toString()
+      expect(script.mkdir(rule, 3)).to.equal(expected)
+      done()
+    })
+
+    it('should not create parent directories by default', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'mkdir', path: 'dir' }
+      var generated = script.mkdir(rule, 1)
+      expect(generated).to.not.contain('parents')
+      expect(generated).to.contain('make_directory \'dir\'\n')
+      done()
+    })
+  }) // end 'mkdir'
+
+  describe('heredoc', () => {
+    it('should wrap the content in a quoted here-document', (done) => {
+      expect(ScriptGenerator.heredoc('a\nb')).to.equal(
+        '<<\'FS_TRANSFORM_EOF\'\na\nb\nFS_TRANSFORM_EOF'
+      )
+      done()
+    })
+
+    it('should use a delimiter that is not in the content', (done) => {
+      var content = 'FS_TRANSFORM_EOF\nFS_TRANSFORM_EOF_\n'
+      expect(ScriptGenerator.heredoc(content)).to.equal(
+        '<<\'FS_TRANSFORM_EOF__\'\n' + content + '\nFS_TRANSFORM_EOF__'
+      )
+      done()
+    })
+  }) // end 'heredoc'
+
+  describe('write', () => {
+    it('should generate the script for a write', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'write',
+        path: 'it\'s/.npmrc',
+        content: 'registry=http://npm.example.com\nFS_TRANSFORM_EOF\n' +
+          '$HOME \'quoted\'\n',
+        overwrite: 'skip'
+      }
+      var expected = fs.readFileSync('test/fixtures/write.sh').toString()
+      expect(script.write(rule, 5)).to.equal(expected)
+      done()
+    })
+
+    it('should omit the overwrite policy if not given', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'write', path: 'a', content: 'b' }
+      expect(script.write(rule, 1)).to.not.contain('overwrite')
+      done()
+    })
+  }) // end 'write'
+
+  describe('insertLines', () => {
+    it('should generate the script for appends, prepends and inserts', (done) => {
+      var script = new ScriptGenerator()
+      var rules = [
+        { action: 'append', path: '.gitignore', content: 'node_modules\n.env\n' },
+        { action: 'prepend', path: 'it\'s', content: '#!/bin/bash' },
+        { action: 'insert', path: 'A', content: 'at line', line: 3 },
+        { action: 'insert', path: 'A', content: 'before', before: 'Exa\'mple' },
+        {
+          action: 'insert',
+          path: 'A',
+          content: 'after',
+          after: '^\\d+',
+          regex: true
+        }
+      ]
+      var generated = rules.map((rule, index) => {
+        return script.insertLines(rule, index + 1)
+      }).join('\n')
+      var expected = fs.readFileSync('test/fixtures/insert.sh').toString()
+      expect(generated).to.equal(expected)
+      done()
+    })
+  }) // end 'insertLines'
+
+  describe('deleteLines', () => {
+    it('should generate the script for delete lines rules', (done) => {
+      var script = new ScriptGenerator()
+      var generated = [
+        script.deleteLines({
+          action: 'deleteLines',
+          search: 'console.log(\'debug\')',
+          exclude: ['vendor/', '!vendor/app.js'],
+          include: ['**/*.js']
+        }, 1),
+        script.deleteLines({
+          action: 'deleteLines',
+          search: '^\\s*//\\d+',
+          regex: true,
+          flags: 'i',
+          wholeWord: true
+        }, 2)
+      ].join('\n')
+      var expected = fs.readFileSync('test/fixtures/delete-lines.sh').toString()
+      expect(generated).to.equal(expected)
+      done()
+    })
+
+    it('should search whole words for literal searches', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'deleteLines', search: 'a.b', wholeWord: true }
+      expect(script.deleteLines(rule, 1))
+        .to.contain('delete_lines \'\\b(a\\.b)\\b\' \'\' \'E\'')
+      done()
+    })
+
+    it('should not narrow the search for empty includes', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'deleteLines', search: 'a', include: [] }
+      var generated = script.deleteLines(rule, 1)
+      expect(generated).to.contain('#   include: []')
+      expect(generated).to.contain('delete_lines \'a\' \'\' \'E\'\n')
+      done()
+    })
+
+    it('should require GNU sed for searches that need it', (done) => {
+      var script = new ScriptGenerator()
+      script.deleteLines({ action: 'deleteLines', search: 'a\\sb' }, 1)
+      expect(script.requiresGnuSed).to.be.false()
+      script.deleteLines({
+        action: 'deleteLines', search: 'a', ignoreCase: true
+      }, 2)
+      expect(script.requiresGnuSed).to.be.true()
+
+      script = new ScriptGenerator()
+      script.deleteLines({ action: 'deleteLines', search: 'a', wholeWord: true }, 1)
+      expect(script.requiresGnuSed).to.be.true()
+      done()
+    })
+  }) // end 'deleteLines'
+
+  describe('editValues', () => {
+    it('should generate the script for a json rule', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'json',
+        path: 'it\'s.json',
+        operations: [
+          { op: 'set', path: 'scripts.test', value: 'lab' },
+          { op: 'unset', path: '/devDependencies/mocha' },
+          null
+        ]
+      }
+      var content = '{\n  "scripts": {\n    "test": "lab"\n  }\n}\n'
+      var expected = fs.readFileSync('test/fixtures/json.sh').toString()
+      expect(script.editValues(rule, 2, content)).to.equal(expected)
+      done()
+    })
+
+    it('should generate the script for a yaml rule', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'yaml',
+        path: 'docker-compose.yml',
+        operations: [{ op: 'set', path: 'web.image', value: 'nginx' }]
+      }
+      var generated = script.editValues(rule, 1, 'web:\n  image: nginx\n')
+      expect(generated).to.contain('#   action: "yaml",\n')
+      expect(generated).to.contain('#   operations: [set web.image]\n')
+      expect(generated).to.contain(
+        'write_file \'docker-compose.yml\' <<\'FS_TRANSFORM_EOF\'\n' +
+        'web:\n  image: nginx\n\nFS_TRANSFORM_EOF'
+      )
+      done()
+    })
+  }) // end 'editValues'
+
+  describe('env', () => {
+    it('should generate the script for an env rule', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'env',
+        path: 'it\'s/.env',
+        set: { NODE_ENV: 'production', GREETING: 'it\'s $HOME', 'A B': 1 },
+        unset: ['DEBUG', 2],
+        create: true
+      }
+      var expected = fs.readFileSync('test/fixtures/env.sh').toString()
+      expect(script.env(rule, 1)).to.equal(expected)
+      done()
+    })
+
+    it('should omit variables that are not given', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'env', path: '.env', set: ['A'], unset: 'B' }
+      var generated = script.env(rule, 1)
+      expect(generated).to.not.contain('#   set:')
+      expect(generated).to.not.contain('#   unset:')
+      expect(generated).to.not.contain('#   create:')
+      expect(generated).to.contain('edit_env \'.env\' \'\'\n')
+      done()
+    })
+  }) // end 'env'
+
+  describe('ini', () => {
+    it('should generate the script for an ini rule', (done) => {
+      var script = new ScriptGenerator()
+      var rule = {
+        action: 'ini',
+        path: 'it\'s.cfg',
+        section: 'metadata',
+        key: 'version',
+        value: '2.0',
+        create: true
+      }
+      var content = '[metadata]\nversion = 2.0\n'
+      var expected = fs.readFileSync('test/fixtures/ini.sh').toString()
+      expect(script.ini(rule, 1, content)).to.equal(expected)
+      done()
+    })
+
+    it('should generate the script for global keys and unsets', (done) => {
+      var script = new ScriptGenerator()
+      var rule = { action: 'ini', path: 'a', key: 'b', unset: true, create: true }
+      var generated = script.ini(rule, 1, '')
+      expect(generated).to.not.contain('#   section:')
+      expect(generated).to.contain('#   key: "b",\n#   unset: true\n')
+      expect(generated).to.not.contain('#   create:')
+      done()
+    })
+  }) // end 'ini'
+
+  describe('chmod', () => {
+    it('should generate the script for a chmod rule', (done) => {
+      var script = new ScriptGenerator()
+      var generated = [
+        script.chmod({ action: 'chmod', path: 'bin/start', mode: 755 }, 1),
+        script.chmod({ action: 'chmod', path: 'it\'s', mode: 'go-w' }, 2)
+      ].join('\n')
+      var expected = fs.readFileSync('test/fixtures/chmod.sh').toString()
+      expect(generated).to.equal(expected)
+      done()
+    })
+  }) // end 'chmod'
+
+  describe('symlink', () => {
+    it('should generate the script for a symlink rule', (done) => {
+      var script = new ScriptGenerator()
+      var generated = [
+        script.symlink({
+          action: 'symlink',
+          target: 'config/prod',
+          link: 'config/current',
+          relative: true
+        }, 1, 'prod'),
+        script.symlink({
+          action: 'symlink',
+          target: '/it\'s',
+          link: 'link'
+        }, 2, '/it\'s')
+      ].join('\n')
+      var expected = fs.readFileSync('test/fixtures/symlink.sh').toString()
+      expect(generated).to.equal(expected)
+      done()
+    })
+  }) // end 'symlink'
 }) // end 'shell-script'
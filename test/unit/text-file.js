@@ -0,0 +1,143 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+
+var TextFile = require('../../lib/text-file')
+
+describe('TextFile', () => {
+  describe('split', () => {
+    it('should split text into lines', (done) => {
+      expect(TextFile.split('a\nb')).to.deep.equal(['a', 'b'])
+      expect(TextFile.split('a\nb\n')).to.deep.equal(['a', 'b'])
+      expect(TextFile.split('a\n\n')).to.deep.equal(['a', ''])
+      expect(TextFile.split('\n')).to.deep.equal([''])
+      expect(TextFile.split('')).to.deep.equal([])
+      done()
+    })
+  }) // end 'split'
+
+  describe('constructor', () => {
+    it('should keep track of the final newline', (done) => {
+      expect(new TextFile('a\n').endsWithNewline).to.be.true()
+      expect(new TextFile('a').endsWithNewline).to.be.false()
+      done()
+    })
+  }) // end 'constructor'
+
+  describe('findLine', () => {
+    var file = new TextFile('File A\n\nExample\n42 things\n')
+
+    it('should find the first line containing a string', (done) => {
+      expect(file.findLine('A')).to.equal(0)
+      expect(file.findLine('ample')).to.equal(2)
+      expect(file.findLine('nope')).to.equal(-1)
+      done()
+    })
+
+    it('should find the first line matching a regular expression', (done) => {
+      expect(file.findLine(/^\d+/)).to.equal(3)
+      expect(file.findLine(/^$/)).to.equal(1)
+      expect(file.findLine(/^A/)).to.equal(-1)
+      done()
+    })
+  }) // end 'findLine'
+
+  describe('contains', () => {
+    var file = new TextFile('a\nb\nc\n')
+
+    it('should find consecutive lines', (done) => {
+      expect(file.contains(['a'])).to.be.true()
+      expect(file.contains(['b', 'c'])).to.be.true()
+      expect(file.contains(['a', 'c'])).to.be.false()
+      expect(file.contains(['c', 'd'])).to.be.false()
+      done()
+    })
+
+    it('should only match whole lines', (done) => {
+      expect(file.contains(['b\nc'])).to.be.false()
+      expect(new TextFile('node_modules_old\n').contains(['node_modules']))
+        .to.be.false()
+      done()
+    })
+  }) // end 'contains'
+
+  describe('insert', () => {
+    it('should insert lines at the given index', (done) => {
+      var file = new TextFile('a\nd\n')
+      file.insert(1, ['b', 'c'])
+      expect(file.toString()).to.equal('a\nb\nc\nd\n')
+      done()
+    })
+
+    it('should keep a missing final newline', (done) => {
+      var file = new TextFile('b\nc')
+      file.insert(0, ['a'])
+      expect(file.toString()).to.equal('a\nb\nc')
+      done()
+    })
+
+    it('should end the file with a newline when inserting at the end', (done) => {
+      var file = new TextFile('a')
+      file.insert(1, ['b'])
+      expect(file.toString()).to.equal('a\nb\n')
+      var empty = new TextFile('')
+      empty.insert(0, ['a'])
+      expect(empty.toString()).to.equal('a\n')
+      done()
+    })
+  }) // end 'insert'
+
+  describe('test', () => {
+    it('should test strings and regular expressions', (done) => {
+      expect(TextFile.test('b', 'abc')).to.be.true()
+      expect(TextFile.test('d', 'abc')).to.be.false()
+      expect(TextFile.test(/^a/, 'abc')).to.be.true()
+      expect(TextFile.test(/^b/, 'abc')).to.be.false()
+      done()
+    })
+
+    it('should test global regular expressions from the start', (done) => {
+      var search = /a/g
+      expect(TextFile.test(search, 'a')).to.be.true()
+      expect(TextFile.test(search, 'a')).to.be.true()
+      done()
+    })
+  }) // end 'test'
+
+  describe('deleteLines', () => {
+    it('should delete the matching lines', (done) => {
+      var file = new TextFile('a\nb\nab\nc\n')
+      expect(file.deleteLines('a')).to.equal(2)
+      expect(file.toString()).to.equal('b\nc\n')
+      done()
+    })
+
+    it('should return 0 when no lines match', (done) => {
+      var file = new TextFile('a\nb')
+      expect(file.deleteLines(/^c/g)).to.equal(0)
+      expect(file.toString()).to.equal('a\nb')
+      done()
+    })
+
+    it('should end the file with a newline when deleting the last line', (done) => {
+      var file = new TextFile('a\nb')
+      expect(file.deleteLines('b')).to.equal(1)
+      expect(file.toString()).to.equal('a\n')
+      done()
+    })
+  }) // end 'deleteLines'
+
+  describe('toString', () => {
+    it('should return the contents of the file', (done) => {
+      expect(new TextFile('a\nb\n').toString()).to.equal('a\nb\n')
+      expect(new TextFile('a\nb').toString()).to.equal('a\nb')
+      expect(new TextFile('').toString()).to.equal('')
+      done()
+    })
+  }) // end 'toString'
+}) // end 'TextFile'
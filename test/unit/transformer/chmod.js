@@ -0,0 +1,138 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  describe('chmod', () => {
+    var transformer
+    var rule = { action: 'chmod', path: 'bin/start', mode: '755' }
+
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'exists').returns(true)
+      sinon.stub(transformer.driver, 'getMode')
+      transformer.driver.getMode.onFirstCall().returns('644')
+      transformer.driver.getMode.onSecondCall().returns('755')
+      sinon.stub(transformer.driver, 'chmod').yieldsAsync()
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.exists.restore()
+      transformer.driver.getMode.restore()
+      transformer.driver.chmod.restore()
+      done()
+    })
+
+    it('should add a warning if the rule was not given a path', (done) => {
+      var missing = { action: 'chmod', mode: '755' }
+      transformer.chmod(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].rule).to.equal(missing)
+        expect(transformer.warnings[0].message).to.equal('Missing path.')
+        expect(transformer.driver.chmod.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the rule was not given a mode', (done) => {
+      transformer.chmod({ action: 'chmod', path: 'a' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Missing mode.')
+        expect(transformer.driver.chmod.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the mode is invalid', (done) => {
+      var modes = ['8', '75', '77777', 'x+u', 'u+x,', 'rwx', {}]
+      var rules = modes.map((mode) => ({ path: 'a', mode: mode }))
+      rules.forEach((invalid) => {
+        transformer.chmod(invalid, () => {})
+      })
+      expect(transformer.warnings.length).to.equal(modes.length)
+      transformer.warnings.forEach((warning) => {
+        expect(warning.message).to.equal('Invalid mode.')
+      })
+      expect(transformer.driver.chmod.callCount).to.equal(0)
+      done()
+    })
+
+    it('should accept octal and symbolic modes', (done) => {
+      var modes = ['644', '0755', 755, 'u+x', 'go-w,a+r', 'a=rwX', 'g=u', '+t']
+      modes.forEach((mode) => {
+        transformer.chmod({ path: 'a', mode: mode }, () => {})
+      })
+      expect(transformer.warnings).to.be.empty()
+      expect(transformer.driver.chmod.callCount).to.equal(modes.length)
+      expect(transformer.driver.chmod.calledWith('a', '755')).to.be.true()
+      done()
+    })
+
+    it('should add a warning if the file does not exist', (done) => {
+      transformer.driver.exists.returns(false)
+      transformer.chmod(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('File does not exist.')
+        expect(transformer.driver.chmod.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should change the mode of the file', (done) => {
+      transformer.chmod(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.chmod.calledWith('bin/start', '755'))
+          .to.be.true()
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should add the mode change', (done) => {
+      var result = transformer.pushResult(rule)
+      transformer.chmod(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.modeChanges).to.deep.equal([
+          { path: 'bin/start', from: '644', to: '755' }
+        ])
+        expect(result.diffs['/bin/start'])
+          .to.equal('old mode 644\nnew mode 755')
+        done()
+      })
+    })
+
+    it('should not add a mode change if the mode did not change', (done) => {
+      transformer.driver.getMode.onSecondCall().returns('644')
+      transformer.chmod(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.modeChanges).to.be.empty()
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        done()
+      })
+    })
+
+    it('should yield driver errors', (done) => {
+      var error = new Error('chmod')
+      transformer.driver.chmod.yieldsAsync(error)
+      transformer.chmod(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'chmod'
+}) // end 'Transformer'
@@ -8,6 +8,8 @@ var Code = require('code')
 var expect = Code.expect
 var Transformer = require('../../../lib/transformer')
 var ScriptGenerator = require('../../../lib/script-generator')
+var FsDriver = require('../../../lib/fs-driver')
+var NodeFsDriver = require('../../../lib/node-fs-driver')
 
 describe('Transformer', () => {
   describe('constructor', () => {
@@ -41,6 +43,41 @@ describe('Transformer', () => {
       done()
     })
 
+    it('should use the shell driver by default', (done) => {
+      var transformer = new Transformer('/etc', [])
+      expect(transformer.driver).to.be.an.instanceof(FsDriver)
+      expect(transformer.driver).to.not.be.an.instanceof(NodeFsDriver)
+      done()
+    })
+
+    it('should use the driver given by the options', (done) => {
+      var transformer = new Transformer('/etc', [], { driver: 'node' })
+      expect(transformer.driver).to.be.an.instanceof(NodeFsDriver)
+      expect(transformer.driver.root).to.equal('/etc')
+      done()
+    })
+
+    it('should give the options to the driver', (done) => {
+      var transformer = new Transformer('/etc', [], { tmpDir: '/var/tmp' })
+      expect(transformer.driver.tmpDir).to.equal('/var/tmp')
+      done()
+    })
+
+    it('should not be lenient by default', (done) => {
+      expect(new Transformer('/etc', []).lenient).to.be.false()
+      expect(new Transformer('/etc', [], { lenient: true }).lenient)
+        .to.be.true()
+      done()
+    })
+
+    it('should throw an Error if the driver is not defined', (done) => {
+      expect(() => {
+        var t = new Transformer('/tmp', [], { driver: 'toString' })
+        done(new Error(t))
+      }).to.throw(Error, 'Unknown driver: toString')
+      done()
+    })
+
     it('should keep a list of warnings', (done) => {
       var transformer = new Transformer('/etc', [])
       expect(transformer.warnings).to.be.an.array()
@@ -65,6 +102,12 @@ describe('Transformer', () => {
       done()
     })
 
+    it('should keep a list of mode changes', (done) => {
+      var transformer = new Transformer('/etc', [])
+      expect(transformer.modeChanges).to.be.an.array()
+      done()
+    })
+
     it('should keep a list of global file excludes', (done) => {
       var transformer = new Transformer('/etc', [])
       expect(transformer._globalExcludes).to.be.an.array()
@@ -97,6 +97,7 @@ describe('Transformer', () => {
         var warning = transformer.warnings[0]
         expect(warning.rule).to.equal(rule)
         expect(warning.message).to.equal('Overwrites destination file.')
+        expect(warning.path).to.equal('bar')
         transformer.driver.exists.restore()
         done()
       })
@@ -117,5 +118,473 @@ describe('Transformer', () => {
         done()
       })
     })
+
+    describe('with a glob source', () => {
+      var rule = { action: 'copy', source: 'config/*.example', dest: 'config/$1' }
+
+      beforeEach((done) => {
+        sinon.stub(transformer.driver, 'exists').returns(false)
+        transformer.driver.exists.withArgs('config').returns(true)
+        sinon.stub(transformer.driver, 'listPaths').returns([
+          'config',
+          'config/a.example',
+          'config/b.example',
+          'config/c.txt'
+        ])
+        sinon.stub(transformer.script, 'addRule')
+        done()
+      })
+
+      afterEach((done) => {
+        transformer.driver.exists.restore()
+        transformer.driver.listPaths.restore()
+        done()
+      })
+
+      it('should copy each matching file', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          var stub = transformer.driver.copy
+          expect(stub.callCount).to.equal(2)
+          expect(stub.calledWith('config/a.example', 'config/a')).to.be.true()
+          expect(stub.calledWith('config/b.example', 'config/b')).to.be.true()
+          expect(transformer.warnings).to.be.empty()
+          done()
+        })
+      })
+
+      it('should add a name change for each matching file', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.nameChanges).to.deep.equal([
+            { from: 'config/a.example', to: 'config/a' },
+            { from: 'config/b.example', to: 'config/b' }
+          ])
+          done()
+        })
+      })
+
+      it('should give the matching files to the script generator', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.script.addRule.calledOnce).to.be.true()
+          expect(transformer.script.addRule.calledWith(rule, [
+            { source: 'config/a.example', dest: 'config/a' },
+            { source: 'config/b.example', dest: 'config/b' }
+          ])).to.be.true()
+          done()
+        })
+      })
+
+      it('should replace unmatched captures with empty strings', (done) => {
+        transformer.driver.listPaths.returns(['a.txt', 'b/c.txt'])
+        var nested = { action: 'copy', source: '**/*.txt', dest: '$1$2.md' }
+        transformer.copy(nested, (err) => {
+          if (err) { return done(err) }
+          var stub = transformer.driver.copy
+          expect(stub.calledWith('a.txt', 'a.md')).to.be.true()
+          expect(stub.calledWith('b/c.txt', 'b/c.md')).to.be.true()
+          done()
+        })
+      })
+
+      it('should prefer an existing file over the pattern', (done) => {
+        var literal = { action: 'copy', source: 'a[1].txt', dest: 'b' }
+        transformer.driver.exists.withArgs('a[1].txt').returns(true)
+        transformer.copy(literal, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.listPaths.callCount).to.equal(0)
+          expect(transformer.driver.copy.calledWith('a[1].txt', 'b')).to.be.true()
+          expect(transformer.script.addRule.calledWith(literal, [
+            { source: 'a[1].txt', dest: 'b' }
+          ])).to.be.true()
+          done()
+        })
+      })
+
+      it('should skip paths within ignored and matched directories', (done) => {
+        transformer.driver.listPaths.returns([
+          'a', 'a/ab', 'node_modules', 'node_modules/ab', 'x/.git', 'x/.git/ab'
+        ])
+        var nested = { action: 'copy', source: '**/a*', dest: 'b/$2' }
+        transformer.copy(nested, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.copy.callCount).to.equal(1)
+          expect(transformer.driver.copy.calledWith('a', 'b/')).to.be.true()
+          var allowDirectory = transformer.driver.listPaths.firstCall.args[1]
+          expect(allowDirectory('sub')).to.be.true()
+          expect(allowDirectory('sub/node_modules')).to.be.false()
+          expect(allowDirectory('.git')).to.be.false()
+          done()
+        })
+      })
+
+      it('should add a warning if no files match', (done) => {
+        var none = { action: 'copy', source: '*.md', dest: '$1' }
+        transformer.copy(none, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].rule).to.equal(none)
+          expect(transformer.warnings[0].message)
+            .to.equal('No files match the source pattern.')
+          expect(transformer.driver.copy.callCount).to.equal(0)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning for each overwritten destination', (done) => {
+        transformer.driver.exists.withArgs('config/a').returns(true)
+        transformer.driver.exists.withArgs('config/b').returns(true)
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(2)
+          transformer.warnings.forEach((warning) => {
+            expect(warning.message).to.equal('Overwrites destination file.')
+          })
+          expect(transformer.driver.copy.callCount).to.equal(2)
+          done()
+        })
+      })
+
+      it('should add a warning and skip duplicate destinations', (done) => {
+        var same = { action: 'copy', source: 'config/*.example', dest: 'a' }
+        transformer.copy(same, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Duplicate destination file.')
+          expect(transformer.driver.copy.callCount).to.equal(1)
+          expect(transformer.driver.copy.calledWith('config/a.example', 'a'))
+            .to.be.true()
+          done()
+        })
+      })
+
+      it('should stop at the first driver copy error', (done) => {
+        var error = new Error('cp')
+        transformer.driver.copy.yieldsAsync(error)
+        transformer.copy(rule, (err) => {
+          expect(err).to.equal(error)
+          expect(transformer.driver.copy.callCount).to.equal(1)
+          expect(transformer.nameChanges).to.be.empty()
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+    }) // end 'with a glob source'
+    describe('with a directory source', () => {
+      var rule = { action: 'copy', source: 'src', dest: 'dest' }
+
+      beforeEach((done) => {
+        var driver = transformer.driver
+        sinon.stub(driver, 'exists').returns(false)
+        driver.exists.withArgs('src').returns(true)
+        driver.exists.withArgs('src/a').returns(true)
+        sinon.stub(driver, 'isDirectory').returns(false)
+        driver.isDirectory.withArgs('src').returns(true)
+        driver.isDirectory.withArgs('src/d').returns(true)
+        sinon.stub(driver, 'isSymlink').returns(false)
+        sinon.stub(driver, 'listPaths')
+        driver.listPaths.withArgs('src').returns(['src/a', 'src/d', 'src/d/b'])
+        driver.listPaths.withArgs('dest').returns(['dest/a', 'dest/c', 'dest/d'])
+        sinon.stub(driver, 'copyDirectory').yieldsAsync()
+        sinon.stub(driver, 'mergeDirectory').yieldsAsync()
+        sinon.stub(driver, 'remove').yieldsAsync()
+        sinon.stub(transformer.script, 'addRule')
+        done()
+      })
+
+      afterEach((done) => {
+        transformer.driver.exists.restore()
+        transformer.driver.isDirectory.restore()
+        transformer.driver.isSymlink.restore()
+        transformer.driver.listPaths.restore()
+        transformer.driver.copyDirectory.restore()
+        transformer.driver.mergeDirectory.restore()
+        transformer.driver.remove.restore()
+        done()
+      })
+
+      function destExists () {
+        transformer.driver.exists.withArgs('dest').returns(true)
+        transformer.driver.isDirectory.withArgs('dest').returns(true)
+        transformer.driver.exists.withArgs('dest/a').returns(true)
+      }
+
+      it('should copy the directory', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.copyDirectory.calledWith('src', 'dest'))
+            .to.be.true()
+          expect(transformer.driver.copy.callCount).to.equal(0)
+          expect(transformer.warnings).to.be.empty()
+          expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+          done()
+        })
+      })
+
+      it('should add a name change for everything in the directory', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.nameChanges).to.deep.equal([
+            { from: 'src', to: 'dest' },
+            { from: 'src/a', to: 'dest/a' },
+            { from: 'src/d', to: 'dest/d' },
+            { from: 'src/d/b', to: 'dest/d/b' }
+          ])
+          done()
+        })
+      })
+
+      it('should treat links to directories as files', (done) => {
+        transformer.driver.isSymlink.withArgs('src').returns(true)
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.copy.calledWith('src', 'dest')).to.be.true()
+          expect(transformer.driver.copyDirectory.callCount).to.equal(0)
+          expect(transformer.nameChanges.length).to.equal(1)
+          done()
+        })
+      })
+
+      it('should merge into an existing directory by default', (done) => {
+        destExists()
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.mergeDirectory.calledWith('src', 'dest'))
+            .to.be.true()
+          expect(transformer.driver.copyDirectory.callCount).to.equal(0)
+          expect(transformer.driver.remove.callCount).to.equal(0)
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Overwrites destination file.')
+          expect(transformer.warnings[0].path).to.equal('dest/a')
+          done()
+        })
+      })
+
+      it('should add a warning and skip merging files with directories', (done) => {
+        destExists()
+        transformer.driver.exists.withArgs('dest/d').returns(true)
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Cannot merge a file with a directory.')
+          expect(transformer.warnings[0].path).to.equal('dest/d')
+          expect(transformer.driver.mergeDirectory.callCount).to.equal(0)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should replace an existing directory when asked', (done) => {
+        var replace = { action: 'copy', source: 'src', dest: 'dest', conflict: 'replace' }
+        destExists()
+        transformer.driver.isDirectory.withArgs('dest/d').returns(true)
+        transformer.copy(replace, (err) => {
+          if (err) { return done(err) }
+          var driver = transformer.driver
+          expect(driver.remove.calledWith('dest', true)).to.be.true()
+          expect(driver.copyDirectory.calledWith('src', 'dest')).to.be.true()
+          expect(driver.remove.calledBefore(driver.copyDirectory)).to.be.true()
+          expect(transformer.warnings.map((w) => [w.message, w.path]))
+            .to.deep.equal([
+              ['Overwrites destination file.', 'dest/a'],
+              ['Removes destination file.', 'dest/c']
+            ])
+          done()
+        })
+      })
+
+      it('should replace an existing file with the directory', (done) => {
+        transformer.driver.exists.withArgs('dest').returns(true)
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.remove.calledWith('dest', true)).to.be.true()
+          expect(transformer.driver.copyDirectory.calledWith('src', 'dest'))
+            .to.be.true()
+          expect(transformer.warnings[0].message)
+            .to.equal('Overwrites destination file.')
+          expect(transformer.warnings[0].path).to.equal('dest')
+          done()
+        })
+      })
+
+      it('should yield an error for existing destinations when asked', (done) => {
+        destExists()
+        var error = { action: 'copy', source: 'src', dest: 'dest', conflict: 'error' }
+        transformer.copy(error, (err) => {
+          expect(err).to.exist()
+          expect(err.message).to.equal('Destination file already exists: dest')
+          expect(transformer.driver.mergeDirectory.callCount).to.equal(0)
+          expect(transformer.driver.copyDirectory.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning for invalid conflict policies', (done) => {
+        var invalid = { action: 'copy', source: 'src', dest: 'dest', conflict: 'x' }
+        transformer.copy(invalid, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Invalid conflict policy, omitting.')
+          expect(transformer.driver.copyDirectory.calledOnce).to.be.true()
+          done()
+        })
+      })
+
+      it('should add a warning if the destination is inside the source', (done) => {
+        ['src/copy', 'src'].forEach((dest) => {
+          transformer.copy({ action: 'copy', source: 'src', dest: dest }, () => {})
+        })
+        expect(transformer.warnings.length).to.equal(2)
+        transformer.warnings.forEach((warning) => {
+          expect(warning.message)
+            .to.equal('Destination is inside the source directory.')
+        })
+        expect(transformer.driver.copyDirectory.callCount).to.equal(0)
+        done()
+      })
+
+      it('should yield removal errors', (done) => {
+        var error = new Error('rm')
+        transformer.driver.exists.withArgs('dest').returns(true)
+        transformer.driver.remove.yieldsAsync(error)
+        transformer.copy(rule, (err) => {
+          expect(err).to.equal(error)
+          expect(transformer.driver.copyDirectory.callCount).to.equal(0)
+          expect(transformer.nameChanges).to.be.empty()
+          done()
+        })
+      })
+
+      it('should yield merge errors', (done) => {
+        var error = new Error('cp')
+        destExists()
+        transformer.driver.mergeDirectory.yieldsAsync(error)
+        transformer.copy(rule, (err) => {
+          expect(err).to.equal(error)
+          done()
+        })
+      })
+    }) // end 'with a directory source'
+    describe('with missing parent directories', () => {
+      var rule = { action: 'copy', source: 'A', dest: 'new/dir/A' }
+
+      beforeEach((done) => {
+        sinon.stub(transformer.driver, 'exists').returns(false)
+        transformer.driver.exists.withArgs('A').returns(true)
+        sinon.stub(transformer.driver, 'mkdir').yieldsAsync()
+        sinon.stub(transformer.script, 'addRule')
+        done()
+      })
+
+      afterEach((done) => {
+        transformer.driver.exists.restore()
+        transformer.driver.mkdir.restore()
+        done()
+      })
+
+      it('should create the parent directories with a warning', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          var driver = transformer.driver
+          expect(driver.mkdir.calledWith('new/dir', true)).to.be.true()
+          expect(driver.copy.calledWith('A', 'new/dir/A')).to.be.true()
+          expect(driver.mkdir.calledBefore(driver.copy)).to.be.true()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Creates parent directory.')
+          expect(transformer.warnings[0].path).to.equal('new/dir')
+          done()
+        })
+      })
+
+      it('should add name changes for the parent directories', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.nameChanges).to.deep.equal([
+            { from: null, to: 'new' },
+            { from: null, to: 'new/dir' },
+            { from: 'A', to: 'new/dir/A' }
+          ])
+          done()
+        })
+      })
+
+      it('should give the parent directory to the script generator', (done) => {
+        transformer.copy(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.script.addRule.calledWith(rule, [
+            { source: 'A', dest: 'new/dir/A', parent: 'new/dir' }
+          ])).to.be.true()
+          done()
+        })
+      })
+
+      it('should only create each parent directory once', (done) => {
+        var glob = { action: 'copy', source: '*.x', dest: 'out/$1' }
+        sinon.stub(transformer.driver, 'listPaths').returns(['a.x', 'b.x'])
+        transformer.copy(glob, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.mkdir.calledOnce).to.be.true()
+          expect(transformer.driver.mkdir.calledWith('out', true)).to.be.true()
+          expect(transformer.driver.copy.callCount).to.equal(2)
+          expect(transformer.warnings.length).to.equal(1)
+          done()
+        })
+      })
+
+      it('should not create the root directory', (done) => {
+        var absolute = { action: 'copy', source: 'A', dest: '/B' }
+        transformer.copy(absolute, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.mkdir.callCount).to.equal(0)
+          expect(transformer.warnings).to.be.empty()
+          done()
+        })
+      })
+
+      it('should add a warning and skip when not creating parents', (done) => {
+        var skip = { action: 'copy', source: 'A', dest: 'new/dir/A', createParents: false }
+        transformer.copy(skip, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Parent directory does not exist.')
+          expect(transformer.warnings[0].path).to.equal('new')
+          expect(transformer.driver.copy.callCount).to.equal(0)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning if create parents is not a boolean', (done) => {
+        var invalid = { action: 'copy', source: 'A', dest: 'new/A', createParents: 'no' }
+        transformer.copy(invalid, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings[0].message)
+            .to.equal('Create parents not supplied as a boolean, omitting.')
+          expect(transformer.warnings[1].message)
+            .to.equal('Creates parent directory.')
+          expect(transformer.driver.copy.calledOnce).to.be.true()
+          done()
+        })
+      })
+
+      it('should yield mkdir errors', (done) => {
+        var error = new Error('mkdir')
+        transformer.driver.mkdir.yieldsAsync(error)
+        transformer.copy(rule, (err) => {
+          expect(err).to.equal(error)
+          expect(transformer.driver.copy.callCount).to.equal(0)
+          expect(transformer.nameChanges).to.be.empty()
+          done()
+        })
+      })
+    }) // end 'with missing parent directories'
   }) // end 'copy'
 })
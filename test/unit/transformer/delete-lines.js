@@ -0,0 +1,153 @@
+'use strict'
+
+const Lab = require('lab')
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const Code = require('code')
+const expect = Code.expect
+const sinon = require('sinon')
+
+const Transformer = require('../../../lib/transformer')
+const Replacer = require('../../../lib/replacer')
+
+describe('Transformer', () => {
+  describe('deleteLines', () => {
+    var transformer
+    var report
+
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      report = {
+        files: ['/etc/foo'],
+        matches: { '/etc/foo': 2 },
+        excluded: [],
+        usedExcludes: []
+      }
+      sinon.stub(Replacer, 'findAndDeleteLines').returns(Promise.resolve(report))
+      sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+        'diff -u -r -N /foo /foo',
+        '-deleted'
+      ].join('\n'))
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      Replacer.findAndDeleteLines.restore()
+      done()
+    })
+
+    it('should add a warning and do nothing if not given a search pattern', (done) => {
+      var rule = { action: 'deleteLines' }
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].rule).to.equal(rule)
+        expect(transformer.warnings[0].message)
+          .to.equal('Search pattern not specified.')
+        expect(Replacer.findAndDeleteLines.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should not warn when no excludes were given', (done) => {
+      var rule = { action: 'deleteLines', search: 'a' }
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should add a warning if excludes were not given as an array', (done) => {
+      var rule = { action: 'deleteLines', search: 'a', exclude: 'b' }
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Excludes not supplied as an array, omitting.')
+        done()
+      })
+    })
+
+    it('should add a warning and do nothing for invalid regular expressions', (done) => {
+      var rule = { action: 'deleteLines', search: '(', regex: true }
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Invalid regular expression.')
+        expect(Replacer.findAndDeleteLines.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should delete lines with the search options and excludes', (done) => {
+      transformer._globalExcludes = ['global']
+      var rule = {
+        action: 'deleteLines',
+        search: 'a',
+        ignoreCase: true,
+        exclude: ['local'],
+        include: ['*.js'],
+        isBinary: transformer.driver.isBinary
+      }
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(Replacer.findAndDeleteLines.calledOnce).to.be.true()
+        expect(Replacer.findAndDeleteLines.firstCall.args).to.deep.equal([
+          transformer.driver.workingPath,
+          transformer.driver.resultsPath,
+          ['global', 'local'],
+          'a',
+          {
+            regex: false,
+            flags: '',
+            ignoreCase: true,
+            wholeWord: false,
+            include: ['*.js'],
+            isBinary: transformer.driver.isBinary,
+            findMatches: transformer.driver.findMatches
+          }
+        ])
+        done()
+      })
+    })
+
+    it('should set the search results and diffs', (done) => {
+      var rule = { action: 'deleteLines', search: 'a' }
+      transformer.pushResult(rule)
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.currentResult.matches).to.deep.equal({ '/foo': 2 })
+        expect(transformer.currentResult.diffs['/foo']).to.equal('-deleted')
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        done()
+      })
+    })
+
+    it('should warn about searches without results', (done) => {
+      report.matches['/etc/foo'] = 0
+      var rule = { action: 'deleteLines', search: 'a' }
+      transformer.deleteLines(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Search did not return any results.')
+        done()
+      })
+    })
+
+    it('should handle errors when deleting lines', (done) => {
+      var error = new Error('EACCES')
+      Replacer.findAndDeleteLines.returns(Promise.reject(error))
+      transformer.deleteLines({ action: 'deleteLines', search: 'a' }, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+  }) // end 'deleteLines'
+})
@@ -0,0 +1,200 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  describe('delete', () => {
+    var transformer
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'remove').yieldsAsync()
+      sinon.stub(transformer.driver, 'exists').returns(true)
+      sinon.stub(transformer.driver, 'isDirectory').returns(false)
+      sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+        'diff -u -r -N /foo /foo',
+        'some diff info'
+      ].join('\n'))
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.remove.restore()
+      transformer.driver.exists.restore()
+      transformer.driver.isDirectory.restore()
+      done()
+    })
+
+    describe('warnings', () => {
+      it('should add a warning and skip if the rule was not given a path', (done) => {
+        var rule = { action: 'delete' }
+        transformer.delete(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          var warning = transformer.warnings[0]
+          expect(warning.rule).to.equal(rule)
+          expect(warning.message).to.equal('Missing path.')
+          expect(transformer.driver.remove.callCount).to.equal(0)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning if the paths were not given as an array', (done) => {
+        var rule = { action: 'delete', path: 'foo', paths: 'bar' }
+        transformer.delete(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Paths not supplied as an array, omitting.')
+          expect(transformer.driver.remove.callCount).to.equal(1)
+          expect(transformer.driver.remove.calledWith('foo')).to.be.true()
+          done()
+        })
+      })
+
+      it('should add a warning for each non-string path', (done) => {
+        var rule = { action: 'delete', paths: ['foo', 2, {}] }
+        transformer.delete(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(2)
+          transformer.warnings.forEach((warning) => {
+            expect(warning.message)
+              .to.equal('Non-string delete path encountered.')
+          })
+          expect(transformer.driver.remove.callCount).to.equal(1)
+          done()
+        })
+      })
+
+      it('should add a warning if recursive was not given as a boolean', (done) => {
+        var rule = { action: 'delete', path: 'foo', recursive: 'yes' }
+        transformer.delete(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Recursive not supplied as a boolean, omitting.')
+          expect(transformer.driver.remove.calledWith('foo', false))
+            .to.be.true()
+          done()
+        })
+      })
+
+      it('should add a warning and skip paths that do not exist', (done) => {
+        var rule = { action: 'delete', paths: ['foo', 'bar'] }
+        transformer.driver.exists.withArgs('bar').returns(false)
+        transformer.delete(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Path does not exist.')
+          expect(transformer.driver.remove.callCount).to.equal(1)
+          expect(transformer.driver.remove.calledWith('foo')).to.be.true()
+          done()
+        })
+      })
+
+      it('should add a warning and skip directories if not recursive', (done) => {
+        var rule = { action: 'delete', path: 'dir' }
+        transformer.driver.isDirectory.returns(true)
+        transformer.delete(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Cannot delete a directory without recursive.')
+          expect(transformer.driver.remove.callCount).to.equal(0)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+    }) // end 'warnings'
+
+    it('should use the driver remove method', (done) => {
+      var rule = { action: 'delete', path: 'foo', paths: ['bar'] }
+      transformer.delete(rule, (err) => {
+        if (err) { return done(err) }
+        var stub = transformer.driver.remove
+        expect(stub.callCount).to.equal(2)
+        expect(stub.calledWith('foo', false)).to.be.true()
+        expect(stub.calledWith('bar', false)).to.be.true()
+        done()
+      })
+    })
+
+    it('should recursively remove directories', (done) => {
+      var rule = { action: 'delete', path: 'dir', recursive: true }
+      transformer.driver.isDirectory.returns(true)
+      transformer.delete(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(0)
+        expect(transformer.driver.remove.calledWith('dir', true)).to.be.true()
+        done()
+      })
+    })
+
+    it('should add a name change for each deleted path', (done) => {
+      var rule = { action: 'delete', paths: ['foo', 'bar'] }
+      transformer.pushResult(rule)
+      transformer.delete(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: 'foo', to: null },
+          { from: 'bar', to: null }
+        ])
+        done()
+      })
+    })
+
+    it('should add the rule to the script', (done) => {
+      var rule = { action: 'delete', path: 'foo' }
+      transformer.delete(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.script.addRule.calledOnce).to.be.true()
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        done()
+      })
+    })
+
+    it('should set the diffs for the deleted files', (done) => {
+      var rule = { action: 'delete', path: 'foo' }
+      transformer.pushResult(rule)
+      transformer.delete(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.currentResult.diffs['/foo'])
+          .to.equal('some diff info')
+        done()
+      })
+    })
+
+    it('should handle driver remove errors', (done) => {
+      var error = new Error('rm: cannot remove')
+      transformer.driver.remove.yieldsAsync(error)
+      var rule = { action: 'delete', path: 'foo' }
+      transformer.delete(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should handle driver diff errors', (done) => {
+      var error = new Error('diff: error')
+      transformer.driver.resultsDiff.yieldsAsync(error)
+      var rule = { action: 'delete', path: 'foo' }
+      transformer.delete(rule, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+  }) // end 'delete'
+})
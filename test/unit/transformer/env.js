@@ -0,0 +1,252 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  var transformer
+  beforeEach((done) => {
+    transformer = new Transformer('/etc', [])
+    sinon.stub(transformer.driver, 'exists').returns(true)
+    sinon.stub(transformer.driver, 'isDirectory').returns(false)
+    sinon.stub(transformer.driver, 'readFile')
+      .yieldsAsync(null, '# Env\nA=1\nB=2\n')
+    sinon.stub(transformer.driver, 'writeFile').yieldsAsync()
+    sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+      'diff -u -r -N /.env /.env',
+      '+C=3'
+    ].join('\n'))
+    sinon.stub(transformer.script, 'addRule')
+    done()
+  })
+
+  afterEach((done) => {
+    transformer.driver.exists.restore()
+    transformer.driver.isDirectory.restore()
+    transformer.driver.readFile.restore()
+    transformer.driver.writeFile.restore()
+    done()
+  })
+
+  describe('_getEnvVariables', () => {
+    it('should return the variables to set and unset', (done) => {
+      var rule = { set: { A: 'a', B: 2 }, unset: ['C'] }
+      expect(transformer._getEnvVariables(rule)).to.deep.equal({
+        set: { A: 'a', B: 2 },
+        unset: ['C']
+      })
+      expect(transformer.warnings).to.be.empty()
+      done()
+    })
+
+    it('should add a warning if set is not an object', (done) => {
+      var rule = { set: ['A'] }
+      expect(transformer._getEnvVariables(rule).set).to.deep.equal({})
+      expect(transformer.warnings[0].rule).to.equal(rule)
+      expect(transformer.warnings[0].message)
+        .to.equal('Variables to set not supplied as an object, omitting.')
+      done()
+    })
+
+    it('should add a warning if unset is not an array', (done) => {
+      var rule = { unset: 'A' }
+      expect(transformer._getEnvVariables(rule).unset).to.deep.equal([])
+      expect(transformer.warnings[0].message)
+        .to.equal('Variables to unset not supplied as an array, omitting.')
+      done()
+    })
+
+    it('should add warnings for invalid names', (done) => {
+      var rule = { set: { 'A B': 1, C: 2 }, unset: [3, 'D'] }
+      expect(transformer._getEnvVariables(rule)).to.deep.equal({
+        set: { C: 2 },
+        unset: ['D']
+      })
+      expect(transformer.warnings.length).to.equal(2)
+      transformer.warnings.forEach((warning) => {
+        expect(warning.message).to.equal('Invalid variable name.')
+      })
+      done()
+    })
+
+    it('should add warnings for invalid values', (done) => {
+      var rule = { set: { A: null, B: 'b' } }
+      expect(transformer._getEnvVariables(rule).set).to.deep.equal({ B: 'b' })
+      expect(transformer.warnings[0].message)
+        .to.equal('Invalid variable value.')
+      done()
+    })
+  }) // end '_getEnvVariables'
+
+  describe('env', () => {
+    var rule = {
+      action: 'env',
+      path: '.env',
+      set: { A: 'a b', C: 3 },
+      unset: ['B']
+    }
+
+    it('should add a warning if the rule was not given a path', (done) => {
+      var missing = { action: 'env', set: { A: 1 } }
+      transformer.env(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].rule).to.equal(missing)
+        expect(transformer.warnings[0].message).to.equal('Missing path.')
+        done()
+      })
+    })
+
+    it('should add a warning if create is not a boolean', (done) => {
+      transformer.env({ path: '.env', set: { D: 1 }, create: 'yes' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Create not supplied as a boolean, omitting.')
+        expect(transformer.driver.writeFile.calledOnce).to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if there are no variables', (done) => {
+      transformer.env({ path: '.env', set: {}, unset: [] }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('No variables to set or unset.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the path is a directory', (done) => {
+      transformer.driver.isDirectory.returns(true)
+      transformer.env(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Path is a directory.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the file does not exist', (done) => {
+      transformer.driver.exists.returns(false)
+      transformer.env(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('File does not exist.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the parent directory does not exist', (done) => {
+      transformer.driver.exists.returns(false)
+      transformer.env({ path: 'a/.env', set: { A: 1 }, create: true }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Parent directory does not exist.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should set and unset variables', (done) => {
+      transformer.env(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.readFile.calledWith('.env')).to.be.true()
+        expect(transformer.driver.writeFile.calledWith(
+          '.env',
+          '# Env\nA=\'a b\'\nC=3\n'
+        )).to.be.true()
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        expect(transformer.nameChanges).to.be.empty()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should create the file when asked', (done) => {
+      var create = { path: '.env', set: { A: 1 }, create: true }
+      transformer.driver.exists.withArgs('.env').returns(false)
+      transformer.env(create, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        expect(transformer.driver.writeFile.calledWith('.env', 'A=1\n'))
+          .to.be.true()
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: null, to: '.env' }
+        ])
+        done()
+      })
+    })
+
+    it('should add a warning for duplicate variables', (done) => {
+      transformer.driver.readFile.yieldsAsync(null, 'A=1\nexport A=2\n')
+      transformer.env({ path: '.env', set: { A: 3 } }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message).to.equal('Duplicate variable.')
+        expect(transformer.driver.writeFile.calledWith('.env', 'A=3\nexport A=3\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if a variable to unset does not exist', (done) => {
+      transformer.env({ path: '.env', unset: ['C', 'A'] }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Variable to unset does not exist.')
+        expect(transformer.driver.writeFile.calledWith('.env', '# Env\nB=2\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should not write the file if nothing changed', (done) => {
+      transformer.env({ path: '.env', set: { A: '1' } }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should set the diffs for the current result', (done) => {
+      transformer.pushResult(rule)
+      transformer.env(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.currentResult.diffs['/.env']).to.equal('+C=3')
+        done()
+      })
+    })
+
+    it('should yield read errors', (done) => {
+      var error = new Error('read')
+      transformer.driver.readFile.yieldsAsync(error)
+      transformer.env(rule, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+
+    it('should yield write errors', (done) => {
+      var error = new Error('write')
+      transformer.driver.writeFile.yieldsAsync(error)
+      transformer.env(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'env'
+}) // end 'Transformer'
@@ -26,6 +26,7 @@ describe('Transformer', () => {
         if (err) { return done(err) }
         expect(transformer.addWarning.calledOnce).to.be.true()
         expect(transformer.addWarning.calledWith(
+          rule,
           'Exclude files not specified as an array.'
         )).to.be.true()
         done()
@@ -41,9 +42,11 @@ describe('Transformer', () => {
         if (err) { return done(err) }
         expect(transformer.addWarning.calledTwice).to.be.true()
         expect(transformer.addWarning.calledWith(
+          rule,
           'Non-string exclude filename encountered.'
         )).to.be.true()
         expect(transformer.addWarning.calledWith(
+          rule,
           'Exclude files not specified as an array.'
         )).to.be.false()
         done()
@@ -55,12 +58,21 @@ describe('Transformer', () => {
         action: 'exclude',
         files: ['A.txt', 'B.txt', 'C.txt']
       }
-      var expectedFiles = rule.files.map((file) => {
-        return transformer.driver.absoluteWorkingPath(file)
+      transformer.exclude(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer._globalExcludes).to.only.include(rule.files)
+        done()
       })
+    })
+
+    it('should add glob pattern excludes', (done) => {
+      var rule = {
+        action: 'exclude',
+        files: ['**/*.min.js', 'vendor/', '!vendor/keep.js']
+      }
       transformer.exclude(rule, (err) => {
         if (err) { return done(err) }
-        expect(transformer._globalExcludes).to.only.include(expectedFiles)
+        expect(transformer._globalExcludes).to.deep.equal(rule.files)
         done()
       })
     })
@@ -74,7 +86,7 @@ describe('Transformer', () => {
         if (err) { return done(err) }
         expect(transformer._globalExcludes.length).to.equal(3)
         expect(transformer._globalExcludes).to.only.include([
-          '/etc/A.txt', '/etc/C.txt', '/etc/B.txt'
+          'A.txt', 'C.txt', 'B.txt'
         ])
         done()
       })
@@ -22,6 +22,15 @@ describe('Transformer', () => {
       expect(_execute.calledWith(true, noop)).to.be.true()
       done()
     })
+
+    it('should return the promise from the run', (done) => {
+      var transformer = new Transformer('/etc', [])
+      var promise = Promise.resolve(transformer)
+      sinon.stub(transformer, '_execute').returns(promise)
+      expect(transformer.transform()).to.equal(promise)
+      expect(transformer._execute.calledWith(true, undefined)).to.be.true()
+      done()
+    })
   }) // end 'transform'
 
   describe('dry', () => {
@@ -32,8 +41,48 @@ describe('Transformer', () => {
       expect(_execute.calledWith(false, noop)).to.be.true()
       done()
     })
+
+    it('should return the promise from the run', (done) => {
+      var transformer = new Transformer('/etc', [])
+      var promise = Promise.resolve(transformer)
+      sinon.stub(transformer, '_execute').returns(promise)
+      expect(transformer.dry()).to.equal(promise)
+      expect(transformer._execute.calledWith(false, undefined)).to.be.true()
+      done()
+    })
   }) // end 'dry'
 
+  describe('recover', () => {
+    it('should recover with the driver', (done) => {
+      var transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'recover').yieldsAsync(null, 'reverted')
+      transformer.recover((err, outcome) => {
+        expect(err).to.not.exist()
+        expect(outcome).to.equal('reverted')
+        done()
+      })
+    })
+
+    it('should resolve with the outcome without a callback', (done) => {
+      var transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'recover').yieldsAsync(null, 'finished')
+      transformer.recover().then((outcome) => {
+        expect(outcome).to.equal('finished')
+        done()
+      })
+    })
+
+    it('should reject errors without a callback', (done) => {
+      var transformer = new Transformer('/etc', [])
+      var error = new Error('Permission denied')
+      sinon.stub(transformer.driver, 'recover').yieldsAsync(error)
+      transformer.recover().catch((err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+  }) // end 'recover'
+
   describe('_execute', () => {
     var transformer
     var driver
@@ -41,10 +90,12 @@ describe('Transformer', () => {
     beforeEach((done) => {
       transformer = new Transformer('/etc', [1, 2, 3])
       sinon.stub(transformer, 'applyRule').yieldsAsync()
+      sinon.stub(transformer, 'validate').returns([])
 
       var driverMethods = [
         'setup',
         'teardown',
+        'cleanup',
         'diff',
         'move',
         'workingDiff',
@@ -71,6 +122,45 @@ describe('Transformer', () => {
       })
     })
 
+    it('should validate the rules', (done) => {
+      transformer._execute(false, (err) => {
+        expect(err).to.not.exist()
+        expect(transformer.validate.calledOnce).to.be.true()
+        expect(transformer.validate.calledWith(false)).to.be.true()
+        expect(transformer.validate.calledBefore(driver.setup)).to.be.true()
+        done()
+      })
+    })
+
+    it('should validate the rules leniently when asked', (done) => {
+      transformer.lenient = true
+      transformer._execute(false, (err) => {
+        expect(err).to.not.exist()
+        expect(transformer.validate.calledWith(true)).to.be.true()
+        done()
+      })
+    })
+
+    it('should yield every problem found in the rules', (done) => {
+      var problems = [
+        { index: 0, path: '', message: 'must be an object' },
+        { index: 2, path: 'source', message: 'is required' }
+      ]
+      transformer.validate.returns(problems)
+      transformer._execute(false, (err) => {
+        expect(err).to.be.an.instanceof(Error)
+        expect(err.message).to.equal([
+          'Invalid rules:',
+          '  rules[0] must be an object',
+          '  rules[2].source is required'
+        ].join('\n'))
+        expect(err.problems).to.equal(problems)
+        expect(driver.setup.callCount).to.equal(0)
+        expect(transformer.applyRule.callCount).to.equal(0)
+        done()
+      })
+    })
+
     it('should setup the filesystem driver', (done) => {
       transformer._execute(false, (err) => {
         expect(err).to.not.exist()
@@ -101,6 +191,17 @@ describe('Transformer', () => {
       })
     })
 
+    it('should add mode changes to the full diff', (done) => {
+      driver.workingDiff.yieldsAsync(null, 'the full diff\n')
+      sinon.stub(transformer, '_getModeDiff').returns('the mode diff\n')
+      transformer._execute(false, (err) => {
+        expect(err).to.not.exist()
+        expect(transformer.getDiff())
+          .to.equal('the full diff\nthe mode diff\n')
+        done()
+      })
+    })
+
     it('should handle errors when performing full diff', (done) => {
       var error = new Error('Diff error')
       driver.workingDiff.yieldsAsync(error)
@@ -142,6 +243,53 @@ describe('Transformer', () => {
         done()
       })
     })
+
+    it('should clean up the working and results directories on errors', (done) => {
+      const error = new Error('mah errorz')
+      transformer.applyRule.yields(error)
+      driver.cleanup.yieldsAsync(new Error('cleanup error'))
+      transformer._execute(true, (err) => {
+        expect(err).to.equal(error)
+        expect(driver.cleanup.calledOnce).to.be.true()
+        expect(driver.teardown.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should clean up when the setup fails', (done) => {
+      const error = new Error('setup error')
+      driver.setup.yieldsAsync(error)
+      transformer._execute(false, (err) => {
+        expect(err).to.equal(error)
+        expect(driver.cleanup.calledOnce).to.be.true()
+        done()
+      })
+    })
+
+    it('should not clean up after a successful teardown', (done) => {
+      transformer._execute(false, (err) => {
+        expect(err).to.not.exist()
+        expect(driver.cleanup.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should resolve with the transformer without a callback', (done) => {
+      transformer._execute(false).then((t) => {
+        expect(t).to.equal(transformer)
+        expect(driver.teardown.calledWith(false)).to.be.true()
+        done()
+      }).catch(done)
+    })
+
+    it('should reject errors without a callback', (done) => {
+      const error = new Error('mah errorz')
+      transformer.applyRule.yields(error)
+      transformer._execute(true).catch((err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
   }) // end '_execute'
 
   describe('applyRule', () => {
@@ -177,6 +325,58 @@ describe('Transformer', () => {
       })
     })
 
+    it('should record the results directory for custom actions', (done) => {
+      var custom = new Transformer('/etc', [])
+      custom.setAction('custom', (rule, cb) => { cb() })
+      sinon.stub(custom.driver, 'addChangedPath')
+      custom.applyRule({ action: 'custom' }, (err) => {
+        if (err) { return done(err) }
+        expect(custom.driver.addChangedPath.calledOnce).to.be.true()
+        expect(custom.driver.addChangedPath.calledWith('.')).to.be.true()
+        done()
+      })
+    })
+
+    it('should not record the results directory for built-in actions', (done) => {
+      var custom = new Transformer('/etc', [])
+      custom.setAction('copy', noop)
+      custom.setAction('copy', custom.copy)
+      sinon.stub(custom._ruleActions, 'copy').yields()
+      sinon.stub(custom.driver, 'addChangedPath')
+      custom.applyRule({ action: 'copy' }, (err) => {
+        if (err) { return done(err) }
+        expect(custom.driver.addChangedPath.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should warn about fields not in the schema of the action', (done) => {
+      var rule = { action: 'copy', source: 'A', dest: 'B', note: 'x' }
+      var stub = sinon.stub(transformer._ruleActions, 'copy').yields()
+      transformer.applyRule(rule, (err) => {
+        transformer._ruleActions.copy.restore()
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(transformer.currentResult.warnings).to.have.length(1)
+        expect(transformer.currentResult.warnings[0].message)
+          .to.equal('Unknown field "note", ignoring.')
+        done()
+      })
+    })
+
+    it('should not warn about fields for custom actions', (done) => {
+      var custom = new Transformer('/etc', [])
+      custom.setAction('custom', (rule, cb) => { cb() }, {
+        type: 'object',
+        properties: { action: { type: 'string' } }
+      })
+      custom.applyRule({ action: 'custom', path: 'A' }, (err) => {
+        if (err) { return done(err) }
+        expect(custom.warnings).to.deep.equal([])
+        done()
+      })
+    })
+
     it('should call the `copy` handler given a "copy" rule action', (done) => {
       var rule = { action: 'copy' }
       var stub = sinon.stub(transformer._ruleActions, 'copy').yields()
@@ -225,6 +425,162 @@ describe('Transformer', () => {
       })
     })
 
+    it('should call the `delete` handler given a "delete" rule action', (done) => {
+      var rule = { action: 'delete' }
+      var stub = sinon.stub(transformer._ruleActions, 'delete').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.delete.restore()
+        done()
+      })
+    })
+
+    it('should call the `mkdir` handler given a "mkdir" rule action', (done) => {
+      var rule = { action: 'mkdir' }
+      var stub = sinon.stub(transformer._ruleActions, 'mkdir').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.mkdir.restore()
+        done()
+      })
+    })
+
+    it('should call the `write` handler given a "write" rule action', (done) => {
+      var rule = { action: 'write' }
+      var stub = sinon.stub(transformer._ruleActions, 'write').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.write.restore()
+        done()
+      })
+    })
+
+    it('should call the `append` handler given a "append" rule action', (done) => {
+      var rule = { action: 'append' }
+      var stub = sinon.stub(transformer._ruleActions, 'append').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.append.restore()
+        done()
+      })
+    })
+
+    it('should call the `prepend` handler given a "prepend" rule action', (done) => {
+      var rule = { action: 'prepend' }
+      var stub = sinon.stub(transformer._ruleActions, 'prepend').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.prepend.restore()
+        done()
+      })
+    })
+
+    it('should call the `insert` handler given a "insert" rule action', (done) => {
+      var rule = { action: 'insert' }
+      var stub = sinon.stub(transformer._ruleActions, 'insert').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.insert.restore()
+        done()
+      })
+    })
+
+    it('should call the `deleteLines` handler given a "deleteLines" rule action', (done) => {
+      var rule = { action: 'deleteLines' }
+      var stub = sinon.stub(transformer._ruleActions, 'deleteLines').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.deleteLines.restore()
+        done()
+      })
+    })
+
+    it('should call the `json` handler given a "json" rule action', (done) => {
+      var rule = { action: 'json' }
+      var stub = sinon.stub(transformer._ruleActions, 'json').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.json.restore()
+        done()
+      })
+    })
+
+    it('should call the `yaml` handler given a "yaml" rule action', (done) => {
+      var rule = { action: 'yaml' }
+      var stub = sinon.stub(transformer._ruleActions, 'yaml').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.yaml.restore()
+        done()
+      })
+    })
+
+    it('should call the `env` handler given a "env" rule action', (done) => {
+      var rule = { action: 'env' }
+      var stub = sinon.stub(transformer._ruleActions, 'env').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.env.restore()
+        done()
+      })
+    })
+
+    it('should call the `ini` handler given a "ini" rule action', (done) => {
+      var rule = { action: 'ini' }
+      var stub = sinon.stub(transformer._ruleActions, 'ini').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.ini.restore()
+        done()
+      })
+    })
+
+    it('should call the `chmod` handler given a "chmod" rule action', (done) => {
+      var rule = { action: 'chmod' }
+      var stub = sinon.stub(transformer._ruleActions, 'chmod').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.chmod.restore()
+        done()
+      })
+    })
+
+    it('should call the `symlink` handler given a "symlink" rule action', (done) => {
+      var rule = { action: 'symlink' }
+      var stub = sinon.stub(transformer._ruleActions, 'symlink').yields()
+      transformer.applyRule(rule, (err) => {
+        if (err) { return done(err) }
+        expect(stub.calledOnce).to.be.true()
+        expect(stub.calledWith(rule)).to.be.true()
+        transformer._ruleActions.symlink.restore()
+        done()
+      })
+    })
+
     it('should call a custom handler when given a custom rule action', (done) => {
       var rule = { action: 'custom' }
       var spy = sinon.stub(transformer._ruleActions, 'custom').yields()
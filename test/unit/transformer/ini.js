@@ -0,0 +1,281 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  describe('ini', () => {
+    var transformer
+    var rule = {
+      action: 'ini',
+      path: 'setup.cfg',
+      section: 'metadata',
+      key: 'version',
+      value: '2.0'
+    }
+
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'exists').returns(true)
+      sinon.stub(transformer.driver, 'isDirectory').returns(false)
+      sinon.stub(transformer.driver, 'readFile')
+        .yieldsAsync(null, '; Package\n[metadata]\nname = a\nversion = 1.0\n')
+      sinon.stub(transformer.driver, 'writeFile').yieldsAsync()
+      sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+        'diff -u -r -N /setup.cfg /setup.cfg',
+        '+version = 2.0'
+      ].join('\n'))
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.exists.restore()
+      transformer.driver.isDirectory.restore()
+      transformer.driver.readFile.restore()
+      transformer.driver.writeFile.restore()
+      done()
+    })
+
+    it('should add a warning if the rule was not given a path', (done) => {
+      var missing = { action: 'ini', key: 'a', value: 1 }
+      transformer.ini(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].rule).to.equal(missing)
+        expect(transformer.warnings[0].message).to.equal('Missing path.')
+        done()
+      })
+    })
+
+    it('should add a warning if the section is invalid', (done) => {
+      transformer.ini({ path: 'a', section: 'a]', key: 'a', value: 1 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Invalid section.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the rule was not given a key', (done) => {
+      transformer.ini({ path: 'a', value: 1 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Missing key.')
+        done()
+      })
+    })
+
+    it('should add a warning if the key is invalid', (done) => {
+      transformer.ini({ path: 'a', key: 'a=b', value: 1 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Invalid key.')
+        done()
+      })
+    })
+
+    it('should add a warning if unset is not a boolean', (done) => {
+      var invalid = { path: 'a', key: 'a', value: 1, unset: 'yes' }
+      transformer.ini(invalid, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Unset not supplied as a boolean, omitting.')
+        expect(transformer.driver.writeFile.calledOnce).to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if create is not a boolean', (done) => {
+      var invalid = { path: 'a', section: 'metadata', key: 'a', value: 1, create: 1 }
+      transformer.ini(invalid, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Create not supplied as a boolean, omitting.')
+        expect(transformer.driver.writeFile.calledOnce).to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if the rule was not given a value', (done) => {
+      transformer.ini({ path: 'a', key: 'a' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Missing value.')
+        done()
+      })
+    })
+
+    it('should add a warning if the value is invalid', (done) => {
+      transformer.ini({ path: 'a', key: 'a', value: 'a\nb' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Invalid value.')
+        done()
+      })
+    })
+
+    it('should add a warning if the file does not exist', (done) => {
+      transformer.driver.exists.returns(false)
+      transformer.ini(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('File does not exist.')
+        done()
+      })
+    })
+
+    it('should add a warning if the path is a directory', (done) => {
+      transformer.driver.isDirectory.returns(true)
+      transformer.ini(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Path is a directory.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should set the value of a key', (done) => {
+      transformer.ini(rule, (err) => {
+        if (err) { return done(err) }
+        var content = '; Package\n[metadata]\nname = a\nversion = 2.0\n'
+        expect(transformer.driver.readFile.calledWith('setup.cfg')).to.be.true()
+        expect(transformer.driver.writeFile.calledWith('setup.cfg', content))
+          .to.be.true()
+        expect(transformer.script.addRule.calledWith(rule, content)).to.be.true()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should set global keys if no section was given', (done) => {
+      transformer.ini({ path: 'a', key: 'b', value: true }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith(
+          'a',
+          '; Package\nb = true\n[metadata]\nname = a\nversion = 1.0\n'
+        )).to.be.true()
+        done()
+      })
+    })
+
+    it('should unset a key', (done) => {
+      var unset = { path: 'a', section: 'metadata', key: 'name', unset: true }
+      transformer.ini(unset, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith(
+          'a',
+          '; Package\n[metadata]\nversion = 1.0\n'
+        )).to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if the section does not exist', (done) => {
+      var missing = { path: 'a', section: 'options', key: 'a', value: 1 }
+      transformer.ini(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Section does not exist.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning when unsetting in a missing section', (done) => {
+      var missing = {
+        path: 'a',
+        section: 'options',
+        key: 'a',
+        unset: true,
+        create: true
+      }
+      transformer.ini(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Section does not exist.')
+        done()
+      })
+    })
+
+    it('should create the section when asked', (done) => {
+      var create = { path: 'a', section: 'options', key: 'a', value: 1, create: true }
+      transformer.ini(create, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith(
+          'a',
+          '; Package\n[metadata]\nname = a\nversion = 1.0\n\n[options]\na = 1\n'
+        )).to.be.true()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should add a warning for duplicate keys', (done) => {
+      transformer.driver.readFile.yieldsAsync(null, '[s]\na=1\n[s]\na=2\n')
+      transformer.ini({ path: 'a', section: 's', key: 'a', value: 3 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Duplicate key.')
+        expect(transformer.driver.writeFile.calledWith('a', '[s]\na=3\n[s]\na=3\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if the key to unset does not exist', (done) => {
+      var unset = { path: 'a', section: 'metadata', key: 'b', unset: true }
+      transformer.ini(unset, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Key to unset does not exist.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should not write the file if nothing changed', (done) => {
+      var same = { path: 'a', section: 'metadata', key: 'name', value: 'a' }
+      transformer.ini(same, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should set the diffs for the current result', (done) => {
+      transformer.pushResult(rule)
+      transformer.ini(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.currentResult.diffs['/setup.cfg'])
+          .to.equal('+version = 2.0')
+        done()
+      })
+    })
+
+    it('should yield read errors', (done) => {
+      var error = new Error('read')
+      transformer.driver.readFile.yieldsAsync(error)
+      transformer.ini(rule, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+
+    it('should yield write errors', (done) => {
+      var error = new Error('write')
+      transformer.driver.writeFile.yieldsAsync(error)
+      transformer.ini(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'ini'
+}) // end 'Transformer'
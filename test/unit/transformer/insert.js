@@ -0,0 +1,348 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  var transformer
+  beforeEach((done) => {
+    transformer = new Transformer('/etc', [])
+    sinon.stub(transformer.driver, 'exists').returns(true)
+    sinon.stub(transformer.driver, 'isDirectory').returns(false)
+    sinon.stub(transformer.driver, 'readFile').yieldsAsync(null, 'a\nb\nc\n')
+    sinon.stub(transformer.driver, 'writeFile').yieldsAsync()
+    sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+      'diff -u -r -N /foo /foo',
+      '+new'
+    ].join('\n'))
+    sinon.stub(transformer.script, 'addRule')
+    done()
+  })
+
+  afterEach((done) => {
+    transformer.driver.exists.restore()
+    transformer.driver.isDirectory.restore()
+    transformer.driver.readFile.restore()
+    transformer.driver.writeFile.restore()
+    done()
+  })
+
+  describe('_isValidInsert', () => {
+    it('should add a warning if the rule was not given a path', (done) => {
+      var rule = { content: 'new' }
+      expect(transformer._isValidInsert(rule)).to.be.false()
+      expect(transformer.warnings.length).to.equal(1)
+      expect(transformer.warnings[0].rule).to.equal(rule)
+      expect(transformer.warnings[0].message).to.equal('Missing path.')
+      done()
+    })
+
+    it('should add a warning if the rule was not given content', (done) => {
+      expect(transformer._isValidInsert({ path: 'foo' })).to.be.false()
+      expect(transformer._isValidInsert({ path: 'foo', content: '' }))
+        .to.be.false()
+      expect(transformer.warnings.length).to.equal(2)
+      transformer.warnings.forEach((warning) => {
+        expect(warning.message).to.equal('Missing content.')
+      })
+      done()
+    })
+
+    it('should add a warning if the file does not exist', (done) => {
+      transformer.driver.exists.returns(false)
+      expect(transformer._isValidInsert({ path: 'foo', content: 'new' }))
+        .to.be.false()
+      expect(transformer.warnings[0].message).to.equal('File does not exist.')
+      done()
+    })
+
+    it('should add a warning if the path is a directory', (done) => {
+      transformer.driver.isDirectory.returns(true)
+      expect(transformer._isValidInsert({ path: 'foo', content: 'new' }))
+        .to.be.false()
+      expect(transformer.warnings[0].message).to.equal('Path is a directory.')
+      done()
+    })
+
+    it('should pass valid rules', (done) => {
+      expect(transformer._isValidInsert({ path: 'foo', content: 'new' }))
+        .to.be.true()
+      expect(transformer.warnings).to.be.empty()
+      done()
+    })
+  }) // end '_isValidInsert'
+
+  describe('_insertLines', () => {
+    var rule = { action: 'insert', path: 'foo', content: 'new\n' }
+
+    it('should insert lines at the start', (done) => {
+      transformer._insertLines(rule, { at: 'start' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.readFile.calledWith('foo')).to.be.true()
+        expect(transformer.driver.writeFile.calledWith('foo', 'new\na\nb\nc\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should insert lines at the end', (done) => {
+      transformer._insertLines(rule, { at: 'end' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith('foo', 'a\nb\nc\nnew\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should insert lines at a line number', (done) => {
+      transformer._insertLines(rule, { at: 'line', line: 2 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith('foo', 'a\nnew\nb\nc\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should insert lines after the last line', (done) => {
+      transformer._insertLines(rule, { at: 'line', line: 4 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith('foo', 'a\nb\nc\nnew\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should warn and skip if the line number is out of range', (done) => {
+      transformer._insertLines(rule, { at: 'line', line: 5 }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Line number out of range.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should insert lines before an anchor', (done) => {
+      transformer._insertLines(rule, { at: 'before', anchor: 'b' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith('foo', 'a\nnew\nb\nc\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should insert lines after an anchor', (done) => {
+      transformer._insertLines(rule, { at: 'after', anchor: /^c$/ }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith('foo', 'a\nb\nc\nnew\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should warn and skip if the anchor was not found', (done) => {
+      transformer._insertLines(rule, { at: 'after', anchor: 'd' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message).to.equal('Anchor not found.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should warn and skip if the content is already present', (done) => {
+      var present = { action: 'append', path: 'foo', content: 'b\nc' }
+      transformer._insertLines(present, { at: 'end' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Content already present, skipping.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add the rule to the script and set the diffs', (done) => {
+      transformer.pushResult(rule)
+      transformer._insertLines(rule, { at: 'end' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        expect(transformer.currentResult.diffs['/foo']).to.equal('+new')
+        done()
+      })
+    })
+
+    it('should handle driver readFile errors', (done) => {
+      var error = new Error('EACCES')
+      transformer.driver.readFile.yieldsAsync(error)
+      transformer._insertLines(rule, { at: 'end' }, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+
+    it('should handle driver writeFile errors', (done) => {
+      var error = new Error('EACCES')
+      transformer.driver.writeFile.yieldsAsync(error)
+      transformer._insertLines(rule, { at: 'end' }, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end '_insertLines'
+
+  describe('append', () => {
+    it('should insert the lines at the end of the file', (done) => {
+      var rule = { action: 'append', path: 'foo', content: 'new' }
+      sinon.spy(transformer, '_insertLines')
+      transformer.append(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer._insertLines.calledWith(rule, { at: 'end' }))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should skip invalid rules', (done) => {
+      transformer.append({ action: 'append' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'append'
+
+  describe('prepend', () => {
+    it('should insert the lines at the start of the file', (done) => {
+      var rule = { action: 'prepend', path: 'foo', content: 'new' }
+      sinon.spy(transformer, '_insertLines')
+      transformer.prepend(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer._insertLines.calledWith(rule, { at: 'start' }))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should skip invalid rules', (done) => {
+      transformer.prepend({ action: 'prepend' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'prepend'
+
+  describe('insert', () => {
+    beforeEach((done) => {
+      sinon.spy(transformer, '_insertLines')
+      done()
+    })
+
+    function expectWarning (rule, message, done) {
+      transformer.insert(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message).to.equal(message)
+        expect(transformer._insertLines.callCount).to.equal(0)
+        done()
+      })
+    }
+
+    it('should skip invalid rules', (done) => {
+      expectWarning({ action: 'insert', line: 1 }, 'Missing path.', done)
+    })
+
+    it('should add a warning if no position was given', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new' }
+      expectWarning(rule, 'Missing insert position.', done)
+    })
+
+    it('should add a warning if multiple positions were given', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new', line: 1, after: 'a' }
+      expectWarning(rule, 'Multiple insert positions given.', done)
+    })
+
+    it('should add a warning if the line number is invalid', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new', line: 0 }
+      expectWarning(rule, 'Invalid line number.', done)
+    })
+
+    it('should add a warning if the line number is not an integer', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new', line: '1' }
+      expectWarning(rule, 'Invalid line number.', done)
+    })
+
+    it('should add a warning if the anchor is not a string', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new', before: 1 }
+      expectWarning(rule, 'Anchor not specified as a string.', done)
+    })
+
+    it('should add a warning if the anchor is an invalid regex', (done) => {
+      var rule = {
+        action: 'insert',
+        path: 'foo',
+        content: 'new',
+        before: '(',
+        regex: true
+      }
+      expectWarning(rule, 'Invalid regular expression.', done)
+    })
+
+    it('should insert lines at a line number', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new', line: 2 }
+      transformer.insert(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer._insertLines.calledWith(rule, { at: 'line', line: 2 }))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should insert lines before a literal anchor', (done) => {
+      var rule = { action: 'insert', path: 'foo', content: 'new', before: 'b' }
+      transformer.insert(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer._insertLines.calledWith(rule, {
+          at: 'before',
+          anchor: 'b'
+        })).to.be.true()
+        done()
+      })
+    })
+
+    it('should insert lines after a regex anchor', (done) => {
+      var rule = {
+        action: 'insert',
+        path: 'foo',
+        content: 'new',
+        after: '^b',
+        regex: true
+      }
+      transformer.insert(rule, (err) => {
+        if (err) { return done(err) }
+        var position = transformer._insertLines.firstCall.args[1]
+        expect(position.at).to.equal('after')
+        expect(position.anchor).to.be.an.instanceof(RegExp)
+        expect(position.anchor.source).to.equal('^b')
+        expect(transformer.driver.writeFile.calledWith('foo', 'a\nb\nnew\nc\n'))
+          .to.be.true()
+        done()
+      })
+    })
+  }) // end 'insert'
+})
@@ -6,6 +6,7 @@ var describe = lab.describe
 var it = lab.it
 var Code = require('code')
 var expect = Code.expect
+var sinon = require('sinon')
 var Transformer = require('../../../lib/transformer')
 
 describe('Transformer', () => {
@@ -37,6 +38,40 @@ describe('Transformer', () => {
         done()
       })
     })
+
+    it('should reject instantiation errors without a callback', (done) => {
+      Transformer.transform('/tmp', '{sou[p]').catch((err) => {
+        expect(err).to.be.an.instanceof(SyntaxError)
+        return Transformer.transform('/tmp', 23)
+      }).catch((err) => {
+        expect(err.message).to.equal('Rules must be an array.')
+        done()
+      })
+    })
+
+    it('should return the promise for the transform', (done) => {
+      var promise = Promise.resolve()
+      sinon.stub(Transformer.prototype, 'transform').returns(promise)
+      var result = Transformer.transform('/tmp', [])
+      var transform = Transformer.prototype.transform
+      Transformer.prototype.transform.restore()
+      expect(result).to.equal(promise)
+      expect(transform.calledOnce).to.be.true()
+      expect(transform.firstCall.args[0]).to.be.undefined()
+      done()
+    })
+
+    it('should pass options to the transformer', (done) => {
+      sinon.stub(Transformer.prototype, 'transform').returns(Promise.resolve())
+      var cb = () => {}
+      Transformer.transform('/tmp', [], { driver: 'node' }, cb)
+      var transform = Transformer.prototype.transform
+      Transformer.prototype.transform.restore()
+      expect(transform.firstCall.thisValue.driver.constructor.name)
+        .to.equal('NodeFsDriver')
+      expect(transform.firstCall.args[0]).to.equal(cb)
+      done()
+    })
   }) // end 'transform'
 
   describe('dry', () => {
@@ -53,5 +88,89 @@ describe('Transformer', () => {
         done()
       })
     })
+
+    it('should reject instantiation errors without a callback', (done) => {
+      Transformer.dry('/tmp', '{sou[p]').catch((err) => {
+        expect(err).to.be.an.instanceof(SyntaxError)
+        return Transformer.dry('/tmp', 23)
+      }).catch((err) => {
+        expect(err.message).to.equal('Rules must be an array.')
+        done()
+      })
+    })
+
+    it('should return the promise for the dry', (done) => {
+      var promise = Promise.resolve()
+      sinon.stub(Transformer.prototype, 'dry').returns(promise)
+      var result = Transformer.dry('/tmp', [])
+      var dry = Transformer.prototype.dry
+      Transformer.prototype.dry.restore()
+      expect(result).to.equal(promise)
+      expect(dry.calledOnce).to.be.true()
+      expect(dry.firstCall.args[0]).to.be.undefined()
+      done()
+    })
+
+    it('should pass options to the transformer', (done) => {
+      sinon.stub(Transformer.prototype, 'dry').returns(Promise.resolve())
+      var cb = () => {}
+      Transformer.dry('/tmp', [], { driver: 'node' }, cb)
+      var dry = Transformer.prototype.dry
+      Transformer.prototype.dry.restore()
+      expect(dry.firstCall.thisValue.driver.constructor.name)
+        .to.equal('NodeFsDriver')
+      expect(dry.firstCall.args[0]).to.equal(cb)
+      done()
+    })
+  })
+
+  describe('recover', () => {
+    it('should catch errors during instantiation', (done) => {
+      Transformer.recover('/tmp', { driver: 'ftp' }, (err) => {
+        expect(err.message).to.equal('Unknown driver: ftp')
+        done()
+      })
+    })
+
+    it('should reject instantiation errors without a callback', (done) => {
+      Transformer.recover('/tmp', { driver: 'ftp' }).catch((err) => {
+        expect(err.message).to.equal('Unknown driver: ftp')
+        done()
+      })
+    })
+
+    it('should return the promise for the recovery', (done) => {
+      var promise = Promise.resolve(null)
+      sinon.stub(Transformer.prototype, 'recover').returns(promise)
+      var result = Transformer.recover('/tmp')
+      var recover = Transformer.prototype.recover
+      Transformer.prototype.recover.restore()
+      expect(result).to.equal(promise)
+      expect(recover.firstCall.thisValue.driver.root).to.equal('/tmp')
+      expect(recover.firstCall.args[0]).to.be.undefined()
+      done()
+    })
+
+    it('should pass options to the transformer', (done) => {
+      sinon.stub(Transformer.prototype, 'recover')
+      var cb = () => {}
+      Transformer.recover('/tmp', { driver: 'node' }, cb)
+      var recover = Transformer.prototype.recover
+      Transformer.prototype.recover.restore()
+      expect(recover.firstCall.thisValue.driver.constructor.name)
+        .to.equal('NodeFsDriver')
+      expect(recover.firstCall.args[0]).to.equal(cb)
+      done()
+    })
+
+    it('should pass the callback without options', (done) => {
+      sinon.stub(Transformer.prototype, 'recover')
+      var cb = () => {}
+      Transformer.recover('/tmp', cb)
+      var recover = Transformer.prototype.recover
+      Transformer.prototype.recover.restore()
+      expect(recover.firstCall.args[0]).to.equal(cb)
+      done()
+    })
   })
 })
@@ -0,0 +1,298 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+var JsonFile = require('../../../lib/json-file')
+
+describe('Transformer', () => {
+  var transformer
+  beforeEach((done) => {
+    transformer = new Transformer('/etc', [])
+    sinon.stub(transformer.driver, 'exists').returns(true)
+    sinon.stub(transformer.driver, 'isDirectory').returns(false)
+    sinon.stub(transformer.driver, 'readFile')
+      .yieldsAsync(null, '{\n  "a": 1,\n  "b": [1]\n}\n')
+    sinon.stub(transformer.driver, 'writeFile').yieldsAsync()
+    sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+      'diff -u -r -N /foo.json /foo.json',
+      '+  "c": 2'
+    ].join('\n'))
+    sinon.stub(transformer.script, 'addRule')
+    done()
+  })
+
+  afterEach((done) => {
+    transformer.driver.exists.restore()
+    transformer.driver.isDirectory.restore()
+    transformer.driver.readFile.restore()
+    transformer.driver.writeFile.restore()
+    done()
+  })
+
+  describe('_applyJsonOperation', () => {
+    var rule = { action: 'json' }
+    var file
+    beforeEach((done) => {
+      file = new JsonFile('{ "a": { "b": 1 }, "c": [], "d": "x" }')
+      done()
+    })
+
+    it('should apply valid operations', (done) => {
+      var operations = [
+        { op: 'set', path: 'a.b', value: 2 },
+        { op: 'unset', path: 'd' },
+        { op: 'merge', path: '/a', value: { e: 3 } },
+        { op: 'push', path: 'c', value: 4 }
+      ]
+      operations.forEach((operation) => {
+        expect(transformer._applyJsonOperation(rule, file, operation))
+          .to.be.true()
+      })
+      expect(file.data).to.deep.equal({ a: { b: 2, e: 3 }, c: [4] })
+      expect(transformer.warnings).to.be.empty()
+      done()
+    })
+
+    it('should add a warning for invalid operations', (done) => {
+      expect(transformer._applyJsonOperation(rule, file, null)).to.be.false()
+      expect(transformer._applyJsonOperation(rule, file, { op: 'add' }))
+        .to.be.false()
+      expect(transformer.warnings.length).to.equal(2)
+      transformer.warnings.forEach((warning) => {
+        expect(warning.rule).to.equal(rule)
+        expect(warning.message).to.equal('Invalid operation.')
+      })
+      done()
+    })
+
+    it('should add a warning for invalid paths', (done) => {
+      var operation = { op: 'set', path: ['a'], value: 1 }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message)
+        .to.equal('Invalid operation path.')
+      done()
+    })
+
+    it('should add a warning if the path to unset does not exist', (done) => {
+      var operation = { op: 'unset', path: 'a.x' }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message)
+        .to.equal('Path to unset does not exist.')
+      done()
+    })
+
+    it('should add a warning for missing values', (done) => {
+      ['set', 'merge', 'push'].forEach((op) => {
+        var operation = { op: op, path: 'a' }
+        expect(transformer._applyJsonOperation(rule, file, operation))
+          .to.be.false()
+      })
+      expect(transformer.warnings.length).to.equal(3)
+      transformer.warnings.forEach((warning) => {
+        expect(warning.message).to.equal('Missing operation value.')
+      })
+      done()
+    })
+
+    it('should add a warning for merge values that are not objects', (done) => {
+      var operation = { op: 'merge', path: 'a', value: [1] }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message)
+        .to.equal('Merge value must be an object.')
+      done()
+    })
+
+    it('should add a warning for merges into other values', (done) => {
+      var operation = { op: 'merge', path: 'd', value: { e: 1 } }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message).to.equal('Path is not an object.')
+      done()
+    })
+
+    it('should add a warning for pushes onto other values', (done) => {
+      var operation = { op: 'push', path: 'a', value: 1 }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message).to.equal('Path is not an array.')
+      done()
+    })
+
+    it('should add a warning for sets within other values', (done) => {
+      var operation = { op: 'set', path: 'd.e', value: 1 }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message)
+        .to.equal('Path is not within an object or array.')
+      done()
+    })
+
+    it('should add a warning for operations that would corrupt the file', (done) => {
+      sinon.stub(file, 'set').throws(new Error('corrupt'))
+      var operation = { op: 'set', path: 'a.b', value: 2 }
+      expect(transformer._applyJsonOperation(rule, file, operation))
+        .to.be.false()
+      expect(transformer.warnings[0].message)
+        .to.equal('Operation would corrupt the file, skipping.')
+      done()
+    })
+  }) // end '_applyJsonOperation'
+
+  describe('json', () => {
+    var rule = {
+      action: 'json',
+      path: 'foo.json',
+      operations: [
+        { op: 'set', path: 'c', value: 2 },
+        { op: 'push', path: '/b', value: 2 }
+      ]
+    }
+    var content = '{\n  "a": 1,\n  "b": [\n    1,\n    2\n  ],\n  "c": 2\n}\n'
+
+    it('should add a warning if the rule was not given a path', (done) => {
+      var missing = { action: 'json', operations: [] }
+      transformer.json(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].rule).to.equal(missing)
+        expect(transformer.warnings[0].message).to.equal('Missing path.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if operations are not an array', (done) => {
+      transformer.json({ path: 'foo.json', operations: {} }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Operations not supplied as an array.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the file does not exist', (done) => {
+      transformer.driver.exists.returns(false)
+      transformer.json(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('File does not exist.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the path is a directory', (done) => {
+      transformer.driver.isDirectory.returns(true)
+      transformer.json(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Path is a directory.')
+        expect(transformer.driver.readFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the file is not valid JSON', (done) => {
+      transformer.driver.readFile.yieldsAsync(null, '{ "a": ')
+      transformer.json(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('File is not valid JSON.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should write the edited file', (done) => {
+      transformer.json(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.readFile.calledWith('foo.json')).to.be.true()
+        expect(transformer.driver.writeFile.calledWith('foo.json', content))
+          .to.be.true()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should add the rule and resulting content to the script', (done) => {
+      transformer.json(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.script.addRule.calledWith(rule, content))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should set the diffs for the current result', (done) => {
+      transformer.pushResult(rule)
+      transformer.json(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.resultsDiff.calledOnce).to.be.true()
+        expect(transformer.currentResult.diffs['/foo.json']).to.equal('+  "c": 2')
+        done()
+      })
+    })
+
+    it('should skip operations that cannot be applied', (done) => {
+      var partial = {
+        path: 'foo.json',
+        operations: [
+          { op: 'unset', path: 'x' },
+          { op: 'unset', path: 'a' }
+        ]
+      }
+      transformer.json(partial, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Path to unset does not exist.')
+        expect(transformer.driver.writeFile.calledWith(
+          'foo.json',
+          '{\n  "b": [\n    1\n  ]\n}\n'
+        )).to.be.true()
+        done()
+      })
+    })
+
+    it('should not write the file if no operations were applied', (done) => {
+      var none = { path: 'foo.json', operations: [{ op: 'unset', path: 'x' }] }
+      transformer.json(none, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should yield read errors', (done) => {
+      var error = new Error('read')
+      transformer.driver.readFile.yieldsAsync(error)
+      transformer.json(rule, (err) => {
+        expect(err).to.equal(error)
+        done()
+      })
+    })
+
+    it('should yield write errors', (done) => {
+      var error = new Error('write')
+      transformer.driver.writeFile.yieldsAsync(error)
+      transformer.json(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'json'
+}) // end 'Transformer'
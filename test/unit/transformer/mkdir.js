@@ -0,0 +1,130 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  describe('mkdir', () => {
+    var transformer
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'mkdir').yieldsAsync()
+      sinon.stub(transformer.driver, 'exists')
+        .withArgs('foo/bar').returns(false)
+        .withArgs('foo').returns(true)
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.mkdir.restore()
+      transformer.driver.exists.restore()
+      done()
+    })
+
+    it('should add a warning and skip if the rule was not given a path', (done) => {
+      var rule = { action: 'mkdir' }
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        var warning = transformer.warnings[0]
+        expect(warning.rule).to.equal(rule)
+        expect(warning.message).to.equal('Missing path.')
+        expect(transformer.driver.mkdir.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if parents was not given as a boolean', (done) => {
+      var rule = { action: 'mkdir', path: 'foo/bar', parents: 1 }
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Parents not supplied as a boolean, omitting.')
+        expect(transformer.driver.mkdir.calledWith('foo/bar', false))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning and skip if the path exists', (done) => {
+      var rule = { action: 'mkdir', path: 'foo' }
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message).to.equal('Path already exists.')
+        expect(transformer.driver.mkdir.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning and skip if the parent does not exist', (done) => {
+      var rule = { action: 'mkdir', path: 'foo/bar' }
+      transformer.driver.exists.withArgs('foo').returns(false)
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Parent directory does not exist.')
+        expect(transformer.driver.mkdir.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should create parent directories when asked', (done) => {
+      var rule = { action: 'mkdir', path: 'foo/bar', parents: true }
+      transformer.driver.exists.withArgs('foo').returns(false)
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings).to.be.empty()
+        expect(transformer.driver.mkdir.calledWith('foo/bar', true))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should use the driver mkdir method', (done) => {
+      var rule = { action: 'mkdir', path: 'foo/bar' }
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.mkdir.calledOnce).to.be.true()
+        expect(transformer.driver.mkdir.calledWith('foo/bar', false))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a name change and the rule to the script', (done) => {
+      var rule = { action: 'mkdir', path: 'foo/bar' }
+      transformer.mkdir(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: null, to: 'foo/bar' }
+        ])
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        done()
+      })
+    })
+
+    it('should handle driver mkdir errors', (done) => {
+      var error = new Error('mkdir: cannot create directory')
+      transformer.driver.mkdir.yieldsAsync(error)
+      var rule = { action: 'mkdir', path: 'foo/bar' }
+      transformer.mkdir(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'mkdir'
+})
@@ -117,5 +117,138 @@ describe('Transformer', () => {
         done()
       })
     })
+
+    describe('with a glob source', () => {
+      var rule = { action: 'rename', source: '*.example', dest: 'config/$1' }
+
+      beforeEach((done) => {
+        sinon.stub(transformer.driver, 'exists').returns(false)
+        transformer.driver.exists.withArgs('config').returns(true)
+        sinon.stub(transformer.driver, 'listPaths').returns([
+          'a.example',
+          'b.example',
+          'config'
+        ])
+        sinon.stub(transformer.script, 'addRule')
+        done()
+      })
+
+      afterEach((done) => {
+        transformer.driver.exists.restore()
+        transformer.driver.listPaths.restore()
+        done()
+      })
+
+      it('should rename each matching file', (done) => {
+        transformer.rename(rule, (err) => {
+          if (err) { return done(err) }
+          var stub = transformer.driver.move
+          expect(stub.callCount).to.equal(2)
+          expect(stub.calledWith('a.example', 'config/a')).to.be.true()
+          expect(stub.calledWith('b.example', 'config/b')).to.be.true()
+          expect(transformer.nameChanges).to.deep.equal([
+            { from: 'a.example', to: 'config/a' },
+            { from: 'b.example', to: 'config/b' }
+          ])
+          expect(transformer.script.addRule.calledWith(rule, [
+            { source: 'a.example', dest: 'config/a' },
+            { source: 'b.example', dest: 'config/b' }
+          ])).to.be.true()
+          done()
+        })
+      })
+
+      it('should stop at the first driver move error', (done) => {
+        var error = new Error('mv')
+        transformer.driver.move.yieldsAsync(error)
+        transformer.rename(rule, (err) => {
+          expect(err).to.equal(error)
+          expect(transformer.driver.move.callCount).to.equal(1)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+    }) // end 'with a glob source'
+    describe('with a directory source', () => {
+      var rule = { action: 'rename', source: 'src', dest: 'dest' }
+
+      beforeEach((done) => {
+        var driver = transformer.driver
+        sinon.stub(driver, 'exists').returns(false)
+        driver.exists.withArgs('src').returns(true)
+        sinon.stub(driver, 'isDirectory').returns(false)
+        driver.isDirectory.withArgs('src').returns(true)
+        sinon.stub(driver, 'isSymlink').returns(false)
+        sinon.stub(driver, 'listPaths').returns([])
+        driver.listPaths.withArgs('src').returns(['src/a'])
+        sinon.stub(driver, 'mergeDirectory').yieldsAsync()
+        sinon.stub(driver, 'remove').yieldsAsync()
+        sinon.stub(transformer.script, 'addRule')
+        done()
+      })
+
+      afterEach((done) => {
+        transformer.driver.exists.restore()
+        transformer.driver.isDirectory.restore()
+        transformer.driver.isSymlink.restore()
+        transformer.driver.listPaths.restore()
+        transformer.driver.mergeDirectory.restore()
+        transformer.driver.remove.restore()
+        done()
+      })
+
+      function destIsDirectory () {
+        transformer.driver.exists.withArgs('dest').returns(true)
+        transformer.driver.isDirectory.withArgs('dest').returns(true)
+      }
+
+      it('should move the directory', (done) => {
+        transformer.rename(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.driver.move.calledWith('src', 'dest')).to.be.true()
+          expect(transformer.nameChanges).to.deep.equal([
+            { from: 'src', to: 'dest' },
+            { from: 'src/a', to: 'dest/a' }
+          ])
+          done()
+        })
+      })
+
+      it('should merge into an existing directory and remove the source', (done) => {
+        destIsDirectory()
+        transformer.rename(rule, (err) => {
+          if (err) { return done(err) }
+          var driver = transformer.driver
+          expect(driver.mergeDirectory.calledWith('src', 'dest')).to.be.true()
+          expect(driver.remove.calledWith('src', true)).to.be.true()
+          expect(driver.move.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should not remove the source if the merge failed', (done) => {
+        var error = new Error('cp')
+        destIsDirectory()
+        transformer.driver.mergeDirectory.yieldsAsync(error)
+        transformer.rename(rule, (err) => {
+          expect(err).to.equal(error)
+          expect(transformer.driver.remove.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should replace an existing directory when asked', (done) => {
+        destIsDirectory()
+        var replace = { action: 'rename', source: 'src', dest: 'dest', conflict: 'replace' }
+        transformer.rename(replace, (err) => {
+          if (err) { return done(err) }
+          var driver = transformer.driver
+          expect(driver.remove.calledWith('dest', true)).to.be.true()
+          expect(driver.move.calledWith('src', 'dest')).to.be.true()
+          expect(driver.mergeDirectory.callCount).to.equal(0)
+          done()
+        })
+      })
+    }) // end 'with a directory source'
   }) // end 'rename'
 })
@@ -19,7 +19,12 @@ describe('Transformer', () => {
 
     beforeEach((done) => {
       transformer = new Transformer('/etc', [])
-      sinon.stub(Replacer, 'findAndReplace').returns(Promise.resolve())
+      sinon.stub(Replacer, 'findAndReplace').returns(Promise.resolve({
+        files: ['/etc/foo'],
+        matches: { '/etc/foo': 1 },
+        excluded: [],
+        usedExcludes: ['A']
+      }))
       sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
         'diff -u -r /foo /foo',
         'some diff info',
@@ -72,8 +77,177 @@ describe('Transformer', () => {
           done()
         })
       })
+
+      it('should add a warning if regex flags are not a string', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: [], regex: true, flags: 7 }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          var warning = transformer.warnings[0]
+          expect(warning.rule).to.equal(rule)
+          expect(warning.message)
+            .to.equal('Regex flags not supplied as a string, omitting.')
+          done()
+        })
+      })
+
+      it('should add a warning and do nothing if given an invalid regex', (done) => {
+        var rule = { search: '(a', replace: 'b', exclude: [], regex: true }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          var warning = transformer.warnings[0]
+          expect(warning.rule).to.equal(rule)
+          expect(warning.message).to.equal('Invalid regular expression.')
+          expect(Replacer.findAndReplace.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning and do nothing if given invalid regex flags', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: [], regex: true, flags: 'q' }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Invalid regular expression.')
+          expect(Replacer.findAndReplace.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning if ignore case is not a boolean', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: [], ignoreCase: 'yes' }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Ignore case not supplied as a boolean, omitting.')
+          expect(Replacer.findAndReplace.firstCall.args[5].ignoreCase)
+            .to.be.false()
+          done()
+        })
+      })
+
+      it('should add a warning if whole word is not a boolean', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: [], wholeWord: 1 }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Whole word not supplied as a boolean, omitting.')
+          expect(Replacer.findAndReplace.firstCall.args[5].wholeWord)
+            .to.be.false()
+          done()
+        })
+      })
+
+      it('should add a warning if includes is not an array', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: [], include: '*.js' }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Includes not supplied as an array, omitting.')
+          expect(Replacer.findAndReplace.firstCall.args[5].include)
+            .to.deep.equal([])
+          done()
+        })
+      })
+
+      it('should add a warning for non-string include patterns', (done) => {
+        var rule = {
+          search: 'a',
+          replace: 'b',
+          exclude: [],
+          include: ['*.js', 22, '*.json']
+        }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Non-string include pattern encountered.')
+          expect(Replacer.findAndReplace.firstCall.args[5].include)
+            .to.deep.equal(['*.js', '*.json'])
+          done()
+        })
+      })
+
+      it('should add a warning for non-string exclude patterns', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: ['A', {}] }
+        transformer.replace(rule, (err) => {
+          expect(err).to.not.exist()
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Non-string exclude pattern encountered.')
+          expect(Replacer.findAndReplace.firstCall.args[2])
+            .to.deep.equal(['A'])
+          done()
+        })
+      })
     }) // end 'warnings'
 
+    describe('search result warnings', () => {
+      function report (matches, excluded, usedExcludes) {
+        return Promise.resolve({
+          files: Object.keys(matches),
+          matches: matches,
+          excluded: excluded,
+          usedExcludes: usedExcludes
+        })
+      }
+
+      it('should warn when the search did not return any results', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: ['x'] }
+        Replacer.findAndReplace.returns(report({ '/etc/a': 0 }, [], ['x']))
+        transformer.replace(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].rule).to.equal(rule)
+          expect(transformer.warnings[0].message)
+            .to.equal('Search did not return any results.')
+          done()
+        })
+      })
+
+      it('should warn when all results were excluded', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: ['x'] }
+        Replacer.findAndReplace.returns(report({ '/etc/a': 0 }, ['/etc/x'], ['x']))
+        transformer.replace(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].rule).to.equal(rule)
+          expect(transformer.warnings[0].message)
+            .to.equal('All results were excluded.')
+          done()
+        })
+      })
+
+      it('should warn for each unused exclude', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: ['x', 'y', 'z'] }
+        Replacer.findAndReplace.returns(report({ '/etc/a': 2 }, [], ['y']))
+        transformer.replace(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(2)
+          transformer.warnings.forEach((warning) => {
+            expect(warning.rule).to.equal(rule)
+            expect(warning.message).to.equal('Unused exclude.')
+          })
+          done()
+        })
+      })
+
+      it('should not warn when results were found and excludes used', (done) => {
+        var rule = { search: 'a', replace: 'b', exclude: ['x'] }
+        Replacer.findAndReplace.returns(report({ '/etc/a': 1 }, [], ['x']))
+        transformer.replace(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings).to.be.empty()
+          done()
+        })
+      })
+    }) // end 'search result warnings'
+
     describe('Replacer', () => {
       const workingPath = '/tmp/working/path'
       const resultsPath = '/tmp/results/path'
@@ -90,6 +264,7 @@ describe('Transformer', () => {
         transformer._globalExcludes = globalExcludes
         sinon.stub(transformer.script, 'addRule')
         sinon.stub(transformer, 'setFileDiff')
+        sinon.stub(transformer, 'setSearchResults')
         transformer.replace(rule, done)
       })
 
@@ -100,11 +275,81 @@ describe('Transformer', () => {
           transformer.driver.resultsPath,
           globalExcludes.concat(rule.exclude),
           rule.search,
-          rule.replace
+          rule.replace,
+          {
+            regex: false,
+            flags: '',
+            ignoreCase: false,
+            wholeWord: false,
+            include: [],
+            isBinary: transformer.driver.isBinary,
+            findMatches: transformer.driver.findMatches
+          }
         ])
         done()
       })
 
+      it('should pass regex options to the findAndReplace method', (done) => {
+        var regexRule = {
+          search: 'v(\\d+)',
+          replace: 'version $1',
+          exclude: [],
+          regex: true,
+          flags: 'i'
+        }
+        transformer.replace(regexRule, (err) => {
+          if (err) { return done(err) }
+          expect(Replacer.findAndReplace.secondCall.args[5]).to.deep.equal({
+            regex: true,
+            flags: 'i',
+            ignoreCase: false,
+            wholeWord: false,
+            include: [],
+            isBinary: transformer.driver.isBinary,
+            findMatches: transformer.driver.findMatches
+          })
+          done()
+        })
+      })
+
+      it('should pass matching options to the findAndReplace method', (done) => {
+        var matchRule = {
+          search: 'localhost',
+          replace: 'example.com',
+          exclude: [],
+          ignoreCase: true,
+          wholeWord: true
+        }
+        transformer.replace(matchRule, (err) => {
+          if (err) { return done(err) }
+          expect(Replacer.findAndReplace.secondCall.args[5]).to.deep.equal({
+            regex: false,
+            flags: '',
+            ignoreCase: true,
+            wholeWord: true,
+            include: [],
+            isBinary: transformer.driver.isBinary,
+            findMatches: transformer.driver.findMatches
+          })
+          done()
+        })
+      })
+
+      it('should set the search results on the result', (done) => {
+        var report = {
+          files: ['/tmp/working/path/a.yml'],
+          matches: { '/tmp/working/path/a.yml': 2 },
+          excluded: [],
+          usedExcludes: rule.exclude
+        }
+        Replacer.findAndReplace.returns(Promise.resolve(report))
+        transformer.replace(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.setSearchResults.calledWith(report)).to.be.true()
+          done()
+        })
+      })
+
       it('should add the rule to the results', (done) => {
         expect(transformer.script.addRule.calledOnce).to.be.true()
         expect(transformer.script.addRule.calledWith(rule)).to.be.true()
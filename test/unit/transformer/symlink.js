@@ -0,0 +1,191 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  describe('symlink', () => {
+    var transformer
+    var rule = { action: 'symlink', target: 'prod', link: 'config/current' }
+
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'exists').returns(true)
+      transformer.driver.exists.withArgs('config/current').returns(false)
+      sinon.stub(transformer.driver, 'isSymlink').returns(false)
+      sinon.stub(transformer.driver, 'symlink').yieldsAsync()
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.exists.restore()
+      transformer.driver.isSymlink.restore()
+      transformer.driver.symlink.restore()
+      done()
+    })
+
+    it('should add a warning if the rule was not given a target', (done) => {
+      var missing = { action: 'symlink', link: 'a' }
+      transformer.symlink(missing, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].rule).to.equal(missing)
+        expect(transformer.warnings[0].message).to.equal('Missing target.')
+        expect(transformer.driver.symlink.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the rule was not given a link', (done) => {
+      transformer.symlink({ action: 'symlink', target: 'a' }, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message).to.equal('Missing link.')
+        expect(transformer.driver.symlink.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if relative is not a boolean', (done) => {
+      var invalid = { target: 'prod', link: 'config/current', relative: 1 }
+      transformer.symlink(invalid, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('Relative not supplied as a boolean, omitting.')
+        expect(transformer.driver.symlink.calledWith('prod', 'config/current'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if the link already exists', (done) => {
+      transformer.driver.exists.withArgs('config/current').returns(true)
+      transformer.symlink(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Link already exists.')
+        expect(transformer.driver.symlink.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should add a warning if the link is a broken link', (done) => {
+      transformer.driver.isSymlink.withArgs('config/current').returns(true)
+      transformer.symlink(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Link already exists.')
+        done()
+      })
+    })
+
+    it('should add a warning if the parent directory does not exist', (done) => {
+      transformer.driver.exists.withArgs('config').returns(false)
+      transformer.symlink(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Parent directory does not exist.')
+        expect(transformer.driver.symlink.callCount).to.equal(0)
+        done()
+      })
+    })
+
+    it('should create the link', (done) => {
+      transformer.symlink(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.exists.calledWith('config/prod')).to.be.true()
+        expect(transformer.driver.symlink.calledWith('prod', 'config/current'))
+          .to.be.true()
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: null, to: 'config/current' }
+        ])
+        expect(transformer.script.addRule.calledWith(rule, 'prod')).to.be.true()
+        expect(transformer.warnings).to.be.empty()
+        done()
+      })
+    })
+
+    it('should make the target relative to the link when asked', (done) => {
+      var relative = { target: 'config/prod', link: 'config/current', relative: true }
+      transformer.symlink(relative, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.symlink.calledWith('prod', 'config/current'))
+          .to.be.true()
+        expect(transformer.script.addRule.calledWith(relative, 'prod'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should make absolute targets relative to the link', (done) => {
+      var relative = { target: '/etc/a/b', link: 'c/d', relative: true }
+      transformer.driver.exists.withArgs('c/d').returns(false)
+      transformer.symlink(relative, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.symlink.calledWith('../a/b', 'c/d'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should link to the directory of the link', (done) => {
+      var relative = { target: 'config', link: 'config/current', relative: true }
+      transformer.symlink(relative, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.symlink.calledWith('.', 'config/current'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if the target does not exist', (done) => {
+      var absolute = { target: '/opt/app', link: 'config/current' }
+      transformer.driver.exists.withArgs('/opt/app').returns(false)
+      transformer.symlink(absolute, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings[0].message)
+          .to.equal('Target does not exist.')
+        expect(transformer.driver.symlink.calledWith('/opt/app', 'config/current'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should set the diff for the link', (done) => {
+      var result = transformer.pushResult(rule)
+      transformer.symlink(rule, (err) => {
+        if (err) { return done(err) }
+        expect(result.diffs['/config/current']).to.equal([
+          'new file mode 120000',
+          '--- /dev/null',
+          '+++ /config/current',
+          '@@ -0,0 +1 @@',
+          '+prod',
+          '\\ No newline at end of file'
+        ].join('\n'))
+        done()
+      })
+    })
+
+    it('should yield driver errors', (done) => {
+      var error = new Error('ln')
+      transformer.driver.symlink.yieldsAsync(error)
+      transformer.symlink(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.nameChanges).to.be.empty()
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'symlink'
+}) // end 'Transformer'
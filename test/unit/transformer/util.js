@@ -4,6 +4,7 @@ var Lab = require('lab')
 var lab = exports.lab = Lab.script()
 var describe = lab.describe
 var it = lab.it
+var beforeEach = lab.beforeEach
 var Code = require('code')
 var expect = Code.expect
 var sinon = require('sinon')
@@ -25,6 +26,8 @@ describe('Transformer', () => {
       expect(result.warnings).to.be.empty()
       expect(result.nameChanges).to.be.an.array()
       expect(result.nameChanges).to.be.empty()
+      expect(result.modeChanges).to.be.an.array()
+      expect(result.modeChanges).to.be.empty()
       expect(result.diffs).to.be.an.object()
       done()
     })
@@ -63,6 +66,13 @@ describe('Transformer', () => {
       expect(result.warnings[0]).to.equal(warning)
       done()
     })
+
+    it('should add the path the warning concerns', (done) => {
+      var transformer = new Transformer('/', [])
+      transformer.addWarning({ name: 'woot' }, 'Very interesting', 'a/b')
+      expect(transformer.warnings[0].path).to.equal('a/b')
+      done()
+    })
   }) // end 'addWarning'
 
   describe('addNameChange', () => {
@@ -90,6 +100,66 @@ describe('Transformer', () => {
     })
   }) // end 'addNameChange'
 
+  describe('addModeChange', () => {
+    it('should add the mode change to the master list', (done) => {
+      var transformer = new Transformer('/etc', [])
+      transformer.addModeChange('a', '644', '755')
+      expect(transformer.modeChanges).to.deep.equal([
+        { path: 'a', from: '644', to: '755' }
+      ])
+      done()
+    })
+
+    it('should add the mode change and diff to the current result', (done) => {
+      var transformer = new Transformer('/etc', [])
+      var result = transformer.pushResult({ action: 'chmod' })
+      transformer.addModeChange('a', '644', '755')
+      expect(result.modeChanges[0]).to.equal(transformer.modeChanges[0])
+      expect(result.diffs['/a']).to.equal('old mode 644\nnew mode 755')
+      done()
+    })
+  }) // end 'addModeChange'
+
+  describe('_getModeDiff', () => {
+    var transformer
+
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      transformer.driver.workingPath = '/tmp/working'
+      sinon.stub(transformer.driver, 'getMode')
+        .withArgs('/etc/a').returns('644')
+        .withArgs('/tmp/working/a').returns('755')
+        .withArgs('/etc/b').returns('644')
+        .withArgs('/tmp/working/b').returns('644')
+        .withArgs('/etc/c').returns(null)
+        .withArgs('/tmp/working/c').returns('755')
+        .withArgs('/etc/d').returns('644')
+        .withArgs('/tmp/working/d').returns(null)
+      done()
+    })
+
+    it('should give the mode changes of each path', (done) => {
+      transformer.addModeChange('a', '644', '700')
+      transformer.addModeChange('a', '700', '755')
+      expect(transformer._getModeDiff()).to.equal([
+        'diff -u -r /a /a',
+        'old mode 644',
+        'new mode 755',
+        ''
+      ].join('\n'))
+      done()
+    })
+
+    it('should skip paths without changes, or that are new or removed', (done) => {
+      transformer.addModeChange('b', '644', '755')
+      transformer.addModeChange('b', '755', '644')
+      transformer.addModeChange('c', '644', '755')
+      transformer.addModeChange('d', '644', '755')
+      expect(transformer._getModeDiff()).to.equal('')
+      done()
+    })
+  }) // end '_getModeDiff'
+
   describe('setFileDiff', () => {
     it('should set the file diff on the current result', (done) => {
       var transformer = new Transformer('/etc', [])
@@ -122,6 +192,55 @@ describe('Transformer', () => {
     })
   }) // end 'setFileDiff'
 
+  describe('setSearchResults', () => {
+    var report = {
+      files: ['/etc/file1.txt', '/etc/sub/file2.txt'],
+      matches: { '/etc/file1.txt': 0, '/etc/sub/file2.txt': 4 }
+    }
+
+    it('should set the relative searched files on the current result', (done) => {
+      var transformer = new Transformer('/etc', [])
+      var result = transformer.pushResult({ action: 'replace' })
+      transformer.setSearchResults(report)
+      expect(result.files).to.deep.equal(['/file1.txt', '/sub/file2.txt'])
+      done()
+    })
+
+    it('should set the matches for each file on the current result', (done) => {
+      var transformer = new Transformer('/etc', [])
+      var result = transformer.pushResult({ action: 'replace' })
+      transformer.setSearchResults(report)
+      expect(result.matches).to.deep.equal({ '/sub/file2.txt': 4 })
+      done()
+    })
+
+    it('should do nothing without a current result', (done) => {
+      var transformer = new Transformer('/etc', [])
+      transformer.setSearchResults(report)
+      expect(transformer.currentResult).to.be.null()
+      done()
+    })
+  }) // end 'setSearchResults'
+
+  describe('_addChangedFiles', () => {
+    it('should record the files with matches as changed results', (done) => {
+      var transformer = new Transformer('/etc', [])
+      transformer.driver.workingPath = '/tmp/working'
+      transformer.driver.resultsPath = '/tmp/results'
+      transformer._addChangedFiles({
+        files: ['/tmp/working/file1.txt', '/tmp/working/sub/file2.txt'],
+        matches: {
+          '/tmp/working/file1.txt': 0,
+          '/tmp/working/sub/file2.txt': 4
+        }
+      })
+      expect(transformer.driver.changedPaths).to.deep.equal([
+        '/tmp/results/sub/file2.txt'
+      ])
+      done()
+    })
+  }) // end '_addChangedFiles'
+
   describe('setAction & getAction', () => {
     it('should set rule action handlers', (done) => {
       var transformer = new Transformer('/etc', [])
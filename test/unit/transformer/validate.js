@@ -0,0 +1,314 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+var noop = require('101/noop')
+
+var Transformer = require('../../../lib/transformer')
+
+/**
+ * Validates a single rule.
+ * @param {object} rule Rule to validate.
+ * @return {array} The problems found in the rule.
+ */
+function validate (rule) {
+  return Transformer.validate([rule])
+}
+
+describe('Transformer', () => {
+  describe('validate', () => {
+    it('should accept valid rules', (done) => {
+      var rules = [
+        { action: 'copy', source: 'A', dest: 'B', conflict: 'replace' },
+        { action: 'rename', source: '*.txt', dest: 'docs/$1.txt' },
+        { action: 'replace', search: 'a', replace: 'b', exclude: ['B'] },
+        { action: 'exclude', files: ['B'] },
+        { action: 'delete', paths: ['A', 'B'], recursive: true },
+        { action: 'mkdir', path: 'a/b', parents: true },
+        { action: 'write', path: 'C', content: 'c', overwrite: 'skip' },
+        { action: 'append', path: 'A', content: 'a' },
+        { action: 'prepend', path: 'A', content: 'a' },
+        { action: 'insert', path: 'A', content: 'a', line: 1 },
+        { action: 'deleteLines', search: '^#', regex: true, flags: 'm' },
+        { action: 'json', path: 'a.json', operations: [
+          { op: 'set', path: 'a.b', value: { c: 1 } },
+          { op: 'unset', path: 'a.d' }
+        ] },
+        { action: 'yaml', path: 'a.yml', operations: [] },
+        { action: 'env', path: '.env', set: { A: 'a', B: 1, C: true } },
+        { action: 'ini', path: 'a.ini', section: 's', key: 'k', value: 1 },
+        { action: 'ini', path: 'a.ini', key: 'k', unset: true },
+        { action: 'chmod', path: 'A', mode: 755 },
+        { action: 'symlink', target: 'A', link: 'L', relative: true }
+      ]
+      expect(Transformer.validate(rules)).to.deep.equal([])
+      done()
+    })
+
+    it('should parse rules given as JSON', (done) => {
+      var rules = JSON.stringify([{ action: 'mkdir' }])
+      expect(Transformer.validate(rules)).to.deep.equal([
+        { index: 0, path: 'path', message: 'is required' }
+      ])
+      done()
+    })
+
+    it('should report rules that are not objects', (done) => {
+      expect(Transformer.validate([null, 'copy'])).to.deep.equal([
+        { index: 0, path: '', message: 'must be an object' },
+        { index: 1, path: '', message: 'must be an object' }
+      ])
+      done()
+    })
+
+    it('should report missing and invalid actions', (done) => {
+      expect(Transformer.validate([{}, { action: 23 }])).to.deep.equal([
+        { index: 0, path: 'action', message: 'is required' },
+        { index: 1, path: 'action', message: 'must be a string' }
+      ])
+      done()
+    })
+
+    it('should report actions that are not defined', (done) => {
+      expect(validate({ action: 'cp', source: 'A' })).to.deep.equal([
+        { index: 0, path: 'action', message: 'is not a defined action' }
+      ])
+      done()
+    })
+
+    it('should report every problem in every rule', (done) => {
+      var rules = [
+        { action: 'copy', source: 'A', dest: 'B' },
+        { action: 'copy', sorce: 'A', dest: 'B', createParents: 'yes' },
+        { action: 'write', path: 'C' }
+      ]
+      expect(Transformer.validate(rules)).to.deep.equal([
+        { index: 1, path: 'source', message: 'is required' },
+        { index: 1, path: 'sorce', message: 'is not allowed' },
+        { index: 1, path: 'createParents', message: 'must be a boolean' },
+        { index: 2, path: 'content', message: 'is required' }
+      ])
+      done()
+    })
+
+    it('should validate against the schemas of defined actions', (done) => {
+      var transformer = new Transformer('/etc', [
+        { action: 'custom', path: 23 },
+        { action: 'copy', other: true }
+      ])
+      transformer.setAction('custom', noop, {
+        type: 'object',
+        properties: { path: { type: 'string' } }
+      })
+      transformer.setAction('copy', noop)
+      expect(transformer.validate()).to.deep.equal([
+        { index: 0, path: 'path', message: 'must be a string' }
+      ])
+      done()
+    })
+
+    describe('leniently', () => {
+      it('should leave out problems with built-in schemas', (done) => {
+        var transformer = new Transformer('/etc', [
+          { action: 'copy', sorce: 'A', dest: 'B', createParents: 'yes' },
+          { action: 'replace', search: 'a', replace: 'b', exclude: 'B' }
+        ])
+        expect(transformer.validate(true)).to.deep.equal([])
+        done()
+      })
+
+      it('should report rules that cannot be applied', (done) => {
+        var transformer = new Transformer('/etc', [
+          'copy',
+          { action: 'cp' }
+        ])
+        expect(transformer.validate(true)).to.deep.equal([
+          { index: 0, path: '', message: 'must be an object' },
+          { index: 1, path: 'action', message: 'is not a defined action' }
+        ])
+        done()
+      })
+
+      it('should report problems with custom schemas', (done) => {
+        var transformer = new Transformer('/etc', [{ action: 'copy' }])
+        transformer.setAction('copy', noop, {
+          type: 'object',
+          required: ['path']
+        })
+        expect(transformer.validate(true)).to.deep.equal([
+          { index: 0, path: 'path', message: 'is required' }
+        ])
+        done()
+      })
+    }) // end 'leniently'
+
+    describe('schemas', () => {
+      it('should have a schema for each built-in action', (done) => {
+        var transformer = new Transformer('/etc', [])
+        Object.keys(transformer._ruleActions).forEach((action) => {
+          expect(Transformer.SCHEMAS[action]).to.be.an.object()
+          expect(transformer.getSchema(action))
+            .to.equal(Transformer.SCHEMAS[action])
+        })
+        done()
+      })
+
+      it('should check conflict and overwrite policies', (done) => {
+        expect(validate({
+          action: 'rename', source: 'A', dest: 'B', conflict: 'skip'
+        })).to.deep.equal([{
+          index: 0,
+          path: 'conflict',
+          message: 'must be one of: merge, replace, error'
+        }])
+        expect(validate({
+          action: 'write', path: 'A', content: 'a', overwrite: 'merge'
+        })).to.deep.equal([{
+          index: 0,
+          path: 'overwrite',
+          message: 'must be one of: replace, skip, error'
+        }])
+        done()
+      })
+
+      it('should check search options', (done) => {
+        expect(validate({
+          action: 'replace', search: 'a', replace: 'b', exclude: 'B'
+        })).to.deep.equal([
+          { index: 0, path: 'exclude', message: 'must be an array' }
+        ])
+        expect(validate({
+          action: 'deleteLines', search: 'a', include: ['A', 1]
+        })).to.deep.equal([
+          { index: 0, path: 'include[1]', message: 'must be a string' }
+        ])
+        done()
+      })
+
+      it('should require a path or paths to delete', (done) => {
+        expect(validate({ action: 'delete' })).to.deep.equal([
+          { index: 0, path: '', message: 'must have one of: path, paths' }
+        ])
+        done()
+      })
+
+      it('should require exactly one insert position', (done) => {
+        var rule = { action: 'insert', path: 'A', content: 'a' }
+        expect(validate(rule)).to.deep.equal([{
+          index: 0, path: '', message: 'must have one of: before, after, line'
+        }])
+        rule.before = 'x'
+        rule.after = 'y'
+        expect(validate(rule)).to.deep.equal([{
+          index: 0,
+          path: '',
+          message: 'must have only one of: before, after, line'
+        }])
+        delete rule.after
+        rule.before = undefined
+        rule.line = 0
+        expect(validate(rule)).to.deep.equal([
+          { index: 0, path: 'line', message: 'must be at least 1' }
+        ])
+        done()
+      })
+
+      it('should check json and yaml operations', (done) => {
+        expect(validate({
+          action: 'yaml',
+          path: 'a.yml',
+          operations: [{ op: 'add', path: 'a' }, { op: 'set', value: 1 }]
+        })).to.deep.equal([
+          {
+            index: 0,
+            path: 'operations[0].op',
+            message: 'must be one of: set, unset, merge, push'
+          },
+          { index: 0, path: 'operations[1].path', message: 'is required' }
+        ])
+        done()
+      })
+
+      it('should check env variables', (done) => {
+        expect(validate({ action: 'env', path: '.env' })).to.deep.equal([
+          { index: 0, path: '', message: 'must have one of: set, unset' }
+        ])
+        expect(validate({
+          action: 'env', path: '.env', set: { A: null }, unset: [1]
+        })).to.deep.equal([
+          {
+            index: 0,
+            path: 'set.A',
+            message: 'must be a string or a number or a boolean'
+          },
+          { index: 0, path: 'unset[0]', message: 'must be a string' }
+        ])
+        done()
+      })
+
+      it('should require an ini value unless unsetting', (done) => {
+        var rule = { action: 'ini', path: 'a.ini', key: 'k', unset: false }
+        expect(validate(rule)).to.deep.equal([
+          { index: 0, path: '', message: 'must have one of: value, unset' }
+        ])
+        done()
+      })
+
+      it('should check chmod modes', (done) => {
+        expect(validate({ action: 'chmod', path: 'A', mode: 'u+x' }))
+          .to.deep.equal([])
+        expect(validate({ action: 'chmod', path: 'A', mode: true }))
+          .to.deep.equal([{
+            index: 0, path: 'mode', message: 'must be a string or an integer'
+          }])
+        done()
+      })
+    }) // end 'schemas'
+
+    describe('regular expressions', () => {
+      it('should accept syntax that scripts can run', (done) => {
+        expect(validate({
+          action: 'replace',
+          search: '(?:\\d+)\\.(\\d+)\\?',
+          replace: 'X$1',
+          regex: true,
+          flags: 'i'
+        })).to.deep.equal([])
+        done()
+      })
+
+      it('should accept syntax and flags that scripts cannot run', (done) => {
+        expect(validate({
+          action: 'replace', search: 'M(?=ew)', replace: 'P', regex: true
+        })).to.deep.equal([])
+        expect(validate({
+          action: 'insert', path: 'A', content: 'a', after: '(?<=a)b', regex: true
+        })).to.deep.equal([])
+        expect(validate({
+          action: 'deleteLines', search: '^a\\d+?', regex: true, flags: 'gm'
+        })).to.deep.equal([])
+        done()
+      })
+    }) // end 'regular expressions'
+  }) // end 'validate'
+
+  describe('formatProblem', () => {
+    it('should give the full path of the field', (done) => {
+      expect(Transformer.formatProblem({
+        index: 2, path: 'operations[0].op', message: 'is required'
+      })).to.equal('rules[2].operations[0].op is required')
+      done()
+    })
+
+    it('should format problems with the rule itself', (done) => {
+      expect(Transformer.formatProblem({
+        index: 0, path: '', message: 'must be an object'
+      })).to.equal('rules[0] must be an object')
+      done()
+    })
+  }) // end 'formatProblem'
+}) // end 'Transformer'
@@ -0,0 +1,191 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+
+describe('Transformer', () => {
+  describe('write', () => {
+    var transformer
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer.driver, 'writeFile').yieldsAsync()
+      sinon.stub(transformer.driver, 'exists')
+        .withArgs('.').returns(true)
+        .withArgs('foo').returns(false)
+      sinon.stub(transformer.driver, 'isDirectory').returns(false)
+      sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, [
+        'diff -u -r -N /foo /foo',
+        '+content'
+      ].join('\n'))
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.writeFile.restore()
+      transformer.driver.exists.restore()
+      transformer.driver.isDirectory.restore()
+      done()
+    })
+
+    describe('warnings', () => {
+      it('should add a warning and skip if the rule was not given a path', (done) => {
+        var rule = { action: 'write', content: 'content' }
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          var warning = transformer.warnings[0]
+          expect(warning.rule).to.equal(rule)
+          expect(warning.message).to.equal('Missing path.')
+          expect(transformer.driver.writeFile.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning and skip if the rule was not given content', (done) => {
+        var rule = { action: 'write', path: 'foo' }
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message).to.equal('Missing content.')
+          expect(transformer.driver.writeFile.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning for invalid overwrite policies', (done) => {
+        var rule = { action: 'write', path: 'foo', content: 'a', overwrite: 'no' }
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Invalid overwrite policy, omitting.')
+          expect(transformer.driver.writeFile.calledOnce).to.be.true()
+          done()
+        })
+      })
+
+      it('should add a warning and skip if the parent does not exist', (done) => {
+        var rule = { action: 'write', path: 'foo', content: 'a' }
+        transformer.driver.exists.withArgs('.').returns(false)
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Parent directory does not exist.')
+          expect(transformer.driver.writeFile.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should add a warning and skip if the path is a directory', (done) => {
+        var rule = { action: 'write', path: 'foo', content: 'a' }
+        transformer.driver.isDirectory.returns(true)
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message).to.equal('Path is a directory.')
+          expect(transformer.driver.writeFile.callCount).to.equal(0)
+          done()
+        })
+      })
+    }) // end 'warnings'
+
+    describe('overwrite', () => {
+      beforeEach((done) => {
+        transformer.driver.exists.withArgs('foo').returns(true)
+        done()
+      })
+
+      it('should overwrite existing files with a warning by default', (done) => {
+        var rule = { action: 'write', path: 'foo', content: 'a' }
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Overwrites destination file.')
+          expect(transformer.driver.writeFile.calledOnce).to.be.true()
+          expect(transformer.nameChanges).to.be.empty()
+          done()
+        })
+      })
+
+      it('should skip existing files with a warning', (done) => {
+        var rule = { action: 'write', path: 'foo', content: 'a', overwrite: 'skip' }
+        transformer.write(rule, (err) => {
+          if (err) { return done(err) }
+          expect(transformer.warnings.length).to.equal(1)
+          expect(transformer.warnings[0].message)
+            .to.equal('Destination file exists, skipping.')
+          expect(transformer.driver.writeFile.callCount).to.equal(0)
+          expect(transformer.script.addRule.callCount).to.equal(0)
+          done()
+        })
+      })
+
+      it('should yield an error for existing files', (done) => {
+        var rule = { action: 'write', path: 'foo', content: 'a', overwrite: 'error' }
+        transformer.write(rule, (err) => {
+          expect(err).to.exist()
+          expect(err.message)
+            .to.equal('Destination file already exists: foo')
+          expect(transformer.driver.writeFile.callCount).to.equal(0)
+          done()
+        })
+      })
+    }) // end 'overwrite'
+
+    it('should use the driver writeFile method', (done) => {
+      var rule = { action: 'write', path: 'foo', content: 'content' }
+      transformer.write(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledOnce).to.be.true()
+        expect(transformer.driver.writeFile.calledWith('foo', 'content'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a name change for new files', (done) => {
+      var rule = { action: 'write', path: 'foo', content: 'content' }
+      transformer.write(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.nameChanges).to.deep.equal([
+          { from: null, to: 'foo' }
+        ])
+        done()
+      })
+    })
+
+    it('should add the rule to the script and set the diffs', (done) => {
+      var rule = { action: 'write', path: 'foo', content: 'content' }
+      transformer.pushResult(rule)
+      transformer.write(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.script.addRule.calledWith(rule)).to.be.true()
+        expect(transformer.currentResult.diffs['/foo']).to.equal('+content')
+        done()
+      })
+    })
+
+    it('should handle driver writeFile errors', (done) => {
+      var error = new Error('EACCES')
+      transformer.driver.writeFile.yieldsAsync(error)
+      var rule = { action: 'write', path: 'foo', content: 'content' }
+      transformer.write(rule, (err) => {
+        expect(err).to.equal(error)
+        expect(transformer.script.addRule.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'write'
+})
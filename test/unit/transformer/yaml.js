@@ -0,0 +1,88 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var Transformer = require('../../../lib/transformer')
+var YamlFile = require('../../../lib/yaml-file')
+
+describe('Transformer', () => {
+  describe('yaml', () => {
+    var transformer
+    beforeEach((done) => {
+      transformer = new Transformer('/etc', [])
+      sinon.stub(transformer, '_editValues').callsArgAsync(3)
+      sinon.stub(transformer.driver, 'exists').returns(true)
+      sinon.stub(transformer.driver, 'isDirectory').returns(false)
+      sinon.stub(transformer.driver, 'readFile')
+        .yieldsAsync(null, 'a: 1 # one\n')
+      sinon.stub(transformer.driver, 'writeFile').yieldsAsync()
+      sinon.stub(transformer.driver, 'resultsDiff').yieldsAsync(null, '')
+      sinon.stub(transformer.script, 'addRule')
+      done()
+    })
+
+    afterEach((done) => {
+      transformer.driver.exists.restore()
+      transformer.driver.isDirectory.restore()
+      transformer.driver.readFile.restore()
+      transformer.driver.writeFile.restore()
+      done()
+    })
+
+    it('should edit the values of a YAML file', (done) => {
+      var rule = { action: 'yaml', path: 'foo.yml', operations: [] }
+      transformer.yaml(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer._editValues.calledWith(
+          rule,
+          YamlFile,
+          'File is not valid YAML.'
+        )).to.be.true()
+        done()
+      })
+    })
+
+    it('should keep comments', (done) => {
+      transformer._editValues.restore()
+      var rule = {
+        action: 'yaml',
+        path: 'foo.yml',
+        operations: [{ op: 'set', path: 'a', value: 2 }]
+      }
+      transformer.yaml(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.driver.writeFile.calledWith('foo.yml', 'a: 2 # one\n'))
+          .to.be.true()
+        expect(transformer.script.addRule.calledWith(rule, 'a: 2 # one\n'))
+          .to.be.true()
+        done()
+      })
+    })
+
+    it('should add a warning if the file is not valid YAML', (done) => {
+      transformer._editValues.restore()
+      transformer.driver.readFile.yieldsAsync(null, 'a: [1\n')
+      var rule = {
+        action: 'yaml',
+        path: 'foo.yml',
+        operations: [{ op: 'set', path: 'a', value: 2 }]
+      }
+      transformer.yaml(rule, (err) => {
+        if (err) { return done(err) }
+        expect(transformer.warnings.length).to.equal(1)
+        expect(transformer.warnings[0].message)
+          .to.equal('File is not valid YAML.')
+        expect(transformer.driver.writeFile.callCount).to.equal(0)
+        done()
+      })
+    })
+  }) // end 'yaml'
+}) // end 'Transformer'
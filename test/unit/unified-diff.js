@@ -0,0 +1,491 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var beforeEach = lab.beforeEach
+var afterEach = lab.afterEach
+var Code = require('code')
+var expect = Code.expect
+var childProcess = require('child_process')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
+var UnifiedDiff = require('../../lib/unified-diff')
+
+/**
+ * Applies the changes found by `UnifiedDiff.compare` to the original lines.
+ * @param {array} a Original lines.
+ * @param {array} b Changed lines.
+ * @param {array} changes Changes between the lines.
+ * @return {array} The original lines with the changes applied.
+ */
+function patch (a, b, changes) {
+  var result = []
+  var i = 0
+  changes.forEach((change) => {
+    result = result.concat(a.slice(i, change.a0), b.slice(change.b0, change.b1))
+    i = change.a1
+  })
+  return result.concat(a.slice(i))
+}
+
+/**
+ * Counts the lines removed and added by a list of changes.
+ * @param {array} changes Changes between two lists of lines.
+ * @return {number} The number of lines removed or added.
+ */
+function size (changes) {
+  return changes.reduce((total, change) => {
+    return total + (change.a1 - change.a0) + (change.b1 - change.b0)
+  }, 0)
+}
+
+describe('UnifiedDiff', () => {
+  describe('split', () => {
+    it('should keep the newline at the end of each line', (done) => {
+      expect(UnifiedDiff.split('a\nb\n')).to.deep.equal(['a\n', 'b\n'])
+      done()
+    })
+
+    it('should keep a last line without a newline', (done) => {
+      expect(UnifiedDiff.split('a\nb')).to.deep.equal(['a\n', 'b'])
+      expect(UnifiedDiff.split('')).to.deep.equal([])
+      done()
+    })
+  }) // end 'split'
+
+  describe('range', () => {
+    it('should give the line number for a single line', (done) => {
+      expect(UnifiedDiff.range(4, 1)).to.equal('5')
+      done()
+    })
+
+    it('should give the line number and number of lines', (done) => {
+      expect(UnifiedDiff.range(4, 3)).to.equal('5,3')
+      done()
+    })
+
+    it('should give the line before empty ranges', (done) => {
+      expect(UnifiedDiff.range(0, 0)).to.equal('0,0')
+      expect(UnifiedDiff.range(4, 0)).to.equal('4,0')
+      done()
+    })
+  }) // end 'range'
+
+  describe('compare', () => {
+    it('should find no changes in equal lines', (done) => {
+      expect(UnifiedDiff.compare(['a', 'b'], ['a', 'b'])).to.deep.equal([])
+      done()
+    })
+
+    it('should find added and removed lines', (done) => {
+      expect(UnifiedDiff.compare(['a', 'b', 'c'], ['a', 'c', 'd']))
+        .to.deep.equal([
+          { a0: 1, a1: 2, b0: 1, b1: 1 },
+          { a0: 3, a1: 3, b0: 2, b1: 3 }
+        ])
+      expect(UnifiedDiff.compare([], ['a'])).to.deep.equal([
+        { a0: 0, a1: 0, b0: 0, b1: 1 }
+      ])
+      done()
+    })
+
+    it('should combine adjacent removed and added lines', (done) => {
+      expect(UnifiedDiff.compare(['a', 'b', 'c'], ['a', 'x', 'y', 'c']))
+        .to.deep.equal([{ a0: 1, a1: 2, b0: 1, b1: 3 }])
+      done()
+    })
+
+    it('should find the fewest changes', (done) => {
+      var cases = [
+        ['abcabba', 'cbabac'],
+        ['abgdef', 'gh'],
+        ['xaxcxabc', 'abcy'],
+        ['aaabbb', 'bbbaaa'],
+        ['abcd', 'acbd'],
+        ['ab', 'ba'],
+        ['abab', 'baba']
+      ]
+      var sizes = [5, 6, 6, 6, 2, 2, 2]
+      cases.forEach((pair, index) => {
+        var a = pair[0].split('')
+        var b = pair[1].split('')
+        var changes = UnifiedDiff.compare(a, b)
+        expect(patch(a, b, changes)).to.deep.equal(b)
+        expect(size(changes)).to.equal(sizes[index])
+      })
+      done()
+    })
+
+    // Expected changes are the ones given by GNU diff
+    var compare = (a, b) => UnifiedDiff.compare(a.split(''), b.split(''))
+
+    it('should move changes down as diff does', (done) => {
+      expect(compare('abbbbc', 'abbbc')).to.deep.equal([
+        { a0: 4, a1: 5, b0: 4, b1: 4 }
+      ])
+      done()
+    })
+
+    it('should merge changes that can be moved together', (done) => {
+      expect(compare('bbaaaaaaa', 'baacaaaa')).to.deep.equal([
+        { a0: 1, a1: 3, b0: 1, b1: 1 },
+        { a0: 5, a1: 5, b0: 3, b1: 4 }
+      ])
+      expect(compare('aba', 'bcbaa')).to.deep.equal([
+        { a0: 0, a1: 1, b0: 0, b1: 0 },
+        { a0: 2, a1: 2, b0: 1, b1: 4 }
+      ])
+      expect(compare('bbabab', 'bbbabaabb')).to.deep.equal([
+        { a0: 2, a1: 2, b0: 2, b1: 3 },
+        { a0: 5, a1: 5, b0: 6, b1: 8 }
+      ])
+      expect(compare('bbaaababbaa', 'bbaabaabbbaca')).to.deep.equal([
+        { a0: 4, a1: 5, b0: 4, b1: 4 },
+        { a0: 7, a1: 7, b0: 6, b1: 8 },
+        { a0: 10, a1: 10, b0: 11, b1: 12 }
+      ])
+      done()
+    })
+
+    it('should line changes up with changes in the other lines', (done) => {
+      expect(compare('xaay', 'xazy')).to.deep.equal([
+        { a0: 2, a1: 3, b0: 2, b1: 3 }
+      ])
+      expect(compare('baab', 'babb')).to.deep.equal([
+        { a0: 2, a1: 3, b0: 2, b1: 3 }
+      ])
+      expect(compare('babaaabb', 'babaaaaab')).to.deep.equal([
+        { a0: 6, a1: 7, b0: 6, b1: 8 }
+      ])
+      expect(compare('aba', 'acbab')).to.deep.equal([
+        { a0: 1, a1: 1, b0: 1, b1: 2 },
+        { a0: 3, a1: 3, b0: 4, b1: 5 }
+      ])
+      done()
+    })
+  }) // end 'compare'
+
+  describe('hunks', () => {
+    var lines = (count, prefix) => {
+      var result = []
+      for (let i = 1; i <= count; i++) {
+        result.push((prefix || '') + i + '\n')
+      }
+      return result
+    }
+
+    it('should give the changes with three lines of context', (done) => {
+      var a = lines(10)
+      var b = a.slice()
+      b[4] = 'five\n'
+      expect(UnifiedDiff.hunks(a, b)).to.equal([
+        '@@ -2,7 +2,7 @@',
+        ' 2',
+        ' 3',
+        ' 4',
+        '-5',
+        '+five',
+        ' 6',
+        ' 7',
+        ' 8',
+        ''
+      ].join('\n'))
+      done()
+    })
+
+    it('should combine changes with overlapping context', (done) => {
+      var a = lines(12)
+      var b = a.slice(0, 11)
+      b.splice(4, 1)
+      expect(UnifiedDiff.hunks(a, b, 1)).to.equal([
+        '@@ -4,3 +4,2 @@',
+        ' 4',
+        '-5',
+        ' 6',
+        '@@ -11,2 +10 @@',
+        ' 11',
+        '-12',
+        ''
+      ].join('\n'))
+      expect(UnifiedDiff.hunks(a, b, 3).match(/@@/g).length).to.equal(2)
+      expect(UnifiedDiff.hunks(a, b, 4).match(/@@/g).length).to.equal(2)
+      done()
+    })
+
+    it('should mark lines without a newline', (done) => {
+      expect(UnifiedDiff.hunks(['a\n', 'b'], ['a\n', 'b\n'])).to.equal([
+        '@@ -1,2 +1,2 @@',
+        ' a',
+        '-b',
+        '\\ No newline at end of file',
+        '+b',
+        ''
+      ].join('\n'))
+      done()
+    })
+
+    it('should give empty ranges for added files', (done) => {
+      expect(UnifiedDiff.hunks([], ['a\n'])).to.equal('@@ -0,0 +1 @@\n+a\n')
+      done()
+    })
+  }) // end 'hunks'
+
+  describe('isBinary', () => {
+    it('should check for null bytes', (done) => {
+      expect(UnifiedDiff.isBinary(Buffer.from('a\u0000b'))).to.be.true()
+      expect(UnifiedDiff.isBinary(Buffer.from('a\u0001b'))).to.be.false()
+      done()
+    })
+
+    it('should only check the start of the content', (done) => {
+      var content = Buffer.alloc(10000, 'a')
+      content[9000] = 0
+      expect(UnifiedDiff.isBinary(content)).to.be.false()
+      done()
+    })
+  }) // end 'isBinary'
+
+  describe('timestamp', () => {
+    it('should give the epoch for files that do not exist', (done) => {
+      expect(UnifiedDiff.timestamp(null))
+        .to.match(/^19(70-01-01|69-12-31) \d\d:\d\d:00\.000000000 [-+]\d{4}$/)
+      done()
+    })
+
+    it('should give the local modification time', (done) => {
+      var mtime = new Date(2016, 1, 4, 9, 5, 7, 25)
+      mtime.getTimezoneOffset = () => -90
+      expect(UnifiedDiff.timestamp({ mtime: mtime }))
+        .to.equal('2016-02-04 09:05:07.025000000 +0130')
+      mtime.getTimezoneOffset = () => 480
+      expect(UnifiedDiff.timestamp({ mtime: mtime }))
+        .to.equal('2016-02-04 09:05:07.025000000 -0800')
+      done()
+    })
+  }) // end 'timestamp'
+
+  describe('filesystem', () => {
+    var dir
+
+    beforeEach((done) => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unified-diff-'))
+      fs.mkdirSync(path.join(dir, 'a'))
+      fs.mkdirSync(path.join(dir, 'b'))
+      done()
+    })
+
+    afterEach((done) => {
+      childProcess.execFile('rm', ['-rf', dir], done)
+    })
+
+    var write = (file, content) => {
+      fs.writeFileSync(path.join(dir, file), content)
+    }
+
+    describe('readdir', () => {
+      it('should list the names in a directory', (done) => {
+        write('a/A', 'a')
+        expect(UnifiedDiff.readdir(path.join(dir, 'a'))).to.deep.equal(['A'])
+        done()
+      })
+
+      it('should give no names for missing directories', (done) => {
+        expect(UnifiedDiff.readdir(path.join(dir, 'c'))).to.deep.equal([])
+        done()
+      })
+    }) // end 'readdir'
+
+    describe('stat', () => {
+      it('should follow symbolic links', (done) => {
+        fs.symlinkSync('a', path.join(dir, 'link'))
+        expect(UnifiedDiff.stat(path.join(dir, 'link')).isDirectory())
+          .to.be.true()
+        done()
+      })
+
+      it('should give null for missing files', (done) => {
+        expect(UnifiedDiff.stat(path.join(dir, 'c'))).to.be.null()
+        done()
+      })
+
+      it('should give false for broken symbolic links', (done) => {
+        fs.symlinkSync('c', path.join(dir, 'link'))
+        expect(UnifiedDiff.stat(path.join(dir, 'link'))).to.be.false()
+        done()
+      })
+    }) // end 'stat'
+
+    describe('describe', () => {
+      it('should describe directories and files', (done) => {
+        write('a/A', 'a')
+        write('a/E', '')
+        var describe = (file) => {
+          return UnifiedDiff.describe(fs.statSync(path.join(dir, file)))
+        }
+        expect(describe('a')).to.equal('directory')
+        expect(describe('a/A')).to.equal('regular file')
+        expect(describe('a/E')).to.equal('regular empty file')
+        done()
+      })
+    }) // end 'describe'
+
+    describe('files', () => {
+      it('should give nothing for files with the same content', (done) => {
+        write('a/A', 'a\n')
+        write('b/A', 'a\n')
+        var a = path.join(dir, 'a/A')
+        var b = path.join(dir, 'b/A')
+        expect(UnifiedDiff.files(a, fs.statSync(a), b, fs.statSync(b)))
+          .to.equal('')
+        done()
+      })
+
+      it('should report binary files that differ', (done) => {
+        write('a/A', 'a\u0000')
+        var a = path.join(dir, 'a/A')
+        var b = path.join(dir, 'b/A')
+        expect(UnifiedDiff.files(a, fs.statSync(a), b, null))
+          .to.equal('Binary files ' + a + ' and ' + b + ' differ\n')
+        write('b/B', 'b\u0000')
+        var c = path.join(dir, 'a/B')
+        var d = path.join(dir, 'b/B')
+        expect(UnifiedDiff.files(c, null, d, fs.statSync(d)))
+          .to.equal('Binary files ' + c + ' and ' + d + ' differ\n')
+        done()
+      })
+
+      it('should diff the lines of text files', (done) => {
+        write('a/A', 'a\nb\n')
+        write('b/A', 'a\nc\u00e9\n')
+        var a = path.join(dir, 'a/A')
+        var b = path.join(dir, 'b/A')
+        var statA = fs.statSync(a)
+        var statB = fs.statSync(b)
+        expect(UnifiedDiff.files(a, statA, b, statB)).to.equal([
+          'diff -u -r ' + a + ' ' + b,
+          '--- ' + a + '\t' + UnifiedDiff.timestamp(statA),
+          '+++ ' + b + '\t' + UnifiedDiff.timestamp(statB),
+          '@@ -1,2 +1,2 @@',
+          ' a',
+          '-b',
+          '+c\u00e9',
+          ''
+        ].join('\n'))
+        done()
+      })
+
+      it('should name new file diffs in the diff line', (done) => {
+        write('b/A', 'a\n')
+        var a = path.join(dir, 'a/A')
+        var b = path.join(dir, 'b/A')
+        expect(UnifiedDiff.files(a, null, b, fs.statSync(b), true))
+          .to.match(new RegExp('^diff -u -r -N ' + a + ' ' + b + '\n'))
+        done()
+      })
+    }) // end 'files'
+
+    describe('directories', () => {
+      it('should list files that only exist in one directory', (done) => {
+        write('a/B', 'b\n')
+        write('b/B', 'B\n')
+        write('b/A', 'a\n')
+        fs.mkdirSync(path.join(dir, 'a/sub'))
+        write('a/sub/C', 'c\n')
+        var a = path.join(dir, 'a')
+        var b = path.join(dir, 'b')
+        var diff = UnifiedDiff.directories(a, b)
+        expect(diff.split('\n').filter((line) => !/^[ @+-]/.test(line)))
+          .to.deep.equal([
+            'Only in ' + b + ': A',
+            'diff -u -r ' + a + '/B ' + b + '/B',
+            'Only in ' + a + ': sub',
+            ''
+          ])
+        done()
+      })
+
+      it('should diff every file in sorted order', (done) => {
+        write('a/B', 'b\n')
+        write('b/B', 'B\n')
+        write('b/A', 'a\n')
+        write('a/same', 'same\n')
+        write('b/same', 'same\n')
+        fs.mkdirSync(path.join(dir, 'a/sub'))
+        write('a/sub/C', 'c\n')
+        fs.mkdirSync(path.join(dir, 'b/new'))
+        write('b/new/D', 'd\n')
+        var diff = UnifiedDiff.directories(
+          path.join(dir, 'a'),
+          path.join(dir, 'b'),
+          true
+        )
+        var headers = diff.split('\n').filter((line) => /^diff /.test(line))
+        expect(headers).to.deep.equal(['A', 'B', 'new/D', 'sub/C'].map((file) => {
+          var a = path.join(dir, 'a', file)
+          var b = path.join(dir, 'b', file)
+          return 'diff -u -r -N ' + a + ' ' + b
+        }))
+        expect(diff).to.contain('@@ -0,0 +1 @@\n+a\n')
+        expect(diff).to.contain('@@ -1 +1 @@\n-b\n+B\n')
+        expect(diff).to.contain('@@ -1 +0,0 @@\n-c\n')
+        done()
+      })
+
+      it('should report files that are directories in the other', (done) => {
+        fs.mkdirSync(path.join(dir, 'a/sub'))
+        write('b/sub', '')
+        var a = path.join(dir, 'a')
+        var b = path.join(dir, 'b')
+        expect(UnifiedDiff.directories(a, b)).to.equal(
+          'File ' + a + '/sub is a directory while file ' + b +
+          '/sub is a regular empty file\n'
+        )
+        expect(UnifiedDiff.directories(b, a)).to.equal(
+          'File ' + b + '/sub is a regular empty file while file ' + a +
+          '/sub is a directory\n'
+        )
+        done()
+      })
+
+      it('should skip broken symbolic links', (done) => {
+        fs.symlinkSync('nope', path.join(dir, 'a/link'))
+        write('b/link', 'a\n')
+        fs.symlinkSync('nope', path.join(dir, 'b/other'))
+        var a = path.join(dir, 'a')
+        var b = path.join(dir, 'b')
+        expect(UnifiedDiff.directories(a, b, true)).to.equal('')
+        // Links that only exist in one directory are still listed
+        expect(UnifiedDiff.directories(a, b)).to.equal(
+          'Only in ' + b + ': other\n'
+        )
+        done()
+      })
+    }) // end 'directories'
+
+    describe('paths', () => {
+      it('should diff files without naming them', (done) => {
+        write('b/A', 'a\n')
+        var a = path.join(dir, 'a/A')
+        var b = path.join(dir, 'b/A')
+        var diff = UnifiedDiff.paths(a, b, true)
+        expect(diff).to.match(new RegExp('^--- ' + a + '\t'))
+        expect(diff).to.contain('@@ -0,0 +1 @@\n+a\n')
+        done()
+      })
+
+      it('should diff directories recursively', (done) => {
+        fs.mkdirSync(path.join(dir, 'b/sub'))
+        write('b/sub/A', 'a\n')
+        var a = path.join(dir, 'a/sub')
+        var b = path.join(dir, 'b/sub')
+        var diff = UnifiedDiff.paths(a, b, true)
+        expect(diff).to.match(new RegExp('^diff -u -r -N ' + a + '/A ' + b + '/A\n'))
+        done()
+      })
+    }) // end 'paths'
+  }) // end 'filesystem'
+}) // end 'UnifiedDiff'
@@ -16,4 +16,12 @@ describe('Warning', () => {
     expect(warning.message).to.equal(message)
     done()
   })
+
+  it('should set the path of the file the warning concerns', (done) => {
+    var warning = new Warning({ action: 'copy' }, 'Warning message', 'a/b')
+    expect(warning.path).to.equal('a/b')
+    expect(Object.keys(new Warning({}, 'Warning message')))
+      .to.not.include('path')
+    done()
+  })
 })
@@ -0,0 +1,460 @@
+'use strict'
+
+var Lab = require('lab')
+var lab = exports.lab = Lab.script()
+var describe = lab.describe
+var it = lab.it
+var Code = require('code')
+var expect = Code.expect
+var sinon = require('sinon')
+
+var YamlFile = require('../../lib/yaml-file')
+
+describe('YamlFile', () => {
+  var compose = [
+    '# Services',
+    'version: "2"',
+    '',
+    'services:',
+    '  web:',
+    '    image: nginx:1.9  # pinned',
+    '    ports:',
+    '    - "80:80"',
+    '    - "443:443"',
+    '    environment:',
+    '      - name: A',
+    '        value: a',
+    '      - name: B',
+    '        value: b',
+    '',
+    '  # The database',
+    '  db:',
+    '    image: postgres',
+    '    labels: {a: 1}',
+    '',
+    '# End',
+    ''
+  ].join('\n')
+
+  /**
+   * Applies an edit to the compose file and checks the lines of the result.
+   * @param {function} edit Edit to apply.
+   * @param {number} start Index of the first line that is expected to change.
+   * @param {number} count Number of lines expected to be replaced.
+   * @param {array} lines Expected replacement lines.
+   */
+  function expectEdit (edit, start, count, lines) {
+    var file = new YamlFile(compose)
+    expect(edit(file)).to.be.true()
+    var expected = compose.split('\n')
+    Array.prototype.splice.apply(expected, [start, count].concat(lines))
+    expect(file.toString()).to.equal(expected.join('\n'))
+  }
+
+  describe('detectIndent', () => {
+    it('should detect the indentation of the text', (done) => {
+      expect(YamlFile.detectIndent('a:\n    b: 1\n')).to.equal('    ')
+      expect(YamlFile.detectIndent('# a\n  # b\na:\n - b\n')).to.equal(' ')
+      done()
+    })
+
+    it('should default to two spaces', (done) => {
+      expect(YamlFile.detectIndent('a: 1\n')).to.equal('  ')
+      done()
+    })
+  }) // end 'detectIndent'
+
+  describe('isBlank', () => {
+    it('should find empty lines and comments', (done) => {
+      expect(YamlFile.isBlank('')).to.be.true()
+      expect(YamlFile.isBlank('  ')).to.be.true()
+      expect(YamlFile.isBlank('  # a: 1')).to.be.true()
+      expect(YamlFile.isBlank('a: 1 # b')).to.be.false()
+      done()
+    })
+  }) // end 'isBlank'
+
+  describe('indentOf', () => {
+    it('should count leading spaces', (done) => {
+      expect(YamlFile.indentOf('a')).to.equal(0)
+      expect(YamlFile.indentOf('   - a')).to.equal(3)
+      done()
+    })
+  }) // end 'indentOf'
+
+  describe('splitComment', () => {
+    it('should split comments from values', (done) => {
+      expect(YamlFile.splitComment(' a  # b')).to.deep.equal({
+        value: ' a',
+        comment: '  # b'
+      })
+      expect(YamlFile.splitComment('# b')).to.deep.equal({
+        value: '',
+        comment: '# b'
+      })
+      done()
+    })
+
+    it('should handle values without comments', (done) => {
+      expect(YamlFile.splitComment(' a#b ')).to.deep.equal({
+        value: ' a#b',
+        comment: ' '
+      })
+      done()
+    })
+
+    it('should not split comments within quotes', (done) => {
+      expect(YamlFile.splitComment(' "a \\" # b" # c').value)
+        .to.equal(' "a \\" # b"')
+      expect(YamlFile.splitComment(' \'a # b\' # c').value)
+        .to.equal(' \'a # b\'')
+      expect(YamlFile.splitComment(' [a, \'b # c\'] # d').value)
+        .to.equal(' [a, \'b # c\']')
+      done()
+    })
+
+    it('should only treat quotes that start a scalar as quotes', (done) => {
+      expect(YamlFile.splitComment(' it\'s # b').value).to.equal(' it\'s')
+      done()
+    })
+  }) // end 'splitComment'
+
+  describe('mergePaths', () => {
+    it('should return the paths changed by a merge', (done) => {
+      var target = { a: { b: 1 }, c: 2 }
+      var source = { a: { b: 2, d: { e: 3 } }, c: { f: 4 }, g: 5 }
+      expect(YamlFile.mergePaths(['x'], target, source)).to.deep.equal([
+        ['x', 'a', 'b'],
+        ['x', 'a', 'd'],
+        ['x', 'c'],
+        ['x', 'g']
+      ])
+      done()
+    })
+  }) // end 'mergePaths'
+
+  describe('constructor', () => {
+    it('should parse the text', (done) => {
+      var file = new YamlFile(compose)
+      expect(file.data.services.web.ports).to.deep.equal(['80:80', '443:443'])
+      expect(file.indent).to.equal('  ')
+      expect(file.toString()).to.equal(compose)
+      done()
+    })
+
+    it('should parse empty files as empty objects', (done) => {
+      expect(new YamlFile('').data).to.deep.equal({})
+      expect(new YamlFile('# Nothing\n').data).to.deep.equal({})
+      done()
+    })
+
+    it('should throw for invalid YAML', (done) => {
+      expect(() => {
+        return new YamlFile('a: [1\n')
+      }).to.throw()
+      done()
+    })
+  }) // end 'constructor'
+
+  describe('set', () => {
+    it('should replace values and keep comments', (done) => {
+      expectEdit((file) => {
+        return file.set('services.web.image', 'nginx:1.10')
+      }, 5, 1, ['    image: \'nginx:1.10\'  # pinned'])
+      done()
+    })
+
+    it('should replace sequence items', (done) => {
+      expectEdit((file) => {
+        return file.set('/services/web/ports/1', 8443)
+      }, 8, 1, ['    - 8443'])
+      done()
+    })
+
+    it('should replace values of items in sequences', (done) => {
+      expectEdit((file) => {
+        return file.set('services.web.environment.1.name', 'C')
+      }, 12, 1, ['      - name: C'])
+      done()
+    })
+
+    it('should replace blocks', (done) => {
+      expectEdit((file) => {
+        return file.set('services.web.ports', ['8080:80'])
+      }, 6, 3, ['    ports:', '      - \'8080:80\''])
+      done()
+    })
+
+    it('should add entries to mappings', (done) => {
+      expectEdit((file) => {
+        return file.set('services.db.restart', 'always')
+      }, 19, 0, ['    restart: always'])
+      done()
+    })
+
+    it('should add entries to the document', (done) => {
+      expectEdit((file) => {
+        return file.set('volumes', { data: {} })
+      }, 19, 0, ['volumes:', '  data: {}'])
+      done()
+    })
+
+    it('should add items to sequences', (done) => {
+      expectEdit((file) => {
+        return file.set('services.web.ports.-', 22)
+      }, 9, 0, ['    - 22'])
+      done()
+    })
+
+    it('should add missing objects', (done) => {
+      expectEdit((file) => {
+        return file.set('services.cache.image', 'redis')
+      }, 19, 0, ['  cache:', '    image: redis'])
+      done()
+    })
+
+    it('should rewrite values that are not blocks', (done) => {
+      expectEdit((file) => {
+        return file.set('services.db.labels.b', 2)
+      }, 18, 1, ['    labels:', '      a: 1', '      b: 2'])
+      done()
+    })
+
+    it('should not add items past the end of sequences', (done) => {
+      var file = new YamlFile('a:\n- 1\n')
+      expect(() => {
+        file.set('a.2', 3)
+      }).to.throw()
+      expect(file.toString()).to.equal('a:\n- 1\n')
+      done()
+    })
+
+    it('should replace the document', (done) => {
+      var file = new YamlFile('%YAML 1.2\n# Head\n---\na: 1\n')
+      expect(file.set('', { b: [1] })).to.be.true()
+      expect(file.toString()).to.equal('%YAML 1.2\n# Head\n---\nb:\n  - 1\n')
+      done()
+    })
+
+    it('should add entries to empty files', (done) => {
+      var file = new YamlFile('# Empty')
+      expect(file.set('a', 1)).to.be.true()
+      expect(file.toString()).to.equal('# Empty\na: 1\n')
+      done()
+    })
+
+    it('should rewrite documents that are not blocks', (done) => {
+      var file = new YamlFile('{a: 1}\n')
+      expect(file.set('b', 2)).to.be.true()
+      expect(file.toString()).to.equal('a: 1\nb: 2\n')
+      done()
+    })
+
+    it('should not set values within other values', (done) => {
+      var file = new YamlFile(compose)
+      expect(file.set('version.a', 1)).to.be.false()
+      expect(file.toString()).to.equal(compose)
+      done()
+    })
+
+    it('should use the indentation of the file', (done) => {
+      var file = new YamlFile('a:\n    b: 1\n')
+      expect(file.set('a.c', { d: 1 })).to.be.true()
+      expect(file.toString()).to.equal('a:\n    b: 1\n    c:\n        d: 1\n')
+      done()
+    })
+
+    it('should find quoted and numeric keys', (done) => {
+      var file = new YamlFile('"a b": 1\n\'c\': 2\n3: 4\n')
+      expect(file.set('a b', 5)).to.be.true()
+      expect(file.set('c', 6)).to.be.true()
+      expect(file.set('3', 7)).to.be.true()
+      expect(file.toString()).to.equal('"a b": 5\n\'c\': 6\n3: 7\n')
+      done()
+    })
+
+    it('should keep nested values that span multiple lines', (done) => {
+      var file = new YamlFile('a:\n  b: |\n    x\n    y\n  c: 1\n')
+      expect(file.set('a.c', 2)).to.be.true()
+      expect(file.toString()).to.equal('a:\n  b: |\n    x\n    y\n  c: 2\n')
+      done()
+    })
+
+    it('should keep keys with trailing sequences at the same column', (done) => {
+      var file = new YamlFile('a:\n- 1\nb: 2\n')
+      expect(file.set('c', 3)).to.be.true()
+      expect(file.set('a.-', 2)).to.be.true()
+      expect(file.toString()).to.equal('a:\n- 1\n- 2\nb: 2\nc: 3\n')
+      done()
+    })
+
+    it('should handle items with blocks on the following lines', (done) => {
+      var file = new YamlFile('-\n  a: 1\n')
+      expect(file.set('0.b', 2)).to.be.true()
+      expect(file.toString()).to.equal('-\n  a: 1\n  b: 2\n')
+      done()
+    })
+
+    it('should rewrite items that are not blocks', (done) => {
+      var file = new YamlFile('a:\n- {b: 1}\n')
+      expect(file.set('a.0.c', 2)).to.be.true()
+      expect(file.toString()).to.equal('a:\n- b: 1\n  c: 2\n')
+      done()
+    })
+
+    it('should skip comments before blocks', (done) => {
+      var file = new YamlFile('a:\n  # b\n  b: 1\n')
+      expect(file.set('a.b', 2)).to.be.true()
+      expect(file.toString()).to.equal('a:\n  # b\n  b: 2\n')
+      done()
+    })
+
+    it('should handle nested sequences', (done) => {
+      var file = new YamlFile('- - a\n  - b\n')
+      expect(file.set('0.1', 'c')).to.be.true()
+      expect(file.toString()).to.equal('- - a\n  - c\n')
+      done()
+    })
+  }) // end 'set'
+
+  describe('unset', () => {
+    it('should remove entries', (done) => {
+      expectEdit((file) => {
+        return file.unset('version')
+      }, 1, 1, [])
+      done()
+    })
+
+    it('should remove entries with their blocks', (done) => {
+      expectEdit((file) => {
+        return file.unset('services.web')
+      }, 4, 10, [])
+      done()
+    })
+
+    it('should remove sequence items', (done) => {
+      expectEdit((file) => {
+        return file.unset('services.web.environment.0')
+      }, 10, 2, [])
+      done()
+    })
+
+    it('should keep the dash of items when removing their first key', (done) => {
+      expectEdit((file) => {
+        return file.unset('services.web.environment.0.name')
+      }, 10, 2, ['      - value: a'])
+      done()
+    })
+
+    it('should rewrite blocks that become empty', (done) => {
+      var file = new YamlFile('a:\n  b: 1 # c\nd:\n- 1\n')
+      expect(file.unset('a.b')).to.be.true()
+      expect(file.unset('d.0')).to.be.true()
+      expect(file.toString()).to.equal('a: {}\nd: []\n')
+      done()
+    })
+
+    it('should rewrite values that are not blocks', (done) => {
+      expectEdit((file) => {
+        return file.unset('services.db.labels.a')
+      }, 18, 1, ['    labels: {}'])
+      done()
+    })
+
+    it('should not remove missing values', (done) => {
+      var file = new YamlFile(compose)
+      expect(file.unset('services.web.command')).to.be.false()
+      expect(file.toString()).to.equal(compose)
+      done()
+    })
+
+    it('should rewrite values that were not found in the text', (done) => {
+      var file = new YamlFile('a: &a\n  b: 1\nc:\n  <<: *a\n  d: 2\n')
+      expect(file.unset('c.b')).to.be.true()
+      expect(file.toString()).to.equal('a: &a\n  b: 1\nc:\n  d: 2\n')
+      done()
+    })
+  }) // end 'unset'
+
+  describe('merge', () => {
+    it('should only change the merged entries', (done) => {
+      expectEdit((file) => {
+        return file.merge('services.web', {
+          image: 'nginx',
+          environment: [],
+          build: { context: '.' }
+        })
+      }, 5, 9, [
+        '    image: nginx  # pinned',
+        '    ports:',
+        '    - "80:80"',
+        '    - "443:443"',
+        '    environment: []',
+        '    build:',
+        '      context: .'
+      ])
+      done()
+    })
+
+    it('should create missing objects', (done) => {
+      expectEdit((file) => {
+        return file.merge('networks', { front: { driver: 'bridge' } })
+      }, 19, 0, ['networks:', '  front:', '    driver: bridge'])
+      done()
+    })
+
+    it('should not merge into other values', (done) => {
+      var file = new YamlFile(compose)
+      expect(file.merge('version', { a: 1 })).to.be.false()
+      expect(file.toString()).to.equal(compose)
+      done()
+    })
+  }) // end 'merge'
+
+  describe('push', () => {
+    it('should append to sequences', (done) => {
+      expectEdit((file) => {
+        return file.push('services.web.ports', '8080:8080')
+      }, 9, 0, ['    - \'8080:8080\''])
+      done()
+    })
+
+    it('should create missing sequences', (done) => {
+      expectEdit((file) => {
+        return file.push('services.db.volumes', 'data:/data')
+      }, 19, 0, ['    volumes:', '      - \'data:/data\''])
+      done()
+    })
+
+    it('should not append to other values', (done) => {
+      var file = new YamlFile(compose)
+      expect(file.push('services', 1)).to.be.false()
+      expect(file.toString()).to.equal(compose)
+      done()
+    })
+  }) // end 'push'
+
+  describe('edit', () => {
+    it('should restore the file if the text would be invalid', (done) => {
+      var text = 'a: &a 1\nb: *a\n'
+      var file = new YamlFile(text)
+      expect(() => {
+        file.set('a', 2)
+      }).to.throw()
+      expect(file.toString()).to.equal(text)
+      expect(file.data).to.deep.equal({ a: 1, b: 1 })
+      done()
+    })
+
+    it('should restore the file if the text would not match', (done) => {
+      var file = new YamlFile(compose)
+      sinon.stub(file, 'update')
+      expect(() => {
+        file.set('version', '3')
+      }).to.throw(Error, 'Edited YAML does not match the expected values.')
+      expect(file.toString()).to.equal(compose)
+      expect(file.data.version).to.equal('2')
+      done()
+    })
+  }) // end 'edit'
+}) // end 'YamlFile'